@@ -57,6 +57,7 @@ class ActionContext {
     // Derive dependent state.
     var dependentStateVariables = ActionContext.deriveState({
       compartmentalization: compartmentalization,
+      compartmentsGroups: state.compartmentsGroups,
       simplificationPriority: context.simplificationPriority,
       defaultSimplifications: context.defaultSimplifications,
       candidatesSearches: state.candidatesSearches,
@@ -66,6 +67,12 @@ class ActionContext {
       reactionsSimplifications: state.reactionsSimplifications,
       metabolitesSimplifications: state.metabolitesSimplifications,
       filterSetsReactions: state.filterSetsReactions,
+      knockoutGenes: state.knockoutGenes,
+      redundancyCriteria: state.redundancyCriteria,
+      redundancySeparations: state.redundancySeparations,
+      geneNodes: state.geneNodes,
+      mainPairs: state.mainPairs,
+      projection: state.projection,
       reactions: state.reactions,
       metabolites: state.metabolites,
       compartments: state.compartments,
@@ -77,10 +84,536 @@ class ActionContext {
     var novelVariablesValues = {
       simplificationPriority: context.simplificationPriority,
       defaultSimplifications: context.defaultSimplifications,
-      compartmentalization: compartmentalization
+      compartmentalization: compartmentalization,
+      simplificationsHistory: context.simplificationsHistory
+    };
+    var variablesValues = Object.assign(
+      novelVariablesValues,
+      dependentStateVariables
+    );
+    // Submit variables' values to the application's state.
+    ActionGeneral.submitStateVariablesValues({
+      variablesValues: variablesValues,
+      state: state
+    });
+  }
+  /**
+  * Merges compartments from a list of text into a single group for
+  * compartmentalization.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.text List of identifiers or names of
+  * compartments.
+  * @param {Object} parameters.state Application's state.
+  */
+  static includeCompartmentsGroupList({text, state} = {}) {
+    // Collect identifiers of compartments from list.
+    var compartments = Candidacy.parseCompartmentsList({
+      text: text,
+      compartments: state.compartments
+    });
+    // Include group of compartments.
+    var compartmentsGroups = Candidacy.includeCompartmentsGroup({
+      compartments: compartments,
+      compartmentsGroups: state.compartmentsGroups
+    });
+    // Submit changes.
+    ActionContext.changeCompartmentsGroups({
+      compartmentsGroups: compartmentsGroups,
+      state: state
+    });
+  }
+  /**
+  * Separates the compartments of a group for compartmentalization.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.identifier Identifier of a group of
+  * compartments.
+  * @param {Object} parameters.state Application's state.
+  */
+  static excludeCompartmentsGroup({identifier, state} = {}) {
+    // Exclude group of compartments.
+    var compartmentsGroups = Candidacy.excludeCompartmentsGroup({
+      identifier: identifier,
+      compartmentsGroups: state.compartmentsGroups
+    });
+    // Submit changes.
+    ActionContext.changeCompartmentsGroups({
+      compartmentsGroups: compartmentsGroups,
+      state: state
+    });
+  }
+  /**
+  * Changes whether to include nodes for genes in the network.
+  * @param {Object} state Application's state.
+  */
+  static changeGeneNodes(state) {
+    // Determine whether to include nodes for genes.
+    if (state.geneNodes) {
+      var geneNodes = false;
+    } else {
+      var geneNodes = true;
+    }
+    // Derive dependent state.
+    var dependentStateVariables = ActionContext.deriveState({
+      compartmentalization: state.compartmentalization,
+      compartmentsGroups: state.compartmentsGroups,
+      simplificationPriority: state.simplificationPriority,
+      defaultSimplifications: state.defaultSimplifications,
+      candidatesSearches: state.candidatesSearches,
+      candidatesSorts: state.candidatesSorts,
+      defaultSimplificationsMetabolites: state
+      .defaultSimplificationsMetabolites,
+      reactionsSimplifications: state.reactionsSimplifications,
+      metabolitesSimplifications: state.metabolitesSimplifications,
+      filterSetsReactions: state.filterSetsReactions,
+      knockoutGenes: state.knockoutGenes,
+      redundancyCriteria: state.redundancyCriteria,
+      redundancySeparations: state.redundancySeparations,
+      geneNodes: geneNodes,
+      mainPairs: state.mainPairs,
+      projection: state.projection,
+      reactions: state.reactions,
+      metabolites: state.metabolites,
+      compartments: state.compartments,
+      processes: state.processes,
+      viewsRestoration: state.viewsRestoration,
+      state: state
+    });
+    // Compile variables' values.
+    var novelVariablesValues = {
+      geneNodes: geneNodes
+    };
+    var variablesValues = Object.assign(
+      novelVariablesValues,
+      dependentStateVariables
+    );
+    // Submit variables' values to the application's state.
+    ActionGeneral.submitStateVariablesValues({
+      variablesValues: variablesValues,
+      state: state
+    });
+  }
+  /**
+  * Changes whether to represent only links for main pairs of reactants and
+  * products in the network.
+  * @param {Object} state Application's state.
+  */
+  static changeMainPairs(state) {
+    // Determine whether to represent only links for main pairs.
+    if (state.mainPairs) {
+      var mainPairs = false;
+    } else {
+      var mainPairs = true;
+    }
+    // Derive dependent state.
+    var dependentStateVariables = ActionContext.deriveState({
+      compartmentalization: state.compartmentalization,
+      compartmentsGroups: state.compartmentsGroups,
+      simplificationPriority: state.simplificationPriority,
+      defaultSimplifications: state.defaultSimplifications,
+      candidatesSearches: state.candidatesSearches,
+      candidatesSorts: state.candidatesSorts,
+      defaultSimplificationsMetabolites: state
+      .defaultSimplificationsMetabolites,
+      reactionsSimplifications: state.reactionsSimplifications,
+      metabolitesSimplifications: state.metabolitesSimplifications,
+      filterSetsReactions: state.filterSetsReactions,
+      knockoutGenes: state.knockoutGenes,
+      redundancyCriteria: state.redundancyCriteria,
+      redundancySeparations: state.redundancySeparations,
+      geneNodes: state.geneNodes,
+      mainPairs: mainPairs,
+      projection: state.projection,
+      reactions: state.reactions,
+      metabolites: state.metabolites,
+      compartments: state.compartments,
+      processes: state.processes,
+      viewsRestoration: state.viewsRestoration,
+      state: state
+    });
+    // Compile variables' values.
+    var novelVariablesValues = {
+      mainPairs: mainPairs
+    };
+    var variablesValues = Object.assign(
+      novelVariablesValues,
+      dependentStateVariables
+    );
+    // Submit variables' values to the application's state.
+    ActionGeneral.submitStateVariablesValues({
+      variablesValues: variablesValues,
+      state: state
+    });
+  }
+  /**
+  * Changes the projection of the network's nodes and links.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.projection Projection of network, bipartite,
+  * metabolites, or reactions.
+  * @param {Object} parameters.state Application's state.
+  */
+  static changeProjection({projection, state} = {}) {
+    // Derive dependent state.
+    var dependentStateVariables = ActionContext.deriveState({
+      compartmentalization: state.compartmentalization,
+      compartmentsGroups: state.compartmentsGroups,
+      simplificationPriority: state.simplificationPriority,
+      defaultSimplifications: state.defaultSimplifications,
+      candidatesSearches: state.candidatesSearches,
+      candidatesSorts: state.candidatesSorts,
+      defaultSimplificationsMetabolites: state
+      .defaultSimplificationsMetabolites,
+      reactionsSimplifications: state.reactionsSimplifications,
+      metabolitesSimplifications: state.metabolitesSimplifications,
+      filterSetsReactions: state.filterSetsReactions,
+      knockoutGenes: state.knockoutGenes,
+      redundancyCriteria: state.redundancyCriteria,
+      redundancySeparations: state.redundancySeparations,
+      geneNodes: state.geneNodes,
+      mainPairs: state.mainPairs,
+      projection: projection,
+      reactions: state.reactions,
+      metabolites: state.metabolites,
+      compartments: state.compartments,
+      processes: state.processes,
+      viewsRestoration: state.viewsRestoration,
+      state: state
+    });
+    // Compile variables' values.
+    var novelVariablesValues = {
+      projection: projection
+    };
+    var variablesValues = Object.assign(
+      novelVariablesValues,
+      dependentStateVariables
+    );
+    // Submit variables' values to the application's state.
+    ActionGeneral.submitStateVariablesValues({
+      variablesValues: variablesValues,
+      state: state
+    });
+  }
+  /**
+  * Changes whether to create default simplifications.
+  * @param {Object} state Application's state.
+  */
+  static changeDefaultSimplifications(state) {
+    // Change simplification priority.
+    var simplificationPriority = "default";
+    // Determine default simplifications.
+    // Determine simplifications of candidate entities.
+    if (state.defaultSimplifications) {
+      // Change default simplifications to false.
+      var defaultSimplifications = false;
+    } else {
+      // Change default simplifications to true.
+      var defaultSimplifications = true;
+    }
+    // Derive dependent state.
+    var dependentStateVariables = ActionContext.deriveState({
+      compartmentalization: state.compartmentalization,
+      compartmentsGroups: state.compartmentsGroups,
+      simplificationPriority: simplificationPriority,
+      defaultSimplifications: defaultSimplifications,
+      candidatesSearches: state.candidatesSearches,
+      candidatesSorts: state.candidatesSorts,
+      defaultSimplificationsMetabolites: state
+      .defaultSimplificationsMetabolites,
+      reactionsSimplifications: state.reactionsSimplifications,
+      metabolitesSimplifications: state.metabolitesSimplifications,
+      filterSetsReactions: state.filterSetsReactions,
+      knockoutGenes: state.knockoutGenes,
+      redundancyCriteria: state.redundancyCriteria,
+      redundancySeparations: state.redundancySeparations,
+      geneNodes: state.geneNodes,
+      mainPairs: state.mainPairs,
+      projection: state.projection,
+      reactions: state.reactions,
+      metabolites: state.metabolites,
+      compartments: state.compartments,
+      processes: state.processes,
+      viewsRestoration: state.viewsRestoration,
+      state: state
+    });
+    // Compile variables' values.
+    var novelVariablesValues = {
+      simplificationPriority: simplificationPriority,
+      defaultSimplifications: defaultSimplifications
+    };
+    var variablesValues = Object.assign(
+      novelVariablesValues,
+      dependentStateVariables
+    );
+    // Submit variables' values to the application's state.
+    ActionGeneral.submitStateVariablesValues({
+      variablesValues: variablesValues,
+      state: state
+    });
+  }
+  /**
+  * Loads from file a curation of metabolites for default simplifications.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.source Reference to file object.
+  * @param {Object} parameters.state Application's state.
+  */
+  static loadDefaultSimplificationsCuration({source, state} = {}) {
+    General.loadParseTextPassObject({
+      file: source,
+      format: "tsv",
+      call: ActionContext.importDefaultSimplificationsCuration,
+      parameters: {state: state}
+    });
+  }
+  /**
+  * Imports a curation of metabolites for default simplifications and applies
+  * it in place of previous default simplifications.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Array<Object<string>>} parameters.data Information from a table of
+  * curation.
+  * @param {Object} parameters.state Application's state.
+  */
+  static importDefaultSimplificationsCuration({data, state} = {}) {
+    // Create records of metabolites for default simplifications.
+    var defaultSimplificationsMetabolites = Candidacy
+    .createDefaultSimplificationsRecords(data);
+    // Prioritize default simplifications.
+    var simplificationPriority = "default";
+    var defaultSimplifications = true;
+    // Derive dependent state.
+    var dependentStateVariables = ActionContext.deriveState({
+      compartmentalization: state.compartmentalization,
+      compartmentsGroups: state.compartmentsGroups,
+      simplificationPriority: simplificationPriority,
+      defaultSimplifications: defaultSimplifications,
+      candidatesSearches: state.candidatesSearches,
+      candidatesSorts: state.candidatesSorts,
+      defaultSimplificationsMetabolites: defaultSimplificationsMetabolites,
+      reactionsSimplifications: state.reactionsSimplifications,
+      metabolitesSimplifications: state.metabolitesSimplifications,
+      filterSetsReactions: state.filterSetsReactions,
+      knockoutGenes: state.knockoutGenes,
+      redundancyCriteria: state.redundancyCriteria,
+      redundancySeparations: state.redundancySeparations,
+      geneNodes: state.geneNodes,
+      mainPairs: state.mainPairs,
+      projection: state.projection,
+      reactions: state.reactions,
+      metabolites: state.metabolites,
+      compartments: state.compartments,
+      processes: state.processes,
+      viewsRestoration: state.viewsRestoration,
+      state: state
+    });
+    // Compile variables' values.
+    var novelVariablesValues = {
+      defaultSimplificationsMetabolites: defaultSimplificationsMetabolites,
+      simplificationPriority: simplificationPriority
+    };
+    var variablesValues = Object.assign(
+      novelVariablesValues,
+      dependentStateVariables
+    );
+    // Submit variables' values to the application's state.
+    ActionGeneral.submitStateVariablesValues({
+      variablesValues: variablesValues,
+      state: state
+    });
+  }
+  /**
+  * Exports information about designations of candidate entities for
+  * simplification.
+  * @param {Object} state Application's state.
+  */
+  static exportSimplifications(state) {
+    var simplificationsExport = Evaluation.createSimplificationsExport({
+      reactionsSimplifications: state.reactionsSimplifications,
+      metabolitesSimplifications: state.metabolitesSimplifications
+    });
+    // Determine whether any designations for simplification exist.
+    if (simplificationsExport.length > 0) {
+      var simplificationsExportString = General
+      .convertRecordsStringTabSeparateTable(simplificationsExport);
+    } else {
+      // Create only head row.
+      var simplificationsExportString = (
+        "\"identifier\"\t\"type\"\t\"method\"\t\"dependency\""
+      );
+    }
+    General.saveString("simplifications.txt", simplificationsExportString);
+  }
+  /**
+  * Loads from file designations of candidate entities for simplification.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.source Reference to file object.
+  * @param {Object} parameters.state Application's state.
+  */
+  static loadSimplifications({source, state} = {}) {
+    General.loadParseTextPassObject({
+      file: source,
+      format: "tsv",
+      call: ActionContext.importSimplifications,
+      parameters: {state: state}
+    });
+  }
+  /**
+  * Imports designations of candidate entities for simplification and applies
+  * them in place of current simplifications.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Array<Object<string>>} parameters.data Information about
+  * designations for simplification.
+  * @param {Object} parameters.state Application's state.
+  */
+  static importSimplifications({data, state} = {}) {
+    // Change simplification priority.
+    var simplificationPriority = "custom";
+    // Create information about simplifications of current candidates.
+    var importSimplifications = Candidacy.createImportSimplifications({
+      records: data,
+      candidatesReactions: state.candidatesReactions,
+      candidatesMetabolites: state.candidatesMetabolites
+    });
+    // Report records that apply and records that do not designate current
+    // candidates.
+    var simplificationsImportReport = {
+      applications: importSimplifications.applications,
+      skips: importSimplifications.skips
+    };
+    // Derive implicit designations anew rather than trusting those from file.
+    var simplifications = Candidacy.restoreSimplifications({
+      candidatesReactions: state.candidatesReactions,
+      candidatesMetabolites: state.candidatesMetabolites,
+      reactionsSets: state.filterSetsReactions,
+      reactions: state.reactions,
+      compartmentalization: state.compartmentalization,
+      compartmentsGroups: state.compartmentsGroups,
+      reactionsSimplifications: importSimplifications.reactionsSimplifications,
+      metabolitesSimplifications: importSimplifications
+      .metabolitesSimplifications
+    });
+    // Derive dependent state.
+    var dependentStateVariables = ActionContext.deriveState({
+      compartmentalization: state.compartmentalization,
+      compartmentsGroups: state.compartmentsGroups,
+      simplificationPriority: simplificationPriority,
+      defaultSimplifications: state.defaultSimplifications,
+      candidatesSearches: state.candidatesSearches,
+      candidatesSorts: state.candidatesSorts,
+      defaultSimplificationsMetabolites: state
+      .defaultSimplificationsMetabolites,
+      reactionsSimplifications: simplifications.reactionsSimplifications,
+      metabolitesSimplifications: simplifications.metabolitesSimplifications,
+      filterSetsReactions: state.filterSetsReactions,
+      knockoutGenes: state.knockoutGenes,
+      redundancyCriteria: state.redundancyCriteria,
+      redundancySeparations: state.redundancySeparations,
+      geneNodes: state.geneNodes,
+      mainPairs: state.mainPairs,
+      projection: state.projection,
+      reactions: state.reactions,
+      metabolites: state.metabolites,
+      compartments: state.compartments,
+      processes: state.processes,
+      viewsRestoration: state.viewsRestoration,
+      state: state
+    });
+    // Include change in history of simplifications.
+    var simplificationsHistory = ActionContext.includeSimplificationsHistory({
+      name: "import designations",
+      simplifications: dependentStateVariables,
+      state: state
+    });
+    // Compile variables' values.
+    var novelVariablesValues = {
+      simplificationPriority: simplificationPriority,
+      simplificationsHistory: simplificationsHistory,
+      simplificationsImportReport: simplificationsImportReport
+    };
+    var variablesValues = Object.assign(
+      novelVariablesValues,
+      simplifications,
+      dependentStateVariables
+    );
+    // Submit variables' values to the application's state.
+    ActionGeneral.submitStateVariablesValues({
+      variablesValues: variablesValues,
+      state: state
+    });
+  }
+  /**
+  * Changes explicit and implicit simplifications.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.identifier Identifier of a candidate entity.
+  * @param {string} parameters.category Category of entities, metabolites or
+  * reactions.
+  * @param {string} parameters.method Method for simplification, omission or
+  * replication.
+  * @param {Object} parameters.state Application's state.
+  */
+  static changeSimplification({identifier, category, method, state} = {}) {
+    // Change simplification priority.
+    var simplificationPriority = "custom";
+    // Change explicit and implicit designations of entities for simplification.
+    var simplifications = Candidacy.changeSimplifications({
+      identifier: identifier,
+      category: category,
+      method: method,
+      candidatesReactions: state.candidatesReactions,
+      candidatesMetabolites: state.candidatesMetabolites,
+      reactionsSets: state.filterSetsReactions,
+      reactions: state.reactions,
+      compartmentalization: state.compartmentalization,
+      compartmentsGroups: state.compartmentsGroups,
+      reactionsSimplifications: state.reactionsSimplifications,
+      metabolitesSimplifications: state.metabolitesSimplifications
+    });
+    // Derive dependent state.
+    var dependentStateVariables = ActionContext.deriveState({
+      compartmentalization: state.compartmentalization,
+      compartmentsGroups: state.compartmentsGroups,
+      simplificationPriority: simplificationPriority,
+      defaultSimplifications: state.defaultSimplifications,
+      candidatesSearches: state.candidatesSearches,
+      candidatesSorts: state.candidatesSorts,
+      defaultSimplificationsMetabolites: state
+      .defaultSimplificationsMetabolites,
+      reactionsSimplifications: simplifications.reactionsSimplifications,
+      metabolitesSimplifications: simplifications.metabolitesSimplifications,
+      filterSetsReactions: state.filterSetsReactions,
+      knockoutGenes: state.knockoutGenes,
+      redundancyCriteria: state.redundancyCriteria,
+      redundancySeparations: state.redundancySeparations,
+      geneNodes: state.geneNodes,
+      mainPairs: state.mainPairs,
+      projection: state.projection,
+      reactions: state.reactions,
+      metabolites: state.metabolites,
+      compartments: state.compartments,
+      processes: state.processes,
+      viewsRestoration: state.viewsRestoration,
+      state: state
+    });
+    // Include change in history of simplifications.
+    var simplificationsHistory = ActionContext.includeSimplificationsHistory({
+      name: Candidacy.createSimplificationChangeName({
+        identifier: identifier,
+        category: category,
+        method: method,
+        simplifications: dependentStateVariables,
+        candidatesReactions: state.candidatesReactions,
+        candidatesMetabolites: state.candidatesMetabolites,
+        metabolites: state.metabolites,
+        compartments: state.compartments
+      }),
+      simplifications: dependentStateVariables,
+      state: state
+    });
+    // Compile variables' values.
+    var novelVariablesValues = {
+      simplificationPriority: simplificationPriority,
+      simplificationsHistory: simplificationsHistory
     };
     var variablesValues = Object.assign(
       novelVariablesValues,
+      simplifications,
       dependentStateVariables
     );
     // Submit variables' values to the application's state.
@@ -90,33 +623,167 @@ class ActionContext {
     });
   }
   /**
-  * Changes whether to create default simplifications.
+  * Changes designations of all candidate entities with selections or with
+  * summaries that pass searches for simplification by a single method.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.category Category of entities, metabolites or
+  * reactions.
+  * @param {string} parameters.method Method for simplification, omission or
+  * replication, or null to clear designations.
+  * @param {Object} parameters.state Application's state.
+  */
+  static changeSimplificationsCollection({category, method, state} = {}) {
+    // Collect identifiers of candidate entities.
+    var identifiers = Candidacy.collectCandidatesSummariesIdentifiers({
+      category: category,
+      candidatesSummaries: state.candidatesSummaries,
+      candidatesSelections: state.candidatesSelections
+    });
+    // Clear selections of the category.
+    var candidatesSelections = Object.assign({}, state.candidatesSelections, {
+      [category]: {
+        mode: state.candidatesSelections[category].mode,
+        identifiers: []
+      }
+    });
+    // Submit changes.
+    var actions = {
+      omission: "omit",
+      replication: "replicate"
+    };
+    ActionContext.changeSimplificationsIdentifiers({
+      identifiers: identifiers,
+      category: category,
+      method: method,
+      name: (
+        (actions[method] || "clear") + " " + identifiers.length + " " +
+        category
+      ),
+      candidatesSelections: candidatesSelections,
+      state: state
+    });
+  }
+  /**
+  * Designates for omission all candidate metabolites that represent the
+  * metabolites of a currency pair.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.identifier Identifier of a currency pair.
+  * @param {Object} parameters.state Application's state.
+  */
+  static omitCurrencyPair({identifier, state} = {}) {
+    // Access information about pair.
+    var pair = General.accessArrayRecordByIdentifier(
+      identifier, state.currencyPairs
+    );
+    // Collect identifiers of candidate metabolites.
+    var identifiers = Candidacy.collectPairCandidatesMetabolites({
+      metabolites: pair.metabolites,
+      candidatesMetabolites: state.candidatesMetabolites
+    });
+    // Submit changes.
+    ActionContext.changeSimplificationsIdentifiers({
+      identifiers: identifiers,
+      category: "metabolites",
+      method: "omission",
+      name: ("omit pair " + pair.name),
+      candidatesSelections: state.candidatesSelections,
+      state: state
+    });
+  }
+  /**
+  * Changes whether selection of multiple candidates' summaries is active for
+  * a category.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.category Category of entities, metabolites or
+  * reactions.
+  * @param {Object} parameters.state Application's state.
+  */
+  static changeCandidatesSelectionMode({category, state} = {}) {
+    ActionContext.changeCandidatesSelections({
+      candidatesSelections: Candidacy.changeCandidatesSelectionMode({
+        category: category,
+        candidatesSelections: state.candidatesSelections
+      }),
+      state: state
+    });
+  }
+  /**
+  * Changes whether a single candidate's summary has a selection.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.identifier Identifier of a candidate entity.
+  * @param {string} parameters.category Category of entities, metabolites or
+  * reactions.
+  * @param {Object} parameters.state Application's state.
+  */
+  static changeCandidateSelection({identifier, category, state} = {}) {
+    ActionContext.changeCandidatesSelections({
+      candidatesSelections: Candidacy.changeCandidateSelection({
+        identifier: identifier,
+        category: category,
+        candidatesSelections: state.candidatesSelections
+      }),
+      state: state
+    });
+  }
+  /**
+  * Restores designations of entities for simplification from the previous
+  * change in history.
   * @param {Object} state Application's state.
   */
-  static changeDefaultSimplifications(state) {
-    // Change simplification priority.
-    var simplificationPriority = "default";
-    // Determine default simplifications.
-    // Determine simplifications of candidate entities.
-    if (state.defaultSimplifications) {
-      // Change default simplifications to false.
-      var defaultSimplifications = false;
-    } else {
-      // Change default simplifications to true.
-      var defaultSimplifications = true;
+  static undoSimplification(state) {
+    var position = state.simplificationsHistory.position - 1;
+    if (position >= 0) {
+      ActionContext.restoreSimplificationsHistory({
+        position: position,
+        state: state
+      });
+    }
+  }
+  /**
+  * Restores designations of entities for simplification from the next change
+  * in history.
+  * @param {Object} state Application's state.
+  */
+  static redoSimplification(state) {
+    var position = state.simplificationsHistory.position + 1;
+    if (position < state.simplificationsHistory.entries.length) {
+      ActionContext.restoreSimplificationsHistory({
+        position: position,
+        state: state
+      });
     }
+  }
+  /**
+  * Restores designations of entities for simplification from a specific
+  * change in history.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {number} parameters.position Position of change in history.
+  * @param {Object} parameters.state Application's state.
+  */
+  static restoreSimplificationsHistory({position, state} = {}) {
+    // Change simplification priority.
+    var simplificationPriority = "custom";
+    // Access entry in history.
+    var entry = state.simplificationsHistory.entries[position];
     // Derive dependent state.
     var dependentStateVariables = ActionContext.deriveState({
       compartmentalization: state.compartmentalization,
+      compartmentsGroups: state.compartmentsGroups,
       simplificationPriority: simplificationPriority,
-      defaultSimplifications: defaultSimplifications,
+      defaultSimplifications: state.defaultSimplifications,
       candidatesSearches: state.candidatesSearches,
       candidatesSorts: state.candidatesSorts,
       defaultSimplificationsMetabolites: state
       .defaultSimplificationsMetabolites,
-      reactionsSimplifications: state.reactionsSimplifications,
-      metabolitesSimplifications: state.metabolitesSimplifications,
+      reactionsSimplifications: entry.reactionsSimplifications,
+      metabolitesSimplifications: entry.metabolitesSimplifications,
       filterSetsReactions: state.filterSetsReactions,
+      knockoutGenes: state.knockoutGenes,
+      redundancyCriteria: state.redundancyCriteria,
+      redundancySeparations: state.redundancySeparations,
+      geneNodes: state.geneNodes,
+      mainPairs: state.mainPairs,
+      projection: state.projection,
       reactions: state.reactions,
       metabolites: state.metabolites,
       compartments: state.compartments,
@@ -127,7 +794,9 @@ class ActionContext {
     // Compile variables' values.
     var novelVariablesValues = {
       simplificationPriority: simplificationPriority,
-      defaultSimplifications: defaultSimplifications
+      simplificationsHistory: Object.assign({}, state.simplificationsHistory, {
+        position: position
+      })
     };
     var variablesValues = Object.assign(
       novelVariablesValues,
@@ -139,22 +808,33 @@ class ActionContext {
       state: state
     });
   }
+
+  // Indirect actions.
+
   /**
-  * Changes explicit and implicit simplifications.
+  * Changes designations of multiple candidate entities for simplification by
+  * a single method.
   * @param {Object} parameters Destructured object of parameters.
-  * @param {string} parameters.identifier Identifier of a candidate entity.
+  * @param {Array<string>} parameters.identifiers Identifiers of candidate
+  * entities.
   * @param {string} parameters.category Category of entities, metabolites or
   * reactions.
   * @param {string} parameters.method Method for simplification, omission or
-  * replication.
+  * replication, or null to clear designations.
+  * @param {string} parameters.name Name of change for history.
+  * @param {Object<Object>} parameters.candidatesSelections Selections of
+  * candidates' summaries.
   * @param {Object} parameters.state Application's state.
   */
-  static changeSimplification({identifier, category, method, state} = {}) {
+  static changeSimplificationsIdentifiers({identifiers, category, method, name, candidatesSelections, state} = {}) {
+    if (identifiers.length < 1) {
+      return;
+    }
     // Change simplification priority.
     var simplificationPriority = "custom";
     // Change explicit and implicit designations of entities for simplification.
-    var simplifications = Candidacy.changeSimplifications({
-      identifier: identifier,
+    var simplifications = Candidacy.changeSimplificationsCollection({
+      identifiers: identifiers,
       category: category,
       method: method,
       candidatesReactions: state.candidatesReactions,
@@ -162,12 +842,14 @@ class ActionContext {
       reactionsSets: state.filterSetsReactions,
       reactions: state.reactions,
       compartmentalization: state.compartmentalization,
+      compartmentsGroups: state.compartmentsGroups,
       reactionsSimplifications: state.reactionsSimplifications,
       metabolitesSimplifications: state.metabolitesSimplifications
     });
     // Derive dependent state.
     var dependentStateVariables = ActionContext.deriveState({
       compartmentalization: state.compartmentalization,
+      compartmentsGroups: state.compartmentsGroups,
       simplificationPriority: simplificationPriority,
       defaultSimplifications: state.defaultSimplifications,
       candidatesSearches: state.candidatesSearches,
@@ -177,6 +859,12 @@ class ActionContext {
       reactionsSimplifications: simplifications.reactionsSimplifications,
       metabolitesSimplifications: simplifications.metabolitesSimplifications,
       filterSetsReactions: state.filterSetsReactions,
+      knockoutGenes: state.knockoutGenes,
+      redundancyCriteria: state.redundancyCriteria,
+      redundancySeparations: state.redundancySeparations,
+      geneNodes: state.geneNodes,
+      mainPairs: state.mainPairs,
+      projection: state.projection,
       reactions: state.reactions,
       metabolites: state.metabolites,
       compartments: state.compartments,
@@ -184,9 +872,17 @@ class ActionContext {
       viewsRestoration: state.viewsRestoration,
       state: state
     });
+    // Include change in history of simplifications.
+    var simplificationsHistory = ActionContext.includeSimplificationsHistory({
+      name: name,
+      simplifications: dependentStateVariables,
+      state: state
+    });
     // Compile variables' values.
     var novelVariablesValues = {
-      simplificationPriority: simplificationPriority
+      simplificationPriority: simplificationPriority,
+      simplificationsHistory: simplificationsHistory,
+      candidatesSelections: candidatesSelections
     };
     var variablesValues = Object.assign(
       novelVariablesValues,
@@ -199,8 +895,226 @@ class ActionContext {
       state: state
     });
   }
+  /**
+  * Changes selections of candidates' summaries.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object<Object>} parameters.candidatesSelections Selections of
+  * candidates' summaries.
+  * @param {Object} parameters.state Application's state.
+  */
+  static changeCandidatesSelections({candidatesSelections, state} = {}) {
+    // Determine which views to restore.
+    var novelViewsRestoration = ActionInterface.changeViewsRestoration({
+      views: ["context"],
+      type: true,
+      viewsRestoration: state.viewsRestoration
+    });
+    // Compile variables' values.
+    var variablesValues = {
+      candidatesSelections: candidatesSelections,
+      viewsRestoration: novelViewsRestoration
+    };
+    // Submit variables' values to the application's state.
+    ActionGeneral.submitStateVariablesValues({
+      variablesValues: variablesValues,
+      state: state
+    });
+  }
+  /**
+  * Includes a novel change to designations of entities for simplification in
+  * history.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.name Name of change.
+  * @param {Object<Object>} parameters.simplifications Information about
+  * simplification of entities after the change.
+  * @param {Object} parameters.state Application's state.
+  * @returns {Object} History of changes to simplifications.
+  */
+  static includeSimplificationsHistory({name, simplifications, state} = {}) {
+    return Candidacy.includeSimplificationsHistoryEntry({
+      name: name,
+      previousSimplifications: {
+        reactionsSimplifications: state.reactionsSimplifications,
+        metabolitesSimplifications: state.metabolitesSimplifications
+      },
+      novelSimplifications: simplifications,
+      limit: 50,
+      history: state.simplificationsHistory
+    });
+  }
 
-  // Indirect actions.
+  /**
+  * Changes groups of compartments that merge in compartmentalization.
+  * Groups of compartments only apply with compartmentalization.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Array<Array<string>>} parameters.compartmentsGroups Groups of
+  * compartments that merge in compartmentalization.
+  * @param {Object} parameters.state Application's state.
+  */
+  static changeCompartmentsGroups({compartmentsGroups, state} = {}) {
+    // Groups of compartments imply compartmentalization.
+    var compartmentalization = true;
+    // Derive dependent state.
+    var dependentStateVariables = ActionContext.deriveState({
+      compartmentalization: compartmentalization,
+      compartmentsGroups: compartmentsGroups,
+      simplificationPriority: state.simplificationPriority,
+      defaultSimplifications: state.defaultSimplifications,
+      candidatesSearches: state.candidatesSearches,
+      candidatesSorts: state.candidatesSorts,
+      defaultSimplificationsMetabolites: state
+      .defaultSimplificationsMetabolites,
+      reactionsSimplifications: state.reactionsSimplifications,
+      metabolitesSimplifications: state.metabolitesSimplifications,
+      filterSetsReactions: state.filterSetsReactions,
+      knockoutGenes: state.knockoutGenes,
+      redundancyCriteria: state.redundancyCriteria,
+      redundancySeparations: state.redundancySeparations,
+      geneNodes: state.geneNodes,
+      mainPairs: state.mainPairs,
+      projection: state.projection,
+      reactions: state.reactions,
+      metabolites: state.metabolites,
+      compartments: state.compartments,
+      processes: state.processes,
+      viewsRestoration: state.viewsRestoration,
+      state: state
+    });
+    // Retain history of changes to simplifications that resolve to candidate
+    // metabolites.
+    // Identifiers of candidate metabolites depend on groups of compartments.
+    var simplificationsHistory = Candidacy.filterSimplificationsHistory({
+      history: state.simplificationsHistory,
+      candidatesReactions: dependentStateVariables.candidatesReactions,
+      candidatesMetabolites: dependentStateVariables.candidatesMetabolites
+    });
+    // Compile variables' values.
+    var novelVariablesValues = {
+      compartmentalization: compartmentalization,
+      compartmentsGroups: compartmentsGroups,
+      simplificationsHistory: simplificationsHistory
+    };
+    var variablesValues = Object.assign(
+      novelVariablesValues,
+      dependentStateVariables
+    );
+    // Submit variables' values to the application's state.
+    ActionGeneral.submitStateVariablesValues({
+      variablesValues: variablesValues,
+      state: state
+    });
+  }
+  /**
+  * Changes a single criterion for redundancy of replicate reactions.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.criterion Name of a criterion for redundancy.
+  * @param {Object} parameters.state Application's state.
+  */
+  static changeRedundancyCriterion({criterion, state} = {}) {
+    // Change criterion.
+    var redundancyCriteria = Object.assign({}, state.redundancyCriteria, {
+      [criterion]: !state.redundancyCriteria[criterion]
+    });
+    // Submit changes.
+    ActionContext.changeRedundancy({
+      redundancyCriteria: redundancyCriteria,
+      redundancySeparations: state.redundancySeparations,
+      state: state
+    });
+  }
+  /**
+  * Changes whether a candidate reaction and its replicates have separation
+  * from redundancy.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.identifier Identifier of a candidate reaction.
+  * @param {Object} parameters.state Application's state.
+  */
+  static changeRedundancySeparation({identifier, state} = {}) {
+    // Change separations.
+    var redundancySeparations = Candidacy.changeRedundancySeparation({
+      identifier: identifier,
+      candidatesReactions: state.candidatesReactions,
+      reactions: state.reactions,
+      redundancySeparations: state.redundancySeparations
+    });
+    // Submit changes.
+    ActionContext.changeRedundancy({
+      redundancyCriteria: state.redundancyCriteria,
+      redundancySeparations: redundancySeparations,
+      state: state
+    });
+  }
+  /**
+  * Restores redundancy of all replicate reactions with separations.
+  * @param {Object} state Application's state.
+  */
+  static restoreRedundancySeparations(state) {
+    ActionContext.changeRedundancy({
+      redundancyCriteria: state.redundancyCriteria,
+      redundancySeparations: [],
+      state: state
+    });
+  }
+  /**
+  * Changes criteria and separations for redundancy of replicate reactions.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object<boolean>} parameters.redundancyCriteria Criteria for
+  * redundancy of replicate reactions.
+  * @param {Array<string>} parameters.redundancySeparations Identifiers of
+  * replicate reactions to separate from redundancy.
+  * @param {Object} parameters.state Application's state.
+  */
+  static changeRedundancy({redundancyCriteria, redundancySeparations, state} = {}) {
+    // Derive dependent state.
+    var dependentStateVariables = ActionContext.deriveState({
+      compartmentalization: state.compartmentalization,
+      compartmentsGroups: state.compartmentsGroups,
+      simplificationPriority: state.simplificationPriority,
+      defaultSimplifications: state.defaultSimplifications,
+      candidatesSearches: state.candidatesSearches,
+      candidatesSorts: state.candidatesSorts,
+      defaultSimplificationsMetabolites: state
+      .defaultSimplificationsMetabolites,
+      reactionsSimplifications: state.reactionsSimplifications,
+      metabolitesSimplifications: state.metabolitesSimplifications,
+      filterSetsReactions: state.filterSetsReactions,
+      knockoutGenes: state.knockoutGenes,
+      redundancyCriteria: redundancyCriteria,
+      redundancySeparations: redundancySeparations,
+      geneNodes: state.geneNodes,
+      mainPairs: state.mainPairs,
+      projection: state.projection,
+      reactions: state.reactions,
+      metabolites: state.metabolites,
+      compartments: state.compartments,
+      processes: state.processes,
+      viewsRestoration: state.viewsRestoration,
+      state: state
+    });
+    // Retain history of changes to simplifications that resolve to candidate
+    // reactions.
+    // Candidate reactions depend on redundancy of replicate reactions.
+    var simplificationsHistory = Candidacy.filterSimplificationsHistory({
+      history: state.simplificationsHistory,
+      candidatesReactions: dependentStateVariables.candidatesReactions,
+      candidatesMetabolites: dependentStateVariables.candidatesMetabolites
+    });
+    // Compile variables' values.
+    var novelVariablesValues = {
+      redundancyCriteria: redundancyCriteria,
+      redundancySeparations: redundancySeparations,
+      simplificationsHistory: simplificationsHistory
+    };
+    var variablesValues = Object.assign(
+      novelVariablesValues,
+      dependentStateVariables
+    );
+    // Submit variables' values to the application's state.
+    ActionGeneral.submitStateVariablesValues({
+      variablesValues: variablesValues,
+      state: state
+    });
+  }
 
   // TODO: I might want to support default simplifications for both metabolites and reactions
   // TODO: as the procedure in utility_candidacy is written, it only considers default metabolite simplifications...
@@ -212,17 +1126,36 @@ class ActionContext {
   static initializeControls() {
     // Initialize controls.
     var compartmentalization = false;
+    var compartmentsGroups = [];
+    var geneNodes = false;
+    var mainPairs = false;
+    var projection = "bipartite";
+    var redundancyCriteria = Candidacy.createInitialRedundancyCriteria();
+    var redundancySeparations = [];
     var simplificationPriority = "default";
+    var simplificationsHistory = Candidacy
+    .createInitialSimplificationsHistory();
+    var simplificationsImportReport = null;
     var defaultSimplifications = true;
     var candidatesSearches = Candidacy.createInitialCandidatesSearches();
     var candidatesSorts = Candidacy.createInitialCandidatesSorts();
+    var candidatesSelections = Candidacy.createInitialCandidatesSelections();
     // Compile information.
     var variablesValues = {
       compartmentalization: compartmentalization,
+      compartmentsGroups: compartmentsGroups,
+      geneNodes: geneNodes,
+      mainPairs: mainPairs,
+      projection: projection,
+      redundancyCriteria: redundancyCriteria,
+      redundancySeparations: redundancySeparations,
       simplificationPriority: simplificationPriority,
+      simplificationsHistory: simplificationsHistory,
+      simplificationsImportReport: simplificationsImportReport,
       defaultSimplifications: defaultSimplifications,
       candidatesSearches: candidatesSearches,
-      candidatesSorts: candidatesSorts
+      candidatesSorts: candidatesSorts,
+      candidatesSelections: candidatesSelections
     };
     // Return information.
     return variablesValues;
@@ -232,6 +1165,8 @@ class ActionContext {
   * @param {Object} parameters Destructured object of parameters.
   * @param {boolean} parameters.compartmentalization Whether
   * compartmentalization is relevant.
+  * @param {Array<Array<string>>} parameters.compartmentsGroups Groups of
+  * compartments that merge in compartmentalization.
   * @param {string} parameters.simplificationPriority Whether to prioritize
   * derivation of default or custom simplifications.
   * @param {boolean} parameters.defaultSimplifications Whether to include
@@ -240,14 +1175,20 @@ class ActionContext {
   * candidates' summaries.
   * @param {Object<Object<string>>} parameters.candidatesSorts Specifications to
   * sort candidates' summaries.
-  * @param {Array<string>} parameters.defaultSimplificationsMetabolites
-  * Identifiers of metabolites for which to create default simplifications.
+  * @param {Array<Object>} parameters.defaultSimplificationsMetabolites
+  * Information about metabolites for which to create default simplifications.
   * @param {Object<Object>} parameters.reactionsSimplifications Information
   * about simplification of reactions.
   * @param {Object<Object>} parameters.metabolitesSimplifications Information
   * about simplification of metabolites.
   * @param {Object<Object>} parameters.filterSetsReactions Information about
   * reactions' metabolites and sets that pass filtration by filter method.
+  * @param {Array<string>} parameters.knockoutGenes Identifiers of genes to
+  * knock out.
+  * @param {Object<boolean>} parameters.redundancyCriteria Criteria for
+  * redundancy of replicate reactions.
+  * @param {Array<string>} parameters.redundancySeparations Identifiers of
+  * replicate reactions to separate from redundancy.
   * @param {Object} parameters.metabolites Information about metabolites.
   * @param {Object} parameters.reactions Information about reactions.
   * @param {Object} parameters.compartments Information about compartments.
@@ -257,31 +1198,56 @@ class ActionContext {
   * @param {Object} parameters.state Application's state.
   * @returns {Object} Values of application's variables.
   */
-  static deriveSubordinateState({compartmentalization, simplificationPriority, defaultSimplifications, candidatesSearches, candidatesSorts, defaultSimplificationsMetabolites, reactionsSimplifications, metabolitesSimplifications, filterSetsReactions, metabolites, reactions, compartments, processes, viewsRestoration, state} = {}) {
+  static deriveSubordinateState({compartmentalization, compartmentsGroups, simplificationPriority, defaultSimplifications, candidatesSearches, candidatesSorts, defaultSimplificationsMetabolites, reactionsSimplifications, metabolitesSimplifications, filterSetsReactions, knockoutGenes, redundancyCriteria, redundancySeparations, metabolites, reactions, compartments, processes, viewsRestoration, state} = {}) {
+    // Determine reactions that lose catalysis and metabolites that lose all of
+    // their reactions by knockout of genes.
+    var knockouts = Rule.collectKnockouts({
+      knockoutGenes: knockoutGenes,
+      reactionsSets: filterSetsReactions,
+      reactions: reactions
+    });
     // Determine candidate entities and prepare their summaries.
     var candidatesSummaries = Candidacy.collectCandidatesPrepareSummaries({
       reactionsSets: filterSetsReactions,
       reactions: reactions,
       metabolites: metabolites,
       compartmentalization: compartmentalization,
+      compartmentsGroups: compartmentsGroups,
       candidatesSearches: candidatesSearches,
       candidatesSorts: candidatesSorts,
-      compartments: compartments
+      compartments: compartments,
+      knockoutReactions: knockouts.knockoutReactions,
+      redundancyCriteria: redundancyCriteria,
+      redundancySeparations: redundancySeparations
+    });
+    // Determine pairs of currency metabolites that participate together in
+    // many candidate reactions.
+    var currencyPairsCriteria = Candidacy.createCurrencyPairsCriteria();
+    var currencyPairs = Candidacy.collectCurrencyPairs({
+      candidatesReactions: candidatesSummaries.candidatesReactions,
+      reactions: reactions,
+      metabolites: metabolites,
+      minimum: currencyPairsCriteria.minimum,
+      count: currencyPairsCriteria.count
     });
     // Determine which views to restore.
     var novelViewsRestoration = ActionInterface.changeViewsRestoration({
       views: [
         "context",
+        "knockout",
+        "hub"
       ],
       type: true,
       viewsRestoration: viewsRestoration
     });
     // Compile information.
     var novelVariablesValues = {
+      currencyPairs: currencyPairs,
       viewsRestoration: novelViewsRestoration
     };
     var variablesValues = Object.assign(
       novelVariablesValues,
+      knockouts,
       candidatesSummaries
     );
     // Return information.
@@ -292,12 +1258,14 @@ class ActionContext {
   * @param {Object} parameters Destructured object of parameters.
   * @param {boolean} parameters.compartmentalization Whether
   * compartmentalization is relevant.
+  * @param {Array<Array<string>>} parameters.compartmentsGroups Groups of
+  * compartments that merge in compartmentalization.
   * @param {string} parameters.simplificationPriority Whether to prioritize
   * derivation of default or custom simplifications.
   * @param {boolean} parameters.defaultSimplifications Whether to include
   * simplifications for default entities.
-  * @param {Array<string>} parameters.defaultSimplificationsMetabolites
-  * Identifiers of metabolites for which to create default simplifications.
+  * @param {Array<Object>} parameters.defaultSimplificationsMetabolites
+  * Information about metabolites for which to create default simplifications.
   * @param {Object<Object>} parameters.reactionsSimplifications Information
   * about simplification of reactions.
   * @param {Object<Object>} parameters.metabolitesSimplifications Information
@@ -312,7 +1280,7 @@ class ActionContext {
   * @param {Object} parameters.reactions Information about reactions.
   * @returns {Object} Values of application's variables.
   */
-  static deriveSimplifications({compartmentalization, simplificationPriority, defaultSimplifications, defaultSimplificationsMetabolites, reactionsSimplifications, metabolitesSimplifications, candidatesReactions, candidatesMetabolites, filterSetsReactions, metabolites, reactions} = {}) {
+  static deriveSimplifications({compartmentalization, compartmentsGroups, simplificationPriority, defaultSimplifications, defaultSimplificationsMetabolites, reactionsSimplifications, metabolitesSimplifications, candidatesReactions, candidatesMetabolites, filterSetsReactions, metabolites, reactions} = {}) {
     // Determine simplifications of candidate entities.
     if (simplificationPriority === "default") {
       var novelDefaultSimplifications = defaultSimplifications;
@@ -326,6 +1294,7 @@ class ActionContext {
           reactionsSets: filterSetsReactions,
           reactions: reactions,
           compartmentalization: compartmentalization,
+          compartmentsGroups: compartmentsGroups,
           reactionsSimplifications: {},
           metabolitesSimplifications: {}
         });
@@ -339,6 +1308,7 @@ class ActionContext {
           reactionsSets: filterSetsReactions,
           reactions: reactions,
           compartmentalization: compartmentalization,
+          compartmentsGroups: compartmentsGroups,
           reactionsSimplifications: {},
           metabolitesSimplifications: {}
         });
@@ -374,6 +1344,8 @@ class ActionContext {
   * @param {Object} parameters Destructured object of parameters.
   * @param {boolean} parameters.compartmentalization Whether
   * compartmentalization is relevant.
+  * @param {Array<Array<string>>} parameters.compartmentsGroups Groups of
+  * compartments that merge in compartmentalization.
   * @param {string} parameters.simplificationPriority Whether to prioritize
   * derivation of default or custom simplifications.
   * @param {boolean} parameters.defaultSimplifications Whether to include
@@ -382,14 +1354,26 @@ class ActionContext {
   * candidates' summaries.
   * @param {Object<Object<string>>} parameters.candidatesSorts Specifications to
   * sort candidates' summaries.
-  * @param {Array<string>} parameters.defaultSimplificationsMetabolites
-  * Identifiers of metabolites for which to create default simplifications.
+  * @param {Array<Object>} parameters.defaultSimplificationsMetabolites
+  * Information about metabolites for which to create default simplifications.
   * @param {Object<Object>} parameters.reactionsSimplifications Information
   * about simplification of reactions.
   * @param {Object<Object>} parameters.metabolitesSimplifications Information
   * about simplification of metabolites.
   * @param {Object<Object>} parameters.filterSetsReactions Information about
   * reactions' metabolites and sets that pass filtration by filter method.
+  * @param {Array<string>} parameters.knockoutGenes Identifiers of genes to
+  * knock out.
+  * @param {Object<boolean>} parameters.redundancyCriteria Criteria for
+  * redundancy of replicate reactions.
+  * @param {Array<string>} parameters.redundancySeparations Identifiers of
+  * replicate reactions to separate from redundancy.
+  * @param {boolean} parameters.geneNodes Whether to include nodes for genes
+  * that catalyze reactions.
+  * @param {boolean} parameters.mainPairs Whether to represent only links for
+  * main pairs of reactants and products.
+  * @param {string} parameters.projection Projection of network, bipartite,
+  * metabolites, or reactions.
   * @param {Object} parameters.metabolites Information about metabolites.
   * @param {Object} parameters.reactions Information about reactions.
   * @param {Object} parameters.compartments Information about compartments.
@@ -399,10 +1383,11 @@ class ActionContext {
   * @param {Object} parameters.state Application's state.
   * @returns {Object} Values of application's variables.
   */
-  static deriveState({compartmentalization, simplificationPriority, defaultSimplifications, candidatesSearches, candidatesSorts, defaultSimplificationsMetabolites, reactionsSimplifications, metabolitesSimplifications, filterSetsReactions, metabolites, reactions, compartments, processes, viewsRestoration, state} = {}) {
+  static deriveState({compartmentalization, compartmentsGroups, simplificationPriority, defaultSimplifications, candidatesSearches, candidatesSorts, defaultSimplificationsMetabolites, reactionsSimplifications, metabolitesSimplifications, filterSetsReactions, knockoutGenes, redundancyCriteria, redundancySeparations, geneNodes, mainPairs, projection, metabolites, reactions, compartments, processes, viewsRestoration, state} = {}) {
     // Derive state relevant to view.
     var proximalVariables = ActionContext.deriveSubordinateState({
       compartmentalization: compartmentalization,
+      compartmentsGroups: compartmentsGroups,
       simplificationPriority: simplificationPriority,
       defaultSimplifications: defaultSimplifications,
       candidatesSearches: candidatesSearches,
@@ -411,6 +1396,9 @@ class ActionContext {
       reactionsSimplifications: reactionsSimplifications,
       metabolitesSimplifications: metabolitesSimplifications,
       filterSetsReactions: filterSetsReactions,
+      knockoutGenes: knockoutGenes,
+      redundancyCriteria: redundancyCriteria,
+      redundancySeparations: redundancySeparations,
       reactions: reactions,
       metabolites: metabolites,
       compartments: compartments,
@@ -421,6 +1409,7 @@ class ActionContext {
     // Determine simplifications of candidate entities.
     var simplifications = ActionContext.deriveSimplifications({
       compartmentalization: compartmentalization,
+      compartmentsGroups: compartmentsGroups,
       simplificationPriority: simplificationPriority,
       defaultSimplifications: defaultSimplifications,
       candidatesSearches: candidatesSearches,
@@ -442,12 +1431,19 @@ class ActionContext {
       metabolitesSimplifications: simplifications.metabolitesSimplifications,
       reactions: reactions,
       metabolites: metabolites,
-      compartmentalization: compartmentalization
+      compartmentalization: compartmentalization,
+      mainPairs: mainPairs,
+      currencyPairs: proximalVariables.currencyPairs,
+      projection: projection,
+      geneNodes: geneNodes,
+      knockoutGenes: knockoutGenes,
+      genes: state.genes
     });
     // Determine summary information about network.
     var networkSummary = Network.determineNetworkSummary({
       networkNodesMetabolites: networkElements.networkNodesMetabolites,
       networkNodesReactions: networkElements.networkNodesReactions,
+      networkNodesGenes: networkElements.networkNodesGenes,
       networkLinks: networkElements.networkLinks
     });
     // Determine which views to restore.
@@ -457,6 +1453,7 @@ class ActionContext {
         "context",
         "subnetwork",
         "query",
+        "statistics",
         "measurement",
         "summary",
         "exploration",
@@ -480,7 +1477,8 @@ class ActionContext {
     });
     // Compile information.
     var novelVariablesValues = {
-      networkSummary: networkSummary
+      networkSummary: networkSummary,
+      hubPreview: null
     };
     var variablesValues = Object.assign(
       novelVariablesValues,
@@ -90,6 +90,9 @@ class ActionControl {
     // Initialize controls.
     var controlViews = {
       state: false,
+      validation: false,
+      knockout: false,
+      hub: false,
       network: true,
       subnetwork: true
     };
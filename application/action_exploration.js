@@ -76,6 +76,7 @@ class ActionExploration {
       simulationRestoration: true,
       subnetworkNodesRecords: state.subnetworkNodesRecords,
       subnetworkLinksRecords: state.subnetworkLinksRecords,
+      simulationPositions: state.simulationPositions,
       viewsRestoration: state.viewsRestoration,
       state: state
     });
@@ -107,6 +108,7 @@ class ActionExploration {
       simulationRestoration: true,
       subnetworkNodesRecords: state.subnetworkNodesRecords,
       subnetworkLinksRecords: state.subnetworkLinksRecords,
+      simulationPositions: state.simulationPositions,
       viewsRestoration: state.viewsRestoration,
       state: state
     });
@@ -125,6 +127,133 @@ class ActionExploration {
     });
   }
   /**
+  * Loads from file an Escher map to seed positions of network's nodes in the
+  * simulation.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.source Reference to file object.
+  * @param {Object} parameters.state Application's state.
+  */
+  static loadImportEscherMap({source, state} = {}) {
+    General.loadParseTextPassObject({
+      file: source,
+      format: "json",
+      call: ActionExploration.importEscherMap,
+      parameters: {state: state}
+    });
+  }
+  /**
+  * Imports positions of network's nodes from an Escher map and restores the
+  * simulation from these positions.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Array<Object>} parameters.data Information from Escher map.
+  * @param {Object} parameters.state Application's state.
+  */
+  static importEscherMap({data, state} = {}) {
+    // Determine whether the information includes an Escher map.
+    if (Serialization.determineEscherMapValidity(data)) {
+      // Determine positions of network's nodes from map.
+      var simulationPositions = Serialization.determineEscherPositions({
+        data: data,
+        networkNodesReactions: state.networkNodesReactions,
+        networkNodesMetabolites: state.networkNodesMetabolites,
+        candidatesReactions: state.candidatesReactions,
+        candidatesMetabolites: state.candidatesMetabolites
+      });
+      // Report counts of network's nodes with positions from map.
+      var simulationPositionsReport = {
+        validity: true,
+        count: Object.keys(simulationPositions).length,
+        total: (
+          Object.keys(state.networkNodesReactions).length +
+          Object.keys(state.networkNodesMetabolites).length
+        )
+      };
+      ActionExploration.changeSimulationPositions({
+        simulationPositions: simulationPositions,
+        simulationPositionsReport: simulationPositionsReport,
+        state: state
+      });
+    } else {
+      console.log("Escher Map, Check Map: source file failed map check.");
+      // Report invalid map.
+      var simulationPositionsReport = {
+        validity: false,
+        count: 0,
+        total: 0
+      };
+      // Determine which views to restore.
+      var viewsRestoration = ActionInterface.changeViewsRestoration({
+        views: ["subnetwork"],
+        type: true,
+        viewsRestoration: state.viewsRestoration
+      });
+      // Compile variables' values.
+      var variablesValues = {
+        simulationPositionsReport: simulationPositionsReport,
+        viewsRestoration: viewsRestoration
+      };
+      // Submit variables' values to the application's state.
+      ActionGeneral.submitStateVariablesValues({
+        variablesValues: variablesValues,
+        state: state
+      });
+    }
+  }
+  /**
+  * Removes positions from any Escher map and restores the simulation.
+  * @param {Object} state Application's state.
+  */
+  static clearEscherMap(state) {
+    ActionExploration.changeSimulationPositions({
+      simulationPositions: {},
+      simulationPositionsReport: null,
+      state: state
+    });
+  }
+  /**
+  * Changes the positions of network's nodes to seed the simulation and
+  * restores the simulation.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object<Object<number>>} parameters.simulationPositions Positions of
+  * network's nodes to seed the simulation.
+  * @param {Object} parameters.simulationPositionsReport Information about
+  * validity of Escher map and counts of network's nodes with positions.
+  * @param {Object} parameters.state Application's state.
+  */
+  static changeSimulationPositions({simulationPositions, simulationPositionsReport, state} = {}) {
+    // Determine which views to restore.
+    var viewsRestoration = ActionInterface.changeViewsRestoration({
+      views: ["subnetwork"],
+      type: true,
+      viewsRestoration: state.viewsRestoration
+    });
+    // Derive dependent state.
+    var dependentStateVariables = ActionExploration.deriveState({
+      simulationDimensions: state.simulationDimensions,
+      forceNetworkDiagram: state.forceNetworkDiagram,
+      simulationRestoration: true,
+      subnetworkNodesRecords: state.subnetworkNodesRecords,
+      subnetworkLinksRecords: state.subnetworkLinksRecords,
+      simulationPositions: simulationPositions,
+      viewsRestoration: viewsRestoration,
+      state: state
+    });
+    // Compile variables' values.
+    var novelVariablesValues = {
+      simulationPositions: simulationPositions,
+      simulationPositionsReport: simulationPositionsReport
+    };
+    var variablesValues = Object.assign(
+      novelVariablesValues,
+      dependentStateVariables
+    );
+    // Submit variables' values to the application's state.
+    ActionGeneral.submitStateVariablesValues({
+      variablesValues: variablesValues,
+      state: state
+    });
+  }
+  /**
   * Restores information about simulation's progress.
   * @param {Object} parameters Destructured object of parameters.
   * @param {boolean} parameters.completion Whether simulation is complete.
@@ -145,6 +274,7 @@ class ActionExploration {
       simulationRestoration: state.simulationRestoration,
       subnetworkNodesRecords: state.subnetworkNodesRecords,
       subnetworkLinksRecords: state.subnetworkLinksRecords,
+      simulationPositions: state.simulationPositions,
       viewsRestoration: state.viewsRestoration,
       state: state
     });
@@ -178,6 +308,8 @@ class ActionExploration {
     var simulationProgress = Simulation.createInitialSimulationProgress();
     var simulationNodesRecords = [];
     var simulationLinksRecords = [];
+    var simulationPositions = {};
+    var simulationPositionsReport = null;
     // Initialize subordinate controls.
     var subordinateControls = ActionExploration.initializeSubordinateControls();
     // Compile information.
@@ -187,7 +319,9 @@ class ActionExploration {
       simulation: simulation,
       simulationProgress: simulationProgress,
       simulationNodesRecords: simulationNodesRecords,
-      simulationLinksRecords: simulationLinksRecords
+      simulationLinksRecords: simulationLinksRecords,
+      simulationPositions: simulationPositions,
+      simulationPositionsReport: simulationPositionsReport
     };
     var variablesValues = Object.assign(
       novelVariablesValues,
@@ -245,12 +379,14 @@ class ActionExploration {
   * subnetwork's nodes.
   * @param {Array<Object>} parameters.subnetworkLinksRecords Information about
   * subnetwork's links.
+  * @param {Object<Object<number>>} parameters.simulationPositions Positions of
+  * network's nodes to seed the simulation.
   * @param {Object<boolean>} parameters.viewsRestoration Information about
   * whether to restore each view.
   * @param {Object} parameters.state Application's state.
   * @returns {Object} Values of application's variables.
   */
-  static deriveState({simulationDimensions, forceNetworkDiagram, simulationRestoration, subnetworkNodesRecords, subnetworkLinksRecords, viewsRestoration, state} = {}) {
+  static deriveState({simulationDimensions, forceNetworkDiagram, simulationRestoration, subnetworkNodesRecords, subnetworkLinksRecords, simulationPositions, viewsRestoration, state} = {}) {
     // Derive state relevant to view.
     // Determine whether to create novel simulation.
     if (simulationRestoration) {
@@ -262,6 +398,7 @@ class ActionExploration {
         simulationDimensions: simulationDimensions,
         nodesRecords: subnetworkNodesRecords,
         linksRecords: subnetworkLinksRecords,
+        positions: simulationPositions,
         previousSimulation: state.simulation,
         state: state
       });
@@ -319,12 +456,14 @@ class ActionExploration {
   * nodes.
   * @param {Array<Object>} parameters.linksRecords Information about network's
   * links.
+  * @param {Object<Object<number>>} parameters.positions Positions of network's
+  * nodes to seed the simulation.
   * @param {Object} parameters.previousSimulation Reference to simulation.
   * @param {Object} parameters.state Application's state.
   * @returns {Object} References to novel simulation and its controls and
   * records.
   */
-  static determineNovelSimulation({forceNetworkDiagram, simulationDimensions, nodesRecords, linksRecords, previousSimulation, state} = {}) {
+  static determineNovelSimulation({forceNetworkDiagram, simulationDimensions, nodesRecords, linksRecords, positions, previousSimulation, state} = {}) {
     // Determine whether to create a novel simulation for network's diagram.
     var temporaryState = {
       forceNetworkDiagram: forceNetworkDiagram,
@@ -337,6 +476,7 @@ class ActionExploration {
         simulationDimensions: simulationDimensions,
         nodesRecords: nodesRecords,
         linksRecords: linksRecords,
+        positions: positions,
         previousSimulation: previousSimulation,
         state: state
       });
@@ -399,12 +539,14 @@ class ActionExploration {
   * nodes.
   * @param {Array<Object>} parameters.linksRecords Information about network's
   * links.
+  * @param {Object<Object<number>>} parameters.positions Positions of network's
+  * nodes to seed the simulation.
   * @param {Object} parameters.previousSimulation Reference to simulation.
   * @param {Object} parameters.state Application's state.
   * @returns {Object} References to novel simulation and its controls and
   * records.
   */
-  static createInitiateMonitorNovelPositionSimulation({simulationDimensions, nodesRecords, linksRecords, previousSimulation, state} = {}) {
+  static createInitiateMonitorNovelPositionSimulation({simulationDimensions, nodesRecords, linksRecords, positions, previousSimulation, state} = {}) {
     // Terminate any previous simulation.
     Simulation.terminateSimulation(previousSimulation);
     // Copy records for simulation.
@@ -414,8 +556,21 @@ class ActionExploration {
     .copyDeepArrayElements(nodesRecords, true);
     var simulationLinksRecords = General
     .copyDeepArrayElements(linksRecords, true);
+    // Seed positions of nodes from any other layout.
+    // A simulation from seed positions begins with less energy to preserve
+    // the other layout.
+    simulationNodesRecords = Simulation.seedSimulationPositions({
+      nodesRecords: simulationNodesRecords,
+      positions: positions,
+      width: simulationDimensions.width,
+      height: simulationDimensions.height
+    });
+    var seed = simulationNodesRecords.some(function (nodeRecord) {
+      return positions.hasOwnProperty(nodeRecord.identifier);
+    });
     // Create novel simulation and its controls.
     var simulationControls = Simulation.createNovelPositionSimulation({
+      alpha: (seed ? 0.3 : 1),
       length: simulationDimensions.length,
       width: simulationDimensions.width,
       height: simulationDimensions.height,
@@ -574,7 +729,8 @@ class ActionExploration {
   * Changes the selection of a node's entity.
   * @param {Object} parameters Destructured object of parameters.
   * @param {string} parameters.identifier Identifier of a node.
-  * @param {string} parameters.type Type of a node, metabolite or reaction.
+  * @param {string} parameters.type Type of a node, metabolite, reaction, or
+  * gene.
   * @param {Object} parameters.state Application's state.
   * @returns {Object} Information about an entity selection.
   */
@@ -590,6 +746,11 @@ class ActionExploration {
         var node = state.networkNodesReactions[identifier];
         var candidate = state.candidatesReactions[node.candidate];
         var entity = state.reactions[candidate.reaction];
+      } else if (type === "gene") {
+        // Genes do not have candidates.
+        var node = state.networkNodesGenes[identifier];
+        var entity = state.genes[node.gene];
+        var candidate = entity;
       }
       if (candidate.identifier === state.entitySelection.candidate) {
         var entitySelection = ActionExploration.createInitialEntitySelection();
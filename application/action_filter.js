@@ -299,6 +299,7 @@ class ActionFilter {
         "context",
         "subnetwork",
         "query",
+        "statistics",
         "measurement",
         "summary",
         "exploration",
@@ -314,6 +315,7 @@ class ActionFilter {
     // Derive dependent state.
     var distalVariables = ActionContext.deriveState({
       compartmentalization: contextControls.compartmentalization,
+      compartmentsGroups: contextControls.compartmentsGroups,
       simplificationPriority: contextControls.simplificationPriority,
       defaultSimplifications: contextControls.defaultSimplifications,
       candidatesSearches: contextControls.candidatesSearches,
@@ -323,6 +325,12 @@ class ActionFilter {
       reactionsSimplifications: {},
       metabolitesSimplifications: {},
       filterSetsReactions: proximalVariables.filterSetsReactions,
+      knockoutGenes: state.knockoutGenes,
+      redundancyCriteria: contextControls.redundancyCriteria,
+      redundancySeparations: contextControls.redundancySeparations,
+      geneNodes: contextControls.geneNodes,
+      mainPairs: contextControls.mainPairs,
+      projection: contextControls.projection,
       reactions: reactions,
       metabolites: metabolites,
       compartments: compartments,
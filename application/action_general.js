@@ -142,11 +142,15 @@ class ActionGeneral {
     var prompt = ActionPrompt.initializeControls();
     var control = ActionControl.initializeControls();
     var stateControls = ActionState.initializeControls();
+    var validation = ActionValidation.initializeControls();
+    var knockout = ActionKnockout.initializeControls();
+    var hub = ActionHub.initializeControls();
     var network = ActionNetwork.initializeControls();
     var filter = ActionFilter.initializeControls();
     var context = ActionContext.initializeControls();
     var subnetwork = ActionSubnetwork.initializeControls();
     var query = ActionQuery.initializeControls();
+    var statistics = ActionStatistics.initializeControls();
     // TODO: update measurement view and its controls
     // var measurement = ActionMeasurement.initializeControls();
     // TODO: update summary view and its controls
@@ -160,11 +164,15 @@ class ActionGeneral {
       prompt,
       control,
       stateControls,
+      validation,
+      knockout,
+      hub,
       network,
       filter,
       context,
       subnetwork,
       query,
+      statistics,
       //measurement,
       summary,
       exploration
@@ -173,6 +181,74 @@ class ActionGeneral {
     return variablesValues;
   }
   /**
+  * Changes the selection of a metabolic model to load.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.source Information about a metabolic model from
+  * the application's data or reference to file object.
+  * @param {Object} parameters.state Application's state.
+  */
+  static changeSourceModel({source, state} = {}) {
+    ActionGeneral.submitStateVariableValue({
+      value: source,
+      variable: "sourceModel",
+      state: state
+    });
+  }
+  /**
+  * Restores information about metabolic models that are available for
+  * selection.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Array<Object<string>>} parameters.data Information about metabolic
+  * models.
+  * @param {Object} parameters.state Application's state.
+  */
+  static restoreMetabolismModels({data, state} = {}) {
+    // Compile variables' values.
+    var novelVariablesValues = {
+      models: data
+    };
+    var variablesValues = novelVariablesValues;
+    // Submit variables' values to the application's state.
+    ActionGeneral.submitStateVariablesValues({
+      variablesValues: variablesValues,
+      state: state
+    });
+  }
+  /**
+  * Restores basic information about metabolic entities and sets from a
+  * metabolic model.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.data Information about a metabolic model.
+  * @param {Object} parameters.state Application's state.
+  */
+  static restoreMetabolismModelInformation({data, state} = {}) {
+    // Determine the format of information about the metabolic model.
+    var format = Conversion.determineModelFormat(data);
+    // Determine whether the information includes a metabolic model.
+    if (Conversion.determineModelValidity({data: data, format: format})) {
+      // Convert, check, clean, and extract information about metabolic
+      // entities and sets.
+      var metabolism = Conversion.convertCleanExtractModel({
+        data: data,
+        format: format
+      });
+      ActionGeneral.restoreMetabolismBaseInformation({
+        data: metabolism,
+        state: state
+      });
+    } else {
+      console.log(
+        "Model Conversion, Check Model: " + state.sourceModel.name +
+        " failed model check."
+      );
+      // Remove selection of metabolic model.
+      ActionGeneral.changeSourceModel({
+        source: {},
+        state: state
+      });
+    }
+  }
+  /**
   * Restores basic information about metabolic entities and sets.
   * @param {Object} parameters Destructured object of parameters.
   * @param {Object} parameters.data Information about metabolic entities and
@@ -184,8 +260,10 @@ class ActionGeneral {
     var novelVariablesValues = {
       metabolites: data.metabolites,
       reactions: data.reactions,
+      genes: (data.genes ? data.genes : {}),
       compartments: data.compartments,
-      processes: data.processes
+      processes: data.processes,
+      validationReport: (data.report ? data.report : [])
     };
     var variablesValues = novelVariablesValues;
     // Submit variables' values to the application's state.
@@ -203,9 +281,8 @@ class ActionGeneral {
   */
   static restoreMetabolismSupplementInformation({data, state} = {}) {
     // Derive default metabolites for simplification.
-    var defaultSimplificationsMetabolites = General.collectValueFromObjects(
-      "identifier", data
-    );
+    var defaultSimplificationsMetabolites = Candidacy
+    .createDefaultSimplificationsRecords(data);
     // Compile variables' values.
     var novelVariablesValues = {
       defaultSimplificationsMetabolites: defaultSimplificationsMetabolites
@@ -295,6 +372,7 @@ class ActionGeneral {
       // Derive dependent state.
       var dependentStateVariables = ActionContext.deriveSubordinateState({
         compartmentalization: state.compartmentalization,
+        compartmentsGroups: state.compartmentsGroups,
         simplificationPriority: state.simplificationPriority,
         defaultSimplifications: state.defaultSimplifications,
         candidatesSearches: searches,
@@ -304,6 +382,9 @@ class ActionGeneral {
         reactionsSimplifications: state.reactionsSimplifications,
         metabolitesSimplifications: state.metabolitesSimplifications,
         filterSetsReactions: state.filterSetsReactions,
+        knockoutGenes: state.knockoutGenes,
+        redundancyCriteria: state.redundancyCriteria,
+        redundancySeparations: state.redundancySeparations,
         reactions: state.reactions,
         metabolites: state.metabolites,
         compartments: state.compartments,
@@ -345,6 +426,8 @@ class ActionGeneral {
       var sortsName = "candidatesSorts";
     } else if (type === "measurements") {
       var sortsName = "measurementsSorts";
+    } else if (type === "statistics") {
+      var sortsName = "statisticsSorts";
     }
     // Change the sorts' specifications.
     var sorts = ActionGeneral.changeCategoriesSortCriterionOrder({
@@ -372,6 +455,7 @@ class ActionGeneral {
       // Derive dependent state.
       var dependentStateVariables = ActionContext.deriveSubordinateState({
         compartmentalization: state.compartmentalization,
+        compartmentsGroups: state.compartmentsGroups,
         simplificationPriority: state.simplificationPriority,
         defaultSimplifications: state.defaultSimplifications,
         candidatesSearches: state.candidatesSearches,
@@ -381,6 +465,9 @@ class ActionGeneral {
         reactionsSimplifications: state.reactionsSimplifications,
         metabolitesSimplifications: state.metabolitesSimplifications,
         filterSetsReactions: state.filterSetsReactions,
+        knockoutGenes: state.knockoutGenes,
+        redundancyCriteria: state.redundancyCriteria,
+        redundancySeparations: state.redundancySeparations,
         reactions: state.reactions,
         metabolites: state.metabolites,
         compartments: state.compartments,
@@ -388,6 +475,14 @@ class ActionGeneral {
         viewsRestoration: state.viewsRestoration,
         state: state
       });
+    } else if (type === "statistics") {
+      // Derive dependent state.
+      var dependentStateVariables = ActionStatistics.deriveState({
+        statistics: state.statistics,
+        statisticsSorts: sorts,
+        viewsRestoration: state.viewsRestoration,
+        state: state
+      });
     }
     // Compile variables' values.
     var novelVariablesValues = {
@@ -467,19 +562,50 @@ class ActionGeneral {
   // Indirect actions.
 
   /**
-  * Loads from file basic information about metabolic entities and sets.
+  * Loads from file information about metabolic models that are available for
+  * selection.
   * @param {Object} state Application's state.
   */
-  static loadMetabolismBaseInformation(state) {
-    // data/metabolism_sets_entities_recon2m2.json
-    d3.json("data/dymetabonet.json", function (data) {
-      ActionGeneral.restoreMetabolismBaseInformation({
+  static loadMetabolismModels(state) {
+    d3.tsv("data/models.tsv", function (data) {
+      ActionGeneral.restoreMetabolismModels({
         data: data,
         state: state
       });
     });
   }
   /**
+  * Loads from file basic information about metabolic entities and sets.
+  * @param {Object} state Application's state.
+  */
+  static loadMetabolismBaseInformation(state) {
+    // Determine whether the selection of metabolic model is from the
+    // application's data or from a file on client's system.
+    var source = state.sourceModel;
+    if (source.hasOwnProperty("path")) {
+      // Metabolic model is from the application's data.
+      if (General.determineFileFormat(source.path) === "xml") {
+        var load = d3.xml;
+      } else {
+        var load = d3.json;
+      }
+      load(source.path, function (data) {
+        ActionGeneral.restoreMetabolismModelInformation({
+          data: data,
+          state: state
+        });
+      });
+    } else {
+      // Metabolic model is from a file on client's system.
+      General.loadParseTextPassObject({
+        file: source,
+        format: General.determineFileFormat(source.name),
+        call: ActionGeneral.restoreMetabolismModelInformation,
+        parameters: {state: state}
+      });
+    }
+  }
+  /**
   * Loads from file supplemental information about metabolic entities and sets.
   * @param {Object} state Application's state.
   */
@@ -0,0 +1,274 @@
+/*
+This file is part of project Profondeur
+(https://github.com/tcameronwaller/profondeur/).
+
+Profondeur supports visual exploration and analysis of metabolic networks.
+Copyright (C) 2018 Thomas Cameron Waller
+
+This program is free software: you can redistribute it and/or modify it under
+the terms of the GNU General Public License as published by the Free Software
+Foundation, either version 3 of the License, or (at your option) any later
+version.
+
+This program is distributed in the hope that it will be useful, but WITHOUT ANY
+WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+PARTICULAR PURPOSE.
+See the GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License along with
+this program.
+If not, see <http://www.gnu.org/licenses/>.
+
+Thomas Cameron Waller
+tcameronwaller@gmail.com
+Department of Biochemistry
+University of Utah
+Room 5520C, Emma Eccles Jones Medical Research Building
+15 North Medical Drive East
+Salt Lake City, Utah 84112
+United States of America
+*/
+
+
+/**
+* Actions that modify the application's state.
+* This class does not store any attributes and does not require instantiation.
+* This class stores methods that control actions that modify the application's
+* state.
+* The methods require a reference to the instance of the state.
+* These methods also call external methods as necessary.
+*/
+class ActionHub {
+
+  // Direct actions.
+
+  /**
+  * Changes the threshold for degrees of candidate metabolites to designate as
+  * hubs.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {number} parameters.threshold Threshold for candidate metabolites'
+  * degrees.
+  * @param {Object} parameters.state Application's state.
+  */
+  static changeHubThreshold({threshold, state} = {}) {
+    ActionHub.changeHubControls({
+      threshold: threshold,
+      method: state.hubMethod,
+      state: state
+    });
+  }
+  /**
+  * Changes the method for simplification of hubs.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.method Method for simplification, omission or
+  * replication.
+  * @param {Object} parameters.state Application's state.
+  */
+  static changeHubMethod({method, state} = {}) {
+    ActionHub.changeHubControls({
+      threshold: state.hubThreshold,
+      method: method,
+      state: state
+    });
+  }
+  /**
+  * Designates all candidate metabolites with degrees greater than the
+  * threshold for simplification.
+  * @param {Object} state Application's state.
+  */
+  static applyHubSimplifications(state) {
+    // Change simplification priority.
+    var simplificationPriority = "custom";
+    // Create explicit and implicit designations of entities for
+    // simplification.
+    var simplifications = ActionHub.createHubsSimplifications({
+      threshold: state.hubThreshold,
+      method: state.hubMethod,
+      state: state
+    });
+    // Derive dependent state.
+    var dependentStateVariables = ActionContext.deriveState({
+      compartmentalization: state.compartmentalization,
+      compartmentsGroups: state.compartmentsGroups,
+      simplificationPriority: simplificationPriority,
+      defaultSimplifications: state.defaultSimplifications,
+      candidatesSearches: state.candidatesSearches,
+      candidatesSorts: state.candidatesSorts,
+      defaultSimplificationsMetabolites: state
+      .defaultSimplificationsMetabolites,
+      reactionsSimplifications: simplifications.reactionsSimplifications,
+      metabolitesSimplifications: simplifications.metabolitesSimplifications,
+      filterSetsReactions: state.filterSetsReactions,
+      knockoutGenes: state.knockoutGenes,
+      redundancyCriteria: state.redundancyCriteria,
+      redundancySeparations: state.redundancySeparations,
+      geneNodes: state.geneNodes,
+      mainPairs: state.mainPairs,
+      projection: state.projection,
+      reactions: state.reactions,
+      metabolites: state.metabolites,
+      compartments: state.compartments,
+      processes: state.processes,
+      viewsRestoration: state.viewsRestoration,
+      state: state
+    });
+    // Include change in history of simplifications.
+    var simplificationsHistory = ActionContext.includeSimplificationsHistory({
+      name: ("simplify hubs of degree above " + state.hubThreshold),
+      simplifications: dependentStateVariables,
+      state: state
+    });
+    // Compile variables' values.
+    var novelVariablesValues = {
+      simplificationPriority: simplificationPriority,
+      simplificationsHistory: simplificationsHistory
+    };
+    var variablesValues = Object.assign(
+      novelVariablesValues,
+      simplifications,
+      dependentStateVariables
+    );
+    // Submit variables' values to the application's state.
+    ActionGeneral.submitStateVariablesValues({
+      variablesValues: variablesValues,
+      state: state
+    });
+  }
+
+  // Indirect actions.
+
+  /**
+  * Initializes values of application's variables for controls relevant to view.
+  * @returns {Object} Values of application's variables for view's controls.
+  */
+  static initializeControls() {
+    // Initialize controls.
+    var hubThreshold = 10;
+    var hubMethod = "omission";
+    // Compile information.
+    var variablesValues = {
+      hubThreshold: hubThreshold,
+      hubMethod: hubMethod
+    };
+    // Return information.
+    return variablesValues;
+  }
+  /**
+  * Changes controls for hubs and derives a preview of their simplification.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {number} parameters.threshold Threshold for candidate metabolites'
+  * degrees.
+  * @param {string} parameters.method Method for simplification, omission or
+  * replication.
+  * @param {Object} parameters.state Application's state.
+  */
+  static changeHubControls({threshold, method, state} = {}) {
+    // Derive preview of simplification of hubs.
+    var hubPreview = ActionHub.deriveHubPreview({
+      threshold: threshold,
+      method: method,
+      state: state
+    });
+    // Determine which views to restore.
+    var novelViewsRestoration = ActionInterface.changeViewsRestoration({
+      views: ["hub"],
+      type: true,
+      viewsRestoration: state.viewsRestoration
+    });
+    // Compile variables' values.
+    var variablesValues = {
+      hubThreshold: threshold,
+      hubMethod: method,
+      hubPreview: hubPreview,
+      viewsRestoration: novelViewsRestoration
+    };
+    // Submit variables' values to the application's state.
+    ActionGeneral.submitStateVariablesValues({
+      variablesValues: variablesValues,
+      state: state
+    });
+  }
+  /**
+  * Creates information about simplifications of candidate entities with
+  * designations of hubs.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {number} parameters.threshold Threshold for candidate metabolites'
+  * degrees.
+  * @param {string} parameters.method Method for simplification, omission or
+  * replication.
+  * @param {Object} parameters.state Application's state.
+  * @returns {Object<Object>} Information about simplification of entities.
+  */
+  static createHubsSimplifications({threshold, method, state} = {}) {
+    return Candidacy.createHubsSimplifications({
+      threshold: threshold,
+      method: method,
+      candidatesReactions: state.candidatesReactions,
+      candidatesMetabolites: state.candidatesMetabolites,
+      reactionsSets: state.filterSetsReactions,
+      reactions: state.reactions,
+      compartmentalization: state.compartmentalization,
+      compartmentsGroups: state.compartmentsGroups,
+      reactionsSimplifications: state.reactionsSimplifications,
+      metabolitesSimplifications: state.metabolitesSimplifications
+    });
+  }
+  /**
+  * Derives a preview of the network's counts of nodes and links after
+  * simplification of hubs.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {number} parameters.threshold Threshold for candidate metabolites'
+  * degrees.
+  * @param {string} parameters.method Method for simplification, omission or
+  * replication.
+  * @param {Object} parameters.state Application's state.
+  * @returns {Object} Information about the network's summaries before and
+  * after simplification of hubs.
+  */
+  static deriveHubPreview({threshold, method, state} = {}) {
+    // Collect hubs.
+    var hubs = Candidacy.collectHubsCandidates({
+      candidatesMetabolites: state.candidatesMetabolites,
+      threshold: threshold
+    });
+    // Create explicit and implicit designations of entities for
+    // simplification.
+    var simplifications = ActionHub.createHubsSimplifications({
+      threshold: threshold,
+      method: method,
+      state: state
+    });
+    // Create network's elements.
+    var networkElements = Network.createNetworkElements({
+      candidatesReactions: state.candidatesReactions,
+      candidatesMetabolites: state.candidatesMetabolites,
+      reactionsSimplifications: simplifications.reactionsSimplifications,
+      metabolitesSimplifications: simplifications.metabolitesSimplifications,
+      reactions: state.reactions,
+      metabolites: state.metabolites,
+      compartmentalization: state.compartmentalization,
+      mainPairs: state.mainPairs,
+      currencyPairs: state.currencyPairs,
+      projection: state.projection,
+      geneNodes: state.geneNodes,
+      knockoutGenes: state.knockoutGenes,
+      genes: state.genes
+    });
+    // Determine summary information about network.
+    var networkSummary = Network.determineNetworkSummary({
+      networkNodesMetabolites: networkElements.networkNodesMetabolites,
+      networkNodesReactions: networkElements.networkNodesReactions,
+      networkNodesGenes: networkElements.networkNodesGenes,
+      networkLinks: networkElements.networkLinks
+    });
+    // Compile information.
+    var information = {
+      hubs: hubs,
+      currentSummary: state.networkSummary,
+      novelSummary: networkSummary
+    };
+    // Return information.
+    return information;
+  }
+
+}
@@ -72,11 +72,15 @@ class ActionInterface {
       panel: {},
       control: {},
       state: {},
+      validation: {},
+      knockout: {},
+      hub: {},
       network: {},
       filter: {},
       context: {},
       subnetwork: {},
       query: {},
+      statistics: {},
       measurement: {},
       summary: {},
       exploration: {},
@@ -100,11 +104,15 @@ class ActionInterface {
       panel: true,
       control: true,
       state: true,
+      validation: true,
+      knockout: true,
+      hub: true,
       network: true,
       filter: true,
       context: true,
       subnetwork: true,
       query: true,
+      statistics: true,
       measurement: true,
       summary: true,
       exploration: true,
@@ -128,11 +136,15 @@ class ActionInterface {
       panel: false,
       control: false,
       state: false,
+      validation: false,
+      knockout: false,
+      hub: false,
       network: false,
       filter: false,
       context: false,
       subnetwork: false,
       query: false,
+      statistics: false,
       measurement: false,
       summary: false,
       exploration: false,
@@ -0,0 +1,167 @@
+/*
+This file is part of project Profondeur
+(https://github.com/tcameronwaller/profondeur/).
+
+Profondeur supports visual exploration and analysis of metabolic networks.
+Copyright (C) 2018 Thomas Cameron Waller
+
+This program is free software: you can redistribute it and/or modify it under
+the terms of the GNU General Public License as published by the Free Software
+Foundation, either version 3 of the License, or (at your option) any later
+version.
+
+This program is distributed in the hope that it will be useful, but WITHOUT ANY
+WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+PARTICULAR PURPOSE.
+See the GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License along with
+this program.
+If not, see <http://www.gnu.org/licenses/>.
+
+Thomas Cameron Waller
+tcameronwaller@gmail.com
+Department of Biochemistry
+University of Utah
+Room 5520C, Emma Eccles Jones Medical Research Building
+15 North Medical Drive East
+Salt Lake City, Utah 84112
+United States of America
+*/
+
+/**
+* Actions that modify the application's state.
+* This class does not store any attributes and does not require instantiation.
+* This class stores methods that control actions that modify the application's
+* state.
+* The methods require a reference to the instance of the state.
+* These methods also call external methods as necessary.
+*/
+class ActionKnockout {
+
+  // Direct actions.
+
+  /**
+  * Changes whether to knock out a single gene.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.identifier Identifier of a gene.
+  * @param {Object} parameters.state Application's state.
+  */
+  static changeKnockoutGene({identifier, state} = {}) {
+    // Determine whether to include or exclude the gene.
+    if (state.knockoutGenes.includes(identifier)) {
+      var knockoutGenes = state.knockoutGenes.filter(function (gene) {
+        return gene !== identifier;
+      });
+    } else {
+      var knockoutGenes = [].concat(state.knockoutGenes, identifier);
+    }
+    // Submit changes.
+    ActionKnockout.changeKnockoutGenes({
+      knockoutGenes: knockoutGenes,
+      state: state
+    });
+  }
+  /**
+  * Includes genes from a list of text for knockout.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.text List of identifiers or names of genes.
+  * @param {Object} parameters.state Application's state.
+  */
+  static includeKnockoutGenesList({text, state} = {}) {
+    // Collect identifiers of genes from list.
+    var genesRecords = Rule.createReactionsGenesRecords({
+      genes: state.genes,
+      reactions: state.reactions
+    });
+    var genes = Rule.parseGenesList({
+      text: text,
+      genesRecords: genesRecords
+    });
+    var knockoutGenes = General.collectUniqueElements(
+      [].concat(state.knockoutGenes, genes)
+    );
+    // Submit changes.
+    ActionKnockout.changeKnockoutGenes({
+      knockoutGenes: knockoutGenes,
+      state: state
+    });
+  }
+  /**
+  * Removes all genes from knockout.
+  * @param {Object} state Application's state.
+  */
+  static clearKnockoutGenes(state) {
+    ActionKnockout.changeKnockoutGenes({
+      knockoutGenes: [],
+      state: state
+    });
+  }
+
+  // Indirect actions.
+
+  /**
+  * Initializes values of application's variables for controls relevant to view.
+  * @returns {Object} Values of application's variables for view's controls.
+  */
+  static initializeControls() {
+    // Initialize controls.
+    var knockoutGenes = [];
+    // Compile information.
+    var variablesValues = {
+      knockoutGenes: knockoutGenes
+    };
+    // Return information.
+    return variablesValues;
+  }
+  /**
+  * Changes the genes to knock out and derives the network without the
+  * reactions that lose catalysis.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Array<string>} parameters.knockoutGenes Identifiers of genes to
+  * knock out.
+  * @param {Object} parameters.state Application's state.
+  */
+  static changeKnockoutGenes({knockoutGenes, state} = {}) {
+    // Derive dependent state.
+    var dependentStateVariables = ActionContext.deriveState({
+      compartmentalization: state.compartmentalization,
+      compartmentsGroups: state.compartmentsGroups,
+      simplificationPriority: state.simplificationPriority,
+      defaultSimplifications: state.defaultSimplifications,
+      candidatesSearches: state.candidatesSearches,
+      candidatesSorts: state.candidatesSorts,
+      defaultSimplificationsMetabolites: state
+      .defaultSimplificationsMetabolites,
+      reactionsSimplifications: state.reactionsSimplifications,
+      metabolitesSimplifications: state.metabolitesSimplifications,
+      filterSetsReactions: state.filterSetsReactions,
+      knockoutGenes: knockoutGenes,
+      redundancyCriteria: state.redundancyCriteria,
+      redundancySeparations: state.redundancySeparations,
+      geneNodes: state.geneNodes,
+      mainPairs: state.mainPairs,
+      projection: state.projection,
+      reactions: state.reactions,
+      metabolites: state.metabolites,
+      compartments: state.compartments,
+      processes: state.processes,
+      viewsRestoration: state.viewsRestoration,
+      state: state
+    });
+    // Compile variables' values.
+    var novelVariablesValues = {
+      knockoutGenes: knockoutGenes
+    };
+    var variablesValues = Object.assign(
+      novelVariablesValues,
+      dependentStateVariables
+    );
+    // Submit variables' values to the application's state.
+    ActionGeneral.submitStateVariablesValues({
+      variablesValues: variablesValues,
+      state: state
+    });
+  }
+
+}
@@ -84,6 +84,30 @@ class ActionNetwork {
     });
   }
   /**
+  * Changes the format for export of network's elements.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.format Format for export of network's elements.
+  * @param {Object} parameters.state Application's state.
+  */
+  static changeExportFormat({format, state} = {}) {
+    // Determine which views to restore.
+    var novelViewsRestoration = ActionInterface.changeViewsRestoration({
+      views: ["network", "subnetwork"],
+      type: true,
+      viewsRestoration: state.viewsRestoration
+    });
+    // Compile variables' values.
+    var variablesValues = {
+      exportFormat: format,
+      viewsRestoration: novelViewsRestoration
+    };
+    // Submit variables' values to the application's state.
+    ActionGeneral.submitStateVariablesValues({
+      variablesValues: variablesValues,
+      state: state
+    });
+  }
+  /**
   * Exports information.
   * @param {Object} state Application's state.
   */
@@ -136,16 +160,28 @@ class ActionNetwork {
   * @param {Object} state Application's state.
   */
   static exportNetworkElements(state) {
+    // Determine whether to export information in a format for networks.
+    if (state.exportFormat !== "table") {
+      ActionNetwork.exportNetworkElementsFormat({
+        nodesRecords: state.networkNodesRecords,
+        linksRecords: state.networkLinksRecords,
+        name: "network",
+        state: state
+      });
+      return;
+    }
     // Export information about network's elements.
     // Nodes.
     var nodesExport = Evaluation.createNetworkNodesExport({
       nodesRecords: state.networkNodesRecords,
       networkNodesReactions: state.networkNodesReactions,
       networkNodesMetabolites: state.networkNodesMetabolites,
+      networkNodesGenes: state.networkNodesGenes,
       candidatesReactions: state.candidatesReactions,
       candidatesMetabolites: state.candidatesMetabolites,
       reactions: state.reactions,
-      metabolites: state.metabolites
+      metabolites: state.metabolites,
+      genes: state.genes
     });
     var nodesExportString = General
     .convertRecordsStringTabSeparateTable(nodesExport);
@@ -160,6 +196,47 @@ class ActionNetwork {
     General.saveString("network_links.txt", linksExportString);
   }
   /**
+  * Exports information about network's elements in a format for other
+  * software for analysis and visualization of networks.
+  * Information includes attributes of nodes and links and positions of nodes
+  * in the current diagram.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Array<Object>} parameters.nodesRecords Information about network's
+  * nodes.
+  * @param {Array<Object>} parameters.linksRecords Information about network's
+  * links.
+  * @param {string} parameters.name Name of file.
+  * @param {Object} parameters.state Application's state.
+  */
+  static exportNetworkElementsFormat({nodesRecords, linksRecords, name, state} = {}) {
+    // Describe network's elements.
+    var elements = Serialization.createNetworkElementsDescriptions({
+      nodesRecords: nodesRecords,
+      linksRecords: linksRecords,
+      positionsRecords: state.simulationNodesRecords,
+      networkNodesReactions: state.networkNodesReactions,
+      networkNodesMetabolites: state.networkNodesMetabolites,
+      networkNodesGenes: state.networkNodesGenes,
+      networkLinks: state.networkLinks,
+      candidatesReactions: state.candidatesReactions,
+      candidatesMetabolites: state.candidatesMetabolites,
+      reactions: state.reactions,
+      metabolites: state.metabolites,
+      genes: state.genes,
+      reactionsSets: state.totalSetsReactions,
+      metabolitesSets: state.totalSetsMetabolites,
+      compartments: state.compartments,
+      processes: state.processes
+    });
+    // Serialize network's elements.
+    var string = Serialization.serializeNetworkElements({
+      format: state.exportFormat,
+      elements: elements
+    });
+    var extension = Serialization.determineFormatExtension(state.exportFormat);
+    General.saveString((name + "." + extension), string);
+  }
+  /**
   * Changes the selections of active panels within the panel view.
   * @param {Object} parameters Destructured object of parameters.
   * @param {string} parameters.category Category of panel.
@@ -210,9 +287,11 @@ class ActionNetwork {
       filter: false,
       context: false,
     };
+    var exportFormat = "table";
     // Compile information.
     var variablesValues = {
-      networkViews: networkViews
+      networkViews: networkViews,
+      exportFormat: exportFormat
     };
     // Return information.
     return variablesValues;
@@ -239,6 +318,7 @@ class ActionNetwork {
         "context",
         "subnetwork",
         "query",
+        "statistics",
         "measurement",
         "summary",
         "exploration",
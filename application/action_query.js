@@ -595,6 +595,7 @@ class ActionQuery {
         previousSimulation: state.simulation,
         subnetworkNodesRecords: subnetworkElements.subnetworkNodesRecords,
         subnetworkLinksRecords: subnetworkElements.subnetworkLinksRecords,
+        simulationPositions: state.simulationPositions,
         state: state
       });
       // Determine which views to restore.
@@ -643,6 +644,7 @@ class ActionQuery {
         previousSimulation: state.simulation,
         subnetworkNodesRecords: subnetworkElements.subnetworkNodesRecords,
         subnetworkLinksRecords: subnetworkElements.subnetworkLinksRecords,
+        simulationPositions: state.simulationPositions,
         state: state
       });
       // Determine which views to restore.
@@ -692,6 +694,7 @@ class ActionQuery {
         previousSimulation: state.simulation,
         subnetworkNodesRecords: subnetworkElements.subnetworkNodesRecords,
         subnetworkLinksRecords: subnetworkElements.subnetworkLinksRecords,
+        simulationPositions: state.simulationPositions,
         state: state
       });
       // Determine which views to restore.
@@ -1122,6 +1125,7 @@ class ActionQuery {
       views: [
         "subnetwork",
         "query",
+        "statistics",
         "measurement",
         "summary",
         "exploration",
@@ -1141,12 +1145,16 @@ class ActionQuery {
       simulationRestoration: true,
       subnetworkNodesRecords: subnetworkElements.subnetworkNodesRecords,
       subnetworkLinksRecords: subnetworkElements.subnetworkLinksRecords,
+      simulationPositions: state.simulationPositions,
       viewsRestoration: novelViewsRestoration,
       state: state
     });
     // Compile information.
+    // Statistics and modules of previous network or subnetwork are obsolete.
     var novelVariablesValues = {
-      subnetworkSummary: subnetworkSummary
+      subnetworkSummary: subnetworkSummary,
+      statistics: null,
+      subnetworkModules: null
     };
     var variablesValues = Object.assign(
       novelVariablesValues,
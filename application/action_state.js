@@ -76,6 +76,22 @@ class ActionState {
     });
   }
   /**
+  * Loads from file a metabolic model, either in Systems Biology Markup Language
+  * (SBML) or in JavaScript Object Notation (JSON) from COBRApy, and restores
+  * the application's state from the model's information.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.source Reference to file object.
+  * @param {Object} parameters.state Application's state.
+  */
+  static loadRestoreSourceModel({source, state} = {}) {
+    General.loadParseTextPassObject({
+      file: source,
+      format: General.determineFileFormat(source.name),
+      call: ActionState.restoreSourceModel,
+      parameters: {state: state}
+    });
+  }
+  /**
   * Saves to file on client's system a persistent representation of the
   * application's state.
   * @param {Object} state Application's state.
@@ -92,6 +108,7 @@ class ActionState {
     var novelVariablesValues = {
       views: interfaceControls.views,
       sourceState: stateControls.sourceState,
+      sourceModel: stateControls.sourceModel,
       simulation: exploration.simulation
     };
     var variablesValues = Object.assign(
@@ -133,9 +150,11 @@ class ActionState {
   static initializeControls() {
     // Initialize controls.
     var sourceState = {};
+    var sourceModel = {};
     // Compile information.
     var variablesValues = {
-      sourceState: sourceState
+      sourceState: sourceState,
+      sourceModel: sourceModel
     };
     // Return information.
     return variablesValues;
@@ -197,6 +216,84 @@ class ActionState {
     });
   }
   /**
+  * Restores the application to a state from a metabolic model.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.data Information about a metabolic model.
+  * @param {Object} parameters.state Application's state.
+  */
+  static restoreSourceModel({data, state} = {}) {
+    // Determine the format of information about the metabolic model.
+    var format = Conversion.determineModelFormat(data);
+    // Determine whether the information includes a metabolic model.
+    if (Conversion.determineModelValidity({data: data, format: format})) {
+      // Convert, check, clean, and extract information about metabolic
+      // entities and sets.
+      var metabolism = Conversion.convertCleanExtractModel({
+        data: data,
+        format: format
+      });
+      // Restore application's state.
+      ActionState.restoreMetabolism({
+        metabolism: metabolism,
+        state: state
+      });
+    } else {
+      console.log(
+        "Model Conversion, Check Model: source file failed model check."
+      );
+    }
+  }
+  /**
+  * Restores the application's state from novel information about metabolic
+  * entities and sets.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.metabolism Information about metabolic entities
+  * and sets.
+  * @param {Object} parameters.state Application's state.
+  */
+  static restoreMetabolism({metabolism, state} = {}) {
+    // Initialize values of application's controls.
+    // Previous controls might not be relevant to novel metabolic entities and
+    // sets.
+    var controls = ActionGeneral.initializeApplicationControlsValues(state);
+    // Compile information about metabolic entities and sets.
+    var entitiesSets = {
+      metabolites: metabolism.metabolites,
+      reactions: metabolism.reactions,
+      genes: (metabolism.genes ? metabolism.genes : {}),
+      compartments: metabolism.compartments,
+      processes: metabolism.processes,
+      validationReport: (metabolism.report ? metabolism.report : [])
+    };
+    // Copy information about application's state.
+    var stateCopy = ActionState.createPersistence(state);
+    // Replace information about relevant controls and metabolic entities and
+    // sets.
+    var novelState = Object.assign(
+      stateCopy,
+      controls,
+      entitiesSets
+    );
+    // Derive dependent state.
+    var dependentStateVariables = ActionState.deriveState({
+      viewsRestoration: novelState.viewsRestoration,
+      state: novelState
+    });
+    // Compile variables' values.
+    var novelVariablesValues = {};
+    var variablesValues = Object.assign(
+      novelVariablesValues,
+      controls,
+      entitiesSets,
+      dependentStateVariables
+    );
+    // Submit variables' values to the application's state.
+    ActionGeneral.submitStateVariablesValues({
+      variablesValues: variablesValues,
+      state: state
+    });
+  }
+  /**
   * Derives application's dependent state from controls relevant to view.
   * @param {Object} parameters Destructured object of parameters.
   * @param {Object<boolean>} parameters.viewsRestoration Information about
@@ -209,11 +306,15 @@ class ActionState {
     // Determine which views to restore.
     var novelViewsRestoration = ActionInterface.changeViewsRestoration({
       views: [
+        "validation",
+        "knockout",
+        "hub",
         "network",
         "filter",
         "context",
         "subnetwork",
         "query",
+        "statistics",
         "measurement",
         "summary",
         "exploration",
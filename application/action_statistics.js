@@ -0,0 +1,281 @@
+/*
+This file is part of project Profondeur
+(https://github.com/tcameronwaller/profondeur/).
+
+Profondeur supports visual exploration and analysis of metabolic networks.
+Copyright (C) 2018 Thomas Cameron Waller
+
+This program is free software: you can redistribute it and/or modify it under
+the terms of the GNU General Public License as published by the Free Software
+Foundation, either version 3 of the License, or (at your option) any later
+version.
+
+This program is distributed in the hope that it will be useful, but WITHOUT ANY
+WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+PARTICULAR PURPOSE.
+See the GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License along with
+this program.
+If not, see <http://www.gnu.org/licenses/>.
+
+Thomas Cameron Waller
+tcameronwaller@gmail.com
+Department of Biochemistry
+University of Utah
+Room 5520C, Emma Eccles Jones Medical Research Building
+15 North Medical Drive East
+Salt Lake City, Utah 84112
+United States of America
+*/
+
+
+/**
+* Actions that modify the application's state.
+* This class does not store any attributes and does not require instantiation.
+* This class stores methods that control actions that modify the application's
+* state.
+* The methods require a reference to the instance of the state.
+* These methods also call external methods as necessary.
+*/
+class ActionStatistics {
+
+  // Direct actions.
+
+  /**
+  * Changes the scope, network or subnetwork, of statistics.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.scope Scope of statistics, network or
+  * subnetwork.
+  * @param {Object} parameters.state Application's state.
+  */
+  static changeScope({scope, state} = {}) {
+    // Determine which views to restore.
+    var novelViewsRestoration = ActionInterface.changeViewsRestoration({
+      views: ["statistics"],
+      type: true,
+      viewsRestoration: state.viewsRestoration
+    });
+    // Compile variables' values.
+    var variablesValues = {
+      statisticsScope: scope,
+      statistics: null,
+      viewsRestoration: novelViewsRestoration
+    };
+    // Submit variables' values to the application's state.
+    ActionGeneral.submitStateVariablesValues({
+      variablesValues: variablesValues,
+      state: state
+    });
+  }
+  /**
+  * Calculates statistics about topology of network's or subnetwork's nodes
+  * and links.
+  * @param {Object} state Application's state.
+  */
+  static calculateStatistics(state) {
+    // Determine nodes and links within scope.
+    if (state.statisticsScope === "network") {
+      var nodesRecords = state.networkNodesRecords;
+      var linksRecords = state.networkLinksRecords;
+    } else if (state.statisticsScope === "subnetwork") {
+      var nodesRecords = state.subnetworkNodesRecords;
+      var linksRecords = state.subnetworkLinksRecords;
+    }
+    // Determine statistics.
+    var statistics = Statistics.determineNetworkStatistics({
+      nodesRecords: nodesRecords,
+      linksRecords: linksRecords,
+      networkNodesMetabolites: state.networkNodesMetabolites,
+      networkNodesReactions: state.networkNodesReactions,
+      networkNodesGenes: state.networkNodesGenes,
+      candidatesMetabolites: state.candidatesMetabolites,
+      candidatesReactions: state.candidatesReactions,
+      genes: state.genes
+    });
+    // Derive dependent state.
+    var dependentStateVariables = ActionStatistics.deriveState({
+      statistics: statistics,
+      statisticsSorts: state.statisticsSorts,
+      viewsRestoration: state.viewsRestoration,
+      state: state
+    });
+    // Compile variables' values.
+    var novelVariablesValues = {};
+    var variablesValues = Object.assign(
+      novelVariablesValues,
+      dependentStateVariables
+    );
+    // Submit variables' values to the application's state.
+    ActionGeneral.submitStateVariablesValues({
+      variablesValues: variablesValues,
+      state: state
+    });
+  }
+  /**
+  * Selects a network's node from the summary of statistics.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.identifier Identifier of a node.
+  * @param {string} parameters.type Type of a node, metabolite, reaction, or
+  * gene.
+  * @param {Object} parameters.state Application's state.
+  */
+  static selectNode({identifier, type, state} = {}) {
+    // Determine novel information about entity selection.
+    var entitySelection = ActionExploration.changeEntitySelection({
+      identifier: identifier,
+      type: type,
+      state: state
+    });
+    // Determine which views to restore.
+    var novelViewsRestoration = ActionInterface.changeViewsRestoration({
+      views: ["statistics", "topology"],
+      type: true,
+      viewsRestoration: state.viewsRestoration
+    });
+    // Compile variables' values.
+    var variablesValues = {
+      entitySelection: entitySelection,
+      viewsRestoration: novelViewsRestoration
+    };
+    // Submit variables' values to the application's state.
+    ActionGeneral.submitStateVariablesValues({
+      variablesValues: variablesValues,
+      state: state
+    });
+  }
+  /**
+  * Detects modules of subnetwork's nodes.
+  * @param {Object} state Application's state.
+  */
+  static detectModules(state) {
+    // Determine modules.
+    var subnetworkModules = Statistics.determineModules({
+      nodesRecords: state.subnetworkNodesRecords,
+      linksRecords: state.subnetworkLinksRecords
+    });
+    // Submit modules to the application's state.
+    ActionStatistics.changeModules({
+      subnetworkModules: subnetworkModules,
+      state: state
+    });
+  }
+  /**
+  * Clears modules of subnetwork's nodes.
+  * @param {Object} state Application's state.
+  */
+  static clearModules(state) {
+    ActionStatistics.changeModules({
+      subnetworkModules: null,
+      state: state
+    });
+  }
+  /**
+  * Exports information about modules of subnetwork's nodes.
+  * @param {Object} state Application's state.
+  */
+  static exportModules(state) {
+    // Determine whether modules exist.
+    if (state.subnetworkModules && (state.subnetworkModules.count > 0)) {
+      var modulesExport = Evaluation.createNodesModulesExport({
+        nodesRecords: state.subnetworkNodesRecords,
+        modules: state.subnetworkModules.modules,
+        networkNodesReactions: state.networkNodesReactions,
+        networkNodesMetabolites: state.networkNodesMetabolites,
+        networkNodesGenes: state.networkNodesGenes,
+        candidatesReactions: state.candidatesReactions,
+        candidatesMetabolites: state.candidatesMetabolites,
+        reactions: state.reactions,
+        metabolites: state.metabolites,
+        genes: state.genes,
+        reactionsSets: state.totalSetsReactions,
+        metabolitesSets: state.totalSetsMetabolites,
+        processes: state.processes
+      });
+      var modulesExportString = General
+      .convertRecordsStringTabSeparateTable(modulesExport);
+      General.saveString("subnetwork_modules.txt", modulesExportString);
+    }
+  }
+
+  // Indirect actions.
+
+  /**
+  * Changes modules of subnetwork's nodes.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.subnetworkModules Information about modules of
+  * subnetwork's nodes.
+  * @param {Object} parameters.state Application's state.
+  */
+  static changeModules({subnetworkModules, state} = {}) {
+    // Determine which views to restore.
+    var novelViewsRestoration = ActionInterface.changeViewsRestoration({
+      views: ["statistics", "topology"],
+      type: true,
+      viewsRestoration: state.viewsRestoration
+    });
+    // Compile variables' values.
+    var variablesValues = {
+      subnetworkModules: subnetworkModules,
+      viewsRestoration: novelViewsRestoration
+    };
+    // Submit variables' values to the application's state.
+    ActionGeneral.submitStateVariablesValues({
+      variablesValues: variablesValues,
+      state: state
+    });
+  }
+  /**
+  * Initializes values of application's variables for controls relevant to view.
+  * @returns {Object} Values of application's variables for view's controls.
+  */
+  static initializeControls() {
+    // Initialize controls.
+    var statisticsScope = "subnetwork";
+    var statisticsSorts = {
+      nodes: {
+        criterion: "betweenness",
+        order: "descend"
+      }
+    };
+    // Compile information.
+    var variablesValues = {
+      statisticsScope: statisticsScope,
+      statisticsSorts: statisticsSorts
+    };
+    // Return information.
+    return variablesValues;
+  }
+  /**
+  * Derives application's dependent state from controls relevant to view.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.statistics Information about statistics of
+  * network's nodes and summary.
+  * @param {Object<Object<string>>} parameters.statisticsSorts Specifications
+  * to sort records of statistics.
+  * @param {Object<boolean>} parameters.viewsRestoration Information about
+  * whether to restore each view.
+  * @param {Object} parameters.state Application's state.
+  * @returns {Object} Values of application's variables.
+  */
+  static deriveState({statistics, statisticsSorts, viewsRestoration, state} = {}) {
+    // Sort statistics.
+    var sortStatistics = Statistics.sortNetworkStatistics({
+      statistics: statistics,
+      statisticsSorts: statisticsSorts
+    });
+    // Determine which views to restore.
+    var novelViewsRestoration = ActionInterface.changeViewsRestoration({
+      views: ["statistics"],
+      type: true,
+      viewsRestoration: viewsRestoration
+    });
+    // Compile information.
+    var variablesValues = {
+      statistics: sortStatistics,
+      viewsRestoration: novelViewsRestoration
+    };
+    // Return information.
+    return variablesValues;
+  }
+}
@@ -62,6 +62,7 @@ class ActionSubnetwork {
       views: [
         "subnetwork",
         "query",
+        "statistics",
         "measurement",
         "summary",
         "exploration"
@@ -156,16 +157,28 @@ class ActionSubnetwork {
   * @param {Object} state Application's state.
   */
   static exportNetworkElements(state) {
+    // Determine whether to export information in a format for networks.
+    if (state.exportFormat !== "table") {
+      ActionNetwork.exportNetworkElementsFormat({
+        nodesRecords: state.subnetworkNodesRecords,
+        linksRecords: state.subnetworkLinksRecords,
+        name: "subnetwork",
+        state: state
+      });
+      return;
+    }
     // Export information about subnetwork's elements.
     // Nodes.
     var nodesExport = Evaluation.createNetworkNodesExport({
       nodesRecords: state.subnetworkNodesRecords,
       networkNodesReactions: state.networkNodesReactions,
       networkNodesMetabolites: state.networkNodesMetabolites,
+      networkNodesGenes: state.networkNodesGenes,
       candidatesReactions: state.candidatesReactions,
       candidatesMetabolites: state.candidatesMetabolites,
       reactions: state.reactions,
-      metabolites: state.metabolites
+      metabolites: state.metabolites,
+      genes: state.genes
     });
     var nodesExportString = General
     .convertRecordsStringTabSeparateTable(nodesExport);
@@ -227,7 +240,8 @@ class ActionSubnetwork {
   static initializeControls() {
     // Initialize controls.
     var subnetworkViews = {
-      query: false
+      query: false,
+      statistics: false
     };
     // Compile information.
     var variablesValues = {
@@ -255,6 +269,7 @@ class ActionSubnetwork {
       views: [
         "subnetwork",
         "query",
+        "statistics",
         "measurement",
         "summary",
         "exploration",
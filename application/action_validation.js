@@ -0,0 +1,69 @@
+/*
+This file is part of project Profondeur
+(https://github.com/tcameronwaller/profondeur/).
+
+Profondeur supports visual exploration and analysis of metabolic networks.
+Copyright (C) 2018 Thomas Cameron Waller
+
+This program is free software: you can redistribute it and/or modify it under
+the terms of the GNU General Public License as published by the Free Software
+Foundation, either version 3 of the License, or (at your option) any later
+version.
+
+This program is distributed in the hope that it will be useful, but WITHOUT ANY
+WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+PARTICULAR PURPOSE.
+See the GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License along with
+this program.
+If not, see <http://www.gnu.org/licenses/>.
+
+Thomas Cameron Waller
+tcameronwaller@gmail.com
+Department of Biochemistry
+University of Utah
+Room 5520C, Emma Eccles Jones Medical Research Building
+15 North Medical Drive East
+Salt Lake City, Utah 84112
+United States of America
+*/
+
+/**
+* Actions that modify the application's state.
+* This class does not store any attributes and does not require instantiation.
+* This class stores methods that control actions that modify the application's
+* state.
+* The methods require a reference to the instance of the state.
+* These methods also call external methods as necessary.
+*/
+class ActionValidation {
+
+  // Direct actions.
+
+  /**
+  * Exports information about issues that checks and cleans detected in the
+  * metabolic model.
+  * @param {Object} state Application's state.
+  */
+  static exportReport(state) {
+    var reportString = General
+    .convertRecordsStringTabSeparateTable(state.validationReport);
+    General.saveString("validation_report.tsv", reportString);
+  }
+
+  // Indirect actions.
+
+  /**
+  * Initializes values of application's variables for controls relevant to view.
+  * @returns {Object} Values of application's variables for view's controls.
+  */
+  static initializeControls() {
+    // Initialize controls.
+    // Compile information.
+    var variablesValues = {};
+    // Return information.
+    return variablesValues;
+  }
+
+}
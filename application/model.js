@@ -62,8 +62,13 @@ class Model {
   act(self) {
     if (!Model.determineApplicationControls(self.state)) {
       ActionGeneral.initializeApplicationControls(self.state);
+    } else if (!Model.determineMetabolismModels(self.state)) {
+      ActionGeneral.loadMetabolismModels(self.state);
     } else if (!Model.determineMetabolismBaseInformation(self.state)) {
-      ActionGeneral.loadMetabolismBaseInformation(self.state);
+      // Determine whether there is a selection of a metabolic model.
+      if (Model.determineSourceModel(self.state)) {
+        ActionGeneral.loadMetabolismBaseInformation(self.state);
+      }
     } else if (!Model.determineMetabolismSupplementInformation(self.state)) {
       ActionGeneral.loadMetabolismSupplementInformation(self.state);
     } else if (!Model.determineMetabolismDerivationInformation(self.state)) {
@@ -97,6 +102,8 @@ class Model {
     // aspects of views and preserve persistent aspects.
     // Pass these instances a reference to the application's state.
     // Pass these instances references to instances of other relevant views.
+    // Model view.
+    self.restoreModelView(self);
     if (
       Model.determineApplicationControls(self.state) &&
       Model.determineMetabolismBaseInformation(self.state) &&
@@ -125,6 +132,12 @@ class Model {
     self.restoreControlView(self);
     // State view.
     self.restoreStateView(self);
+    // Validation view.
+    self.restoreValidationView(self);
+    // Knockout view.
+    self.restoreKnockoutView(self);
+    // Hub view.
+    self.restoreHubView(self);
     // Network view.
     self.restoreNetworkView(self);
     // Filter view.
@@ -135,6 +148,8 @@ class Model {
     self.restoreSubnetworkView(self);
     // Query view.
     self.restoreQueryView(self);
+    // Statistics view.
+    self.restoreStatisticsView(self);
     // Measurement view.
     // Summary view.
     // Exploration view.
@@ -188,6 +203,24 @@ class Model {
   * Restores view's content and behavior.
   * @param {Object} self Instance of a class.
   */
+  restoreModelView(self) {
+    // Model view.
+    // Model view only exists before selection of a metabolic model.
+    if (Model.determineModelSelection(self.state)) {
+      // Restore views.
+      new ViewModel({
+        documentReference: self.document,
+        body: self.body,
+        state: self.state
+      });
+    } else {
+      View.removeExistElement("model", self.document);
+    }
+  }
+  /**
+  * Restores view's content and behavior.
+  * @param {Object} self Instance of a class.
+  */
   restoreInterfaceView(self) {
     // Interface view.
     if (self.state.viewsRestoration.interface) {
@@ -274,6 +307,66 @@ class Model {
   * Restores view's content and behavior.
   * @param {Object} self Instance of a class.
   */
+  restoreValidationView(self) {
+    // Validation view.
+    if (self.state.viewsRestoration.validation) {
+      // Restore views.
+      if (Model.determineControlValidation(self.state)) {
+        self.state.views.validation = new ViewValidation({
+          documentReference: self.document,
+          state: self.state
+        });
+      } else {
+        View.removeExistElement("validation", self.document);
+      }
+      // Change restoration.
+      self.state.viewsRestoration.validation = false;
+    }
+  }
+  /**
+  * Restores view's content and behavior.
+  * @param {Object} self Instance of a class.
+  */
+  restoreKnockoutView(self) {
+    // Knockout view.
+    if (self.state.viewsRestoration.knockout) {
+      // Restore views.
+      if (Model.determineControlKnockout(self.state)) {
+        self.state.views.knockout = new ViewKnockout({
+          documentReference: self.document,
+          state: self.state
+        });
+      } else {
+        View.removeExistElement("knockout", self.document);
+      }
+      // Change restoration.
+      self.state.viewsRestoration.knockout = false;
+    }
+  }
+  /**
+  * Restores view's content and behavior.
+  * @param {Object} self Instance of a class.
+  */
+  restoreHubView(self) {
+    // Hub view.
+    if (self.state.viewsRestoration.hub) {
+      // Restore views.
+      if (Model.determineControlHub(self.state)) {
+        self.state.views.hub = new ViewHub({
+          documentReference: self.document,
+          state: self.state
+        });
+      } else {
+        View.removeExistElement("hub", self.document);
+      }
+      // Change restoration.
+      self.state.viewsRestoration.hub = false;
+    }
+  }
+  /**
+  * Restores view's content and behavior.
+  * @param {Object} self Instance of a class.
+  */
   restoreNetworkView(self) {
     // Network view.
     if (self.state.viewsRestoration.network) {
@@ -374,6 +467,26 @@ class Model {
   * Restores view's content and behavior.
   * @param {Object} self Instance of a class.
   */
+  restoreStatisticsView(self) {
+    // Statistics view.
+    if (self.state.viewsRestoration.statistics) {
+      // Restore views.
+      if (Model.determineSubnetworkStatistics(self.state)) {
+        self.state.views.statistics = new ViewStatistics({
+          documentReference: self.document,
+          state: self.state
+        });
+      } else {
+        View.removeExistElement("statistics", self.document);
+      }
+      // Change restoration.
+      self.state.viewsRestoration.statistics = false;
+    }
+  }
+  /**
+  * Restores view's content and behavior.
+  * @param {Object} self Instance of a class.
+  */
   restoreExplorationView(self) {
     // Exploration view.
     if (self.state.viewsRestoration.exploration) {
@@ -477,6 +590,14 @@ class Model {
   * @param {Object} state Application's state.
   * @returns {boolean} Whether the application's state matches criteria.
   */
+  static determineMetabolismModels(state) {
+    return !(state.models === null);
+  }
+  /**
+  * Determines whether the application's state has specific information.
+  * @param {Object} state Application's state.
+  * @returns {boolean} Whether the application's state matches criteria.
+  */
   static determineMetabolismBaseInformation(state) {
     return (
       !(state.compartments === null) &&
@@ -537,6 +658,27 @@ class Model {
   * @param {Object} state Application's state.
   * @returns {boolean} Whether the application's state matches criteria.
   */
+  static determineSourceModel(state) {
+    return (Boolean(state.sourceModel.name));
+  }
+  /**
+  * Determines whether the application's state requires selection of a
+  * metabolic model.
+  * @param {Object} state Application's state.
+  * @returns {boolean} Whether the application's state matches criteria.
+  */
+  static determineModelSelection(state) {
+    return (
+      Model.determineApplicationControls(state) &&
+      Model.determineMetabolismModels(state) &&
+      !Model.determineMetabolismBaseInformation(state)
+    );
+  }
+  /**
+  * Determines whether the application's state has specific information.
+  * @param {Object} state Application's state.
+  * @returns {boolean} Whether the application's state matches criteria.
+  */
   static determineSourceData(state) {
     return (Boolean(state.sourceData.name));
   }
@@ -577,6 +719,30 @@ class Model {
   * @param {Object} state Application's state.
   * @returns {boolean} Whether the application's state matches criteria.
   */
+  static determineControlValidation(state) {
+    return state.controlViews.validation;
+  }
+  /**
+  * Determines whether the application's state has specific information.
+  * @param {Object} state Application's state.
+  * @returns {boolean} Whether the application's state matches criteria.
+  */
+  static determineControlKnockout(state) {
+    return state.controlViews.knockout;
+  }
+  /**
+  * Determines whether the application's state has specific information.
+  * @param {Object} state Application's state.
+  * @returns {boolean} Whether the application's state matches criteria.
+  */
+  static determineControlHub(state) {
+    return state.controlViews.hub;
+  }
+  /**
+  * Determines whether the application's state has specific information.
+  * @param {Object} state Application's state.
+  * @returns {boolean} Whether the application's state matches criteria.
+  */
   static determineControlNetwork(state) {
     return state.controlViews.network;
   }
@@ -617,6 +783,14 @@ class Model {
   * @param {Object} state Application's state.
   * @returns {boolean} Whether the application's state matches criteria.
   */
+  static determineSubnetworkStatistics(state) {
+    return state.subnetworkViews.statistics;
+  }
+  /**
+  * Determines whether the application's state has specific information.
+  * @param {Object} state Application's state.
+  * @returns {boolean} Whether the application's state matches criteria.
+  */
   static determineControlMeasurement(state) {
     return state.controlViews.measurement;
   }
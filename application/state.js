@@ -64,12 +64,34 @@ class State {
     var stateControls = [
       // Variable "sourceState" stores a reference to a file on client's system
       // that is a source of information.
-      "sourceState"
+      "sourceState",
+      // Variable "sourceModel" stores information about a metabolic model to
+      // load, either a model from the application's data or a reference to a
+      // file on client's system.
+      // Information includes references to variable "models".
+      "sourceModel"
+    ];
+    var knockoutControls = [
+      // Variable "knockoutGenes" stores information about genes to knock out.
+      // Information includes references to variable "genes".
+      "knockoutGenes"
+    ];
+    var hubControls = [
+      // Variable "hubThreshold" stores information about the threshold for
+      // degrees of candidate metabolites to designate as hubs.
+      "hubThreshold",
+      // Variable "hubMethod" stores information about the method,
+      // omission or replication, for simplification of hubs.
+      "hubMethod"
     ];
     var networkControls = [
       // Variable "networkViews" stores information about whether each
       // subordinate view within the network view is active.
-      "networkViews"
+      "networkViews",
+      // Variable "exportFormat" stores information about the format, tables or
+      // a format for networks, for export of network's and subnetwork's
+      // elements.
+      "exportFormat"
     ];
     var filterControls = [
       // Variable "setsFilters" stores information about selections of sets
@@ -99,9 +121,38 @@ class State {
       // Variable "compartmentalization" stores information about whether to
       // represent compartmentalization of metabolites.
       "compartmentalization",
+      // Variable "compartmentsGroups" stores information about groups of
+      // compartments that merge in compartmentalization.
+      // Information includes references to variable "compartments".
+      "compartmentsGroups",
+      // Variable "geneNodes" stores information about whether to represent
+      // genes that catalyze reactions in the network.
+      "geneNodes",
+      // Variable "mainPairs" stores information about whether to represent
+      // only links between main pairs of reactants and products that share
+      // carbon in the network.
+      "mainPairs",
+      // Variable "projection" stores information about whether to represent
+      // metabolites and reactions in a bipartite network or only metabolites
+      // or reactions in a projection of the network.
+      "projection",
+      // Variable "redundancyCriteria" stores information about criteria for
+      // redundancy of replicate reactions.
+      "redundancyCriteria",
+      // Variable "redundancySeparations" stores information about replicate
+      // reactions to separate from redundancy.
+      // Information includes references to variable "reactions".
+      "redundancySeparations",
       // Variable "simplificationPriority" stores information about whether to
       // prioritize derivation of default or custom simplifications.
       "simplificationPriority",
+      // Variable "simplificationsHistory" stores information about a limited
+      // history of changes to designations of entities for simplification.
+      "simplificationsHistory",
+      // Variable "simplificationsImportReport" stores information about counts
+      // of records that applied and that did not apply from the most recent
+      // import of designations of entities for simplification.
+      "simplificationsImportReport",
       // Variable "defaultSimplifications" stores information about whether to
       // simplify default entities.
       "defaultSimplifications",
@@ -112,7 +163,10 @@ class State {
       // and orders for the summaries of candidates' degrees.
       // Information includes references to variables "candidatesReactions" and
       // "candidatesMetabolites".
-      "candidatesSorts"
+      "candidatesSorts",
+      // Variable "candidatesSelections" stores information about selections of
+      // multiple candidates' summaries for actions on all at once.
+      "candidatesSelections"
     ];
     var subnetworkControls = [
       // Variable "subnetworkViews" stores information about whether each
@@ -182,6 +236,14 @@ class State {
       // of targets.
       "queryConnectionCount"
     ];
+    var statisticsControls = [
+      // Variable "statisticsScope" stores information about the scope,
+      // network or subnetwork, of statistics about topology.
+      "statisticsScope",
+      // Variable "statisticsSorts" stores information about the sort criteria
+      // and orders for the summary of statistics about nodes.
+      "statisticsSorts"
+    ];
     if(false) {
       var measurementControls = [
         // Variable "sourceData" stores a reference to a file on client's system
@@ -219,6 +281,13 @@ class State {
       // Variable "simulation" stores information about network's links with
       // positions from simulation.
       "simulationLinksRecords",
+      // Variable "simulationPositions" stores information about positions of
+      // network's nodes from an Escher map to seed the simulation.
+      "simulationPositions",
+      // Variable "simulationPositionsReport" stores information about whether
+      // the most recent Escher map was valid and about counts of network's
+      // nodes with positions from the map.
+      "simulationPositionsReport",
       // Variable "entitySelection" stores information about selection of an
       // entity of interest.
       // Information includes references to variables "metabolites",
@@ -231,11 +300,14 @@ class State {
       promptControls,
       controlControls,
       stateControls,
+      knockoutControls,
+      hubControls,
       networkControls,
       filterControls,
       contextControls,
       subnetworkControls,
       queryControls,
+      statisticsControls,
       // measurementControls,
       summaryControls,
       explorationControls
@@ -243,6 +315,15 @@ class State {
 
     // TODO: Make it clear that these state variables have to do with the data itself...
 
+    // Metabolic models
+    var metabolicModels = [
+      // Variable "models" stores information about metabolic models from the
+      // application's data that are available for selection.
+      "models",
+      // Variable "validationReport" stores information about issues that
+      // checks and cleans detected in the current metabolic model.
+      "validationReport"
+    ];
     // Metabolic entities and sets
     var metabolicEntities = [
       // Metabolic entities and sets.
@@ -253,7 +334,10 @@ class State {
       // facilitate chemical conversion or physical transport of metabolites.
       // Information includes references to variables "metabolites",
       // "compartments", and "processes".
-      "reactions"
+      "reactions",
+      // Variable "genes" stores information about genes whose products
+      // catalyze reactions.
+      "genes"
     ];
     var metabolicSets = [
       // Variable "compartments" stores information about compartments within a
@@ -344,8 +428,33 @@ class State {
       "setsSummaries"
     ];
     var context = [
+      // Variable "knockoutReactions" stores information about reactions that
+      // lose catalysis by knockout of genes.
+      // Information includes references to variable "reactions".
+      // Information derives from variables "knockoutGenes",
+      // "filterSetsReactions", and "reactions".
+      "knockoutReactions",
+      // Variable "knockoutMetabolites" stores information about metabolites
+      // that lose all of their reactions by knockout of genes.
+      // Information includes references to variable "metabolites".
+      // Information derives from variables "knockoutReactions" and
+      // "filterSetsReactions".
+      "knockoutMetabolites",
+      // Variable "hubPreview" stores information about counts of network's
+      // nodes and links before and after simplification of hubs.
+      // Information derives from variables "hubThreshold", "hubMethod",
+      // "candidatesMetabolites", and "networkSummary".
+      "hubPreview",
+      // Variable "currencyPairs" stores information about pairs of metabolites
+      // that frequently participate together as a reactant and a product.
+      // Information includes references to variable "metabolites".
+      // Information derives from variables "candidatesReactions" and
+      // "reactions".
+      "currencyPairs",
       // Variable "defaultSimplificationsMetabolites" stores information about
       // metabolites for which to create default simplifications.
+      // Information includes compartments and methods, omission or
+      // replication, for simplification.
       // Information includes references to variable "metabolites".
       "defaultSimplificationsMetabolites",
       // Variable "reactionsSimplifications" stores information about
@@ -414,12 +523,19 @@ class State {
       // Information derives from variables "metabolites",
       // "candidatesMetabolites", and "metabolitesSimplifications".
       "networkNodesMetabolites",
+      // Variable "networkNodesGenes" stores information about representations
+      // of genes in the network.
+      // Information includes references to variable "genes".
+      // Information derives from variables "genes", "networkNodesReactions",
+      // "geneNodes", and "knockoutGenes".
+      "networkNodesGenes",
       // Variable "networkLinks" stores information about representations of
       // relations between reactions and metabolites in the network.
-      // Information includes references to variables "networkNodesReactions"
-      // and "networkNodesMetabolites".
+      // Information includes references to variables "networkNodesReactions",
+      // "networkNodesMetabolites", and "networkNodesGenes".
       // Information derives from variables "reactions",
-      // "networkNodesReactions", and "networkNodesMetabolites".
+      // "networkNodesReactions", "networkNodesMetabolites",
+      // "networkNodesGenes", "mainPairs", "currencyPairs", and "projection".
       "networkLinks",
       // Variable "networkNodesRecords" stores concise information about
       // network's nodes.
@@ -452,10 +568,24 @@ class State {
       // subnetwork's nodes and links.
       // Information derives from variables "subnetworkNodesRecords" and
       // "subnetworkLinksRecords".
-      "subnetworkSummary"
+      "subnetworkSummary",
+      // Variable "statistics" stores information about degrees and
+      // centralities of nodes and about components, diameter, and density of
+      // the network or subnetwork.
+      // Information derives from variables "statisticsScope",
+      // "statisticsSorts", "networkNodesRecords", "networkLinksRecords",
+      // "subnetworkNodesRecords", and "subnetworkLinksRecords".
+      "statistics",
+      // Variable "subnetworkModules" stores information about modules of
+      // subnetwork's nodes from detection of communities.
+      // Information includes references to variable "subnetworkNodesRecords".
+      // Information derives from variables "subnetworkNodesRecords" and
+      // "subnetworkLinksRecords".
+      "subnetworkModules"
     ];
     self.variablesNames = [].concat(
       self.variablesNamesControls,
+      metabolicModels,
       metabolicEntities,
       metabolicSets,
       entitiesSets,
@@ -93,7 +93,10 @@ class Attribution {
     // Determine whether there are any selections of attributes' values to apply
     // as filters.
     if (
-      setsFilters.processes.length < 1 && setsFilters.compartments.length < 1
+      setsFilters.processes.length < 1 &&
+      setsFilters.compartments.length < 1 &&
+      setsFilters.balances.length < 1 &&
+      setsFilters.directions.length < 1
     ) {
       // There are not any selections of attributes' values to apply as filters.
       // Copy information about entities' sets.
@@ -161,13 +164,17 @@ class Attribution {
         General.collectValueFromObjects("compartment", reaction.participants)
       );
       var processes = reaction.processes.slice();
+      var balances = [Balance.accessReactionBalanceStatus(reaction)];
+      var directions = [Extraction.accessReactionDirection(reaction)];
       // Compile information.
       var information = {
         identifier: identifier,
         reaction: identifier,
         metabolites: metabolites,
         compartments: compartments,
-        processes: processes
+        processes: processes,
+        balances: balances,
+        directions: directions
       };
       // Create record.
       var record = {
@@ -249,7 +256,9 @@ class Attribution {
     var initialCollection = {
       reactions: [],
       compartments: [],
-      processes: []
+      processes: [],
+      balances: [],
+      directions: []
     };
     var totalAttributes = reactionsIdentifiers
     .reduce(function (collection, reactionIdentifier) {
@@ -279,10 +288,16 @@ class Attribution {
         .concat(collection.compartments, inheritance.compartments);
         var currentProcesses = []
         .concat(collection.processes, inheritance.processes);
+        var currentBalances = []
+        .concat(collection.balances, inheritance.balances);
+        var currentDirections = []
+        .concat(collection.directions, inheritance.directions);
         return {
           reactions: currentReactions,
           compartments: currentCompartments,
-          processes: currentProcesses
+          processes: currentProcesses,
+          balances: currentBalances,
+          directions: currentDirections
         };
       } else {
         // Reaction does not pass filters, or metabolite's participation in the
@@ -294,7 +309,9 @@ class Attribution {
     return {
       reactions: General.collectUniqueElements(totalAttributes.reactions),
       compartments: General.collectUniqueElements(totalAttributes.compartments),
-      processes: General.collectUniqueElements(totalAttributes.processes)
+      processes: General.collectUniqueElements(totalAttributes.processes),
+      balances: General.collectUniqueElements(totalAttributes.balances),
+      directions: General.collectUniqueElements(totalAttributes.directions)
     };
   }
   /**
@@ -341,6 +358,10 @@ class Attribution {
     // Collect processes.
     // Metabolite inherits all of reactions' processes.
     var processes = reactionSets.processes.slice();
+    // Metabolite inherits all of reactions' balances.
+    var balances = reactionSets.balances.slice();
+    // Metabolite inherits all of reactions' directions.
+    var directions = reactionSets.directions.slice();
     // Collect compartments that pass any filters and in which metabolite
     // participates in the reaction.
     var compartments = Attribution.collectMetaboliteReactionCompartments({
@@ -351,7 +372,9 @@ class Attribution {
     // Compile information.
     var attributesValues = {
       processes: processes,
-      compartments: compartments
+      compartments: compartments,
+      balances: balances,
+      directions: directions
     };
     // Return information.
     return attributesValues;
@@ -396,7 +419,9 @@ class Attribution {
   static createInitialSetsFilters() {
     return {
       processes: [],
-      compartments: []
+      compartments: [],
+      balances: [],
+      directions: []
     };
   }
   /**
@@ -592,29 +617,41 @@ class Attribution {
     // Determine which of reaction's values of attributes to retain for
     // accessibility of sets.
     // Filter values of attributes reciprocally.
-    var processes = Attribution.filterReciprocalAttributeValues({
-      trialValues: reactionSets.processes,
-      trialAttribute: "processes",
-      qualifierValues: reactionSets.compartments,
-      qualifierAttribute: "compartments",
-      setsFilters: setsFilters
-    });
-    var compartments = Attribution.filterReciprocalAttributeValues({
-      trialValues: reactionSets.compartments,
-      trialAttribute: "compartments",
-      qualifierValues: reactionSets.processes,
-      qualifierAttribute: "processes",
-      setsFilters: setsFilters
-    });
+    // Retain values of each attribute only if values of all other attributes
+    // pass filters.
+    var attributes = Attribution.collectSetsAttributes();
+    var attributesValues = attributes
+    .reduce(function (collection, trialAttribute) {
+      var values = attributes.filter(function (qualifierAttribute) {
+        return qualifierAttribute !== trialAttribute;
+      }).reduce(function (trialValues, qualifierAttribute) {
+        return Attribution.filterReciprocalAttributeValues({
+          trialValues: trialValues,
+          trialAttribute: trialAttribute,
+          qualifierValues: reactionSets[qualifierAttribute],
+          qualifierAttribute: qualifierAttribute,
+          setsFilters: setsFilters
+        });
+      }, reactionSets[trialAttribute]);
+      var entry = {
+        [trialAttribute]: values
+      };
+      return Object.assign(collection, entry);
+    }, {});
     // Do not filter reaction's metabolites.
     var metabolites = reactionSets.metabolites.slice();
     // It is necessary to retain metabolites to retain accessibility of sets.
     // Compile information.
-    return {
-      metabolites: metabolites,
-      processes: processes,
-      compartments: compartments
-    };
+    return Object.assign({
+      metabolites: metabolites
+    }, attributesValues);
+  }
+  /**
+  * Collects names of attributes that define sets.
+  * @returns {Array<string>} Names of attributes.
+  */
+  static collectSetsAttributes() {
+    return ["processes", "compartments", "balances", "directions"];
   }
   /**
   * Filters values of an attribute reciprocally.
@@ -684,7 +721,11 @@ class Attribution {
     var metabolites = filterSets.metabolites.length > 0;
     var processes = filterSets.processes.length > 0;
     var compartments = filterSets.compartments.length > 0;
-    return (metabolites && (processes || compartments));
+    var balances = filterSets.balances.length > 0;
+    var directions = filterSets.directions.length > 0;
+    return (
+      metabolites && (processes || compartments || balances || directions)
+    );
   }
   /**
   * Filters a reaction's information about the metabolites that participate
@@ -712,6 +753,18 @@ class Attribution {
       attribute: "compartments",
       setsFilters: setsFilters
     });
+    // Filter balances.
+    var balances = Attribution.filterAttributeValues({
+      values: reactionSets.balances,
+      attribute: "balances",
+      setsFilters: setsFilters
+    });
+    // Filter directions.
+    var directions = Attribution.filterAttributeValues({
+      values: reactionSets.directions,
+      attribute: "directions",
+      setsFilters: setsFilters
+    });
     // Filter metabolites.
     var metabolites = Attribution.filterReactionMetabolites({
       metabolites: reactionSets.metabolites,
@@ -722,7 +775,9 @@ class Attribution {
     return {
       metabolites: metabolites,
       compartments: compartments,
-      processes: processes
+      processes: processes,
+      balances: balances,
+      directions: directions
     };
   }
   /**
@@ -764,7 +819,11 @@ class Attribution {
     var metabolites = filterSets.metabolites.length > 0;
     var processes = filterSets.processes.length > 0;
     var compartments = filterSets.compartments.length > 0;
-    return (metabolites && compartments && processes);
+    var balances = filterSets.balances.length > 0;
+    var directions = filterSets.directions.length > 0;
+    return (
+      metabolites && compartments && processes && balances && directions
+    );
   }
 
   // Filtration of metabolites.
@@ -0,0 +1,350 @@
+/*
+Profondeur supports visual exploration and analysis of metabolic networks.
+Copyright (C) 2017 Thomas Cameron Waller
+
+This program is free software: you can redistribute it and/or modify it under
+the terms of the GNU General Public License as published by the Free Software
+Foundation, either version 3 of the License, or (at your option) any later
+version.
+
+This program is distributed in the hope that it will be useful, but WITHOUT ANY
+WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+PARTICULAR PURPOSE.
+See the GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License along with
+this program.
+If not, see <http://www.gnu.org/licenses/>.
+
+This file is part of project Profondeur.
+Project repository's address: https://github.com/tcameronwaller/profondeur/
+Author's electronic address: tcameronwaller@gmail.com
+Author's physical address:
+T Cameron Waller
+Scientific Computing and Imaging Institute
+University of Utah
+72 South Central Campus Drive Room 3750
+Salt Lake City, Utah 84112
+United States of America
+*/
+
+
+/**
+* Functionality of utility for checking the balance of chemical elements and
+* charges in reactions.
+* This class stores methods for external utility.
+* This class does not store any attributes and does not require instantiation.
+*/
+class Balance {
+
+  // Sets of reactions by balance.
+
+  /**
+  * Creates records for sets of reactions by their balance of elements and
+  * charges.
+  * @returns {Object} Records for sets by balance.
+  */
+  static createBalancesRecords() {
+    return ["balanced", "unbalanced", "unknown"]
+    .reduce(function (collection, identifier) {
+      var record = {
+        [identifier]: {
+          identifier: identifier,
+          name: identifier
+        }
+      };
+      return Object.assign(collection, record);
+    }, {});
+  }
+  /**
+  * Accesses the status of a reaction's balance.
+  * Reactions from sources of information that predate determination of
+  * balance do not have a record of balance.
+  * @param {Object} reaction Information about a reaction.
+  * @returns {string} Status of reaction's balance, balanced, unbalanced, or
+  * unknown.
+  */
+  static accessReactionBalanceStatus(reaction) {
+    if (reaction.hasOwnProperty("balance")) {
+      return reaction.balance.status;
+    } else {
+      return "unknown";
+    }
+  }
+  /**
+  * Describes a reaction's balance of elements and charges.
+  * @param {Object} reaction Information about a reaction.
+  * @returns {string} Description of reaction's balance.
+  */
+  static describeReactionBalance(reaction) {
+    var status = Balance.accessReactionBalanceStatus(reaction);
+    if (status === "unbalanced") {
+      // Describe the difference of each element and of charge between
+      // products and reactants.
+      var elements = Object.keys(reaction.balance.elements)
+      .map(function (element) {
+        return element + " " + reaction.balance.elements[element];
+      });
+      if (reaction.balance.charge !== 0) {
+        var charge = ["charge " + reaction.balance.charge];
+      } else {
+        var charge = [];
+      }
+      return status + " (" + [].concat(elements, charge).join(", ") + ")";
+    } else {
+      return status;
+    }
+  }
+
+  // Determination of balance.
+
+  /**
+  * Determines a reaction's balance of elements and charges.
+  * The difference of each element and of charge is the sum over products
+  * minus the sum over reactants, weighted by stoichiometric coefficients.
+  * Reactions with metabolites that lack specific formulas or charges have
+  * unknown balance.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object<number>} parameters.reactionMetabolites Stoichiometric
+  * coefficients of compartmental metabolites in a reaction, negative for
+  * reactants and positive for products.
+  * @param {Object<Object>} parameters.metabolites Records for general
+  * metabolites.
+  * @returns {Object} Information about a reaction's balance.
+  */
+  static determineReactionBalance({reactionMetabolites, metabolites} = {}) {
+    // Collect elements and charges of metabolites with their coefficients.
+    var participants = Object.keys(reactionMetabolites)
+    .map(function (identifier) {
+      var metabolite = metabolites[
+        Clean.extractMetaboliteIdentifier(identifier)
+      ];
+      if (metabolite) {
+        var elements = Balance.parseFormula(metabolite.formula);
+        var charge = Balance.accessMetaboliteCharge(metabolite);
+      } else {
+        var elements = null;
+        var charge = null;
+      }
+      return {
+        coefficient: reactionMetabolites[identifier],
+        elements: elements,
+        charge: charge
+      };
+    });
+    // Determine whether all metabolites have specific formulas and charges.
+    var specificity = participants.every(function (participant) {
+      return (participant.elements !== null) && (participant.charge !== null);
+    });
+    if (!specificity) {
+      return {
+        status: "unknown",
+        elements: {},
+        charge: 0
+      };
+    }
+    // Sum elements and charges.
+    var sums = participants.reduce(function (collection, participant) {
+      var elements = Object.keys(participant.elements)
+      .reduce(function (elementsCollection, element) {
+        var previous = (
+          elementsCollection[element] ? elementsCollection[element] : 0
+        );
+        var entry = {
+          [element]: (
+            previous +
+            (participant.coefficient * participant.elements[element])
+          )
+        };
+        return Object.assign(elementsCollection, entry);
+      }, collection.elements);
+      return {
+        elements: elements,
+        charge: (
+          collection.charge + (participant.coefficient * participant.charge)
+        )
+      };
+    }, {elements: {}, charge: 0});
+    // Collect differences that exceed tolerance for rounding.
+    var differences = Object.keys(sums.elements)
+    .reduce(function (collection, element) {
+      var difference = Balance.roundDifference(sums.elements[element]);
+      if (difference !== 0) {
+        var entry = {
+          [element]: difference
+        };
+        return Object.assign(collection, entry);
+      } else {
+        return collection;
+      }
+    }, {});
+    var charge = Balance.roundDifference(sums.charge);
+    // Determine status.
+    if ((Object.keys(differences).length === 0) && (charge === 0)) {
+      var status = "balanced";
+    } else {
+      var status = "unbalanced";
+    }
+    // Compile information.
+    return {
+      status: status,
+      elements: differences,
+      charge: charge
+    };
+  }
+  /**
+  * Accesses the charge of a metabolite.
+  * Metabolites from some sources of information do not have charges.
+  * @param {Object} metabolite Information about a metabolite.
+  * @returns {number} Charge of metabolite, or null if charge is missing.
+  */
+  static accessMetaboliteCharge(metabolite) {
+    var charge = metabolite.charge;
+    if ((charge === null) || (charge === undefined) || (charge === "")) {
+      return null;
+    } else if (Number.isFinite(Number(charge))) {
+      return Number(charge);
+    } else {
+      return null;
+    }
+  }
+  /**
+  * Rounds a difference to remove imprecision from fractional coefficients.
+  * @param {number} value Difference.
+  * @returns {number} Rounded difference.
+  */
+  static roundDifference(value) {
+    var rounding = Math.round(value * 1000000) / 1000000;
+    // Avoid negative zero.
+    return (rounding === 0) ? 0 : rounding;
+  }
+
+  // Parse formulas.
+
+  /**
+  * Parses a chemical formula to counts of chemical elements.
+  * Formulas can include groups within parentheses or brackets with
+  * multipliers, such as "C2H4(OH)2", and adducts after periods or asterisks
+  * with multipliers, such as water of hydration in "CuSO4.5H2O".
+  * Formulas that are missing, that do not parse, that include fractional
+  * counts, or that include symbols other than those of chemical elements,
+  * such as "R" for an alkyl group, do not have specific counts of elements.
+  * @param {string} formula Chemical formula.
+  * @returns {Object<number>} Counts of chemical elements, or null if formula
+  * is not specific.
+  */
+  static parseFormula(formula) {
+    // Confirm that formula is not empty.
+    if ((typeof formula !== "string") || (formula.trim().length === 0)) {
+      return null;
+    }
+    // Split formula into parts for adducts.
+    var parts = formula.trim().split(/[.*]/);
+    // Iterate on parts.
+    return parts.reduce(function (collection, part) {
+      if (collection === null) {
+        return null;
+      }
+      // A leading integer multiplies the part.
+      var match = part.match(/^(\d*)(.*)$/);
+      var multiplier = ((match[1].length > 0) ? Number(match[1]) : 1);
+      var elements = Balance.parseFormulaPart(match[2]);
+      if ((elements === null) || (multiplier === 0)) {
+        return null;
+      }
+      Object.keys(elements).forEach(function (element) {
+        collection[element] = (
+          (collection[element] ? collection[element] : 0) +
+          (elements[element] * multiplier)
+        );
+      });
+      return collection;
+    }, {});
+  }
+  /**
+  * Parses a part of a chemical formula without adducts to counts of chemical
+  * elements.
+  * @param {string} part Part of a chemical formula.
+  * @returns {Object<number>} Counts of chemical elements, or null if part is
+  * not specific.
+  */
+  static parseFormulaPart(part) {
+    // Confirm that part is not empty.
+    if (part.length === 0) {
+      return null;
+    }
+    // Split part into tokens for elements, counts, and groups.
+    var tokens = part.match(/[A-Z][a-z]*|\d+|[()\[\]]|./g);
+    // Maintain a stack of counts for nested groups.
+    var stack = [{}];
+    var previous = null;
+    for (var index = 0; index < tokens.length; index++) {
+      var token = tokens[index];
+      var next = tokens[index + 1];
+      var count = (
+        (next && /^\d/.test(next)) ? Number(next) : 1
+      );
+      if (/^[A-Z]/.test(token)) {
+        // Token is a chemical element.
+        if (!Balance.determineChemicalElement(token)) {
+          return null;
+        }
+        var current = stack[stack.length - 1];
+        current[token] = (current[token] ? current[token] : 0) + count;
+      } else if ((token === "(") || (token === "[")) {
+        // Token opens a group.
+        stack.push({});
+      } else if ((token === ")") || (token === "]")) {
+        // Token closes a group.
+        if (stack.length < 2) {
+          return null;
+        }
+        var group = stack.pop();
+        var current = stack[stack.length - 1];
+        Object.keys(group).forEach(function (element) {
+          current[element] = (
+            (current[element] ? current[element] : 0) + (group[element] * count)
+          );
+        });
+      } else if (/^\d/.test(token)) {
+        // Token is a count, which must follow an element or a group.
+        if ((previous === null) || (/^[\d(\[]/.test(previous))) {
+          return null;
+        }
+      } else {
+        // Token is not valid.
+        return null;
+      }
+      previous = token;
+    }
+    // Confirm that all groups close.
+    if (stack.length !== 1) {
+      return null;
+    }
+    return stack[0];
+  }
+  /**
+  * Determines whether a symbol in a chemical formula denotes a specific
+  * chemical element.
+  * Symbols for nonspecific substituents, such as "R" for an alkyl group or
+  * "X" for a halogen, and abbreviations, such as "CoA", do not denote
+  * chemical elements.
+  * @param {string} symbol Symbol from a chemical formula.
+  * @returns {boolean} Whether the symbol denotes a chemical element.
+  */
+  static determineChemicalElement(symbol) {
+    var symbols = [
+      "H", "He", "Li", "Be", "B", "C", "N", "O", "F", "Ne", "Na", "Mg", "Al",
+      "Si", "P", "S", "Cl", "Ar", "K", "Ca", "Sc", "Ti", "V", "Cr", "Mn", "Fe",
+      "Co", "Ni", "Cu", "Zn", "Ga", "Ge", "As", "Se", "Br", "Kr", "Rb", "Sr",
+      "Y", "Zr", "Nb", "Mo", "Tc", "Ru", "Rh", "Pd", "Ag", "Cd", "In", "Sn",
+      "Sb", "Te", "I", "Xe", "Cs", "Ba", "La", "Ce", "Pr", "Nd", "Pm", "Sm",
+      "Eu", "Gd", "Tb", "Dy", "Ho", "Er", "Tm", "Yb", "Lu", "Hf", "Ta", "W",
+      "Re", "Os", "Ir", "Pt", "Au", "Hg", "Tl", "Pb", "Bi", "Po", "At", "Rn",
+      "Fr", "Ra", "Ac", "Th", "Pa", "U", "Np", "Pu", "Am", "Cm", "Bk", "Cf",
+      "Es", "Fm", "Md", "No", "Lr", "Rf", "Db", "Sg", "Bh", "Hs", "Mt", "Ds",
+      "Rg", "Cn", "Nh", "Fl", "Mc", "Lv", "Ts", "Og"
+    ];
+    return symbols.includes(symbol);
+  }
+}
@@ -75,21 +75,33 @@ class Candidacy {
   * metabolites.
   * @param {boolean} parameters.compartmentalization Whether
   * compartmentalization is relevant.
+  * @param {Array<Array<string>>} parameters.compartmentsGroups Groups of
+  * compartments that merge in compartmentalization.
   * @param {Object<string>} parameters.candidatesSearches Searches to filter
   * candidates' summaries.
   * @param {Object<Object<string>>} parameters.candidatesSorts Specifications to
   * sort candidates' summaries.
   * @param {Object} parameters.compartments Information about compartments.
+  * @param {Array<string>} parameters.knockoutReactions Identifiers of
+  * reactions that lose catalysis by knockout of genes.
+  * @param {Object<boolean>} parameters.redundancyCriteria Criteria for
+  * redundancy of replicate reactions.
+  * @param {Array<string>} parameters.redundancySeparations Identifiers of
+  * replicate reactions to separate from redundancy.
   * @returns {Object} Information about candidate entities and their summaries.
   */
-  static collectCandidatesPrepareSummaries({reactionsSets, reactions, metabolites, compartmentalization, candidatesSearches, candidatesSorts, compartments} = {}) {
+  static collectCandidatesPrepareSummaries({reactionsSets, reactions, metabolites, compartmentalization, compartmentsGroups, candidatesSearches, candidatesSorts, compartments, knockoutReactions, redundancyCriteria, redundancySeparations} = {}) {
     // Collect information about candidate entities.
     var candidates = Candidacy.collectCandidates({
       reactionsSets: reactionsSets,
       reactions: reactions,
       metabolites: metabolites,
       compartmentalization: compartmentalization,
-      compartments: compartments
+      compartmentsGroups: compartmentsGroups,
+      compartments: compartments,
+      knockoutReactions: knockoutReactions,
+      redundancyCriteria: redundancyCriteria,
+      redundancySeparations: redundancySeparations
     });
     // Prepare summaries of candidates' degrees.
     var candidatesSummaries = Candidacy.prepareCandidatesSummaries({
@@ -119,17 +131,29 @@ class Candidacy {
   * metabolites.
   * @param {boolean} parameters.compartmentalization Whether
   * compartmentalization is relevant.
+  * @param {Array<Array<string>>} parameters.compartmentsGroups Groups of
+  * compartments that merge in compartmentalization.
   * @param {Object} parameters.compartments Information about compartments.
+  * @param {Array<string>} parameters.knockoutReactions Identifiers of
+  * reactions that lose catalysis by knockout of genes.
+  * @param {Object<boolean>} parameters.redundancyCriteria Criteria for
+  * redundancy of replicate reactions.
+  * @param {Array<string>} parameters.redundancySeparations Identifiers of
+  * replicate reactions to separate from redundancy.
   * @returns {Object} Information about candidate entities.
   */
-  static collectCandidates({reactionsSets, reactions, metabolites, compartmentalization, compartments} = {}) {
+  static collectCandidates({reactionsSets, reactions, metabolites, compartmentalization, compartmentsGroups, compartments, knockoutReactions, redundancyCriteria, redundancySeparations} = {}) {
     // Collect information about candidate entities and their simplifications.
     var reactionsCollection = Candidacy.collectCandidateReactionsMetabolites({
       reactionsSets: reactionsSets,
       reactions: reactions,
       metabolites: metabolites,
       compartmentalization: compartmentalization,
-      compartments: compartments
+      compartmentsGroups: compartmentsGroups,
+      compartments: compartments,
+      knockoutReactions: knockoutReactions,
+      redundancyCriteria: redundancyCriteria,
+      redundancySeparations: redundancySeparations
     });
     var candidatesMetabolites = Candidacy.collectCandidateMetabolitesReactions({
       candidatesReactions: reactionsCollection.candidatesReactions,
@@ -150,16 +174,24 @@ class Candidacy {
   * @param {Object} parameters Destructured object of parameters.
   * @param {boolean} parameters.compartmentalization Whether
   * compartmentalization is relevant.
+  * @param {Array<Array<string>>} parameters.compartmentsGroups Groups of
+  * compartments that merge in compartmentalization.
   * @param {Object<Object>} parameters.reactionsSets Information about
   * reactions' metabolites and sets.
   * @param {Object<Object>} parameters.reactions Information about reactions.
   * @param {Object<Object>} parameters.metabolites Information about
   * metabolites.
   * @param {Object} parameters.compartments Information about compartments.
+  * @param {Array<string>} parameters.knockoutReactions Identifiers of
+  * reactions that lose catalysis by knockout of genes.
+  * @param {Object<boolean>} parameters.redundancyCriteria Criteria for
+  * redundancy of replicate reactions.
+  * @param {Array<string>} parameters.redundancySeparations Identifiers of
+  * replicate reactions to separate from redundancy.
   * @returns {Object<Object>} Information about candidate reactions and their
   * metabolites.
   */
-  static collectCandidateReactionsMetabolites({compartmentalization, reactionsSets, reactions, metabolites, compartments} = {}) {
+  static collectCandidateReactionsMetabolites({compartmentalization, compartmentsGroups, reactionsSets, reactions, metabolites, compartments, knockoutReactions, redundancyCriteria, redundancySeparations} = {}) {
     // Collect information about reactions and their metabolites that are
     // candidates for representation in the network.
     // Initialize collection.
@@ -177,7 +209,11 @@ class Candidacy {
         reactions: reactions,
         metabolites: metabolites,
         compartmentalization: compartmentalization,
+        compartmentsGroups: compartmentsGroups,
         compartments: compartments,
+        knockoutReactions: knockoutReactions,
+        redundancyCriteria: redundancyCriteria,
+        redundancySeparations: redundancySeparations,
         collection: collection
       });
     }, initialCollection);
@@ -194,19 +230,31 @@ class Candidacy {
   * metabolites.
   * @param {boolean} parameters.compartmentalization Whether
   * compartmentalization is relevant.
+  * @param {Array<Array<string>>} parameters.compartmentsGroups Groups of
+  * compartments that merge in compartmentalization.
   * @param {Object} parameters.compartments Information about compartments.
+  * @param {Array<string>} parameters.knockoutReactions Identifiers of
+  * reactions that lose catalysis by knockout of genes.
+  * @param {Object<boolean>} parameters.redundancyCriteria Criteria for
+  * redundancy of replicate reactions.
+  * @param {Array<string>} parameters.redundancySeparations Identifiers of
+  * replicate reactions to separate from redundancy.
   * @param {Object<Object>} parameters.collection Information about candidate
   * reactions, their metabolites, and their simplifications.
   * @returns {Object<Object>} Information about candidate reactions and their
   * metabolites.
   */
-  static collectCandidateReactionMetabolites({reactionIdentifier, reactionsSets, reactions, metabolites, compartmentalization, compartments, collection} = {}) {
+  static collectCandidateReactionMetabolites({reactionIdentifier, reactionsSets, reactions, metabolites, compartmentalization, compartmentsGroups, compartments, knockoutReactions, redundancyCriteria, redundancySeparations, collection} = {}) {
     // Evaluate reaction's candidacy.
     var candidacy = Candidacy.evaluateReactionCandidacy({
       reactionIdentifier: reactionIdentifier,
       reactionsSets: reactionsSets,
       reactions: reactions,
       compartmentalization: compartmentalization,
+      compartmentsGroups: compartmentsGroups,
+      knockoutReactions: knockoutReactions,
+      redundancyCriteria: redundancyCriteria,
+      redundancySeparations: redundancySeparations,
       collection: collection
     });
     // Determine whether reaction is a valid candidate.
@@ -221,6 +269,7 @@ class Candidacy {
         reaction: reaction,
         reactionSets: reactionSets,
         compartmentalization: compartmentalization,
+        compartmentsGroups: compartmentsGroups,
         metabolites: metabolites,
         compartments: compartments
       });
@@ -265,28 +314,45 @@ class Candidacy {
   * @param {Object<Object>} parameters.reactions Information about reactions.
   * @param {boolean} parameters.compartmentalization Whether
   * compartmentalization is relevant.
+  * @param {Array<Array<string>>} parameters.compartmentsGroups Groups of
+  * compartments that merge in compartmentalization.
+  * @param {Array<string>} parameters.knockoutReactions Identifiers of
+  * reactions that lose catalysis by knockout of genes.
+  * @param {Object<boolean>} parameters.redundancyCriteria Criteria for
+  * redundancy of replicate reactions.
+  * @param {Array<string>} parameters.redundancySeparations Identifiers of
+  * replicate reactions to separate from redundancy.
   * @param {Object<Object>} parameters.collection Information about candidate
   * reactions, their metabolites, and their simplifications.
   * @returns {Object} Information about reaction's candidacy.
   */
-  static evaluateReactionCandidacy({reactionIdentifier, reactionsSets, reactions, compartmentalization, collection} = {}) {
+  static evaluateReactionCandidacy({reactionIdentifier, reactionsSets, reactions, compartmentalization, compartmentsGroups, knockoutReactions, redundancyCriteria, redundancySeparations, collection} = {}) {
     // Access information about reaction.
     var reaction = reactions[reactionIdentifier];
     var reactionSets = reactionsSets[reactionIdentifier];
     // Determine whether reaction is relevant.
-    var relevance = Candidacy.determineReactionContextRelevance({
-      reaction: reaction,
-      reactionSets: reactionSets,
-      compartmentalization: compartmentalization
-    });
+    // Reactions that lose catalysis by knockout of genes are irrelevant.
+    var relevance = (
+      !knockoutReactions.includes(reactionIdentifier) &&
+      Candidacy.determineReactionContextRelevance({
+        reaction: reaction,
+        reactionSets: reactionSets,
+        compartmentalization: compartmentalization,
+        compartmentsGroups: compartmentsGroups
+      })
+    );
     if (relevance) {
       // Reaction is relevant.
       // Collect any redundant replicates.
       var redundantReplicates = Candidacy.collectRedundantReplicateReactions({
         reactionIdentifier: reactionIdentifier,
         compartmentalization: compartmentalization,
+        compartmentsGroups: compartmentsGroups,
         reactionsSets: reactionsSets,
-        reactions: reactions
+        reactions: reactions,
+        knockoutReactions: knockoutReactions,
+        redundancyCriteria: redundancyCriteria,
+        redundancySeparations: redundancySeparations
       });
       // Determine whether reaction has redundant replicates
       if (redundantReplicates.length > 0) {
@@ -338,9 +404,11 @@ class Candidacy {
   * metabolites and sets.
   * @param {boolean} parameters.compartmentalization Whether
   * compartmentalization is relevant.
+  * @param {Array<Array<string>>} parameters.compartmentsGroups Groups of
+  * compartments that merge in compartmentalization.
   * @returns {boolean} Whether the reaction is relevant.
   */
-  static determineReactionContextRelevance({reaction, reactionSets, compartmentalization} = {}) {
+  static determineReactionContextRelevance({reaction, reactionSets, compartmentalization, compartmentsGroups} = {}) {
     // Filter for reaction's relevant participants.
     var relevantParticipants = Extraction.filterReactionParticipants({
       criteria: {
@@ -355,7 +423,8 @@ class Candidacy {
       conversion: reaction.conversion,
       transport: reaction.transport,
       transports: reaction.transports,
-      compartmentalization: compartmentalization
+      compartmentalization: compartmentalization,
+      compartmentsGroups: compartmentsGroups
     });
   }
   /**
@@ -372,9 +441,11 @@ class Candidacy {
   * reaction's transports.
   * @param {boolean} parameters.compartmentalization Whether
   * compartmentalization is relevant.
+  * @param {Array<Array<string>>} parameters.compartmentsGroups Groups of
+  * compartments that merge in compartmentalization.
   * @returns {boolean} Whether the reaction is relevant.
   */
-  static determineReactionParticipantsOperationRelevance({participants, conversion, transport, transports, compartmentalization} = {}) {
+  static determineReactionParticipantsOperationRelevance({participants, conversion, transport, transports, compartmentalization, compartmentsGroups} = {}) {
     // Determine reaction's operation.
     if (conversion) {
       // Reaction's performs chemical conversion.
@@ -389,8 +460,9 @@ class Candidacy {
       // Determine whether compartmentalization is relevant.
       if (compartmentalization) {
         // Compartmentalization is relevant.
-        return Candidacy
-        .determineReactionTransportation(participants, transports);
+        return Candidacy.determineReactionTransportation(
+          participants, transports, compartmentsGroups
+        );
       } else {
         // Compartmentalization is irrelevant.
         // Physical transport between compartments is irrelevant.
@@ -430,10 +502,12 @@ class Candidacy {
   * and compartments' participation in a reaction.
   * @param {Array<Object<string>>} parameters.transports Information about a
   * reaction's transports.
+  * @param {Array<Array<string>>} compartmentsGroups Groups of compartments
+  * that merge in compartmentalization.
   * @returns {boolean} Whether metabolites participate in the reaction as both
   * reactants and products in separate compartments of a transport event.
   */
-  static determineReactionTransportation(participants, transports) {
+  static determineReactionTransportation(participants, transports, compartmentsGroups) {
     // Determine whether any transport events involve participation of
     // chemically-identical metabolites as reactants and products in separate
     // compartments.
@@ -454,10 +528,17 @@ class Candidacy {
         },
         participants: participants
       });
-      var reactantCompartments = General
-      .collectValueFromObjects("compartment", reactantMatches);
-      var productCompartments = General
-      .collectValueFromObjects("compartment", productMatches);
+      // Transport between compartments within the same group is irrelevant.
+      var reactantCompartments = Candidacy.collectCompartmentsGroupsIdentifiers({
+        compartments: General
+        .collectValueFromObjects("compartment", reactantMatches),
+        compartmentsGroups: compartmentsGroups
+      });
+      var productCompartments = Candidacy.collectCompartmentsGroupsIdentifiers({
+        compartments: General
+        .collectValueFromObjects("compartment", productMatches),
+        compartmentsGroups: compartmentsGroups
+      });
       var sameCompartments = General.compareArraysByMutualInclusion(
         reactantCompartments, productCompartments
       );
@@ -476,12 +557,20 @@ class Candidacy {
   * @param {string} parameters.reactionIdentifier Identifier of a reaction.
   * @param {boolean} parameters.compartmentalization Whether
   * compartmentalization is relevant.
+  * @param {Array<Array<string>>} parameters.compartmentsGroups Groups of
+  * compartments that merge in compartmentalization.
   * @param {Object<Object>} parameters.reactionsSets Information about
   * reactions' metabolites and sets.
   * @param {Object<Object>} parameters.reactions Information about reactions.
+  * @param {Array<string>} parameters.knockoutReactions Identifiers of
+  * reactions that lose catalysis by knockout of genes.
+  * @param {Object<boolean>} parameters.redundancyCriteria Criteria for
+  * redundancy of replicate reactions.
+  * @param {Array<string>} parameters.redundancySeparations Identifiers of
+  * replicate reactions to separate from redundancy.
   * @returns {Array<string>} Identifiers of reactions.
   */
-  static collectRedundantReplicateReactions({reactionIdentifier, compartmentalization, reactionsSets, reactions} = {}) {
+  static collectRedundantReplicateReactions({reactionIdentifier, compartmentalization, compartmentsGroups, reactionsSets, reactions, knockoutReactions, redundancyCriteria, redundancySeparations} = {}) {
     // Replicate reactions have identical metabolites that participate as
     // reactants and products.
     // A single candidate represents multiple redundant replicate reactions,
@@ -490,11 +579,17 @@ class Candidacy {
     // compartmentalization.
     // Redundant replicate reactions are relevant in context of filters and
     // compartmentalization.
-    // Redundant replicate reactions have identical reversibilities.
+    // Redundant replicate reactions retain catalysis after knockout of genes.
+    // Redundant replicate reactions do not have separations from redundancy.
     // Redundant replicate reactions have participants with identical
     // metabolites and roles.
-    // Redundant replicate reactions also have participants with identical
-    // compartments if compartmentalization is relevant.
+    // Criteria for redundancy determine whether redundant replicate reactions
+    // also have identical reversibilities, processes, genes, and compartments
+    // of participants if compartmentalization is relevant.
+    // Determine whether comparison reaction has separation from redundancy.
+    if (redundancySeparations.includes(reactionIdentifier)) {
+      return [];
+    }
     // Access information about comparison reaction.
     var comparisonIdentifier = reactionIdentifier;
     var comparisonReaction = reactions[comparisonIdentifier];
@@ -508,8 +603,13 @@ class Candidacy {
       var identity = (comparisonIdentifier === replicateIdentifier);
       if (!identity) {
         // Replicate reaction is not identical to the comparison reaction.
-        // Determine whether replicate reaction passes filters.
-        var pass = reactionsSets.hasOwnProperty(replicateIdentifier);
+        // Determine whether replicate reaction passes filters, retains
+        // catalysis, and does not have separation from redundancy.
+        var pass = (
+          reactionsSets.hasOwnProperty(replicateIdentifier) &&
+          !knockoutReactions.includes(replicateIdentifier) &&
+          !redundancySeparations.includes(replicateIdentifier)
+        );
         if (pass) {
           // Replicate reaction passes filters.
           // Access information about comparison reaction.
@@ -519,18 +619,21 @@ class Candidacy {
           var relevance = Candidacy.determineReactionContextRelevance({
             reaction: replicateReaction,
             reactionSets: replicateSets,
-            compartmentalization: compartmentalization
+            compartmentalization: compartmentalization,
+            compartmentsGroups: compartmentsGroups
           });
           if (relevance) {
             // Replicate reaction is relevant.
             // Determine whether replicate reaction and comparison reaction have
-            // identical reversibilities.
-            if (
-              comparisonReaction.reversibility ===
-              replicateReaction.reversibility
-            ) {
+            // identical attributes by criteria for redundancy.
+            var attributes = Candidacy.determineReactionsAttributesRedundancy({
+              firstReaction: comparisonReaction,
+              secondReaction: replicateReaction,
+              redundancyCriteria: redundancyCriteria
+            });
+            if (attributes) {
               // Replicate reaction and comparison reaction have identical
-              // reversibilities.
+              // attributes.
               // Determine whether replicate reaction is redundant to comparison
               // reaction in context of interest.
               // Compare relevant participants of each reaction.
@@ -539,11 +642,15 @@ class Candidacy {
                 secondReaction: replicateReaction,
                 firstSets: comparisonSets,
                 secondSets: replicateSets,
-                compartmentalization: compartmentalization
+                compartmentalization: (
+                  compartmentalization &&
+                  !redundancyCriteria.ignoreCompartments
+                ),
+                compartmentsGroups: compartmentsGroups
               });
             } else {
               // Replicate reaction and comparison reaction do not have
-              // identical reversibilities.
+              // identical attributes.
               // Replicate reaction is not redundant.
               return false;
             }
@@ -553,7 +660,7 @@ class Candidacy {
             return false;
           }
         } else {
-          // Replicate reaction does not pass filters.
+          // Replicate reaction does not pass filters or loses catalysis.
           // Replicate reaction is not redundant.
           return false;
         }
@@ -565,6 +672,42 @@ class Candidacy {
     });
   }
   /**
+  * Determines whether two reactions have identical reversibilities, processes,
+  * and genes by criteria for redundancy.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.firstReaction Information about a reaction.
+  * @param {Object} parameters.secondReaction Information about a reaction.
+  * @param {Object<boolean>} parameters.redundancyCriteria Criteria for
+  * redundancy of replicate reactions.
+  * @returns {boolean} Whether reactions have identical attributes.
+  */
+  static determineReactionsAttributesRedundancy({firstReaction, secondReaction, redundancyCriteria} = {}) {
+    // Determine whether reactions have identical reversibilities and
+    // directions.
+    var reversibility = (
+      !redundancyCriteria.reversibility ||
+      (
+        Extraction.accessReactionDirection(firstReaction) ===
+        Extraction.accessReactionDirection(secondReaction)
+      )
+    );
+    // Determine whether reactions have identical processes.
+    var processes = (
+      redundancyCriteria.ignoreProcesses ||
+      General.compareArraysByMutualInclusion(
+        firstReaction.processes, secondReaction.processes
+      )
+    );
+    // Determine whether reactions have identical genes.
+    var genes = (
+      !redundancyCriteria.requireGenes ||
+      General.compareArraysByMutualInclusion(
+        firstReaction.genes, secondReaction.genes
+      )
+    );
+    return (reversibility && processes && genes);
+  }
+  /**
   * Determines whether two reactions are redundant by comparison of their
   * relevant participants.
   * @param {Object} parameters Destructured object of parameters.
@@ -576,9 +719,11 @@ class Candidacy {
   * metabolites and sets.
   * @param {boolean} parameters.compartmentalization Whether
   * compartmentalization is relevant.
+  * @param {Array<Array<string>>} parameters.compartmentsGroups Groups of
+  * compartments that merge in compartmentalization.
   * @returns {boolean} Whether reactions are redundant.
   */
-  static determineReactionsRedundancy({firstReaction, secondReaction, firstSets, secondSets, compartmentalization} = {}) {
+  static determineReactionsRedundancy({firstReaction, secondReaction, firstSets, secondSets, compartmentalization, compartmentsGroups} = {}) {
     // Only compare relevant participants of each reaction.
     // Filter for reactions' relevant participants.
     var firstParticipants = Extraction.filterReactionParticipants({
@@ -599,7 +744,8 @@ class Candidacy {
     return Candidacy.determineParticipantsRedundancy({
       firstParticipants: firstParticipants,
       secondParticipants: secondParticipants,
-      compartmentalization: compartmentalization
+      compartmentalization: compartmentalization,
+      compartmentsGroups: compartmentsGroups
     });
   }
   /**
@@ -611,17 +757,25 @@ class Candidacy {
   * about metabolites' and compartments' participation in a reaction.
   * @param {boolean} parameters.compartmentalization Whether
   * compartmentalization is relevant.
+  * @param {Array<Array<string>>} parameters.compartmentsGroups Groups of
+  * compartments that merge in compartmentalization.
   * @returns {boolean} Whether participants are redundant.
   */
-  static determineParticipantsRedundancy({firstParticipants, secondParticipants, compartmentalization} = {}) {
+  static determineParticipantsRedundancy({firstParticipants, secondParticipants, compartmentalization, compartmentsGroups} = {}) {
     // Determine whether compartmentalization is relevant.
     if (compartmentalization) {
       // Compartmentalization is relevant.
-      // Compare participants by metabolites, compartments, and roles.
+      // Compare participants by metabolites, groups of compartments, and roles.
       return Candidacy.determineParticipantsAttributesMutualRedundancy({
-        firstParticipants: firstParticipants,
-        secondParticipants: secondParticipants,
-        attributes: ["metabolite", "compartment", "role"]
+        firstParticipants: Candidacy.includeParticipantsCompartmentsGroups({
+          participants: firstParticipants,
+          compartmentsGroups: compartmentsGroups
+        }),
+        secondParticipants: Candidacy.includeParticipantsCompartmentsGroups({
+          participants: secondParticipants,
+          compartmentsGroups: compartmentsGroups
+        }),
+        attributes: ["metabolite", "group", "role"]
       });
     } else {
       // Compartmentalization is irrelevant.
@@ -706,6 +860,47 @@ class Candidacy {
     return reactionIdentifier === priorityReactionIdentifier;
   }
   /**
+  * Creates initial criteria for redundancy of replicate reactions.
+  * @returns {Object<boolean>} Criteria for redundancy of replicate reactions.
+  */
+  static createInitialRedundancyCriteria() {
+    return {
+      ignoreCompartments: false,
+      ignoreProcesses: true,
+      requireGenes: false,
+      reversibility: true
+    };
+  }
+  /**
+  * Changes whether a candidate reaction and its replicates have separation
+  * from redundancy.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.identifier Identifier of a candidate reaction.
+  * @param {Object<Object>} parameters.candidatesReactions Information about
+  * candidate reactions.
+  * @param {Object<Object>} parameters.reactions Information about reactions.
+  * @param {Array<string>} parameters.redundancySeparations Identifiers of
+  * replicate reactions to separate from redundancy.
+  * @returns {Array<string>} Identifiers of replicate reactions to separate
+  * from redundancy.
+  */
+  static changeRedundancySeparation({identifier, candidatesReactions, reactions, redundancySeparations} = {}) {
+    // Determine whether reaction already has separation from redundancy.
+    if (redundancySeparations.includes(identifier)) {
+      // Restore redundancy of the reaction and all of its replicates.
+      var replicates = [].concat(identifier, reactions[identifier].replicates);
+      return redundancySeparations.filter(function (separation) {
+        return !replicates.includes(separation);
+      });
+    } else {
+      // Separate the candidate reaction and its redundant replicates.
+      var candidate = candidatesReactions[identifier];
+      var replicates = [].concat(identifier, candidate.replicates);
+      return General
+      .collectUniqueElements([].concat(redundancySeparations, replicates));
+    }
+  }
+  /**
   * Collects information about metabolites that participate in a candidate
   * reaction.
   * @param {Object} parameters Destructured object of parameters.
@@ -714,13 +909,15 @@ class Candidacy {
   * metabolites and sets.
   * @param {boolean} parameters.compartmentalization Whether
   * compartmentalization is relevant.
+  * @param {Array<Array<string>>} parameters.compartmentsGroups Groups of
+  * compartments that merge in compartmentalization.
   * @param {Object<Object>} parameters.metabolites Information about
   * metabolites.
   * @param {Object} parameters.compartments Information about compartments.
   * @returns {Object<Object>} Information about a candidate reaction's
   * metabolites.
   */
-  static collectReactionMetabolites({reaction, reactionSets, compartmentalization, metabolites, compartments} = {}) {
+  static collectReactionMetabolites({reaction, reactionSets, compartmentalization, compartmentsGroups, metabolites, compartments} = {}) {
     // Filter for reaction's relevant participants.
     var participants = Extraction.filterReactionParticipants({
       criteria: {
@@ -734,7 +931,8 @@ class Candidacy {
       var identifier = Candidacy.createCandidateMetaboliteIdentifier({
         metabolite: participant.metabolite,
         compartment: participant.compartment,
-        compartmentalization: compartmentalization
+        compartmentalization: compartmentalization,
+        compartmentsGroups: compartmentsGroups
       });
       // Determine whether collection already includes information about the
       // metabolite.
@@ -745,15 +943,29 @@ class Candidacy {
         // Collection does not include information about the metabolite.
         // Include the metabolite in the collection.
         // Determine whether to represent the metabolite's compartment.
+        // A candidate metabolite represents all compartments in the group of
+        // its participant's compartment.
         if (compartmentalization) {
-          var compartment = participant.compartment;
+          var groupCompartments = Candidacy.determineCompartmentGroup({
+            compartment: participant.compartment,
+            compartmentsGroups: compartmentsGroups
+          });
+          var compartment = Candidacy.createCompartmentGroupIdentifier({
+            compartment: participant.compartment,
+            compartmentsGroups: compartmentsGroups
+          });
         } else {
+          var groupCompartments = null;
           var compartment = null;
         }
         // Access information about metabolite.
         var metaboliteName = metabolites[participant.metabolite].name;
         // Access information about compartment.
-        var compartmentName = compartments[participant.compartment].name;
+        var compartmentName = (groupCompartments || [participant.compartment])
+        .map(function (identifier) {
+          return compartments[identifier].name;
+        })
+        .join(", ");
         // Create name for candidate metabolite.
         var name = Candidacy.createCandidateMetaboliteName({
           metabolite: metaboliteName,
@@ -765,6 +977,7 @@ class Candidacy {
           identifier: identifier,
           metabolite: participant.metabolite,
           compartment: compartment,
+          compartments: groupCompartments,
           name: name
         };
         // Create record.
@@ -783,11 +996,17 @@ class Candidacy {
   * @param {string} parameters.compartment Identifier of a compartment.
   * @param {boolean} parameters.compartmentalization Whether
   * compartmentalization is relevant.
+  * @param {Array<Array<string>>} parameters.compartmentsGroups Groups of
+  * compartments that merge in compartmentalization.
   * @returns {string} Identifier for a candidate metabolite.
   */
-  static createCandidateMetaboliteIdentifier({metabolite, compartment, compartmentalization} = {}) {
+  static createCandidateMetaboliteIdentifier({metabolite, compartment, compartmentalization, compartmentsGroups} = {}) {
     if (compartmentalization) {
-      return (metabolite + "_" + compartment);
+      var group = Candidacy.createCompartmentGroupIdentifier({
+        compartment: compartment,
+        compartmentsGroups: compartmentsGroups
+      });
+      return (metabolite + "_" + group);
     } else {
       return metabolite;
     }
@@ -809,6 +1028,446 @@ class Candidacy {
     }
   }
 
+  // Detection of currency pairs of metabolites.
+
+  /**
+  * Creates criteria for detection of currency pairs of metabolites.
+  * @returns {Object<number>} Minimal count of reactions in which a pair
+  * participates and maximal count of pairs.
+  */
+  static createCurrencyPairsCriteria() {
+    return {
+      minimum: 5,
+      count: 15
+    };
+  }
+  /**
+  * Collects pairs of metabolites that frequently participate together as a
+  * reactant and a product in candidate reactions.
+  * Currency metabolites, such as ATP and ADP or NAD+ and NADH, often
+  * participate together in many reactions.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object<Object>} parameters.candidatesReactions Information about
+  * candidate reactions.
+  * @param {Object<Object>} parameters.reactions Information about reactions.
+  * @param {Object<Object>} parameters.metabolites Information about
+  * metabolites.
+  * @param {number} parameters.minimum Minimal count of reactions in which a
+  * pair participates.
+  * @param {number} parameters.count Maximal count of pairs.
+  * @returns {Array<Object>} Information about pairs of metabolites.
+  */
+  static collectCurrencyPairs({candidatesReactions, reactions, metabolites, minimum, count} = {}) {
+    // Count reactions in which each pair of metabolites participates together.
+    var pairsCounts = Object.keys(candidatesReactions)
+    .reduce(function (collection, identifier) {
+      var participants = reactions[identifier].participants;
+      return Candidacy
+      .collectReactionMetabolitesPairs(participants)
+      .reduce(function (pairsCollection, pair) {
+        var key = pair.join("/");
+        var previousCount = (
+          pairsCollection.hasOwnProperty(key) ? pairsCollection[key].count : 0
+        );
+        var entry = {
+          [key]: {
+            metabolites: pair,
+            count: (previousCount + 1)
+          }
+        };
+        return Object.assign(pairsCollection, entry);
+      }, collection);
+    }, {});
+    // Create records for frequent pairs.
+    var pairs = Object.keys(pairsCounts)
+    .filter(function (key) {
+      return pairsCounts[key].count >= minimum;
+    })
+    .map(function (key) {
+      var pairMetabolites = pairsCounts[key].metabolites;
+      var names = pairMetabolites.map(function (metabolite) {
+        return metabolites[metabolite].name;
+      });
+      return {
+        identifier: key,
+        metabolites: pairMetabolites,
+        name: names.join(" / "),
+        count: pairsCounts[key].count
+      };
+    });
+    // Sort pairs by count.
+    var sortPairs = General.sortArrayRecordsByNumber({
+      order: "descend",
+      records: pairs,
+      key: "count"
+    });
+    return sortPairs.slice(0, count);
+  }
+  /**
+  * Collects pairs of distinct metabolites that participate as a reactant and
+  * a product in a reaction.
+  * @param {Array<Object<string>>} participants Information about metabolites'
+  * participation in a reaction.
+  * @returns {Array<Array<string>>} Pairs of identifiers of metabolites, sorted
+  * within each pair.
+  */
+  static collectReactionMetabolitesPairs(participants) {
+    // Collect identifiers of metabolites that participate as reactants.
+    var reactantsIdentifiers = General.collectUniqueElements(
+      Extraction.collectMetabolitesFilterParticipants({
+        criteria: {roles: ["reactant"]},
+        participants: participants
+      })
+    );
+    // Collect identifiers of metabolites that participate as products.
+    var productsIdentifiers = General.collectUniqueElements(
+      Extraction.collectMetabolitesFilterParticipants({
+        criteria: {roles: ["product"]},
+        participants: participants
+      })
+    );
+    // Combine reactants and products.
+    var pairs = reactantsIdentifiers.reduce(function (collection, reactant) {
+      var reactantPairs = productsIdentifiers
+      .filter(function (product) {
+        return product !== reactant;
+      })
+      .map(function (product) {
+        return General.sortArrayElementsByCharacter([reactant, product]);
+      });
+      return collection.concat(reactantPairs);
+    }, []);
+    // Collect unique pairs.
+    return General.collectUniqueArraysByInclusion(pairs);
+  }
+  /**
+  * Collects identifiers of candidate metabolites that represent the
+  * metabolites of a pair.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Array<string>} parameters.metabolites Identifiers of metabolites.
+  * @param {Object<Object>} parameters.candidatesMetabolites Information about
+  * candidate metabolites.
+  * @returns {Array<string>} Identifiers of candidate metabolites.
+  */
+  static collectPairCandidatesMetabolites({metabolites, candidatesMetabolites} = {}) {
+    return Object.keys(candidatesMetabolites).filter(function (identifier) {
+      var candidate = candidatesMetabolites[identifier];
+      return metabolites.includes(candidate.metabolite);
+    });
+  }
+
+  // Management of history of simplifications.
+
+  /**
+  * Creates initial history of changes to simplifications.
+  * @returns {Object} History of changes to simplifications.
+  */
+  static createInitialSimplificationsHistory() {
+    return {
+      entries: [],
+      position: -1
+    };
+  }
+  /**
+  * Includes a novel change to simplifications in history.
+  * History discards any changes after the current position and retains only
+  * a limited count of the most recent changes.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.name Name of change.
+  * @param {Object<Object>} parameters.previousSimplifications Information
+  * about simplification of entities before the change.
+  * @param {Object<Object>} parameters.novelSimplifications Information about
+  * simplification of entities after the change.
+  * @param {number} parameters.limit Maximal count of entries in history.
+  * @param {Object} parameters.history History of changes to simplifications.
+  * @returns {Object} History of changes to simplifications.
+  */
+  static includeSimplificationsHistoryEntry({name, previousSimplifications, novelSimplifications, limit, history} = {}) {
+    // Determine whether history has any entries.
+    if (history.entries.length > 0) {
+      // Discard entries after the current position.
+      var currentEntries = history.entries.slice(0, history.position + 1);
+    } else {
+      // Include entry for simplifications before any changes.
+      var currentEntries = [
+        Candidacy.createSimplificationsHistoryEntry({
+          name: "initial designations",
+          simplifications: previousSimplifications
+        })
+      ];
+    }
+    // Include entry for novel change.
+    var entry = Candidacy.createSimplificationsHistoryEntry({
+      name: name,
+      simplifications: novelSimplifications
+    });
+    var novelEntries = currentEntries.concat(entry).slice(-1 * limit);
+    // Compile information.
+    return {
+      entries: novelEntries,
+      position: (novelEntries.length - 1)
+    };
+  }
+  /**
+  * Filters history of changes to simplifications to retain only entries
+  * with designations that resolve to current candidate entities.
+  * Identifiers of candidate entities change with groups of compartments and
+  * with redundancy of replicate reactions.
+  * The current position moves to the last entry that remains at or before
+  * the previous position.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.history History of changes to simplifications.
+  * @param {Object<Object>} parameters.candidatesReactions Information about
+  * candidate reactions.
+  * @param {Object<Object>} parameters.candidatesMetabolites Information about
+  * candidate metabolites.
+  * @returns {Object} History of changes to simplifications.
+  */
+  static filterSimplificationsHistory({history, candidatesReactions, candidatesMetabolites} = {}) {
+    // Iterate on entries.
+    var initialCollection = {
+      entries: [],
+      position: -1
+    };
+    return history.entries.reduce(function (collection, entry, index) {
+      // Determine whether designations of entry resolve to candidates.
+      var resolution = (
+        Object.keys(entry.reactionsSimplifications)
+        .every(function (identifier) {
+          return candidatesReactions.hasOwnProperty(identifier);
+        }) &&
+        Object.keys(entry.metabolitesSimplifications)
+        .every(function (identifier) {
+          return candidatesMetabolites.hasOwnProperty(identifier);
+        })
+      );
+      if (resolution) {
+        var entries = collection.entries.concat(entry);
+        return {
+          entries: entries,
+          position: (
+            (index <= history.position) ?
+            (entries.length - 1) : collection.position
+          )
+        };
+      } else {
+        return collection;
+      }
+    }, initialCollection);
+  }
+  /**
+  * Creates an entry for history of changes to simplifications.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.name Name of change.
+  * @param {Object<Object>} parameters.simplifications Information about
+  * simplification of entities.
+  * @returns {Object} Entry for history.
+  */
+  static createSimplificationsHistoryEntry({name, simplifications} = {}) {
+    return {
+      name: name,
+      reactionsSimplifications: simplifications.reactionsSimplifications,
+      metabolitesSimplifications: simplifications.metabolitesSimplifications
+    };
+  }
+  /**
+  * Creates a name for a change to simplification of a single candidate
+  * entity.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.identifier Identifier of a candidate entity.
+  * @param {string} parameters.category Category of entities, metabolites or
+  * reactions.
+  * @param {string} parameters.method Method for simplification, omission or
+  * replication.
+  * @param {Object<Object>} parameters.simplifications Information about
+  * simplification of entities after the change.
+  * @param {Object<Object>} parameters.candidatesReactions Information about
+  * candidate reactions.
+  * @param {Object<Object>} parameters.candidatesMetabolites Information about
+  * candidate metabolites.
+  * @param {Object<Object>} parameters.metabolites Information about
+  * metabolites.
+  * @param {Object} parameters.compartments Information about compartments.
+  * @returns {string} Name of change.
+  */
+  static createSimplificationChangeName({identifier, category, method, simplifications, candidatesReactions, candidatesMetabolites, metabolites, compartments} = {}) {
+    // Determine whether the change designates or restores the entity.
+    var record = simplifications[category + "Simplifications"][identifier];
+    if (record && (record.method === method)) {
+      var action = (method === "omission") ? "omit" : "replicate";
+    } else {
+      var action = "restore";
+    }
+    // Determine name of entity.
+    if (category === "metabolites") {
+      var candidate = candidatesMetabolites[identifier];
+      var name = metabolites[candidate.metabolite].name;
+      if (candidate.compartments) {
+        var compartmentsNames = candidate.compartments
+        .map(function (compartment) {
+          return compartments[compartment].name;
+        });
+        name = (name + " in " + compartmentsNames.join(" + "));
+      }
+    } else {
+      var name = candidatesReactions[identifier].name;
+    }
+    return (action + " " + name);
+  }
+
+  // Management of groups of compartments.
+
+  /**
+  * Determines the compartments in the group of a compartment.
+  * Compartments that do not belong to any group remain distinct.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.compartment Identifier of a compartment.
+  * @param {Array<Array<string>>} parameters.compartmentsGroups Groups of
+  * compartments that merge in compartmentalization.
+  * @returns {Array<string>} Identifiers of compartments in the group.
+  */
+  static determineCompartmentGroup({compartment, compartmentsGroups} = {}) {
+    var group = (compartmentsGroups || []).find(function (groupCompartments) {
+      return groupCompartments.includes(compartment);
+    });
+    if (group) {
+      return group;
+    } else {
+      return [compartment];
+    }
+  }
+  /**
+  * Creates the identifier for the group of a compartment.
+  * Identifiers of groups join identifiers of compartments with a plus sign,
+  * which identifiers of SBML and BiGG do not include.
+  * Identifiers of compartments without groups are those of the compartments.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.compartment Identifier of a compartment.
+  * @param {Array<Array<string>>} parameters.compartmentsGroups Groups of
+  * compartments that merge in compartmentalization.
+  * @returns {string} Identifier for the group of the compartment.
+  */
+  static createCompartmentGroupIdentifier({compartment, compartmentsGroups} = {}) {
+    return Candidacy.determineCompartmentGroup({
+      compartment: compartment,
+      compartmentsGroups: compartmentsGroups
+    }).join("+");
+  }
+  /**
+  * Collects unique identifiers for the groups of compartments.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Array<string>} parameters.compartments Identifiers of compartments.
+  * @param {Array<Array<string>>} parameters.compartmentsGroups Groups of
+  * compartments that merge in compartmentalization.
+  * @returns {Array<string>} Identifiers for the groups of the compartments.
+  */
+  static collectCompartmentsGroupsIdentifiers({compartments, compartmentsGroups} = {}) {
+    var groups = compartments.map(function (compartment) {
+      return Candidacy.createCompartmentGroupIdentifier({
+        compartment: compartment,
+        compartmentsGroups: compartmentsGroups
+      });
+    });
+    return General.collectUniqueElements(groups);
+  }
+  /**
+  * Includes identifiers for the groups of participants' compartments.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Array<Object<string>>} parameters.participants Information about
+  * metabolites' and compartments' participation in a reaction.
+  * @param {Array<Array<string>>} parameters.compartmentsGroups Groups of
+  * compartments that merge in compartmentalization.
+  * @returns {Array<Object<string>>} Shallow copies of participants with
+  * identifiers for the groups of their compartments.
+  */
+  static includeParticipantsCompartmentsGroups({participants, compartmentsGroups} = {}) {
+    return participants.map(function (participant) {
+      var group = Candidacy.createCompartmentGroupIdentifier({
+        compartment: participant.compartment,
+        compartmentsGroups: compartmentsGroups
+      });
+      return Object.assign({}, participant, {group: group});
+    });
+  }
+  /**
+  * Includes a novel group of compartments.
+  * Novel groups absorb any previous groups that share compartments so that
+  * each compartment belongs to a single group.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Array<string>} parameters.compartments Identifiers of compartments
+  * to merge.
+  * @param {Array<Array<string>>} parameters.compartmentsGroups Groups of
+  * compartments that merge in compartmentalization.
+  * @returns {Array<Array<string>>} Groups of compartments.
+  */
+  static includeCompartmentsGroup({compartments, compartmentsGroups} = {}) {
+    // Separate previous groups that share compartments with the novel group.
+    var overlapGroups = compartmentsGroups.filter(function (group) {
+      return group.some(function (compartment) {
+        return compartments.includes(compartment);
+      });
+    });
+    var separateGroups = compartmentsGroups.filter(function (group) {
+      return !overlapGroups.includes(group);
+    });
+    // Merge compartments.
+    var mergeCompartments = overlapGroups.reduce(function (collection, group) {
+      return collection.concat(group);
+    }, compartments);
+    var novelGroup = General.sortArrayElementsByCharacter(
+      General.collectUniqueElements(mergeCompartments)
+    );
+    // A group requires multiple compartments.
+    if (novelGroup.length > 1) {
+      return [].concat(separateGroups, [novelGroup]);
+    } else {
+      return compartmentsGroups;
+    }
+  }
+  /**
+  * Excludes a group of compartments.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.identifier Identifier of a group of
+  * compartments.
+  * @param {Array<Array<string>>} parameters.compartmentsGroups Groups of
+  * compartments that merge in compartmentalization.
+  * @returns {Array<Array<string>>} Groups of compartments.
+  */
+  static excludeCompartmentsGroup({identifier, compartmentsGroups} = {}) {
+    return compartmentsGroups.filter(function (group) {
+      var groupIdentifier = Candidacy.createCompartmentGroupIdentifier({
+        compartment: group[0],
+        compartmentsGroups: compartmentsGroups
+      });
+      return groupIdentifier !== identifier;
+    });
+  }
+  /**
+  * Parses a list of compartments by identifiers or names.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.text List of identifiers or names of
+  * compartments, separated by commas, plus signs, or new lines.
+  * @param {Object} parameters.compartments Information about compartments.
+  * @returns {Array<string>} Identifiers of compartments.
+  */
+  static parseCompartmentsList({text, compartments} = {}) {
+    var terms = text
+    .split(/[,+\n]/)
+    .map(function (term) {
+      return term.trim().toLowerCase();
+    })
+    .filter(function (term) {
+      return term.length > 0;
+    });
+    var identifiers = Object.keys(compartments).filter(function (identifier) {
+      return (
+        terms.includes(identifier.toLowerCase()) ||
+        terms.includes(compartments[identifier].name.toLowerCase())
+      );
+    });
+    return identifiers;
+  }
+
   // Definition of candidate metabolites.
 
   /**
@@ -871,6 +1530,7 @@ class Candidacy {
       identifier: reactionMetabolite.identifier,
       metabolite: reactionMetabolite.metabolite,
       compartment: reactionMetabolite.compartment,
+      compartments: reactionMetabolite.compartments,
       name: reactionMetabolite.name,
       reactions: reactionsIdentifiers
     };
@@ -902,13 +1562,15 @@ class Candidacy {
   * @param {Object<Object>} parameters.reactions Information about reactions.
   * @param {boolean} parameters.compartmentalization Whether
   * compartmentalization is relevant.
+  * @param {Array<Array<string>>} parameters.compartmentsGroups Groups of
+  * compartments that merge in compartmentalization.
   * @param {Object<Object>} parameters.reactionsSimplifications Information
   * about simplification of reactions.
   * @param {Object<Object>} parameters.metabolitesSimplifications Information
   * about simplification of metabolites.
   * @returns {Object<Object>} Information about simplification of entities.
   */
-  static changeSimplifications({identifier, category, method, candidatesReactions, candidatesMetabolites, reactionsSets, reactions, compartmentalization, reactionsSimplifications, metabolitesSimplifications} = {}) {
+  static changeSimplifications({identifier, category, method, candidatesReactions, candidatesMetabolites, reactionsSets, reactions, compartmentalization, compartmentsGroups, reactionsSimplifications, metabolitesSimplifications} = {}) {
     // Filter simplifications to omit those that are implicit and include only
     // those that are explicit.
     var explicitSimplifications = Candidacy.filterExplicitSimplifications({
@@ -933,6 +1595,7 @@ class Candidacy {
       reactionsSets: reactionsSets,
       reactions: reactions,
       compartmentalization: compartmentalization,
+      compartmentsGroups: compartmentsGroups,
       reactionsSimplifications: novelSimplifications.reactionsSimplifications,
       metabolitesSimplifications: novelSimplifications
       .metabolitesSimplifications
@@ -941,6 +1604,144 @@ class Candidacy {
     return completeSimplifications;
   }
   /**
+  * Changes designations of multiple entities for simplification by a single
+  * method.
+  * Designations by the method replace any previous explicit designations of
+  * the entities.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Array<string>} parameters.identifiers Identifiers of candidate
+  * entities.
+  * @param {string} parameters.category Category of entities, metabolites or
+  * reactions.
+  * @param {string} parameters.method Method for simplification, omission or
+  * replication, or null to clear designations.
+  * @param {Object<Object>} parameters.candidatesReactions Information about
+  * candidate reactions.
+  * @param {Object<Object>} parameters.candidatesMetabolites Information about
+  * candidate metabolites.
+  * @param {Object<Object>} parameters.reactionsSets Information about
+  * reactions' metabolites and sets.
+  * @param {Object<Object>} parameters.reactions Information about reactions.
+  * @param {boolean} parameters.compartmentalization Whether
+  * compartmentalization is relevant.
+  * @param {Array<Array<string>>} parameters.compartmentsGroups Groups of
+  * compartments that merge in compartmentalization.
+  * @param {Object<Object>} parameters.reactionsSimplifications Information
+  * about simplification of reactions.
+  * @param {Object<Object>} parameters.metabolitesSimplifications Information
+  * about simplification of metabolites.
+  * @returns {Object<Object>} Information about simplification of entities.
+  */
+  static changeSimplificationsCollection({identifiers, category, method, candidatesReactions, candidatesMetabolites, reactionsSets, reactions, compartmentalization, compartmentsGroups, reactionsSimplifications, metabolitesSimplifications} = {}) {
+    // Filter simplifications to omit those that are implicit and include only
+    // those that are explicit.
+    var explicitSimplifications = Candidacy.filterExplicitSimplifications({
+      metabolitesSimplifications: metabolitesSimplifications,
+      reactionsSimplifications: reactionsSimplifications
+    });
+    // Change information about explicit simplification of entities of the
+    // category.
+    var reference = (category + "Simplifications");
+    var categorySimplifications = identifiers
+    .reduce(function (collection, identifier) {
+      var exclusionSimplifications = Candidacy.excludeSimplification({
+        identifier: identifier,
+        simplifications: collection
+      });
+      if (method) {
+        return Candidacy.includeSimplification({
+          identifier: identifier,
+          method: method,
+          dependency: false,
+          simplifications: exclusionSimplifications
+        });
+      } else {
+        return exclusionSimplifications;
+      }
+    }, explicitSimplifications[reference]);
+    var novelSimplifications = Object.assign({}, explicitSimplifications, {
+      [reference]: categorySimplifications
+    });
+    // Create information about any implicit simplifications for entities and
+    // include with information about explicit simplifications.
+    return Candidacy.createImplicitSimplifications({
+      candidatesReactions: candidatesReactions,
+      candidatesMetabolites: candidatesMetabolites,
+      reactionsSets: reactionsSets,
+      reactions: reactions,
+      compartmentalization: compartmentalization,
+      compartmentsGroups: compartmentsGroups,
+      reactionsSimplifications: novelSimplifications.reactionsSimplifications,
+      metabolitesSimplifications: novelSimplifications
+      .metabolitesSimplifications
+    });
+  }
+  /**
+  * Creates information about simplifications of candidate entities from
+  * records of designations for simplification.
+  * Records of designations for entities that are not current candidates do
+  * not apply.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Array<Object<string>>} parameters.records Information about
+  * designations for simplification, with identifier, type, method, and
+  * dependency.
+  * @param {Object<Object>} parameters.candidatesReactions Information about
+  * candidate reactions.
+  * @param {Object<Object>} parameters.candidatesMetabolites Information about
+  * candidate metabolites.
+  * @returns {Object} Information about simplification of entities and counts
+  * of records that apply and that do not apply.
+  */
+  static createImportSimplifications({records, candidatesReactions, candidatesMetabolites} = {}) {
+    // Initialize collection.
+    var initialCollection = {
+      metabolitesSimplifications: {},
+      reactionsSimplifications: {},
+      applications: 0,
+      skips: 0
+    };
+    // Iterate on records.
+    return records.reduce(function (collection, record) {
+      // Access information.
+      var identifier = (record.identifier || "").trim();
+      var type = (record.type || "").trim();
+      var method = (record.method || "").trim();
+      var dependency = ((record.dependency || "").trim() === "true");
+      // Determine whether record designates a current candidate.
+      if (type === "metabolite") {
+        var candidates = candidatesMetabolites;
+        var simplificationsName = "metabolitesSimplifications";
+      } else if (type === "reaction") {
+        var candidates = candidatesReactions;
+        var simplificationsName = "reactionsSimplifications";
+      }
+      var match = (
+        (candidates !== undefined) &&
+        candidates.hasOwnProperty(identifier) &&
+        ["omission", "replication"].includes(method)
+      );
+      if (match) {
+        // Include designation for the candidate's simplification.
+        var simplifications = Candidacy.includeSimplification({
+          identifier: identifier,
+          method: method,
+          dependency: dependency,
+          simplifications: collection[simplificationsName]
+        });
+        // Compile information.
+        var entry = {
+          [simplificationsName]: simplifications,
+          applications: (collection.applications + 1)
+        };
+        return Object.assign({}, collection, entry);
+      } else {
+        return Object.assign({}, collection, {
+          skips: (collection.skips + 1)
+        });
+      }
+    }, initialCollection);
+  }
+  /**
   * Restores information about simplifications.
   * @param {Object} parameters Destructured object of parameters.
   * @param {Object<Object>} parameters.candidatesReactions Information about
@@ -952,13 +1753,15 @@ class Candidacy {
   * @param {Object<Object>} parameters.reactions Information about reactions.
   * @param {boolean} parameters.compartmentalization Whether
   * compartmentalization is relevant.
+  * @param {Array<Array<string>>} parameters.compartmentsGroups Groups of
+  * compartments that merge in compartmentalization.
   * @param {Object<Object>} parameters.reactionsSimplifications Information
   * about simplification of reactions.
   * @param {Object<Object>} parameters.metabolitesSimplifications Information
   * about simplification of metabolites.
   * @returns {Object<Object>} Information about simplification of entities.
   */
-  static restoreSimplifications({candidatesReactions, candidatesMetabolites, reactionsSets, reactions, compartmentalization, reactionsSimplifications, metabolitesSimplifications} = {}) {
+  static restoreSimplifications({candidatesReactions, candidatesMetabolites, reactionsSets, reactions, compartmentalization, compartmentsGroups, reactionsSimplifications, metabolitesSimplifications} = {}) {
     // Filter information about simplifications to omit those that are implicit
     // and include only those that are explicit.
     var explicitSimplifications = Candidacy.filterExplicitSimplifications({
@@ -973,6 +1776,7 @@ class Candidacy {
       reactionsSets: reactionsSets,
       reactions: reactions,
       compartmentalization: compartmentalization,
+      compartmentsGroups: compartmentsGroups,
       reactionsSimplifications: explicitSimplifications
       .reactionsSimplifications,
       metabolitesSimplifications: explicitSimplifications
@@ -982,11 +1786,205 @@ class Candidacy {
     return completeSimplifications;
   }
   /**
+  * Collects the degrees of candidate metabolites.
+  * A candidate metabolite's degree is the count of candidate reactions in
+  * which it participates, which depends on filters and compartmentalization.
+  * @param {Object<Object>} candidatesMetabolites Information about candidate
+  * metabolites.
+  * @returns {Array<Object>} Information about candidate metabolites' degrees.
+  */
+  static collectCandidatesMetabolitesDegrees(candidatesMetabolites) {
+    return Object.keys(candidatesMetabolites).map(function (identifier) {
+      var candidate = candidatesMetabolites[identifier];
+      return {
+        identifier: identifier,
+        name: candidate.name,
+        degree: candidate.reactions.length
+      };
+    });
+  }
+  /**
+  * Creates a distribution of candidate metabolites' degrees.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object<Object>} parameters.candidatesMetabolites Information about
+  * candidate metabolites.
+  * @param {number} parameters.count Count of bins for degrees.
+  * @returns {Array<Object<number>>} Records with information about bins at
+  * regular, equal intervals and frequencies of degrees within each bin.
+  */
+  static createHubsDegreesDistribution({candidatesMetabolites, count} = {}) {
+    // Collect degrees of candidate metabolites.
+    var degrees = Candidacy
+    .collectCandidatesMetabolitesDegrees(candidatesMetabolites)
+    .map(function (record) {
+      return record.degree;
+    });
+    // Determine whether degrees vary.
+    if (degrees.length === 0) {
+      return [];
+    } else if (
+      General.determineMinimum(degrees) === General.determineMaximum(degrees)
+    ) {
+      // Bins at regular intervals require variation in values.
+      var minimum = General.determineMinimum(degrees);
+      return [{
+        identifier: 1,
+        minimum: minimum,
+        maximum: minimum + 1,
+        frequency: degrees.length
+      }];
+    } else {
+      return General.calculateDistributionIntervalFrequencies({
+        values: degrees,
+        count: count
+      });
+    }
+  }
+  /**
+  * Collects candidate metabolites with degrees greater than a threshold.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object<Object>} parameters.candidatesMetabolites Information about
+  * candidate metabolites.
+  * @param {number} parameters.threshold Threshold for candidate metabolites'
+  * degrees.
+  * @returns {Array<string>} Identifiers of candidate metabolites.
+  */
+  static collectHubsCandidates({candidatesMetabolites, threshold} = {}) {
+    return Candidacy
+    .collectCandidatesMetabolitesDegrees(candidatesMetabolites)
+    .filter(function (record) {
+      return record.degree > threshold;
+    })
+    .map(function (record) {
+      return record.identifier;
+    });
+  }
+  /**
+  * Creates information about simplifications of candidate entities with
+  * designations of all candidate metabolites with degrees greater than a
+  * threshold.
+  * Designations for hubs replace any previous explicit designations of the
+  * same metabolites and preserve all other explicit designations.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {number} parameters.threshold Threshold for candidate metabolites'
+  * degrees.
+  * @param {string} parameters.method Method for simplification, omission or
+  * replication.
+  * @param {Object<Object>} parameters.candidatesReactions Information about
+  * candidate reactions.
+  * @param {Object<Object>} parameters.candidatesMetabolites Information about
+  * candidate metabolites.
+  * @param {Object<Object>} parameters.reactionsSets Information about
+  * reactions' metabolites and sets.
+  * @param {Object<Object>} parameters.reactions Information about reactions.
+  * @param {boolean} parameters.compartmentalization Whether
+  * compartmentalization is relevant.
+  * @param {Array<Array<string>>} parameters.compartmentsGroups Groups of
+  * compartments that merge in compartmentalization.
+  * @param {Object<Object>} parameters.reactionsSimplifications Information
+  * about simplification of reactions.
+  * @param {Object<Object>} parameters.metabolitesSimplifications Information
+  * about simplification of metabolites.
+  * @returns {Object<Object>} Information about simplification of entities.
+  */
+  static createHubsSimplifications({threshold, method, candidatesReactions, candidatesMetabolites, reactionsSets, reactions, compartmentalization, compartmentsGroups, reactionsSimplifications, metabolitesSimplifications} = {}) {
+    // Filter simplifications to omit those that are implicit and include only
+    // those that are explicit.
+    var explicitSimplifications = Candidacy.filterExplicitSimplifications({
+      metabolitesSimplifications: metabolitesSimplifications,
+      reactionsSimplifications: reactionsSimplifications
+    });
+    // Collect hubs.
+    var hubs = Candidacy.collectHubsCandidates({
+      candidatesMetabolites: candidatesMetabolites,
+      threshold: threshold
+    });
+    // Include explicit designations for hubs.
+    var metabolitesHubsSimplifications = hubs.reduce(function (collection, hub) {
+      return Candidacy.includeSimplification({
+        identifier: hub,
+        method: method,
+        dependency: false,
+        simplifications: collection
+      });
+    }, explicitSimplifications.metabolitesSimplifications);
+    // Create information about any implicit simplifications for entities and
+    // include with information about explicit simplifications.
+    var completeSimplifications = Candidacy.createImplicitSimplifications({
+      candidatesReactions: candidatesReactions,
+      candidatesMetabolites: candidatesMetabolites,
+      reactionsSets: reactionsSets,
+      reactions: reactions,
+      compartmentalization: compartmentalization,
+      compartmentsGroups: compartmentsGroups,
+      reactionsSimplifications: explicitSimplifications
+      .reactionsSimplifications,
+      metabolitesSimplifications: metabolitesHubsSimplifications
+    });
+    // Return information.
+    return completeSimplifications;
+  }
+  /**
+  * Creates records of entities for default simplifications from a table of
+  * curation.
+  * @param {Array<Object<string>>} data Information from a table of curation,
+  * either with columns for identifier and name or with columns for
+  * metabolite, compartment, omission, replication, default, and category.
+  * @returns {Array<Object>} Information about entities for which to create
+  * default simplifications.
+  */
+  static createDefaultSimplificationsRecords(data) {
+    // Interpret textual values of logical columns.
+    function interpret(value) {
+      return ["true", "1", "yes"].includes(value.trim().toLowerCase());
+    };
+    // Iterate on table's rows.
+    return data.reduce(function (collection, row) {
+      // Access information.
+      // Tables of curation identify entities in columns for either metabolite
+      // or identifier.
+      var identifier = (row.metabolite || row.identifier || "").trim();
+      var compartment = (row.compartment || "").trim();
+      // Determine method of simplification.
+      // Tables without columns for omission and replication only designate
+      // metabolites for omission.
+      if (row.hasOwnProperty("replication") && interpret(row.replication)) {
+        var method = "replication";
+      } else if (
+        !row.hasOwnProperty("omission") || interpret(row.omission)
+      ) {
+        var method = "omission";
+      } else {
+        var method = null;
+      }
+      // Determine whether the row designates an entity for default
+      // simplification.
+      var designation = (
+        (identifier.length > 0) &&
+        (method !== null) &&
+        (!row.hasOwnProperty("default") || interpret(row.default))
+      );
+      if (designation) {
+        // Create record.
+        var record = {
+          identifier: identifier,
+          compartment: ((compartment.length > 0) ? compartment : "all"),
+          method: method,
+          category: (row.category || "").trim()
+        };
+        // Include record in collection.
+        return collection.concat(record);
+      } else {
+        return collection;
+      }
+    }, []);
+  }
+  /**
   * Determines whether explicit simplifications exist for candidates of all
   * default entities.
   * @param {Object} parameters Destructured object of parameters.
-  * @param {Array<string>} parameters.defaultSimplificationsMetabolites
-  * Identifiers of metabolites for which to create default simplifications.
+  * @param {Array<Object>} parameters.defaultSimplificationsMetabolites
+  * Information about metabolites for which to create default simplifications.
   * @param {Object<Object>} parameters.candidatesMetabolites Information about
   * candidate metabolites.
   * @param {Object<Object>} parameters.metabolitesSimplifications Information
@@ -995,21 +1993,28 @@ class Candidacy {
   * default entities.
   */
   static determineDefaultSimplifications({defaultSimplificationsMetabolites, candidatesMetabolites, metabolitesSimplifications} = {}) {
-    // Collect identifiers of candidates that match entities for default
+    // Collect methods for candidates that match entities for default
     // simplifications.
-    var defaultSimplificationsCandidatesIdentifiers = Candidacy
-    .collectDefaultSimplificationsCandidatesIdentifiers({
+    var defaultSimplificationsCandidatesMethods = Candidacy
+    .collectDefaultSimplificationsCandidatesMethods({
       defaultSimplificationsEntities: defaultSimplificationsMetabolites,
       type: "metabolite",
       candidates: candidatesMetabolites
     });
     // Determine whether explicit simplifications exist for all candidates for
     // default entities.
-    return defaultSimplificationsCandidatesIdentifiers
+    return Object.keys(defaultSimplificationsCandidatesMethods)
     .every(function (identifier) {
       // Determine whether an explicit simplification exists for the candidate.
       if (metabolitesSimplifications.hasOwnProperty(identifier)) {
-        return !metabolitesSimplifications[identifier].dependency;
+        var simplification = metabolitesSimplifications[identifier];
+        return (
+          !simplification.dependency &&
+          (
+            simplification.method ===
+            defaultSimplificationsCandidatesMethods[identifier]
+          )
+        );
       } else {
         return false;
       }
@@ -1019,8 +2024,8 @@ class Candidacy {
   * Creates information about simplifications for default entities and includes
   * with information about simplifications of other entities.
   * @param {Object} parameters Destructured object of parameters.
-  * @param {Array<string>} parameters.defaultSimplificationsMetabolites
-  * Identifiers of metabolites for which to create default simplifications.
+  * @param {Array<Object>} parameters.defaultSimplificationsMetabolites
+  * Information about metabolites for which to create default simplifications.
   * @param {Object<Object>} parameters.candidatesReactions Information about
   * candidate reactions.
   * @param {Object<Object>} parameters.candidatesMetabolites Information about
@@ -1030,13 +2035,15 @@ class Candidacy {
   * @param {Object<Object>} parameters.reactions Information about reactions.
   * @param {boolean} parameters.compartmentalization Whether
   * compartmentalization is relevant.
+  * @param {Array<Array<string>>} parameters.compartmentsGroups Groups of
+  * compartments that merge in compartmentalization.
   * @param {Object<Object>} parameters.reactionsSimplifications Information
   * about simplification of reactions.
   * @param {Object<Object>} parameters.metabolitesSimplifications Information
   * about simplification of metabolites.
   * @returns {Object<Object>} Information about simplification of entities.
   */
-  static createIncludeDefaultSimplifications({defaultSimplificationsMetabolites, candidatesReactions, candidatesMetabolites, reactionsSets, reactions, compartmentalization, reactionsSimplifications, metabolitesSimplifications} = {}) {
+  static createIncludeDefaultSimplifications({defaultSimplificationsMetabolites, candidatesReactions, candidatesMetabolites, reactionsSets, reactions, compartmentalization, compartmentsGroups, reactionsSimplifications, metabolitesSimplifications} = {}) {
     // Filter simplifications to omit those that are implicit and include only
     // those that are explicit.
     var explicitSimplifications = Candidacy.filterExplicitSimplifications({
@@ -1062,6 +2069,7 @@ class Candidacy {
       reactionsSets: reactionsSets,
       reactions: reactions,
       compartmentalization: compartmentalization,
+      compartmentsGroups: compartmentsGroups,
       reactionsSimplifications: novelSimplifications.reactionsSimplifications,
       metabolitesSimplifications: novelSimplifications
       .metabolitesSimplifications
@@ -1073,8 +2081,8 @@ class Candidacy {
   * Creates information about explicit simplifications for default entities and
   * includes with information about explicit simplifications for other entities.
   * @param {Object} parameters Destructured object of parameters.
-  * @param {Array<string>} parameters.defaultSimplificationsMetabolites
-  * Identifiers of metabolites for which to create default simplifications.
+  * @param {Array<Object>} parameters.defaultSimplificationsMetabolites
+  * Information about metabolites for which to create default simplifications.
   * @param {Object<Object>} parameters.candidatesReactions Information about
   * candidate reactions.
   * @param {Object<Object>} parameters.candidatesMetabolites Information about
@@ -1106,8 +2114,8 @@ class Candidacy {
   * specific type and includes with information about explicit simplifications
   * for other entities of that type.
   * @param {Object} parameters Destructured object of parameters.
-  * @param {Array<string>} parameters.defaultSimplificationsEntities
-  * Identifiers of entities for which to create default simplifications.
+  * @param {Array<Object>} parameters.defaultSimplificationsEntities
+  * Information about entities for which to create default simplifications.
   * @param {string} parameters.type Type of entity, metabolite or reaction.
   * @param {Object<Object>} parameters.candidates Information about candidate
   * entities.
@@ -1116,10 +2124,10 @@ class Candidacy {
   * @returns {Object<Object>} Information about simplification of entities.
   */
   static createIncludeTypeDefaultSimplifications({defaultSimplificationsEntities, type, candidates, simplifications} = {}) {
-    // Collect identifiers of candidates that match entities for default
+    // Collect methods for candidates that match entities for default
     // simplifications.
-    var defaultSimplificationsCandidatesIdentifiers = Candidacy
-    .collectDefaultSimplificationsCandidatesIdentifiers({
+    var defaultSimplificationsCandidatesMethods = Candidacy
+    .collectDefaultSimplificationsCandidatesMethods({
       defaultSimplificationsEntities: defaultSimplificationsEntities,
       type: type,
       candidates: candidates
@@ -1127,7 +2135,7 @@ class Candidacy {
     // Create information about novel explicit simplifications for default
     // entities and include with information about other explicit
     // simplifications.
-    return defaultSimplificationsCandidatesIdentifiers
+    return Object.keys(defaultSimplificationsCandidatesMethods)
     .reduce(function (collection, identifier) {
       // Determine whether a simplification exists for the candidate.
       if (collection.hasOwnProperty(identifier)) {
@@ -1136,7 +2144,7 @@ class Candidacy {
         // Create record.
         var record = {
           identifier: identifier,
-          method: "omission",
+          method: defaultSimplificationsCandidatesMethods[identifier],
           dependency: false
         };
         // Create entry.
@@ -1152,8 +2160,8 @@ class Candidacy {
   * Collects identifiers of candidate entities that match entities for default
   * simplifications.
   * @param {Object} parameters Destructured object of parameters.
-  * @param {Array<string>} parameters.defaultSimplificationsEntities
-  * Identifiers of entities for which to create default simplifications.
+  * @param {Array<Object>} parameters.defaultSimplificationsEntities
+  * Information about entities for which to create default simplifications.
   * @param {string} parameters.type Type of entity, metabolite or reaction.
   * @param {Object<Object>} parameters.candidates Information about candidate
   * entities.
@@ -1164,19 +2172,74 @@ class Candidacy {
     // simplification.
     // Determine identifiers of candidates that match these default entities for
     // simplification.
+    var candidatesMethods = Candidacy
+    .collectDefaultSimplificationsCandidatesMethods({
+      defaultSimplificationsEntities: defaultSimplificationsEntities,
+      type: type,
+      candidates: candidates
+    });
+    return Object.keys(candidatesMethods);
+  }
+  /**
+  * Collects methods of default simplifications for candidate entities that
+  * match entities for default simplifications.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Array<Object>} parameters.defaultSimplificationsEntities
+  * Information about entities for which to create default simplifications.
+  * @param {string} parameters.type Type of entity, metabolite or reaction.
+  * @param {Object<Object>} parameters.candidates Information about candidate
+  * entities.
+  * @returns {Object<string>} Methods of simplification, omission or
+  * replication, for candidate entities.
+  */
+  static collectDefaultSimplificationsCandidatesMethods({defaultSimplificationsEntities, type, candidates} = {}) {
+    // Iterate on candidates.
     var candidatesIdentifiers = Object.keys(candidates);
-    return candidatesIdentifiers.filter(function (identifier) {
+    return candidatesIdentifiers.reduce(function (collection, identifier) {
       // Access information.
       var candidate = candidates[identifier];
-      return defaultSimplificationsEntities.includes(candidate[type]);
-    });
+      // Collect default simplifications that match the candidate's entity.
+      // Default simplifications for specific compartments only match
+      // candidates that represent compartmentalization.
+      var matches = defaultSimplificationsEntities.filter(function (record) {
+        return (
+          (record.identifier === candidate[type]) &&
+          (
+            (record.compartment === "all") ||
+            (record.compartment === candidate.compartment) ||
+            (candidate.compartments || []).includes(record.compartment)
+          )
+        );
+      });
+      // Determine whether any default simplifications match the candidate.
+      if (matches.length > 0) {
+        // Prioritize default simplifications for specific compartments over
+        // those for all compartments.
+        var specificMatches = matches.filter(function (record) {
+          return record.compartment !== "all";
+        });
+        if (specificMatches.length > 0) {
+          var match = specificMatches[0];
+        } else {
+          var match = matches[0];
+        }
+        // Create entry.
+        var entry = {
+          [identifier]: match.method
+        };
+        // Include entry in collection.
+        return Object.assign(collection, entry);
+      } else {
+        return collection;
+      }
+    }, {});
   }
   /**
   * Removes information about simplifications for default entities and from
   * information about simplifications of other entities.
   * @param {Object} parameters Destructured object of parameters.
-  * @param {Array<string>} parameters.defaultSimplificationsMetabolites
-  * Identifiers of metabolites for which to create default simplifications.
+  * @param {Array<Object>} parameters.defaultSimplificationsMetabolites
+  * Information about metabolites for which to create default simplifications.
   * @param {Object<Object>} parameters.candidatesReactions Information about
   * candidate reactions.
   * @param {Object<Object>} parameters.candidatesMetabolites Information about
@@ -1186,13 +2249,15 @@ class Candidacy {
   * @param {Object<Object>} parameters.reactions Information about reactions.
   * @param {boolean} parameters.compartmentalization Whether
   * compartmentalization is relevant.
+  * @param {Array<Array<string>>} parameters.compartmentsGroups Groups of
+  * compartments that merge in compartmentalization.
   * @param {Object<Object>} parameters.reactionsSimplifications Information
   * about simplification of reactions.
   * @param {Object<Object>} parameters.metabolitesSimplifications Information
   * about simplification of metabolites.
   * @returns {Object<Object>} Information about simplification of entities.
   */
-  static removeDefaultSimplifications({defaultSimplificationsMetabolites, candidatesReactions, candidatesMetabolites, reactionsSets, reactions, compartmentalization, reactionsSimplifications, metabolitesSimplifications} = {}) {
+  static removeDefaultSimplifications({defaultSimplificationsMetabolites, candidatesReactions, candidatesMetabolites, reactionsSets, reactions, compartmentalization, compartmentsGroups, reactionsSimplifications, metabolitesSimplifications} = {}) {
     // Filter simplifications to omit those that are implicit and include only
     // those that are explicit.
     var explicitSimplifications = Candidacy.filterExplicitSimplifications({
@@ -1218,6 +2283,7 @@ class Candidacy {
       reactionsSets: reactionsSets,
       reactions: reactions,
       compartmentalization: compartmentalization,
+      compartmentsGroups: compartmentsGroups,
       reactionsSimplifications: novelSimplifications.reactionsSimplifications,
       metabolitesSimplifications: novelSimplifications
       .metabolitesSimplifications
@@ -1228,8 +2294,8 @@ class Candidacy {
   /**
   * Removes information about explicit simplifications for default entities.
   * @param {Object} parameters Destructured object of parameters.
-  * @param {Array<string>} parameters.defaultSimplificationsMetabolites
-  * Identifiers of metabolites for which to create default simplifications.
+  * @param {Array<Object>} parameters.defaultSimplificationsMetabolites
+  * Information about metabolites for which to create default simplifications.
   * @param {Object<Object>} parameters.candidatesReactions Information about
   * candidate reactions.
   * @param {Object<Object>} parameters.candidatesMetabolites Information about
@@ -1260,8 +2326,8 @@ class Candidacy {
   * specific type from information about explicit simplifications for other
   * entities of that type.
   * @param {Object} parameters Destructured object of parameters.
-  * @param {Array<string>} parameters.defaultSimplificationsEntities
-  * Identifiers of entities for which to create default simplifications.
+  * @param {Array<Object>} parameters.defaultSimplificationsEntities
+  * Information about entities for which to create default simplifications.
   * @param {string} parameters.type Type of entity, metabolite or reaction.
   * @param {Object<Object>} parameters.candidates Information about candidate
   * entities.
@@ -1477,13 +2543,15 @@ class Candidacy {
   * @param {Object<Object>} parameters.reactions Information about reactions.
   * @param {boolean} parameters.compartmentalization Whether
   * compartmentalization is relevant.
+  * @param {Array<Array<string>>} parameters.compartmentsGroups Groups of
+  * compartments that merge in compartmentalization.
   * @param {Object<Object>} parameters.reactionsSimplifications Information
   * about simplification of reactions.
   * @param {Object<Object>} parameters.metabolitesSimplifications Information
   * about simplification of metabolites.
   * @returns {Object<Object>} Information about simplification of entities.
   */
-  static createImplicitSimplifications({candidatesReactions, candidatesMetabolites, reactionsSets, reactions, compartmentalization, reactionsSimplifications, metabolitesSimplifications} = {}) {
+  static createImplicitSimplifications({candidatesReactions, candidatesMetabolites, reactionsSets, reactions, compartmentalization, compartmentsGroups, reactionsSimplifications, metabolitesSimplifications} = {}) {
     // The default method for implicit simplifications is omission.
     // Collect information about any implicit simplifications for entities and
     // include with information about explicit simplifications.
@@ -1493,6 +2561,7 @@ class Candidacy {
       reactionsSets: reactionsSets,
       reactions: reactions,
       compartmentalization: compartmentalization,
+      compartmentsGroups: compartmentsGroups,
       reactionsSimplifications: reactionsSimplifications,
       metabolitesSimplifications: metabolitesSimplifications
     });
@@ -1523,13 +2592,15 @@ class Candidacy {
   * @param {Object<Object>} parameters.reactions Information about reactions.
   * @param {boolean} parameters.compartmentalization Whether
   * compartmentalization is relevant.
+  * @param {Array<Array<string>>} parameters.compartmentsGroups Groups of
+  * compartments that merge in compartmentalization.
   * @param {Object<Object>} parameters.reactionsSimplifications
   * Information about simplification of reactions.
   * @param {Object<Object>} parameters.metabolitesSimplifications
   * Information about simplification of metabolites.
   * @returns {Object<Object>} Information about simplification of reactions.
   */
-  static collectReactionsImplicitSimplifications({candidatesReactions, reactionsSets, reactions, compartmentalization, reactionsSimplifications, metabolitesSimplifications} = {}) {
+  static collectReactionsImplicitSimplifications({candidatesReactions, reactionsSets, reactions, compartmentalization, compartmentsGroups, reactionsSimplifications, metabolitesSimplifications} = {}) {
     // Collect information about reactions' implicit simplifications and include
     // with information about reactions' explicit simplifications.
     // Iterate on reactions.
@@ -1545,6 +2616,7 @@ class Candidacy {
         reactionsSets: reactionsSets,
         reactions: reactions,
         compartmentalization: compartmentalization,
+        compartmentsGroups: compartmentsGroups,
         metabolitesSimplifications: metabolitesSimplifications,
         reactionsSimplifications: collection
       });
@@ -1561,13 +2633,15 @@ class Candidacy {
   * @param {Object<Object>} parameters.reactions Information about reactions.
   * @param {boolean} parameters.compartmentalization Whether
   * compartmentalization is relevant.
+  * @param {Array<Array<string>>} parameters.compartmentsGroups Groups of
+  * compartments that merge in compartmentalization.
   * @param {Object<Object>} parameters.metabolitesSimplifications
   * Information about simplification of metabolites.
   * @param {Object<Object>} parameters.reactionsSimplifications
   * Information about simplification of reactions.
   * @returns {Object<Object>} Information about simplification of reactions.
   */
-  static collectReactionImplicitSimplification({reactionCandidate, reactionsSets, reactions, compartmentalization, metabolitesSimplifications, reactionsSimplifications} = {}) {
+  static collectReactionImplicitSimplification({reactionCandidate, reactionsSets, reactions, compartmentalization, compartmentsGroups, metabolitesSimplifications, reactionsSimplifications} = {}) {
     // Determine whether the reaction has a designation for simplification.
     if (reactionsSimplifications.hasOwnProperty(reactionCandidate.identifier)) {
       // Reaction has a designation for simplification.
@@ -1585,6 +2659,7 @@ class Candidacy {
         reaction: reaction,
         reactionSets: reactionSets,
         compartmentalization: compartmentalization,
+        compartmentsGroups: compartmentsGroups,
         metabolitesSimplifications: metabolitesSimplifications
       });
       if (simplification) {
@@ -1612,12 +2687,14 @@ class Candidacy {
   * metabolites and sets.
   * @param {boolean} parameters.compartmentalization Whether
   * compartmentalization is relevant.
+  * @param {Array<Array<string>>} parameters.compartmentsGroups Groups of
+  * compartments that merge in compartmentalization.
   * @param {Object<Object>} parameters.metabolitesSimplifications
   * Information about simplification of metabolites.
   * @returns {boolean} Whether the reaction qualifies for simplification by
   * dependency on its metabolites.
   */
-  static determineReactionSimplificationDependency({reaction, reactionSets, compartmentalization, metabolitesSimplifications} = {}) {
+  static determineReactionSimplificationDependency({reaction, reactionSets, compartmentalization, compartmentsGroups, metabolitesSimplifications} = {}) {
     // Determine whether reaction qualifies for simplification by dependency.
     // A reaction's relevance depends on the relevance of its metabolites that
     // participate.
@@ -1642,7 +2719,8 @@ class Candidacy {
       var identifier = Candidacy.createCandidateMetaboliteIdentifier({
         metabolite: participant.metabolite,
         compartment: participant.compartment,
-        compartmentalization: compartmentalization
+        compartmentalization: compartmentalization,
+        compartmentsGroups: compartmentsGroups
       });
       var simplification = metabolitesSimplifications
       .hasOwnProperty(identifier);
@@ -1657,7 +2735,8 @@ class Candidacy {
       conversion: reaction.conversion,
       transport: reaction.transport,
       transports: reaction.transports,
-      compartmentalization: compartmentalization
+      compartmentalization: compartmentalization,
+      compartmentsGroups: compartmentsGroups
     });
   }
   /**
@@ -1785,6 +2864,93 @@ class Candidacy {
     };
   }
   /**
+  * Creates initial selections of candidates' summaries.
+  * @returns {Object<Object>} Selections of candidates' summaries.
+  */
+  static createInitialCandidatesSelections() {
+    return {
+      metabolites: {
+        mode: false,
+        identifiers: []
+      },
+      reactions: {
+        mode: false,
+        identifiers: []
+      }
+    };
+  }
+  /**
+  * Changes whether selection of multiple candidates' summaries is active for
+  * a category.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.category Category of entities, metabolites or
+  * reactions.
+  * @param {Object<Object>} parameters.candidatesSelections Selections of
+  * candidates' summaries.
+  * @returns {Object<Object>} Selections of candidates' summaries.
+  */
+  static changeCandidatesSelectionMode({category, candidatesSelections} = {}) {
+    return Object.assign({}, candidatesSelections, {
+      [category]: {
+        mode: !candidatesSelections[category].mode,
+        identifiers: []
+      }
+    });
+  }
+  /**
+  * Changes whether a single candidate has a selection.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.identifier Identifier of a candidate entity.
+  * @param {string} parameters.category Category of entities, metabolites or
+  * reactions.
+  * @param {Object<Object>} parameters.candidatesSelections Selections of
+  * candidates' summaries.
+  * @returns {Object<Object>} Selections of candidates' summaries.
+  */
+  static changeCandidateSelection({identifier, category, candidatesSelections} = {}) {
+    var identifiers = candidatesSelections[category].identifiers;
+    if (identifiers.includes(identifier)) {
+      var novelIdentifiers = identifiers.filter(function (selection) {
+        return selection !== identifier;
+      });
+    } else {
+      var novelIdentifiers = identifiers.concat(identifier);
+    }
+    return Object.assign({}, candidatesSelections, {
+      [category]: {
+        mode: candidatesSelections[category].mode,
+        identifiers: novelIdentifiers
+      }
+    });
+  }
+  /**
+  * Collects identifiers of candidates for action on multiple summaries.
+  * Action applies to candidates with selections if any exist or otherwise to
+  * all candidates with summaries that pass searches.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.category Category of entities, metabolites or
+  * reactions.
+  * @param {Object<Array<Object>>} parameters.candidatesSummaries Summaries of
+  * candidates' degrees.
+  * @param {Object<Object>} parameters.candidatesSelections Selections of
+  * candidates' summaries.
+  * @returns {Array<string>} Identifiers of candidates.
+  */
+  static collectCandidatesSummariesIdentifiers({category, candidatesSummaries, candidatesSelections} = {}) {
+    var visibleIdentifiers = candidatesSummaries[category]
+    .map(function (summary) {
+      return summary.candidate;
+    });
+    var selection = candidatesSelections[category];
+    if (selection.mode && (selection.identifiers.length > 0)) {
+      return selection.identifiers.filter(function (identifier) {
+        return visibleIdentifiers.includes(identifier);
+      });
+    } else {
+      return visibleIdentifiers;
+    }
+  }
+  /**
   * Creates initial searches to filter candidates' summaries.
   * @returns {Object<string>} Searches to filter candidates' summaries.
   */
@@ -182,7 +182,7 @@ class Cardinality {
   static collectAttributesValues({entityRecord, entitiesCollection} = {}) {
     // Determine attributes in entity's record.
     var attributes = Object.keys(entityRecord).filter(function (key) {
-      return (key === "compartments" || key === "processes");
+      return Attribution.collectSetsAttributes().includes(key);
     });
     // Iterate on attributes.
     return attributes.reduce(function (attributesCollection, attribute) {
@@ -261,6 +261,14 @@ class Cardinality {
       compartments: {
         criterion: "count",
         order: "descend"
+      },
+      balances: {
+        criterion: "count",
+        order: "descend"
+      },
+      directions: {
+        criterion: "count",
+        order: "descend"
       }
     };
   }
@@ -271,7 +279,9 @@ class Cardinality {
   static createInitialSetsSearches() {
     return {
       processes: "",
-      compartments: ""
+      compartments: "",
+      balances: "",
+      directions: ""
     };
   }
   /**
@@ -365,6 +375,10 @@ class Cardinality {
         var reference = compartments;
       } else if (category === "processes") {
         var reference = processes;
+      } else if (category === "balances") {
+        var reference = Balance.createBalancesRecords();
+      } else if (category === "directions") {
+        var reference = Extraction.createDirectionsRecords();
       }
       // Access category's records.
       var records = setsSummaries[category];
@@ -406,6 +420,10 @@ class Cardinality {
         var reference = compartments;
       } else if (category === "processes") {
         var reference = processes;
+      } else if (category === "balances") {
+        var reference = Balance.createBalancesRecords();
+      } else if (category === "directions") {
+        var reference = Extraction.createDirectionsRecords();
       }
       // Determine appropriate value by which to sort records.
       if (setsSorts[category].criterion === "count") {
@@ -51,43 +51,104 @@ class Clean {
       data.metabolites, data.reactions
     );
     var reactions = Clean.checkCleanReactions(
-      data.reactions, metabolites, genes
+      data.reactions, metabolites.metabolites, genes.genes
+    );
+    // Collect issues that checks detect and corrections that cleans apply.
+    var report = [].concat(
+      compartments.issues,
+      genes.issues,
+      metabolites.issues,
+      reactions.issues
     );
     return {
       clean: true,
-      compartments: compartments,
-      genes: genes,
+      compartments: compartments.compartments,
+      genes: genes.genes,
       id: data.id,
-      metabolites: metabolites,
-      reactions: reactions,
+      metabolites: metabolites.metabolites,
+      reactions: reactions.reactions,
+      report: report,
       version: data.version
     };
   }
+  // Report issues.
+  /**
+  * Creates a record of an issue in information about a metabolic model.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.entity Type of entity, compartment, gene,
+  * metabolite, or reaction.
+  * @param {string} parameters.identifier Identifier of the entity.
+  * @param {string} parameters.check Name of the check that detected the
+  * issue.
+  * @param {string} parameters.original Original value.
+  * @param {string} parameters.correction Value after correction, or "none" if
+  * there was not any correction.
+  * @returns {Object<string>} Record of an issue.
+  */
+  static createIssue({entity, identifier, check, original, correction} = {}) {
+    return {
+      entity: entity,
+      identifier: identifier,
+      check: check,
+      original: String(original),
+      correction: String(correction)
+    };
+  }
+  /**
+  * Collects issues from records of checks and cleans.
+  * @param {Array<Object>} records Records of checks and cleans with issues.
+  * @returns {Array<Object<string>>} Records of issues.
+  */
+  static collectIssues(records) {
+    return [].concat(...records.map(function (record) {
+      return record.issues;
+    }));
+  }
+  /**
+  * Creates a reference to identifiers for efficient determination of their
+  * inclusion.
+  * @param {Array<string>} identifiers Identifiers.
+  * @returns {Object<boolean>} Reference to identifiers.
+  */
+  static createIdentifiersReference(identifiers) {
+    return identifiers.reduce(function (collection, identifier) {
+      collection[identifier] = true;
+      return collection;
+    }, {});
+  }
   // Check and clean compartments.
   /**
   * Checks and cleans information about compartments in a metabolic model.
   * @param {Object} compartments Information about all compartments in a
   * metabolic model.
-  * @returns {Object} Information about compartments.
+  * @returns {Object} Information about compartments and issues.
   */
   static checkCleanCompartments(compartments) {
+    var initialCollection = {
+      compartments: {},
+      issues: []
+    };
     return Object.keys(compartments)
     .reduce(function (collection, identifier) {
-      return Object.assign(
-        {},
-        collection,
-        Clean.checkCleanCompartment(
-          identifier, compartments[identifier]
-        )
+      var compartment = Clean.checkCleanCompartment(
+        identifier, compartments[identifier]
       );
-    }, {});
+      return {
+        compartments: Object.assign(collection.compartments, {
+          [identifier]: compartment.name
+        }),
+        issues: collection.issues.concat(compartment.issues)
+      };
+    }, initialCollection);
   }
   /**
   * Checks and cleans information about a single compartment in a metabolic
   * model.
+  * Compartments without names from their model receive names from the
+  * conventions of Recon 2.2.
   * @param {string} identifier Identifier of a single compartment.
   * @param {string} name Name of a single compartment.
-  * @returns {Object} Information about a compartment.
+  * @returns {Object} Name of a compartment and issues.
   */
   static checkCleanCompartment(identifier, name) {
     var newCompartmentNames = {
@@ -102,7 +163,29 @@ class Clean {
       r: "reticulum",
       x: "peroxisome"
     };
-    return {[identifier]: newCompartmentNames[identifier]};
+    // Preserve names of compartments from their model.
+    // Conversions of models designate compartments without names by their
+    // identifiers.
+    if (
+      (!name || (name === identifier)) &&
+      newCompartmentNames.hasOwnProperty(identifier)
+    ) {
+      var newName = newCompartmentNames[identifier];
+      var issues = [Clean.createIssue({
+        entity: "compartment",
+        identifier: identifier,
+        check: "name",
+        original: name,
+        correction: newName
+      })];
+    } else {
+      var newName = name;
+      var issues = [];
+    }
+    return {
+      name: newName,
+      issues: issues
+    };
   }
   // Check and clean genes.
   /**
@@ -111,18 +194,28 @@ class Clean {
   * metabolic model.
   * @param {Array<Object<string>>} reactions Information about all reactions
   * in a metabolic model.
-  * @returns {Array<Object<string>>} Information about genes.
+  * @returns {Object} Information about genes and issues.
   */
   static checkCleanGenes(genes, reactions) {
-    // Collect unique identifiers of all genes that participate in
-    // reactions.
-    var genesFromReactions = General.collectUniqueElements(
+    // Collect identifiers of all genes that participate in reactions.
+    // Cleans of reactions' gene rules correct the same errors as cleans of
+    // genes' identifiers.
+    var genesFromReactions = Clean.createIdentifiersReference(
       Clean.extractGenesFromReactions(reactions)
+      .map(function (identifier) {
+        return Clean.checkCleanGeneIdentifier(identifier);
+      })
     );
     // Check and clean all genes.
-    return genes.map(function (gene) {
+    var records = genes.map(function (gene) {
       return Clean.checkCleanGene(gene, genesFromReactions);
     });
+    return {
+      genes: records.map(function (record) {
+        return record.gene;
+      }),
+      issues: Clean.collectIssues(records)
+    };
   }
   /**
   * Extracts identifiers of genes from reactions.
@@ -156,49 +249,85 @@ class Clean {
     )
     .split(" ")
     .filter(function (element) {
-      return element.includes(":");
+      // Exclude logical operators and empty elements.
+      // Identifiers of genes in some models do not include a colon.
+      return (
+        (element.length > 0) &&
+        (element.toLowerCase() !== "and") &&
+        (element.toLowerCase() !== "or")
+      );
     });
   }
   /**
   * Checks and cleans information about a single gene in a metabolic model.
   * @param {Object<string>} gene Information about a single gene.
-  * @param {Array<string>} genesFromReactions Unique identifiers of all genes
-  * that participate in reactions.
-  * @returns {Object<string>} Information about a gene.
+  * @param {Object<boolean>} genesFromReactions Reference to identifiers of all
+  * genes that participate in reactions.
+  * @returns {Object} Information about a gene and issues.
   */
   static checkCleanGene(gene, genesFromReactions) {
+    var issues = [];
     // Clean gene identifier.
-    var identifier = Clean
-    .checkCleanGeneIdentifier(gene.id, genesFromReactions);
+    var identifier = Clean.checkCleanGeneIdentifier(gene.id);
+    if (identifier !== gene.id) {
+      issues.push(Clean.createIssue({
+        entity: "gene",
+        identifier: identifier,
+        check: "identifier",
+        original: gene.id,
+        correction: identifier
+      }));
+    }
+    // Check gene association to reactions.
+    if (!Clean.checkGeneReactions(identifier, genesFromReactions)) {
+      issues.push(Clean.createIssue({
+        entity: "gene",
+        identifier: identifier,
+        check: "reactions",
+        original: identifier,
+        correction: "none"
+      }));
+    }
     return {
-      id: identifier,
-      name: gene.name
+      gene: {
+        id: identifier,
+        name: gene.name
+      },
+      issues: issues
     };
   }
   /**
   * Checks and cleans the identifier of a gene.
   * @param {string} identifier Identifier of a single gene.
-  * @param {Array<string>} genesFromReactions Unique identifiers of all genes
-  * that participate in reactions.
   * @returns {string} Identifier of a gene.
   */
-  static checkCleanGeneIdentifier(identifier, genesFromReactions) {
+  static checkCleanGeneIdentifier(identifier) {
     // Correct errors in gene identifier.
     if (!identifier.includes("HGNC:HGNC:")) {
-      var newIdentifier = identifier;
+      return identifier;
     } else {
-      var newIdentifier = General
-      .replaceAllString(identifier, "HGNC:HGNC:", "HGNC:");
+      return General.replaceAllString(identifier, "HGNC:HGNC:", "HGNC:");
     }
+  }
+  /**
+  * Checks to ensure that a gene participates in at least one reaction in the
+  * metabolic model.
+  * @param {string} identifier Identifier of a single gene.
+  * @param {Object<boolean>} genesFromReactions Reference to identifiers of all
+  * genes that participate in reactions.
+  * @returns {boolean} Whether or not the gene participates in at least one
+  * reaction.
+  */
+  static checkGeneReactions(identifier, genesFromReactions) {
     // Confirm that gene participates in at least one reaction.
-    if (genesFromReactions.includes(newIdentifier)) {
-      return newIdentifier;
+    if (genesFromReactions.hasOwnProperty(identifier)) {
+      return true;
     } else {
       console.log(
-        "Model Assembly, Check Genes: " + newIdentifier +
+        "Model Assembly, Check Genes: " + identifier +
         " failed reaction check."
       );
-      return newIdentifier;
+      return false;
     }
   }
   // Check and clean metabolites.
@@ -208,12 +337,11 @@ class Clean {
   * metabolites in a metabolic model.
   * @param {Array<Object<string>>} reactions Information about all reactions
   * in a metabolic model.
-  * @returns {Array<Object<string>>} Information about metabolites.
+  * @returns {Object} Information about metabolites and issues.
   */
   static checkCleanMetabolites(metabolites, reactions) {
-    // Collect unique identifiers of all metabolites that participate in
-    // reactions.
-    var metabolitesFromReactions = General.collectUniqueElements(
+    // Collect identifiers of all metabolites that participate in reactions.
+    var metabolitesFromReactions = Clean.createIdentifiersReference(
       Clean.extractMetabolitesFromReactions(reactions)
     );
     // The metabolic model has separate records for compartmental
@@ -227,13 +355,18 @@ class Clean {
     var metaboliteSets = Clean.extractMetaboliteSetAttributes(metabolites);
     // Reproduce records for compartmental metabolites using consensus
     // attributes.
-    var consensusMetabolites = Object.values(metaboliteSets)
-    .reduce(function (collection, metaboliteSet) {
-      return collection.concat(Clean.checkCleanMetabolite(
+    var records = Object.values(metaboliteSets)
+    .map(function (metaboliteSet) {
+      return Clean.checkCleanMetabolite(
         metaboliteSet, metabolitesFromReactions
-      ));
-    }, []);
-    return consensusMetabolites;
+      );
+    });
+    return {
+      metabolites: [].concat(...records.map(function (record) {
+        return record.metabolites;
+      })),
+      issues: Clean.collectIssues(records)
+    };
   }
   /**
   * Extracts identifiers of metabolites from reactions.
@@ -324,9 +457,9 @@ class Clean {
   * metabolic model.
   * @param {Object<string>} metaboliteSet Information about a single general
   * metabolite and all of its compartmental occurrences.
-  * @param {Array<string>} metabolitesFromReactions Unique identifiers of all
-  * metabolites that participate in reactions.
-  * @returns {Object<string>} Information about a metabolite.
+  * @param {Object<boolean>} metabolitesFromReactions Reference to identifiers
+  * of all metabolites that participate in reactions.
+  * @returns {Object} Information about compartmental metabolites and issues.
   */
   static checkCleanMetabolite(metaboliteSet, metabolitesFromReactions) {
     // Identifier.
@@ -335,9 +468,19 @@ class Clean {
     .compartments.map(function (compartment) {
       return metaboliteSet.id + "_" + compartment;
     });
-    identifiers.forEach(function (identifier) {
-      Clean
+    var reactionIssues = identifiers
+    .filter(function (identifier) {
+      return !Clean
       .checkMetaboliteReactions(identifier, metabolitesFromReactions);
+    })
+    .map(function (identifier) {
+      return Clean.createIssue({
+        entity: "metabolite",
+        identifier: identifier,
+        check: "reactions",
+        original: identifier,
+        correction: "none"
+      });
     });
     // Charge.
     var charge = Clean.checkCleanMetaboliteCharge(
@@ -351,8 +494,21 @@ class Clean {
     var name = Clean.checkCleanMetaboliteName(
       metaboliteSet.id, metaboliteSet.names, metaboliteSet.compartments
     );
+    // Report consensus attributes that differ from original attributes.
+    var attributeIssues = [
+      {check: "charge", values: metaboliteSet.charges, consensus: charge},
+      {check: "formula", values: metaboliteSet.formulas, consensus: formula},
+      {check: "name", values: metaboliteSet.names, consensus: name}
+    ].reduce(function (collection, attribute) {
+      return collection.concat(Clean.createConsensusIssues({
+        identifier: metaboliteSet.id,
+        check: attribute.check,
+        values: attribute.values,
+        consensus: attribute.consensus
+      }));
+    }, []);
     // Create records for compartmental metabolites.
-    return metaboliteSet.compartments.map(function (compartment) {
+    var metabolites = metaboliteSet.compartments.map(function (compartment) {
       var identifier = metaboliteSet.id + "_" + compartment;
       return {
         charge: charge,
@@ -362,19 +518,56 @@ class Clean {
         name: name
       };
     });
+    return {
+      metabolites: metabolites,
+      issues: [].concat(reactionIssues, attributeIssues)
+    };
+  }
+  /**
+  * Creates issues for a consensus attribute of a general metabolite that
+  * differs from the attribute's original values.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.identifier Identifier of a single general
+  * metabolite.
+  * @param {string} parameters.check Name of the check.
+  * @param {Array<string>} parameters.values Original values from all
+  * compartmental occurrences of the general metabolite.
+  * @param {string} parameters.consensus Consensus value.
+  * @returns {Array<Object<string>>} Records of issues.
+  */
+  static createConsensusIssues({identifier, check, values, consensus} = {}) {
+    var uniqueValues = General.collectUniqueElements(
+      values.filter(function (value) {
+        return (value !== null) && (value !== undefined) && (value !== "");
+      })
+    );
+    if (
+      (uniqueValues.length > 1) ||
+      ((uniqueValues.length === 1) && (uniqueValues[0] !== consensus))
+    ) {
+      return [Clean.createIssue({
+        entity: "metabolite",
+        identifier: identifier,
+        check: check,
+        original: uniqueValues.join("; "),
+        correction: consensus
+      })];
+    } else {
+      return [];
+    }
   }
   /**
   * Checks to ensure that a metabolite participates in at least one reaction
   * in the metabolic model.
   * @param {string} identifier Identifier of a single metabolite.
-  * @param {Array<string>} metabolitesFromReactions Unique identifiers of all
-  * metabolites that participate in reactions.
+  * @param {Object<boolean>} metabolitesFromReactions Reference to identifiers
+  * of all metabolites that participate in reactions.
   * @returns {boolean} Whether or not the metabolite participates in at least
   * one reaction.
   */
   static checkMetaboliteReactions(identifier, metabolitesFromReactions) {
     // Confirm that metabolite participates in at least one reaction.
-    if (metabolitesFromReactions.includes(identifier)) {
+    if (metabolitesFromReactions.hasOwnProperty(identifier)) {
       return true;
     } else {
       console.log(
@@ -389,16 +582,21 @@ class Clean {
   * @param {string} identifier Identifier of a single general metabolite.
   * @param {Array<number>} charges Charges from all compartmental occurrences
   * of the general metabolite.
-  * @returns {number} Consensus charge for the metabolite.
+  * @returns {number} Consensus charge for the metabolite, or null if charge
+  * is missing.
   */
   static checkCleanMetaboliteCharge(identifier, charges) {
-    // Filter falsy values from charges and collect unique elements.
+    // Filter missing values from charges and collect unique elements.
+    // Charges of zero are specific.
     var uniqueCharges = General
     .collectUniqueElements(charges.filter(function (charge) {
-      return !!charge;
+      return (charge !== null) && (charge !== undefined) && (charge !== "");
     }));
     // Determine consensus charge.
-    if (uniqueCharges.length <= 1) {
+    if (uniqueCharges.length === 0) {
+      // Charge is missing.
+      return null;
+    } else if (uniqueCharges.length === 1) {
       // There is not a discrepancy in the charges.
       return uniqueCharges[0];
     } else {
@@ -558,33 +756,42 @@ class Clean {
   * metabolites in a metabolic model.
   * @param {Array<Object<string>>} genes Information about all genes in a
   * metabolic model.
-  * @returns {Array<Object<string>>} Information about metabolites.
+  * @returns {Object} Information about reactions and issues.
   */
   static checkCleanReactions(reactions, metabolites, genes) {
     // Collect identifiers of all metabolites in the model.
-    var metaboliteIdentifiers = metabolites.map(function (metabolite) {
-      return metabolite.id;
-    });
+    var metaboliteIdentifiers = Clean.createIdentifiersReference(
+      metabolites.map(function (metabolite) {
+        return metabolite.id;
+      })
+    );
     // Collect identifiers of all genes in the model.
-    var geneIdentifiers = genes.map(function (gene) {
-      return gene.id;
-    });
-    var newReactions = reactions.map(function (reaction) {
+    var geneIdentifiers = Clean.createIdentifiersReference(
+      genes.map(function (gene) {
+        return gene.id;
+      })
+    );
+    var records = reactions.map(function (reaction) {
       return Clean.checkCleanReaction(
         reaction, metaboliteIdentifiers, geneIdentifiers
       );
     });
-    return newReactions;
+    return {
+      reactions: records.map(function (record) {
+        return record.reaction;
+      }),
+      issues: Clean.collectIssues(records)
+    };
   }
   /**
   * Checks and cleans information about a single reaction in a metabolic
   * model.
   * @param {Object<string>} reaction Information about a single reaction.
-  * @param {Array<string>} metaboliteIdentifiers Identifiers of all
-  * metabolites in a metabolic model.
-  * @param {Array<string>} geneIdentifiers Identifiers of all genes in a
-  * metabolic model.
-  * @returns {Object<string>} Information about a reaction.
+  * @param {Object<boolean>} metaboliteIdentifiers Reference to identifiers of
+  * all metabolites in a metabolic model.
+  * @param {Object<boolean>} geneIdentifiers Reference to identifiers of all
+  * genes in a metabolic model.
+  * @returns {Object} Information about a reaction and issues.
   */
   static checkCleanReaction(reaction, metaboliteIdentifiers, geneIdentifiers) {
     // Genes.
@@ -607,52 +814,81 @@ class Clean {
     var process = reaction.subsystem;
     // Create record for reaction.
     return {
-      gene_reaction_rule: genes,
-      id: identifier,
-      lower_bound: bounds.lower,
-      metabolites: metabolites,
-      name: name,
-      subsystem: process,
-      upper_bound: bounds.upper
+      reaction: {
+        gene_reaction_rule: genes.rule,
+        id: identifier,
+        lower_bound: bounds.lower,
+        metabolites: metabolites.metabolites,
+        name: name,
+        subsystem: process,
+        upper_bound: bounds.upper
+      },
+      issues: [].concat(genes.issues, bounds.issues, metabolites.issues)
     };
   }
   /**
   * Checks and cleans the gene rule of a reaction.
   * @param {string} identifier Identifier of a single reaction.
   * @param {string} geneRule Requirements of a reaction for genes.
-  * @param {Array<string>} geneIdentifiers Identifiers of all genes in a
-  * metabolic model.
-  * @returns {string} Gene rule for the reaction.
+  * @param {Object<boolean>} geneIdentifiers Reference to identifiers of all
+  * genes in a metabolic model.
+  * @returns {Object} Gene rule for the reaction and issues.
   */
   static checkCleanReactionGenes(identifier, geneRule, geneIdentifiers) {
+    var issues = [];
     // Correct errors in gene rule.
     if (!geneRule.includes("HGNC:HGNC:")) {
       var newGeneRule = geneRule;
     } else {
       var newGeneRule = General
       .replaceAllString(geneRule, "HGNC:HGNC:", "HGNC:");
+      issues.push(Clean.createIssue({
+        entity: "reaction",
+        identifier: identifier,
+        check: "genes",
+        original: geneRule,
+        correction: newGeneRule
+      }));
     }
-    // Extract gene identifiers from gene rule.
-    var genes = Clean.extractGenesFromRule(newGeneRule);
-    // Confirm that gene participates in at least one reaction.
-    if (genes.every(function (gene) {
-      return geneIdentifiers.includes(gene);
-    })) {
-      return newGeneRule;
-    } else {
+    // Confirm that genes from gene rule have records.
+    if (!Clean.determineReactionGenesValidity(newGeneRule, geneIdentifiers)) {
       console.log(
         "Model Assembly, Check Reactions: " + identifier +
         " failed genes check."
       );
-      return newGeneRule;
+      issues.push(Clean.createIssue({
+        entity: "reaction",
+        identifier: identifier,
+        check: "genes",
+        original: newGeneRule,
+        correction: "none"
+      }));
     }
+    return {
+      rule: newGeneRule,
+      issues: issues
+    };
+  }
+  /**
+  * Determines whether all genes from a reaction's gene rule have records.
+  * @param {string} geneRule Requirements of a reaction for genes.
+  * @param {Object<boolean>} geneIdentifiers Reference to identifiers of all
+  * genes in a metabolic model.
+  * @returns {boolean} Whether all genes have records.
+  */
+  static determineReactionGenesValidity(geneRule, geneIdentifiers) {
+    // Extract gene identifiers from gene rule.
+    var genes = Clean.extractGenesFromRule(geneRule);
+    return genes.every(function (gene) {
+      return geneIdentifiers.hasOwnProperty(gene);
+    });
   }
   /**
   * Checks and cleans the lower and upper boundaries of a reaction.
   * @param {string} identifier Identifier of a single reaction.
   * @param {number} lowBound Lower boundary of reaction.
   * @param {number} upBound Upper boundary of reaction.
-  * @returns {Object<number>} Boundaries for the reaction.
+  * @returns {Object} Boundaries for the reaction and issues.
   */
   static checkCleanReactionBounds(identifier, lowBound, upBound) {
     // The lower and upper bounds of the reaction indicate the
@@ -664,31 +900,84 @@ class Clean {
     // simultaneously.
     // That situation might imply that the reaction proceeds in neither
     // direction.
-    if ((lowBound <= 0) && (upBound > 0)) {
-      return {
-        lower: lowBound,
-        upper: upBound
-      };
+    if (Clean.determineReactionBoundsValidity(lowBound, upBound)) {
+      var issues = [];
     } else {
       console.log(
         "Model Assembly, Check Reactions: " + identifier +
         " failed bounds check."
       );
-      return {
-        lower: lowBound,
-        upper: upBound
-      };
+      var issues = [Clean.createIssue({
+        entity: "reaction",
+        identifier: identifier,
+        check: "bounds",
+        original: (lowBound + ", " + upBound),
+        correction: "none"
+      })];
     }
+    return {
+      lower: lowBound,
+      upper: upBound,
+      issues: issues
+    };
+  }
+  /**
+  * Determines whether the lower and upper boundaries of a reaction are valid.
+  * Valid boundaries allow flux in at least one direction, either forward or
+  * backward.
+  * @param {number} lowBound Lower boundary of reaction.
+  * @param {number} upBound Upper boundary of reaction.
+  * @returns {boolean} Whether the boundaries are valid.
+  */
+  static determineReactionBoundsValidity(lowBound, upBound) {
+    return ((lowBound <= upBound) && ((lowBound < 0) || (upBound > 0)));
   }
   /**
   * Checks and cleans the metabolites of a reaction.
   * @param {string} identifier Identifier of a single reaction.
   * @param {Object<number>} metabolites Metabolites of a reaction.
-  * @param {Array<string>} metaboliteIdentifiers Identifiers of all
-  * metabolites in a metabolic model.
-  * @returns {Object<number>} Metabolites of the reaction.
+  * @param {Object<boolean>} metaboliteIdentifiers Reference to identifiers of
+  * all metabolites in a metabolic model.
+  * @returns {Object} Metabolites of the reaction and issues.
   */
   static checkCleanReactionMetabolites(identifier, metabolites, metaboliteIdentifiers) {
+    // Confirm that metabolites participate in the reaction.
+    if (
+      Clean.determineReactionMetabolitesValidity(
+        metabolites, metaboliteIdentifiers
+      )
+    ) {
+      var issues = [];
+    } else {
+      console.log(
+        "Model Assembly, Check Reactions: " + identifier +
+        " failed metabolites check."
+      );
+      var metabolitesReaction = (metabolites ? metabolites : {});
+      var issues = [Clean.createIssue({
+        entity: "reaction",
+        identifier: identifier,
+        check: "metabolites",
+        original: Object.keys(metabolitesReaction)
+        .map(function (metabolite) {
+          return metabolite + ": " + metabolitesReaction[metabolite];
+        }).join("; "),
+        correction: "none"
+      })];
+    }
+    return {
+      metabolites: Object.assign({}, metabolites),
+      issues: issues
+    };
+  }
+  /**
+  * Determines whether the metabolites of a reaction are valid.
+  * @param {Object<number>} metabolites Metabolites of a reaction.
+  * @param {Object<boolean>} metaboliteIdentifiers Reference to identifiers of
+  * all metabolites in a metabolic model.
+  * @returns {boolean} Whether the metabolites are valid.
+  */
+  static determineReactionMetabolitesValidity(metabolites, metaboliteIdentifiers) {
     // Confirm that metabolites participate in the reaction.
     if ((metabolites) && (Object.keys(metabolites).length > 0)) {
       // Extract metabolite identifiers and role indicators from reaction.
@@ -698,28 +987,16 @@ class Clean {
       // either a reactant or a product in the reaction.
       var record = reactionMetaboliteIdentifiers
       .every(function (metaboliteIdentifier) {
-        return metaboliteIdentifiers.includes(metaboliteIdentifier);
+        return metaboliteIdentifiers.hasOwnProperty(metaboliteIdentifier);
       });
       // The role indicator is not only an integer of -1 or 1.
       // It is sometimes a float of < 0 or > 0.
       var role = reactionMetaboliteRoles.every(function (roleValue) {
         return (roleValue < 0) || (roleValue > 0);
       });
-      if (record && role) {
-        return Object.assign({}, metabolites);
-      } else {
-        console.log(
-          "Model Assembly, Check Reactions: " + identifier +
-          " failed metabolites check."
-        );
-        return Object.assign({}, metabolites);
-      }
+      return record && role;
     } else {
-      console.log(
-        "Model Assembly, Check Reactions: " + identifier +
-        " failed metabolites check."
-      );
-      return Object.assign({}, metabolites);
+      return false;
     }
   }
 }
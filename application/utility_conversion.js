@@ -0,0 +1,915 @@
+/*
+Profondeur supports visual exploration and analysis of metabolic networks.
+Copyright (C) 2017 Thomas Cameron Waller
+
+This program is free software: you can redistribute it and/or modify it under
+the terms of the GNU General Public License as published by the Free Software
+Foundation, either version 3 of the License, or (at your option) any later
+version.
+
+This program is distributed in the hope that it will be useful, but WITHOUT ANY
+WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+PARTICULAR PURPOSE.
+See the GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License along with
+this program.
+If not, see <http://www.gnu.org/licenses/>.
+
+This file is part of project Profondeur.
+Project repository's address: https://github.com/tcameronwaller/profondeur/
+Author's electronic address: tcameronwaller@gmail.com
+Author's physical address:
+T Cameron Waller
+Scientific Computing and Imaging Institute
+University of Utah
+72 South Central Campus Drive Room 3750
+Salt Lake City, Utah 84112
+United States of America
+*/
+
+
+/**
+* Functionality of utility for converting information about metabolic models
+* from formats of systems biology to the format that the procedures for
+* checking, cleaning, and extracting information accept.
+* This class stores methods for external utility.
+* This class does not store any attributes and does not require instantiation.
+*/
+class Conversion {
+
+  // Master control of conversion procedure.
+
+  /**
+  * Determines the format of information about a metabolic model.
+  * @param {Object} data Information about a metabolic model.
+  * @returns {string} Format of information, "sbml" for a document in Systems
+  * Biology Markup Language, "cobra" for a conversion from SBML to JSON formats
+  * by COBRApy, or "metabolism" for information about metabolic entities and
+  * sets from a previous extraction.
+  */
+  static determineModelFormat(data) {
+    if (!data) {
+      // Information is missing, perhaps due to an error in load.
+      return "none";
+    } else if (data.documentElement) {
+      return "sbml";
+    } else if (Array.isArray(data.reactions)) {
+      return "cobra";
+    } else {
+      return "metabolism";
+    }
+  }
+  /**
+  * Determines whether information about a metabolic model is valid for
+  * conversion.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.data Information about a metabolic model.
+  * @param {string} parameters.format Format of information.
+  * @returns {boolean} Whether the information is valid.
+  */
+  static determineModelValidity({data, format} = {}) {
+    if (format === "sbml") {
+      return Conversion.determineSBMLModel(data);
+    } else if (format === "cobra") {
+      return (
+        Array.isArray(data.metabolites) && Array.isArray(data.reactions)
+      );
+    } else if (format === "metabolism") {
+      return (
+        data.hasOwnProperty("compartments") &&
+        data.hasOwnProperty("processes") &&
+        data.hasOwnProperty("metabolites") &&
+        data.hasOwnProperty("reactions")
+      );
+    } else {
+      return false;
+    }
+  }
+  /**
+  * Converts, checks, cleans, and extracts information about metabolic
+  * entities and sets from a metabolic model.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.data Information about a metabolic model.
+  * @param {string} parameters.format Format of information.
+  * @returns {Object} Information about metabolic entities and sets.
+  */
+  static convertCleanExtractModel({data, format} = {}) {
+    if (format === "metabolism") {
+      // Information is already in the appropriate format.
+      return data;
+    } else {
+      if (format === "sbml") {
+        var model = Conversion.convertSBMLModel(data);
+      } else if (format === "cobra") {
+        var model = Conversion.convertCOBRAModel(data);
+      }
+      var cleanModel = Clean.checkCleanMetabolicEntitiesSetsRecon2(model);
+      var metabolism = Extraction.extractMetabolicEntitiesSetsRecon2(
+        cleanModel
+      );
+      // Include report of issues from checks and cleans.
+      return Object.assign(metabolism, {
+        report: cleanModel.report
+      });
+    }
+  }
+  /**
+  * Converts information about a metabolic model from a conversion from SBML to
+  * JSON formats by COBRApy.
+  * Models from different sources follow different conventions for the
+  * identifiers of compartmental metabolites.
+  * The conversion uses the explicit compartment of each metabolite and
+  * creates identifiers that follow a single convention.
+  * @param {Object} data Information about a metabolic model from systems
+  * biology, conversion from SBML to JSON formats by COBRApy.
+  * @returns {Object} Information about a metabolic model from systems biology.
+  */
+  static convertCOBRAModel(data) {
+    // Convert identifiers of compartmental metabolites.
+    var identifiers = data.metabolites
+    .reduce(function (collection, metabolite) {
+      var entry = {
+        [metabolite.id]: Conversion.createCompartmentalMetaboliteIdentifier({
+          identifier: metabolite.id,
+          compartment: metabolite.compartment
+        })
+      };
+      return Object.assign(collection, entry);
+    }, {});
+    // Convert information about compartments.
+    // Include any compartments of metabolites that lack explicit definition.
+    var metabolitesCompartments = data.metabolites
+    .reduce(function (collection, metabolite) {
+      var entry = {
+        [metabolite.compartment]: metabolite.compartment
+      };
+      return Object.assign(collection, entry);
+    }, {});
+    var compartments = Object.assign(
+      metabolitesCompartments, (data.compartments ? data.compartments : {})
+    );
+    // Convert information about metabolites.
+    var metabolites = data.metabolites.map(function (metabolite) {
+      return {
+        charge: (
+          (typeof metabolite.charge === "number") ? metabolite.charge : null
+        ),
+        compartment: metabolite.compartment,
+        formula: (metabolite.formula ? metabolite.formula : ""),
+        id: identifiers[metabolite.id],
+        name: (metabolite.name ? metabolite.name : metabolite.id)
+      };
+    });
+    // Convert information about reactions.
+    var reactions = data.reactions.map(function (reaction) {
+      return Conversion.convertCOBRAReaction({
+        reaction: reaction,
+        identifiers: identifiers
+      });
+    });
+    // Compile information.
+    var model = {
+      compartments: compartments,
+      genes: (data.genes ? data.genes : []),
+      id: data.id,
+      metabolites: metabolites,
+      reactions: reactions,
+      version: data.version
+    };
+    // Return information.
+    return model;
+  }
+  /**
+  * Converts information about a single reaction from a conversion from SBML to
+  * JSON formats by COBRApy.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.reaction Information about a reaction.
+  * @param {Object<string>} parameters.identifiers Novel identifiers of
+  * compartmental metabolites.
+  * @returns {Object} Information about a reaction.
+  */
+  static convertCOBRAReaction({reaction, identifiers} = {}) {
+    // Convert identifiers of metabolites.
+    var metabolites = Object.keys(reaction.metabolites)
+    .reduce(function (collection, identifier) {
+      // Preserve identifiers of any metabolites that lack records so that
+      // checks report them.
+      var metabolite = (
+        identifiers[identifier] ? identifiers[identifier] : identifier
+      );
+      var entry = {
+        [metabolite]: reaction.metabolites[identifier]
+      };
+      return Object.assign(collection, entry);
+    }, {});
+    // Determine reaction's process.
+    // Some models include multiple subsystems for each reaction.
+    if (Array.isArray(reaction.subsystem)) {
+      var subsystem = (
+        (reaction.subsystem.length > 0) ? reaction.subsystem[0] : ""
+      );
+    } else {
+      var subsystem = (reaction.subsystem ? reaction.subsystem : "");
+    }
+    // Determine reaction's boundaries.
+    var lowBound = (
+      reaction.hasOwnProperty("lower_bound") ? reaction.lower_bound : -1000
+    );
+    var upBound = (
+      reaction.hasOwnProperty("upper_bound") ? reaction.upper_bound : 1000
+    );
+    // Compile information.
+    return {
+      gene_reaction_rule: (
+        reaction.gene_reaction_rule ? reaction.gene_reaction_rule : ""
+      ),
+      id: reaction.id,
+      lower_bound: lowBound,
+      metabolites: metabolites,
+      name: (reaction.name ? reaction.name : reaction.id),
+      subsystem: subsystem,
+      upper_bound: upBound
+    };
+  }
+  /**
+  * Creates the identifier of a compartmental metabolite from the identifier of
+  * a metabolite in a model and the identifier of its compartment.
+  * Procedures to check, clean, and extract information about metabolites
+  * expect that the identifier of a compartmental metabolite includes the
+  * identifier of its compartment after the last underscore.
+  * Models from different sources designate compartments in identifiers of
+  * metabolites by suffixes with underscores, such as "glc__D_c", by suffixes
+  * with brackets, such as "glc_D[c]", by suffixes without delimiters, such as
+  * "MAM01965c", or not at all.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.identifier Identifier of a metabolite in a
+  * model.
+  * @param {string} parameters.compartment Identifier of the metabolite's
+  * compartment.
+  * @returns {string} Identifier of a compartmental metabolite.
+  */
+  static createCompartmentalMetaboliteIdentifier({identifier, compartment} = {}) {
+    // Determine the identifier of the general metabolite.
+    var suffixes = [
+      ("_" + compartment),
+      ("[" + compartment + "]"),
+      ("(" + compartment + ")")
+    ];
+    var suffix = suffixes.find(function (suffix) {
+      return identifier.endsWith(suffix);
+    });
+    if (suffix) {
+      var metabolite = identifier
+      .substring(0, identifier.length - suffix.length);
+    } else if (
+      identifier.endsWith(compartment) &&
+      /[0-9]$/.test(
+        identifier.substring(0, identifier.length - compartment.length)
+      )
+    ) {
+      // Suffix without delimiter follows a numeric identifier.
+      var metabolite = identifier
+      .substring(0, identifier.length - compartment.length);
+    } else {
+      var metabolite = identifier;
+    }
+    return metabolite + "_" + compartment;
+  }
+
+  /**
+  * Determines whether a document includes a metabolic model in Systems Biology
+  * Markup Language (SBML).
+  * @param {Object} sbml Document object model of a file in SBML.
+  * @returns {boolean} Whether the document includes a metabolic model.
+  */
+  static determineSBMLModel(sbml) {
+    // Determine whether the parser reported any errors.
+    var errors = Conversion.collectDocumentElements({
+      name: "parsererror",
+      element: sbml
+    });
+    // Determine whether the document includes a model.
+    var models = Conversion.collectDocumentElements({
+      name: "model",
+      element: sbml
+    });
+    return ((errors.length === 0) && (models.length > 0));
+  }
+  /**
+  * Converts information about a metabolic model from Systems Biology Markup
+  * Language (SBML) Level 3 with package for Flux Balance Constraints (FBC)
+  * Version 2.
+  * The conversion mimics the conversion from SBML to JSON formats by COBRApy.
+  * @param {Object} sbml Document object model of a file in SBML.
+  * @returns {Object} Information about a metabolic model from systems biology.
+  */
+  static convertSBMLModel(sbml) {
+    // Access the model.
+    var model = Conversion.collectDocumentElements({
+      name: "model",
+      element: sbml
+    })[0];
+    // Convert information about sets.
+    var compartments = Conversion.createCompartments(model);
+    // Convert information about entities.
+    var parameters = Conversion.createParametersValues(model);
+    var genes = Conversion.createGenes(model);
+    var species = Conversion.createSpeciesIdentifiers(model);
+    var metabolites = Conversion.createMetabolites({
+      model: model,
+      species: species
+    });
+    var subsystems = Conversion.collectReactionsSubsystems(model);
+    var reactions = Conversion.createReactions({
+      model: model,
+      parameters: parameters,
+      species: species,
+      subsystems: subsystems
+    });
+    // Compile information.
+    var data = {
+      compartments: compartments,
+      genes: genes,
+      id: Conversion.accessElementAttribute({
+        name: "id",
+        element: model
+      }),
+      metabolites: metabolites,
+      reactions: reactions,
+      version: Conversion.accessElementAttribute({
+        name: "version",
+        element: sbml.documentElement
+      })
+    };
+    // Return information.
+    return data;
+  }
+
+  // Access elements and attributes.
+
+  /**
+  * Collects elements with a specific local name from within an element of a
+  * document, regardless of the elements' name spaces.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.name Local name of elements.
+  * @param {Object} parameters.element Reference to element or document.
+  * @returns {Array<Object>} References to elements.
+  */
+  static collectDocumentElements({name, element} = {}) {
+    return Array.from(element.getElementsByTagNameNS("*", name));
+  }
+  /**
+  * Collects children elements with a specific local name, regardless of the
+  * elements' name spaces.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.name Local name of elements.
+  * @param {Object} parameters.element Reference to parent element.
+  * @returns {Array<Object>} References to elements.
+  */
+  static collectChildrenElements({name, element} = {}) {
+    return Array.from(element.children).filter(function (child) {
+      return child.localName === name;
+    });
+  }
+  /**
+  * Accesses the value of an element's attribute with a specific local name,
+  * regardless of the attribute's name space.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.name Local name of attribute.
+  * @param {Object} parameters.element Reference to element.
+  * @returns {string} Value of attribute.
+  */
+  static accessElementAttribute({name, element} = {}) {
+    var attribute = Array.from(element.attributes).find(function (attribute) {
+      return attribute.localName === name;
+    });
+    if (attribute) {
+      return attribute.value;
+    } else {
+      return "";
+    }
+  }
+  /**
+  * Removes a prefix from an identifier.
+  * SBML identifiers from COBRApy usually include prefixes that denote the
+  * type of entity, such as "M_" for metabolites, "R_" for reactions, and "G_"
+  * for genes.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.prefix Prefix to remove.
+  * @param {string} parameters.identifier Identifier of an entity.
+  * @returns {string} Identifier of an entity.
+  */
+  static removeIdentifierPrefix({prefix, identifier} = {}) {
+    if (identifier.startsWith(prefix)) {
+      return identifier.substring(prefix.length);
+    } else {
+      return identifier;
+    }
+  }
+
+  // Convert compartments.
+
+  /**
+  * Creates information about all compartments in a metabolic model.
+  * @param {Object} model Reference to element for a model in SBML.
+  * @returns {Object<string>} Identifiers and names of compartments.
+  */
+  static createCompartments(model) {
+    var compartments = Conversion.collectDocumentElements({
+      name: "compartment",
+      element: model
+    });
+    return compartments.reduce(function (collection, compartment) {
+      var identifier = Conversion.accessElementAttribute({
+        name: "id",
+        element: compartment
+      });
+      var name = Conversion.accessElementAttribute({
+        name: "name",
+        element: compartment
+      });
+      var entry = {
+        [identifier]: (name ? name : identifier)
+      };
+      return Object.assign(collection, entry);
+    }, {});
+  }
+
+  // Convert parameters.
+
+  /**
+  * Creates values of all parameters in a metabolic model.
+  * Parameters define the lower and upper boundaries of reactions.
+  * @param {Object} model Reference to element for a model in SBML.
+  * @returns {Object<number>} Identifiers and values of parameters.
+  */
+  static createParametersValues(model) {
+    var parameters = Conversion.collectDocumentElements({
+      name: "parameter",
+      element: model
+    });
+    return parameters.reduce(function (collection, parameter) {
+      var identifier = Conversion.accessElementAttribute({
+        name: "id",
+        element: parameter
+      });
+      var value = Number(Conversion.accessElementAttribute({
+        name: "value",
+        element: parameter
+      }));
+      var entry = {
+        [identifier]: value
+      };
+      return Object.assign(collection, entry);
+    }, {});
+  }
+
+  // Convert genes.
+
+  /**
+  * Creates information about all genes in a metabolic model.
+  * @param {Object} model Reference to element for a model in SBML.
+  * @returns {Array<Object<string>>} Identifiers and names of genes.
+  */
+  static createGenes(model) {
+    var geneProducts = Conversion.collectDocumentElements({
+      name: "geneProduct",
+      element: model
+    });
+    return geneProducts.map(function (geneProduct) {
+      var identifier = Conversion.convertGeneIdentifier(
+        Conversion.accessElementAttribute({
+          name: "id",
+          element: geneProduct
+        })
+      );
+      var name = Conversion.accessElementAttribute({
+        name: "name",
+        element: geneProduct
+      });
+      var label = Conversion.accessElementAttribute({
+        name: "label",
+        element: geneProduct
+      });
+      return {
+        id: identifier,
+        name: (name ? name : label)
+      };
+    });
+  }
+  /**
+  * Converts the identifier of a gene.
+  * @param {string} identifier Identifier of a gene product in SBML.
+  * @returns {string} Identifier of a gene.
+  */
+  static convertGeneIdentifier(identifier) {
+    return Conversion.removeIdentifierPrefix({
+      prefix: "G_",
+      identifier: identifier
+    });
+  }
+
+  // Convert metabolites.
+
+  /**
+  * Creates identifiers of compartmental metabolites for all species in a
+  * metabolic model.
+  * @param {Object} model Reference to element for a model in SBML.
+  * @returns {Object<string>} Identifiers of compartmental metabolites for
+  * identifiers of species.
+  */
+  static createSpeciesIdentifiers(model) {
+    var species = Conversion.collectDocumentElements({
+      name: "species",
+      element: model
+    });
+    return species.reduce(function (collection, element) {
+      var identifier = Conversion.accessElementAttribute({
+        name: "id",
+        element: element
+      });
+      var compartment = Conversion.accessElementAttribute({
+        name: "compartment",
+        element: element
+      });
+      var entry = {
+        [identifier]: Conversion.convertMetaboliteIdentifier({
+          identifier: identifier,
+          compartment: compartment
+        })
+      };
+      return Object.assign(collection, entry);
+    }, {});
+  }
+  /**
+  * Converts the identifier of a species to the identifier of a compartmental
+  * metabolite.
+  * Procedures to check, clean, and extract information about metabolites
+  * expect that the identifier of a compartmental metabolite includes the
+  * identifier of its compartment after the last underscore.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.identifier Identifier of a species in SBML.
+  * @param {string} parameters.compartment Identifier of the species'
+  * compartment.
+  * @returns {string} Identifier of a compartmental metabolite.
+  */
+  static convertMetaboliteIdentifier({identifier, compartment} = {}) {
+    var novelIdentifier = Conversion.removeIdentifierPrefix({
+      prefix: "M_",
+      identifier: identifier
+    });
+    return Conversion.createCompartmentalMetaboliteIdentifier({
+      identifier: novelIdentifier,
+      compartment: compartment
+    });
+  }
+  /**
+  * Creates information about all compartmental metabolites in a metabolic
+  * model.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.model Reference to element for a model in SBML.
+  * @param {Object<string>} parameters.species Identifiers of compartmental
+  * metabolites for identifiers of species.
+  * @returns {Array<Object>} Information about compartmental metabolites.
+  */
+  static createMetabolites({model, species} = {}) {
+    var elements = Conversion.collectDocumentElements({
+      name: "species",
+      element: model
+    });
+    return elements.map(function (element) {
+      var identifier = Conversion.accessElementAttribute({
+        name: "id",
+        element: element
+      });
+      var charge = Conversion.accessElementAttribute({
+        name: "charge",
+        element: element
+      });
+      return {
+        charge: (charge ? Number(charge) : null),
+        compartment: Conversion.accessElementAttribute({
+          name: "compartment",
+          element: element
+        }),
+        formula: Conversion.accessElementAttribute({
+          name: "chemicalFormula",
+          element: element
+        }),
+        id: species[identifier],
+        name: Conversion.accessElementAttribute({
+          name: "name",
+          element: element
+        })
+      };
+    });
+  }
+
+  // Convert reactions.
+
+  /**
+  * Collects names of the subsystems or processes in which reactions
+  * participate.
+  * Models from COBRApy represent subsystems as groups from the package for
+  * Groups.
+  * @param {Object} model Reference to element for a model in SBML.
+  * @returns {Object<string>} Names of processes for reactions.
+  */
+  static collectReactionsSubsystems(model) {
+    var groups = Conversion.collectDocumentElements({
+      name: "group",
+      element: model
+    });
+    return groups.reduce(function (groupsCollection, group) {
+      var name = Conversion.accessElementAttribute({
+        name: "name",
+        element: group
+      });
+      var members = Conversion.collectDocumentElements({
+        name: "member",
+        element: group
+      });
+      return members.reduce(function (membersCollection, member) {
+        var reaction = Conversion.convertReactionIdentifier(
+          Conversion.accessElementAttribute({
+            name: "idRef",
+            element: member
+          })
+        );
+        // Assume that each reaction participates in only a single process.
+        if (!membersCollection.hasOwnProperty(reaction)) {
+          var entry = {
+            [reaction]: name
+          };
+          return Object.assign(membersCollection, entry);
+        } else {
+          return membersCollection;
+        }
+      }, groupsCollection);
+    }, {});
+  }
+  /**
+  * Creates information about all reactions in a metabolic model.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.model Reference to element for a model in SBML.
+  * @param {Object<number>} parameters.parameters Identifiers and values of
+  * parameters.
+  * @param {Object<string>} parameters.species Identifiers of compartmental
+  * metabolites for identifiers of species.
+  * @param {Object<string>} parameters.subsystems Names of processes for
+  * reactions.
+  * @returns {Array<Object>} Information about reactions.
+  */
+  static createReactions({model, parameters, species, subsystems} = {}) {
+    var reactions = Conversion.collectDocumentElements({
+      name: "reaction",
+      element: model
+    });
+    return reactions.map(function (reaction) {
+      return Conversion.createReaction({
+        reaction: reaction,
+        parameters: parameters,
+        species: species,
+        subsystems: subsystems
+      });
+    });
+  }
+  /**
+  * Creates information about a single reaction in a metabolic model.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.reaction Reference to element for a reaction in
+  * SBML.
+  * @param {Object<number>} parameters.parameters Identifiers and values of
+  * parameters.
+  * @param {Object<string>} parameters.species Identifiers of compartmental
+  * metabolites for identifiers of species.
+  * @param {Object<string>} parameters.subsystems Names of processes for
+  * reactions.
+  * @returns {Object} Information about a reaction.
+  */
+  static createReaction({reaction, parameters, species, subsystems} = {}) {
+    // Determine reaction's identifier.
+    var identifier = Conversion.convertReactionIdentifier(
+      Conversion.accessElementAttribute({
+        name: "id",
+        element: reaction
+      })
+    );
+    // Determine reaction's boundaries.
+    var bounds = Conversion.determineReactionBounds({
+      reaction: reaction,
+      parameters: parameters
+    });
+    // Determine reaction's metabolites.
+    var metabolites = Conversion.createReactionMetabolites({
+      reaction: reaction,
+      species: species
+    });
+    // Determine reaction's rule for genes.
+    var associations = Conversion.collectDocumentElements({
+      name: "geneProductAssociation",
+      element: reaction
+    });
+    if (associations.length > 0) {
+      var rule = Conversion
+      .convertGeneAssociationRule(associations[0].firstElementChild);
+    } else {
+      var rule = "";
+    }
+    // Determine reaction's process.
+    if (subsystems.hasOwnProperty(identifier)) {
+      var subsystem = subsystems[identifier];
+    } else {
+      var subsystem = "";
+    }
+    // Compile information.
+    return {
+      gene_reaction_rule: rule,
+      id: identifier,
+      lower_bound: bounds.lower,
+      metabolites: metabolites,
+      name: Conversion.accessElementAttribute({
+        name: "name",
+        element: reaction
+      }),
+      subsystem: subsystem,
+      upper_bound: bounds.upper
+    };
+  }
+  /**
+  * Converts the identifier of a reaction.
+  * @param {string} identifier Identifier of a reaction in SBML.
+  * @returns {string} Identifier of a reaction.
+  */
+  static convertReactionIdentifier(identifier) {
+    return Conversion.removeIdentifierPrefix({
+      prefix: "R_",
+      identifier: identifier
+    });
+  }
+  /**
+  * Determines the lower and upper boundaries of a reaction.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.reaction Reference to element for a reaction in
+  * SBML.
+  * @param {Object<number>} parameters.parameters Identifiers and values of
+  * parameters.
+  * @returns {Object<number>} Boundaries for the reaction.
+  */
+  static determineReactionBounds({reaction, parameters} = {}) {
+    var lowerParameter = Conversion.accessElementAttribute({
+      name: "lowerFluxBound",
+      element: reaction
+    });
+    var upperParameter = Conversion.accessElementAttribute({
+      name: "upperFluxBound",
+      element: reaction
+    });
+    // Determine whether the reaction has constraints from parameters.
+    if (
+      parameters.hasOwnProperty(lowerParameter) &&
+      parameters.hasOwnProperty(upperParameter)
+    ) {
+      return {
+        lower: parameters[lowerParameter],
+        upper: parameters[upperParameter]
+      };
+    } else {
+      // Derive boundaries from the reaction's reversibility.
+      var reversible = Conversion.accessElementAttribute({
+        name: "reversible",
+        element: reaction
+      });
+      return {
+        lower: ((reversible === "true") ? -1000 : 0),
+        upper: 1000
+      };
+    }
+  }
+  /**
+  * Creates information about the metabolites that participate in a reaction
+  * and their stoichiometric coefficients.
+  * Negative coefficients designate reactants and positive coefficients
+  * designate products.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.reaction Reference to element for a reaction in
+  * SBML.
+  * @param {Object<string>} parameters.species Identifiers of compartmental
+  * metabolites for identifiers of species.
+  * @returns {Object<number>} Metabolites of the reaction.
+  */
+  static createReactionMetabolites({reaction, species} = {}) {
+    var reactants = Conversion.collectReactionSpeciesReferences({
+      list: "listOfReactants",
+      sign: -1,
+      reaction: reaction,
+      species: species
+    });
+    var products = Conversion.collectReactionSpeciesReferences({
+      list: "listOfProducts",
+      sign: 1,
+      reaction: reaction,
+      species: species
+    });
+    // Combine coefficients of any metabolites that participate as both
+    // reactants and products.
+    return [].concat(reactants, products)
+    .reduce(function (collection, reference) {
+      if (collection.hasOwnProperty(reference.metabolite)) {
+        var coefficient = (
+          collection[reference.metabolite] + reference.coefficient
+        );
+      } else {
+        var coefficient = reference.coefficient;
+      }
+      var entry = {
+        [reference.metabolite]: coefficient
+      };
+      return Object.assign(collection, entry);
+    }, {});
+  }
+  /**
+  * Collects references to species within a list of a reaction's reactants or
+  * products.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.list Local name of list element.
+  * @param {number} parameters.sign Sign for stoichiometric coefficients.
+  * @param {Object} parameters.reaction Reference to element for a reaction in
+  * SBML.
+  * @param {Object<string>} parameters.species Identifiers of compartmental
+  * metabolites for identifiers of species.
+  * @returns {Array<Object>} Identifiers of metabolites and their
+  * stoichiometric coefficients.
+  */
+  static collectReactionSpeciesReferences({list, sign, reaction, species} = {}) {
+    var lists = Conversion.collectChildrenElements({
+      name: list,
+      element: reaction
+    });
+    return lists.reduce(function (collection, listElement) {
+      var references = Conversion.collectChildrenElements({
+        name: "speciesReference",
+        element: listElement
+      });
+      var records = references.map(function (reference) {
+        var stoichiometry = Conversion.accessElementAttribute({
+          name: "stoichiometry",
+          element: reference
+        });
+        return {
+          metabolite: species[
+            Conversion.accessElementAttribute({
+              name: "species",
+              element: reference
+            })
+          ],
+          coefficient: (sign * (stoichiometry ? Number(stoichiometry) : 1))
+        };
+      });
+      return [].concat(collection, records);
+    }, []);
+  }
+  /**
+  * Converts an association between a reaction and gene products to a textual
+  * rule.
+  * @param {Object} association Reference to element for an association in
+  * SBML, either a reference to a gene product, a conjunction, or a
+  * disjunction.
+  * @returns {string} Rule for a reaction's gene requirements.
+  */
+  static convertGeneAssociationRule(association) {
+    if (!association) {
+      return "";
+    } else if (association.localName === "geneProductRef") {
+      return Conversion.convertGeneIdentifier(
+        Conversion.accessElementAttribute({
+          name: "geneProduct",
+          element: association
+        })
+      );
+    } else if (
+      (association.localName === "and") || (association.localName === "or")
+    ) {
+      var operands = Array.from(association.children)
+      .map(function (child) {
+        var rule = Conversion.convertGeneAssociationRule(child);
+        // Enclose nested combinations within parentheses.
+        if (
+          (child.localName === "and") || (child.localName === "or")
+        ) {
+          return "(" + rule + ")";
+        } else {
+          return rule;
+        }
+      });
+      return operands.join(" " + association.localName + " ");
+    } else {
+      console.log(
+        "Model Conversion, Check Genes: " + association.localName +
+        " failed association check."
+      );
+      return "";
+    }
+  }
+}
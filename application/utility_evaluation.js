@@ -130,11 +130,19 @@ class Evaluation {
     return {
       identifier: reaction.identifier,
       name: reaction.name,
+      equation: Evaluation.createReactionEquation({
+        reaction: reaction,
+        metabolites: metabolites
+      }),
+      bounds: Evaluation.describeReactionBounds(reaction),
+      balance: Balance.describeReactionBalance(reaction),
       reversibility: reaction.reversibility,
+      direction: Extraction.accessReactionDirection(reaction),
       conversion: reaction.conversion,
       transport: reaction.transport,
       dispersal: reaction.dispersal,
       genes: reaction.genes,
+      rule: Rule.describeRule(Rule.accessReactionRule(reaction)),
       reactants: reactantsNames,
       products: productsNames,
       compartments: compartmentsNames,
@@ -142,6 +150,60 @@ class Evaluation {
     };
   }
   /**
+  * Creates an equation to describe a reaction's reactants and products with
+  * their stoichiometric coefficients.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.reaction Information about a reaction.
+  * @param {Object<Object>} parameters.metabolites Information about
+  * metabolites.
+  * @returns {string} Equation of reaction.
+  */
+  static createReactionEquation({reaction, metabolites} = {}) {
+    // Describe participants in each role.
+    var sides = ["reactant", "product"].map(function (role) {
+      var participants = Extraction.filterReactionParticipants({
+        criteria: {roles: [role]},
+        participants: reaction.participants
+      });
+      return participants.map(function (participant) {
+        var name = (
+          metabolites[participant.metabolite].name +
+          " [" + participant.compartment + "]"
+        );
+        // Omit coefficients of one.
+        // Reactions from sources of information that predate retention of
+        // coefficients do not have coefficients.
+        if (participant.coefficient && (participant.coefficient !== 1)) {
+          return participant.coefficient + " " + name;
+        } else {
+          return name;
+        }
+      }).join(" + ");
+    });
+    // Determine direction.
+    var direction = Extraction.accessReactionDirection(reaction);
+    if (direction === "reversible") {
+      var arrow = " <=> ";
+    } else if (direction === "backward") {
+      var arrow = " <-- ";
+    } else {
+      var arrow = " --> ";
+    }
+    return sides[0] + arrow + sides[1];
+  }
+  /**
+  * Describes the lower and upper boundaries on a reaction's flux.
+  * @param {Object} reaction Information about a reaction.
+  * @returns {string} Description of reaction's boundaries.
+  */
+  static describeReactionBounds(reaction) {
+    if (reaction.hasOwnProperty("bounds")) {
+      return "[" + reaction.bounds.lower + ", " + reaction.bounds.upper + "]";
+    } else {
+      return "";
+    }
+  }
+  /**
   * Creates summary of information about a metabolite.
   * @param {Object} parameters Destructured object of parameters.
   * @param {string} parameters.identifier Identifier of a metabolite.
@@ -196,6 +258,8 @@ class Evaluation {
   * nodes for reactions.
   * @param {Object} parameters.networkNodesMetabolites Information about
   * network's nodes for metabolites.
+  * @param {Object} parameters.networkNodesGenes Information about network's
+  * nodes for genes.
   * @param {Object<Object>} parameters.candidatesReactions Information about
   * candidate reactions.
   * @param {Object<Object>} parameters.candidatesMetabolites Information about
@@ -203,9 +267,10 @@ class Evaluation {
   * @param {Object<Object>} parameters.reactions Information about reactions.
   * @param {Object<Object>} parameters.metabolites Information about
   * metabolites.
+  * @param {Object<Object>} parameters.genes Information about genes.
   * @returns {Array<Object>} Information about network's nodes.
   */
-  static createNetworkNodesExport({nodesRecords, networkNodesReactions, networkNodesMetabolites, candidatesReactions, candidatesMetabolites, reactions, metabolites} = {}) {
+  static createNetworkNodesExport({nodesRecords, networkNodesReactions, networkNodesMetabolites, networkNodesGenes, candidatesReactions, candidatesMetabolites, reactions, metabolites, genes} = {}) {
     return nodesRecords.map(function (record) {
       if (record.type === "reaction") {
         // Access information.
@@ -235,6 +300,19 @@ class Evaluation {
           entity: entity.name,
           name: candidate.name
         };
+      } else if (record.type === "gene") {
+        // Access information.
+        var identifier = record.identifier;
+        var type = record.type;
+        var node = networkNodesGenes[identifier];
+        var entity = genes[node.gene];
+        // Compile information.
+        return {
+          identifier: identifier,
+          type: type,
+          entity: entity.name,
+          name: entity.name
+        };
       }
     });
   }
@@ -252,15 +330,127 @@ class Evaluation {
       // Access information.
       var identifier = record.identifier;
       var link = networkLinks[identifier];
+      // Links in projections of the network represent reactions or
+      // metabolites.
+      if (link.hasOwnProperty("reactions")) {
+        var reactions = link.reactions;
+      } else {
+        var reactions = [];
+      }
+      if (link.hasOwnProperty("metabolites")) {
+        var metabolites = link.metabolites;
+      } else {
+        var metabolites = [];
+      }
       // Compile information.
       return {
         identifier: identifier,
         role: link.role,
+        coefficient: link.coefficient,
+        reactions: reactions,
+        metabolites: metabolites,
         source: record.source,
         target: record.target
       };
     });
   }
+  /**
+  * Creates export of information about modules of network's nodes.
+  * Information includes processes of nodes' entities for comparison to
+  * modules.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Array<Object>} parameters.nodesRecords Information about network's
+  * nodes.
+  * @param {Object<number>} parameters.modules Modules of network's nodes.
+  * @param {Object} parameters.networkNodesReactions Information about network's
+  * nodes for reactions.
+  * @param {Object} parameters.networkNodesMetabolites Information about
+  * network's nodes for metabolites.
+  * @param {Object} parameters.networkNodesGenes Information about network's
+  * nodes for genes.
+  * @param {Object} parameters.candidatesReactions Information about candidate
+  * reactions.
+  * @param {Object} parameters.candidatesMetabolites Information about
+  * candidate metabolites.
+  * @param {Object<Object>} parameters.reactions Information about reactions.
+  * @param {Object<Object>} parameters.metabolites Information about
+  * metabolites.
+  * @param {Object<Object>} parameters.genes Information about genes.
+  * @param {Object<Object>} parameters.reactionsSets Information about
+  * reactions' metabolites and sets.
+  * @param {Object<Object>} parameters.metabolitesSets Information about
+  * metabolites' reactions and sets.
+  * @param {Object<Object>} parameters.processes Information about processes.
+  * @returns {Array<Object>} Information about modules of network's nodes.
+  */
+  static createNodesModulesExport({nodesRecords, modules, networkNodesReactions, networkNodesMetabolites, networkNodesGenes, candidatesReactions, candidatesMetabolites, reactions, metabolites, genes, reactionsSets, metabolitesSets, processes} = {}) {
+    // Create export of information about nodes.
+    var nodesExport = Evaluation.createNetworkNodesExport({
+      nodesRecords: nodesRecords,
+      networkNodesReactions: networkNodesReactions,
+      networkNodesMetabolites: networkNodesMetabolites,
+      networkNodesGenes: networkNodesGenes,
+      candidatesReactions: candidatesReactions,
+      candidatesMetabolites: candidatesMetabolites,
+      reactions: reactions,
+      metabolites: metabolites,
+      genes: genes
+    });
+    return nodesExport.map(function (record) {
+      // Access information.
+      if (record.type === "reaction") {
+        var node = networkNodesReactions[record.identifier];
+        var candidate = candidatesReactions[node.candidate];
+        var sets = reactionsSets[candidate.reaction];
+      } else if (record.type === "metabolite") {
+        var node = networkNodesMetabolites[record.identifier];
+        var candidate = candidatesMetabolites[node.candidate];
+        var sets = metabolitesSets[candidate.metabolite];
+      } else {
+        var sets = {processes: []};
+      }
+      var processesNames = sets.processes.map(function (process) {
+        return processes[process].name;
+      });
+      // Compile information.
+      return Object.assign(record, {
+        module: modules[record.identifier],
+        processes: processesNames
+      });
+    });
+  }
+  /**
+  * Creates export of information about designations of candidate entities for
+  * simplification.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object<Object>} parameters.reactionsSimplifications Information
+  * about simplification of reactions.
+  * @param {Object<Object>} parameters.metabolitesSimplifications Information
+  * about simplification of metabolites.
+  * @returns {Array<Object>} Information about designations for
+  * simplification.
+  */
+  static createSimplificationsExport({reactionsSimplifications, metabolitesSimplifications} = {}) {
+    // Define function to create records for simplifications of a type.
+    function createRecords(simplifications, type) {
+      return Object.keys(simplifications).map(function (identifier) {
+        // Access information.
+        var simplification = simplifications[identifier];
+        // Compile information.
+        return {
+          identifier: simplification.identifier,
+          type: type,
+          method: simplification.method,
+          dependency: simplification.dependency
+        };
+      });
+    };
+    // Compile information.
+    return [].concat(
+      createRecords(metabolitesSimplifications, "metabolite"),
+      createRecords(reactionsSimplifications, "reaction")
+    );
+  }
 
 
 
@@ -348,6 +538,9 @@ class Evaluation {
               // Preserve collection.
               return propertiesCollection
             }
+          } else {
+            // Preserve collection.
+            return propertiesCollection;
           }
         } else {
           // Include the value of the property in the collection.
@@ -57,9 +57,9 @@ class Extraction {
     var compartments = Extraction.createCompartmentsRecords(data.compartments);
     var processes = Extraction.createProcessesRecords(data.reactions);
     // Extract information about entities.
-    var reactions = Extraction
-    .createReactionsRecords(data.reactions, processes);
     var metabolites = Extraction.createMetabolitesRecords(data.metabolites);
+    var reactions = Extraction
+    .createReactionsRecords(data.reactions, processes, metabolites);
     var genes = Extraction.createGenesRecords(data.genes);
     // Compile information.
     var metabolicEntitiesSets = {
@@ -166,9 +166,10 @@ class Extraction {
   * reactions.
   * @param {Object<string>} processes Information about all processes in a
   * metabolic model.
+  * @param {Object<Object>} metabolites Information about all metabolites.
   * @returns {Object<Object>} Information about reactions.
   */
-  static createReactionsRecords(reactions, processes) {
+  static createReactionsRecords(reactions, processes, metabolites) {
     // In the original data, metabolic processes or pathways do not include
     // transport reactions.
     // As a result, processes that disperse across multiple compartments lack
@@ -201,7 +202,8 @@ class Extraction {
         reaction: reaction,
         processesTransports: processesTransports,
         replicateReactions: replicateReactions,
-        processes: processes
+        processes: processes,
+        metabolites: metabolites
       });
       return Object.assign({}, collection, newRecord);
     }, {});
@@ -460,8 +462,9 @@ class Extraction {
   }
   /**
   * Creates records that describe the metabolites that participate in a
-  * reaction, their roles as reactants or products, and the compartments in
-  * which they participate.
+  * reaction, their roles as reactants or products, their stoichiometric
+  * coefficients, and the compartments in which they participate.
+  * Coefficients are magnitudes since roles designate reactants and products.
   * @param {Object<number>} reactionMetabolites Information about metabolites
   * that participate in a reaction.
   * @returns {Array<Object<string>>} Information about metabolites' and
@@ -474,6 +477,7 @@ class Extraction {
         role: Extraction.determineReactionMetaboliteRole(
           reactionMetabolites[identifier]
         ),
+        coefficient: Math.abs(reactionMetabolites[identifier]),
         compartment: Clean.extractCompartmentIdentifier(identifier)
       };
     });
@@ -618,9 +622,11 @@ class Extraction {
   * of reactants and products.
   * @param {Object} parameters.processes Information about all processes in a
   * metabolic model.
+  * @param {Object<Object>} parameters.metabolites Information about all
+  * metabolites.
   * @returns {Object} Record with information about a reaction.
   */
-  static createReactionRecord({reaction, processesTransports, replicateReactions, processes} = {}) {
+  static createReactionRecord({reaction, processesTransports, replicateReactions, processes, metabolites} = {}) {
     // Determine reaction's identifier.
     var identifier = reaction.id;
     // Determine reaction's name.
@@ -629,15 +635,33 @@ class Extraction {
     var genes = General.collectUniqueElements(
       Clean.extractGenesFromRule(reaction.gene_reaction_rule)
     );
+    // Parse the rule of genes into a tree of expressions that distinguishes
+    // complexes from isozymes.
+    var rule = Rule.parseRule(reaction.gene_reaction_rule);
+    if (reaction.gene_reaction_rule && (rule === null)) {
+      console.log(
+        "Model Assembly, Check Reactions: " + identifier +
+        " failed rule check."
+      );
+    }
     // Create records that describe the metabolites that participate in the
-    // reaction, their roles as reactants or products, and the compartments
-    // in which they participate.
+    // reaction, their roles as reactants or products, their coefficients, and
+    // the compartments in which they participate.
     var participants = Extraction
     .createReactionParticipants(reaction.metabolites);
+    // Preserve the reaction's boundaries on flux.
+    var bounds = {
+      lower: reaction.lower_bound,
+      upper: reaction.upper_bound
+    };
     // Determine whether the reaction is reversible.
     var reversibility = Extraction.determineReactionReversibility(
       reaction.lower_bound, reaction.upper_bound
     );
+    // Determine the feasible direction of the reaction's flux.
+    var direction = Extraction.determineReactionDirection(
+      reaction.lower_bound, reaction.upper_bound
+    );
     // Determine whether the reaction's metabolites in reactants and products
     // are chemically different, an indication that the reaction involves a
     // chemical conversion.
@@ -671,9 +695,18 @@ class Extraction {
       return record.reactions.includes(identifier);
     }).reactions;
     var replication = replicates.length > 1;
+    // Determine the balance of chemical elements and charges between the
+    // reaction's reactants and products.
+    var balance = Balance.determineReactionBalance({
+      reactionMetabolites: reaction.metabolites,
+      metabolites: metabolites
+    });
     // Compile attributes.
     var attributes = {
+      balance: balance,
+      bounds: bounds,
       conversion: conversion,
+      direction: direction,
       dispersal: dispersal,
       genes: genes,
       identifier: identifier,
@@ -683,6 +716,7 @@ class Extraction {
       replicates: replicates,
       replication: replication,
       reversibility: reversibility,
+      rule: rule,
       transport: transport,
       transports: transports
     };
@@ -709,6 +743,58 @@ class Extraction {
     }
   }
   /**
+  * Determines the feasible direction of a reaction's flux from its boundaries.
+  * A reaction with a negative lower boundary and an upper boundary that is not
+  * positive only proceeds backward, from its products to its reactants.
+  * @param {number} lowBound Lower boundary for reaction.
+  * @param {number} upBound Upper boundary for reaction.
+  * @returns {string} Direction of reaction, forward, backward, or reversible.
+  */
+  static determineReactionDirection(lowBound, upBound) {
+    if (lowBound < 0 && 0 < upBound) {
+      // Reaction is reversible.
+      return "reversible";
+    } else if (lowBound < 0 && upBound <= 0) {
+      // Reaction only proceeds backward.
+      return "backward";
+    } else {
+      // Reaction only proceeds forward.
+      return "forward";
+    }
+  }
+  /**
+  * Accesses the direction of a reaction.
+  * Reactions from sources of information that predate determination of
+  * direction do not have a record of direction.
+  * @param {Object} reaction Information about a reaction.
+  * @returns {string} Direction of reaction, forward, backward, or reversible.
+  */
+  static accessReactionDirection(reaction) {
+    if (reaction.hasOwnProperty("direction")) {
+      return reaction.direction;
+    } else if (reaction.reversibility) {
+      return "reversible";
+    } else {
+      return "forward";
+    }
+  }
+  /**
+  * Creates records for sets of reactions by their directions.
+  * @returns {Object} Records for sets by direction.
+  */
+  static createDirectionsRecords() {
+    return ["forward", "backward", "reversible"]
+    .reduce(function (collection, identifier) {
+      var record = {
+        [identifier]: {
+          identifier: identifier,
+          name: identifier
+        }
+      };
+      return Object.assign(collection, record);
+    }, {});
+  }
+  /**
   * Determines whether a reaction involves a chemical conversion between the
   * metabolites that participate as its reactants and products.
   * @param {Array<Object<string>>} participants Information about metabolites'
@@ -72,9 +72,9 @@ class General {
   }
   /**
   * Loads and reads textual information from file, parses this text either as
-  * JavaScript Object Notation (JSON) or as a table with tab delimiters, and
-  * passes this information to another function along with appropriate
-  * parameters.
+  * JavaScript Object Notation (JSON), as a table with tab delimiters, or as
+  * Extensible Markup Language (XML), and passes this information to another
+  * function along with appropriate parameters.
   * @param {Object} parameters Destructured object of parameters.
   * @param {Object} parameters.file File with object to load.
   * @param {Object} parameters.format File with object to load.
@@ -97,6 +97,9 @@ class General {
         var data = JSON.parse(text);
       } else if (format === "tsv") {
         var data = General.parseTabTable(text);
+      } else if (format === "xml") {
+        var parser = new DOMParser();
+        var data = parser.parseFromString(text, "application/xml");
       }
       // Include the data in the parameters to pass to the call function.
       var dataParameter = {data: data};
@@ -108,6 +111,22 @@ class General {
     reader.readAsText(file);
   }
   /**
+  * Determines the format in which to parse a file's textual information from
+  * the suffix of the file's name.
+  * @param {string} name Name of file.
+  * @returns {string} Format of file, "json", "tsv", or "xml".
+  */
+  static determineFileFormat(name) {
+    var suffix = name.substring(name.lastIndexOf(".") + 1).toLowerCase();
+    if (suffix === "json") {
+      return "json";
+    } else if ((suffix === "tsv") || (suffix === "txt")) {
+      return "tsv";
+    } else {
+      return "xml";
+    }
+  }
+  /**
   * Saves to file on client's system a version of an object in JavaScript
   * Object Notation (JSON).
   * @param {string} name Name of file.
@@ -205,12 +224,20 @@ class General {
     var separator = "\t";
     var end = "\n";
     // Separate table's rows.
-    var rows = text.split(end);
+    // Remove carriage returns from tables with line endings for Windows.
+    var rows = text.split(end).map(function (row) {
+      return row.replace(/\r$/, "");
+    });
     // Separate head row from body rows.
     var rowHead = rows[0];
     var rowsBody = rows.slice(1);
+    // Remove enclosing quotes, such as those from the application's own
+    // exports of tables.
+    function unquote(string) {
+      return string.replace(/^"(.*)"$/, "$1");
+    };
     // Parse head row.
-    var keys = rowHead.split(separator);
+    var keys = rowHead.split(separator).map(unquote);
     // Parse body rows.
     return rowsBody.map(function (row) {
       var values = row.split(separator);
@@ -218,7 +245,7 @@ class General {
       return values.reduce(function (record, value, index) {
         // Create entry.
         var entry = {
-          [keys[index]]: value
+          [keys[index]]: unquote(value)
         };
         return Object.assign(record, entry);
       }, {});
@@ -553,6 +580,36 @@ class General {
     return General.createPointsString([vertex1, vertex2, vertex3]);
   }
   /**
+  * Creates points for vertices of a rhombus with horizontal and vertical
+  * diagonals.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {number} parameters.width Dimension of rhombus's horizontal
+  * diagonal.
+  * @param {number} parameters.height Dimension of rhombus's vertical diagonal.
+  * @returns {string} Definitions of points for a rhombus.
+  */
+  static createRhombusPoints({width, height} = {}) {
+    // Determine coordinates of rhombus's vertices, beginning at the top and
+    // proceeding clockwise.
+    var vertex1 = {
+      x: (width / 2),
+      y: 0
+    };
+    var vertex2 = {
+      x: width,
+      y: (height / 2)
+    };
+    var vertex3 = {
+      x: (width / 2),
+      y: height
+    };
+    var vertex4 = {
+      x: 0,
+      y: (height / 2)
+    };
+    return General.createPointsString([vertex1, vertex2, vertex3, vertex4]);
+  }
+  /**
   * Creates string for graphical points from coordinates of vertices.
   * @param {Array<Object<number>>} points Records of coordinates for points of
   * vertices.
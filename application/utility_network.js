@@ -52,11 +52,22 @@ class Network {
   * metabolites.
   * @param {boolean} parameters.compartmentalization Whether
   * compartmentalization is relevant.
+  * @param {boolean} parameters.mainPairs Whether to represent only links for
+  * main pairs of reactants and products.
+  * @param {Array<Object>} parameters.currencyPairs Information about pairs of
+  * metabolites that frequently participate together.
+  * @param {string} parameters.projection Projection of network, bipartite,
+  * metabolites, or reactions.
+  * @param {boolean} parameters.geneNodes Whether to include nodes for genes
+  * that catalyze reactions.
+  * @param {Array<string>} parameters.knockoutGenes Identifiers of genes to
+  * knock out.
+  * @param {Object<Object>} parameters.genes Information about genes.
   * @returns {Object<Array<Object>>} Information about network's elements.
   */
-  static createNetworkElements({candidatesReactions, candidatesMetabolites, reactionsSimplifications, metabolitesSimplifications, reactions, metabolites, compartmentalization} = {}) {
+  static createNetworkElements({candidatesReactions, candidatesMetabolites, reactionsSimplifications, metabolitesSimplifications, reactions, metabolites, compartmentalization, mainPairs, currencyPairs, projection, geneNodes, knockoutGenes, genes} = {}) {
     // Collect network's elements.
-    var networkNodesLinks = Network
+    var bipartiteNodesLinks = Network
     .collectReactionsMetabolitesNetworkNodesLinks({
       candidatesReactions: candidatesReactions,
       candidatesMetabolites: candidatesMetabolites,
@@ -64,20 +75,60 @@ class Network {
       metabolitesSimplifications: metabolitesSimplifications,
       reactions: reactions,
       metabolites: metabolites,
-      compartmentalization: compartmentalization
+      compartmentalization: compartmentalization,
+      mainPairs: mainPairs,
+      currencyPairs: currencyPairs
     });
+    // Determine whether to project network's elements.
+    if (projection === "metabolites") {
+      // Project network's elements onto nodes for metabolites.
+      var networkNodesLinks = Network.projectMetabolitesNetworkNodesLinks({
+        networkNodesReactions: bipartiteNodesLinks.networkNodesReactions,
+        networkNodesMetabolites: bipartiteNodesLinks.networkNodesMetabolites,
+        networkLinks: bipartiteNodesLinks.networkLinks
+      });
+    } else if (projection === "reactions") {
+      // Project network's elements onto nodes for reactions.
+      var networkNodesLinks = Network.projectReactionsNetworkNodesLinks({
+        networkNodesReactions: bipartiteNodesLinks.networkNodesReactions,
+        networkNodesMetabolites: bipartiteNodesLinks.networkNodesMetabolites,
+        networkLinks: bipartiteNodesLinks.networkLinks
+      });
+    } else {
+      var networkNodesLinks = bipartiteNodesLinks;
+    }
+    // Determine whether to include nodes for genes.
+    // Genes catalyze reactions, so their nodes require nodes for reactions.
+    if (geneNodes && (projection !== "metabolites")) {
+      // Collect nodes and links for genes that catalyze reactions.
+      var networkNodesLinksGenes = Network
+      .collectReactionsGenesNetworkNodesLinks({
+        networkNodesReactions: networkNodesLinks.networkNodesReactions,
+        networkLinks: networkNodesLinks.networkLinks,
+        knockoutGenes: knockoutGenes,
+        reactions: reactions,
+        genes: genes
+      });
+    } else {
+      var networkNodesLinksGenes = {
+        networkNodesGenes: {},
+        networkLinks: networkNodesLinks.networkLinks
+      };
+    }
     // Create concise records for representation of network's elements.
     var networkNodesRecords = Network.createReactionsMetabolitesNodesRecords({
       networkNodesReactions: networkNodesLinks.networkNodesReactions,
-      networkNodesMetabolites: networkNodesLinks.networkNodesMetabolites
+      networkNodesMetabolites: networkNodesLinks.networkNodesMetabolites,
+      networkNodesGenes: networkNodesLinksGenes.networkNodesGenes
     });
     var networkLinksRecords = Network
-    .createLinksRecords(networkNodesLinks.networkLinks);
+    .createLinksRecords(networkNodesLinksGenes.networkLinks);
     // Compile information.
     var networkElements = {
       networkNodesReactions: networkNodesLinks.networkNodesReactions,
       networkNodesMetabolites: networkNodesLinks.networkNodesMetabolites,
-      networkLinks: networkNodesLinks.networkLinks,
+      networkNodesGenes: networkNodesLinksGenes.networkNodesGenes,
+      networkLinks: networkNodesLinksGenes.networkLinks,
       networkNodesRecords: networkNodesRecords,
       networkLinksRecords: networkLinksRecords
     };
@@ -101,9 +152,13 @@ class Network {
   * metabolites.
   * @param {boolean} parameters.compartmentalization Whether
   * compartmentalization is relevant.
+  * @param {boolean} parameters.mainPairs Whether to represent only links for
+  * main pairs of reactants and products.
+  * @param {Array<Object>} parameters.currencyPairs Information about pairs of
+  * metabolites that frequently participate together.
   * @returns {Object<Array<Object>>} Information about network's elements.
   */
-  static collectReactionsMetabolitesNetworkNodesLinks({candidatesReactions, candidatesMetabolites, reactionsSimplifications, metabolitesSimplifications, reactions, metabolites, compartmentalization} = {}) {
+  static collectReactionsMetabolitesNetworkNodesLinks({candidatesReactions, candidatesMetabolites, reactionsSimplifications, metabolitesSimplifications, reactions, metabolites, compartmentalization, mainPairs, currencyPairs} = {}) {
     // Initialize collection.
     var initialCollection = {
       networkNodesReactions: {},
@@ -125,6 +180,8 @@ class Network {
         reaction: reaction,
         metabolites: metabolites,
         compartmentalization: compartmentalization,
+        mainPairs: mainPairs,
+        currencyPairs: currencyPairs,
         collectionReactions: collectionReactions
       });
     }, initialCollection);
@@ -146,11 +203,15 @@ class Network {
   * metabolites.
   * @param {boolean} parameters.compartmentalization Whether
   * compartmentalization is relevant.
+  * @param {boolean} parameters.mainPairs Whether to represent only links for
+  * main pairs of reactants and products.
+  * @param {Array<Object>} parameters.currencyPairs Information about pairs of
+  * metabolites that frequently participate together.
   * @param {Object<Array<Object>>} parameters.collectionReactions Information
   * about network's elements.
   * @returns {Object<Array<Object>>} Information about network's elements.
   */
-  static collectReactionMetabolitesNetworkNodesLinks({candidateReaction, candidatesMetabolites, reactionsSimplifications, metabolitesSimplifications, reaction, metabolites, compartmentalization, collectionReactions} = {}) {
+  static collectReactionMetabolitesNetworkNodesLinks({candidateReaction, candidatesMetabolites, reactionsSimplifications, metabolitesSimplifications, reaction, metabolites, compartmentalization, mainPairs, currencyPairs, collectionReactions} = {}) {
     // Evaluate reaction's candidacy.
     // Consider both explicit and implicit designations for simplification.
     var omission = Network.determineCandidateSimplificationMethod({
@@ -196,8 +257,23 @@ class Network {
         networkNodesMetabolites: collectionReactions.networkNodesMetabolites,
         networkLinks: collectionReactions.networkLinks
       };
+      // Determine whether to represent only links for main pairs of
+      // reactants and products.
+      if (mainPairs) {
+        var mainMetabolites = Pair.collectReactionMainMetabolites({
+          reaction: reaction,
+          metabolites: metabolites,
+          currencyPairs: currencyPairs
+        });
+        var candidateMetabolitesIdentifiers = candidateReaction.metabolites
+        .filter(function (identifier) {
+          var metabolite = candidatesMetabolites[identifier].metabolite;
+          return mainMetabolites.includes(metabolite);
+        });
+      } else {
+        var candidateMetabolitesIdentifiers = candidateReaction.metabolites;
+      }
       // Iterate on metabolites.
-      var candidateMetabolitesIdentifiers = candidateReaction.metabolites;
       var networkNodesLinksMetabolites = candidateMetabolitesIdentifiers
       .reduce(function (collectionMetabolites, candidateMetaboliteIdentifier) {
         // Access information.
@@ -410,6 +486,84 @@ class Network {
     };
   }
   /**
+  * Collects network's elements, nodes and links, for genes that catalyze
+  * reactions.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.networkNodesReactions Information about network's
+  * nodes for reactions.
+  * @param {Object} parameters.networkLinks Information about network's links.
+  * @param {Array<string>} parameters.knockoutGenes Identifiers of genes to
+  * knock out.
+  * @param {Object<Object>} parameters.reactions Information about reactions.
+  * @param {Object<Object>} parameters.genes Information about genes.
+  * @returns {Object<Object>} Information about network's elements.
+  */
+  static collectReactionsGenesNetworkNodesLinks({networkNodesReactions, networkLinks, knockoutGenes, reactions, genes} = {}) {
+    // Initialize collection.
+    var initialCollection = {
+      networkNodesGenes: {},
+      networkLinks: networkLinks
+    };
+    // Iterate on nodes for reactions.
+    var nodesReactionsIdentifiers = Object.keys(networkNodesReactions);
+    return nodesReactionsIdentifiers
+    .reduce(function (collectionReactions, nodeReactionIdentifier) {
+      // Access information.
+      var networkNodeReaction = networkNodesReactions[nodeReactionIdentifier];
+      var reaction = reactions[networkNodeReaction.reaction];
+      // Genes that the user knocks out do not catalyze any reactions.
+      var genesIdentifiers = reaction.genes.filter(function (identifier) {
+        return (
+          genes.hasOwnProperty(identifier) &&
+          !((knockoutGenes || []).includes(identifier))
+        );
+      });
+      // Iterate on genes.
+      return genesIdentifiers
+      .reduce(function (collectionGenes, geneIdentifier) {
+        // Create node for gene.
+        // A single node represents each gene across all of its reactions.
+        var networkNodeGene = Network.createNodeGene(genes[geneIdentifier]);
+        var networkNodesGenes = General.includeNovelEntry({
+          value: networkNodeGene,
+          entries: collectionGenes.networkNodesGenes
+        });
+        // Create link from gene to reaction.
+        var link = Network.createLink({
+          source: networkNodeGene.identifier,
+          target: networkNodeReaction.identifier,
+          attributes: {
+            role: "catalyst",
+            replication: false
+          }
+        });
+        var networkLinks = General.includeNovelEntry({
+          value: link,
+          entries: collectionGenes.networkLinks
+        });
+        // Compile information.
+        return {
+          networkNodesGenes: networkNodesGenes,
+          networkLinks: networkLinks
+        };
+      }, collectionReactions);
+    }, initialCollection);
+  }
+  /**
+  * Creates a record of a node for a gene.
+  * @param {Object} gene Information about a gene.
+  * @returns {Object} Information about network's node for a gene.
+  */
+  static createNodeGene(gene) {
+    // Prefix identifier to avoid ambiguity with identifiers of nodes for
+    // metabolites and reactions.
+    return {
+      identifier: ("gene_" + gene.identifier),
+      gene: gene.identifier,
+      type: "gene"
+    };
+  }
+  /**
   * Creates records of links between nodes for a reaction and metabolite.
   * @param {Object} parameters Destructured object of parameters.
   * @param {Object} parameters.networkNodeMetabolite Information about network's
@@ -431,7 +585,7 @@ class Network {
       var participants = Extraction.filterReactionParticipants({
         criteria: {
           metabolites: [candidateMetabolite.metabolite],
-          compartments: [candidateMetabolite.compartment]
+          compartments: candidateMetabolite.compartments
         },
         participants: reaction.participants
       });
@@ -449,7 +603,8 @@ class Network {
         replication: networkNodeMetabolite.replication,
         reaction: networkNodeReaction.identifier,
         role: participant.role,
-        reversibility: reaction.reversibility
+        coefficient: participant.coefficient,
+        direction: Extraction.accessReactionDirection(reaction)
       });
       // Include links.
       return collection.concat(novelLinks);
@@ -466,18 +621,22 @@ class Network {
   * reaction.
   * @param {string} parameters.role Role, reactant or product, in which
   * metabolite participates in reaction.
-  * @param {boolean} parameters.reversibility Whether reaction is reversible.
+  * @param {number} parameters.coefficient Stoichiometric coefficient of
+  * metabolite's participation in reaction.
+  * @param {string} parameters.direction Direction of reaction, forward,
+  * backward, or reversible.
   * @returns {Array<Object>} Records with information about links for a
   * metabolite's participation in a reaction.
   */
-  static createParticipantLinks({metabolite, replication, reaction, role, reversibility} = {}) {
+  static createParticipantLinks({metabolite, replication, reaction, role, coefficient, direction} = {}) {
     // Reactions do not accommodate redundant participants.
     var attributes = {
       role: role,
+      coefficient: coefficient,
       replication: replication
     };
     // Determine whether reaction is reversible.
-    if (reversibility) {
+    if (direction === "reversible") {
       // Reaction is reversible.
       // Represent metabolite's participation in reaction in both roles.
       var forwardLink = Network.createLink({
@@ -494,15 +653,20 @@ class Network {
     } else {
       // Reaction is irreversible.
       // Represent metabolite's participation in its specific role.
-      if (role === "reactant") {
-        // Metabolite participates in the reaction as a reactant.
+      // Reactions that only proceed backward consume their products and
+      // produce their reactants.
+      if (
+        ((role === "reactant") && (direction !== "backward")) ||
+        ((role === "product") && (direction === "backward"))
+      ) {
+        // Metabolite is an input to the reaction.
         var link = Network.createLink({
           source: metabolite,
           target: reaction,
           attributes: attributes
         });
-      } else if (role === "product") {
-        // Metabolite participates in the reaction as a product.
+      } else {
+        // Metabolite is an output from the reaction.
         var link = Network.createLink({
           source: reaction,
           target: metabolite,
@@ -553,22 +717,239 @@ class Network {
     return (source + "_-_" + target);
   }
   /**
-  * Creates concise records for representation of network's nodes for reactions
-  * and metabolites.
+  * Projects network's elements onto nodes for metabolites.
+  * In the projection, a link from one metabolite to another represents
+  * conversion by one or more reactions that consume the first metabolite and
+  * produce the second.
   * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.networkNodesReactions Information about network's
+  * nodes for reactions.
   * @param {Object} parameters.networkNodesMetabolites Information about
   * network's nodes for metabolites.
+  * @param {Object} parameters.networkLinks Information about network's links
+  * between reactions and metabolites.
+  * @returns {Object<Object>} Information about network's elements.
+  */
+  static projectMetabolitesNetworkNodesLinks({networkNodesReactions, networkNodesMetabolites, networkLinks} = {}) {
+    // Reactions are intermediates between the metabolites that they consume
+    // and produce.
+    var projectionLinks = Network.collectProjectionLinks({
+      intermediates: networkNodesReactions,
+      reactions: true,
+      role: "conversion",
+      attribute: "reactions",
+      networkLinks: networkLinks
+    });
+    // Compile information.
+    return {
+      networkNodesReactions: {},
+      networkNodesMetabolites: networkNodesMetabolites,
+      networkLinks: projectionLinks
+    };
+  }
+  /**
+  * Projects network's elements onto nodes for reactions.
+  * In the projection, a link from one reaction to another represents
+  * adjacency by one or more metabolites that the first reaction produces and
+  * the second reaction consumes.
+  * Metabolites that have designations for omission do not have nodes and do
+  * not create links between reactions.
+  * Metabolites that have designations for replication have separate nodes for
+  * each reaction and do not create links between reactions.
+  * @param {Object} parameters Destructured object of parameters.
   * @param {Object} parameters.networkNodesReactions Information about network's
   * nodes for reactions.
+  * @param {Object} parameters.networkNodesMetabolites Information about
+  * network's nodes for metabolites.
+  * @param {Object} parameters.networkLinks Information about network's links
+  * between reactions and metabolites.
+  * @returns {Object<Object>} Information about network's elements.
+  */
+  static projectReactionsNetworkNodesLinks({networkNodesReactions, networkNodesMetabolites, networkLinks} = {}) {
+    // Metabolites are intermediates between the reactions that produce and
+    // consume them.
+    var projectionLinks = Network.collectProjectionLinks({
+      intermediates: networkNodesMetabolites,
+      reactions: false,
+      role: "adjacency",
+      attribute: "metabolites",
+      networkLinks: networkLinks
+    });
+    // Compile information.
+    return {
+      networkNodesReactions: networkNodesReactions,
+      networkNodesMetabolites: {},
+      networkLinks: projectionLinks
+    };
+  }
+  /**
+  * Collects links for a projection of a bipartite network onto one type of
+  * node.
+  * Each link from an input to an output of an intermediate node represents the
+  * intermediate node.
+  * Reactions only link their reactants to their products, or their products
+  * to their reactants if reversible, and do not link metabolites that
+  * participate in the same role.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.intermediates Information about network's nodes
+  * that are intermediates in the projection.
+  * @param {boolean} parameters.reactions Whether intermediate nodes are
+  * reactions.
+  * @param {string} parameters.role Relation that links represent.
+  * @param {string} parameters.attribute Name of links' attribute for
+  * identifiers of intermediate nodes.
+  * @param {Object} parameters.networkLinks Information about network's links.
+  * @returns {Object} Information about network's links.
+  */
+  static collectProjectionLinks({intermediates, reactions, role, attribute, networkLinks} = {}) {
+    // Collect identifiers of nodes for each intermediate's inputs and outputs.
+    var nodesInputsOutputs = Network.collectNodesInputsOutputs({
+      nodes: intermediates,
+      networkLinks: networkLinks
+    });
+    // Iterate on intermediate nodes.
+    var intermediatesIdentifiers = Object.keys(nodesInputsOutputs);
+    return intermediatesIdentifiers
+    .reduce(function (collectionIntermediates, intermediateIdentifier) {
+      // Access information.
+      var inputsOutputs = nodesInputsOutputs[intermediateIdentifier];
+      // Iterate on inputs and outputs.
+      return inputsOutputs.inputs
+      .reduce(function (collectionInputs, input) {
+        return inputsOutputs.outputs
+        .reduce(function (collectionOutputs, output) {
+          // Nodes do not link to themselves.
+          // Inputs and outputs of reactions link in opposite roles.
+          if (
+            (input.identifier === output.identifier) ||
+            (reactions && (input.role === output.role))
+          ) {
+            return collectionOutputs;
+          } else {
+            return Network.includeProjectionLink({
+              source: input.identifier,
+              target: output.identifier,
+              role: role,
+              attribute: attribute,
+              intermediate: intermediateIdentifier,
+              links: collectionOutputs
+            });
+          }
+        }, collectionInputs);
+      }, collectionIntermediates);
+    }, {});
+  }
+  /**
+  * Collects identifiers and roles of nodes that are inputs to and outputs from
+  * each of a collection of nodes.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.nodes Information about network's nodes.
+  * @param {Object} parameters.networkLinks Information about network's links.
+  * @returns {Object<Object<Array<Object>>>} Identifiers and roles of nodes
+  * that are inputs to and outputs from each node.
+  */
+  static collectNodesInputsOutputs({nodes, networkLinks} = {}) {
+    // Initialize collection.
+    var initialCollection = Object.keys(nodes)
+    .reduce(function (collection, identifier) {
+      var entry = {
+        [identifier]: {
+          inputs: [],
+          outputs: []
+        }
+      };
+      return Object.assign(collection, entry);
+    }, {});
+    // Iterate on links.
+    var linksIdentifiers = Object.keys(networkLinks);
+    return linksIdentifiers.reduce(function (collection, linkIdentifier) {
+      // Access information.
+      var link = networkLinks[linkIdentifier];
+      // Determine whether link is an input to or output from a node.
+      // Links in a bipartite network do not connect nodes of the same type.
+      if (collection.hasOwnProperty(link.target)) {
+        collection[link.target].inputs.push({
+          identifier: link.source,
+          role: link.role
+        });
+      } else if (collection.hasOwnProperty(link.source)) {
+        collection[link.source].outputs.push({
+          identifier: link.target,
+          role: link.role
+        });
+      }
+      return collection;
+    }, initialCollection);
+  }
+  /**
+  * Includes an intermediate node in a link of a network's projection.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.source Identifier of a node to be the link's
+  * source.
+  * @param {string} parameters.target Identifier of a node to be the link's
+  * target.
+  * @param {string} parameters.role Relation that link represents.
+  * @param {string} parameters.attribute Name of link's attribute for
+  * identifiers of intermediate nodes.
+  * @param {string} parameters.intermediate Identifier of an intermediate node
+  * that link represents.
+  * @param {Object} parameters.links Information about network's links.
+  * @returns {Object} Information about network's links.
+  */
+  static includeProjectionLink({source, target, role, attribute, intermediate, links} = {}) {
+    // Determine whether links include a link between the nodes.
+    var identifier = Network.createLinkIdentifier({
+      source: source,
+      target: target
+    });
+    if (links.hasOwnProperty(identifier)) {
+      // Links include a link between the nodes.
+      // Include intermediate node in the link.
+      var link = links[identifier];
+      if (!link[attribute].includes(intermediate)) {
+        link[attribute].push(intermediate);
+      }
+      return links;
+    } else {
+      // Links do not include a link between the nodes.
+      // Create link.
+      var link = Network.createLink({
+        source: source,
+        target: target,
+        attributes: {
+          role: role,
+          [attribute]: [intermediate],
+          replication: false
+        }
+      });
+      return General.includeNovelEntry({
+        value: link,
+        entries: links
+      });
+    }
+  }
+  /**
+  * Creates concise records for representation of network's nodes for
+  * reactions, metabolites, and genes.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.networkNodesMetabolites Information about
+  * network's nodes for metabolites.
+  * @param {Object} parameters.networkNodesReactions Information about network's
+  * nodes for reactions.
+  * @param {Object} parameters.networkNodesGenes Information about network's
+  * nodes for genes.
   * @returns {Array<Object>} Information about network's nodes.
   */
-  static createReactionsMetabolitesNodesRecords({networkNodesReactions, networkNodesMetabolites} = {}) {
+  static createReactionsMetabolitesNodesRecords({networkNodesReactions, networkNodesMetabolites, networkNodesGenes} = {}) {
     var reactionsNodesRecords = Network
     .createNodesRecords(networkNodesReactions);
     var metabolitesNodesRecords = Network
     .createNodesRecords(networkNodesMetabolites);
-    var nodesRecords = []
-    .concat(reactionsNodesRecords, metabolitesNodesRecords);
+    var genesNodesRecords = Network
+    .createNodesRecords(networkNodesGenes || {});
+    var nodesRecords = [].concat(
+      reactionsNodesRecords, metabolitesNodesRecords, genesNodesRecords
+    );
     return nodesRecords;
   }
   /**
@@ -644,19 +1025,23 @@ class Network {
   * network's nodes for metabolites.
   * @param {Object} parameters.networkNodesReactions Information about network's
   * nodes for reactions.
+  * @param {Object} parameters.networkNodesGenes Information about network's
+  * nodes for genes.
   * @param {Object} parameters.networkLinks Information about network's links.
   * @returns {Object} Information about network's elements.
   */
-  static determineNetworkSummary({networkNodesMetabolites, networkNodesReactions, networkLinks} = {}) {
+  static determineNetworkSummary({networkNodesMetabolites, networkNodesReactions, networkNodesGenes, networkLinks} = {}) {
     // Determine counts of network's elements.
     var nodesReactions = Object.keys(networkNodesReactions).length;
     var nodesMetabolites = Object.keys(networkNodesMetabolites).length;
-    var nodes = nodesReactions + nodesMetabolites;
+    var nodesGenes = Object.keys(networkNodesGenes || {}).length;
+    var nodes = nodesReactions + nodesMetabolites + nodesGenes;
     var links = Object.keys(networkLinks).length;
     // Compile information.
     var networkSummary = {
       nodesReactions: nodesReactions,
       nodesMetabolites: nodesMetabolites,
+      nodesGenes: nodesGenes,
       nodes: nodes,
       links: links
     };
@@ -681,11 +1066,15 @@ class Network {
     var nodesMetabolites = subnetworkNodesRecords.filter(function (record) {
       return record.type === "metabolite";
     }).length;
+    var nodesGenes = subnetworkNodesRecords.filter(function (record) {
+      return record.type === "gene";
+    }).length;
     var links = subnetworkLinksRecords.length;
     // Compile information.
     var subnetworkSummary = {
       nodesReactions: nodesReactions,
       nodesMetabolites: nodesMetabolites,
+      nodesGenes: nodesGenes,
       nodes: nodes,
       links: links
     };
@@ -0,0 +1,214 @@
+/*
+Profondeur supports visual exploration and analysis of metabolic networks.
+Copyright (C) 2017 Thomas Cameron Waller
+
+This program is free software: you can redistribute it and/or modify it under
+the terms of the GNU General Public License as published by the Free Software
+Foundation, either version 3 of the License, or (at your option) any later
+version.
+
+This program is distributed in the hope that it will be useful, but WITHOUT ANY
+WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+PARTICULAR PURPOSE.
+See the GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License along with
+this program.
+If not, see <http://www.gnu.org/licenses/>.
+
+This file is part of project Profondeur.
+Project repository's address: https://github.com/tcameronwaller/profondeur/
+Author's electronic address: tcameronwaller@gmail.com
+Author's physical address:
+T Cameron Waller
+Scientific Computing and Imaging Institute
+University of Utah
+72 South Central Campus Drive Room 3750
+Salt Lake City, Utah 84112
+United States of America
+*/
+
+
+
+/**
+* Functionality of utility for selecting main pairs of reactants and products
+* in reactions.
+* Main pairs of metabolites share a carbon skeleton, in contrast to side
+* compounds and cofactors that participate in many reactions.
+* This class stores methods for external utility.
+* This class does not store any attributes and does not require instantiation.
+*/
+class Pair {
+
+  // Selection of main pairs.
+
+  /**
+  * Collects identifiers of metabolites that participate in a reaction's main
+  * pairs of reactants and products.
+  * Pairs with the greatest similarity of carbon skeletons for each reactant
+  * and product are main pairs.
+  * Metabolites of currency pairs only participate in main pairs if a reaction
+  * does not have any other pairs with similar carbon skeletons.
+  * Reactions without any pairs with similar carbon skeletons retain all of
+  * their metabolites.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.reaction Information about a reaction.
+  * @param {Object<Object>} parameters.metabolites Information about
+  * metabolites.
+  * @param {Array<Object>} parameters.currencyPairs Information about pairs of
+  * metabolites that frequently participate together.
+  * @returns {Array<string>} Identifiers of metabolites in main pairs.
+  */
+  static collectReactionMainMetabolites({reaction, metabolites, currencyPairs} = {}) {
+    // Determine similarities of all pairs of reactants and products.
+    var pairs = Pair.createReactionPairsSimilarities({
+      reaction: reaction,
+      metabolites: metabolites
+    });
+    // Determine identifiers of currency pairs.
+    var currencyIdentifiers = currencyPairs.map(function (pair) {
+      return pair.identifier;
+    });
+    // Collect identifiers of metabolites that participate in the reaction as
+    // currency pairs.
+    var currencyMetabolites = pairs
+    .filter(function (pair) {
+      return currencyIdentifiers.includes(pair.identifier);
+    })
+    .reduce(function (collection, pair) {
+      return collection.concat(pair.reactant, pair.product);
+    }, []);
+    // Select main pairs apart from currency pairs.
+    var mainPairs = Pair.selectMainPairs(pairs.filter(function (pair) {
+      return (
+        !currencyMetabolites.includes(pair.reactant) &&
+        !currencyMetabolites.includes(pair.product)
+      );
+    }));
+    // Determine whether reaction has any main pairs apart from currency pairs.
+    if (mainPairs.length < 1) {
+      var mainPairs = Pair.selectMainPairs(pairs);
+    }
+    // Determine whether reaction has any main pairs.
+    if (mainPairs.length > 0) {
+      return General.collectUniqueElements(
+        mainPairs.reduce(function (collection, pair) {
+          return collection.concat(pair.reactant, pair.product);
+        }, [])
+      );
+    } else {
+      return General.collectUniqueElements(
+        General.collectValueFromObjects("metabolite", reaction.participants)
+      );
+    }
+  }
+  /**
+  * Creates records of similarities of carbon skeletons for all pairs of a
+  * reaction's reactants and products.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.reaction Information about a reaction.
+  * @param {Object<Object>} parameters.metabolites Information about
+  * metabolites.
+  * @returns {Array<Object>} Information about pairs of metabolites.
+  */
+  static createReactionPairsSimilarities({reaction, metabolites} = {}) {
+    // Collect identifiers of metabolites that participate as reactants.
+    var reactants = General.collectUniqueElements(
+      Extraction.collectMetabolitesFilterParticipants({
+        criteria: {roles: ["reactant"]},
+        participants: reaction.participants
+      })
+    );
+    // Collect identifiers of metabolites that participate as products.
+    var products = General.collectUniqueElements(
+      Extraction.collectMetabolitesFilterParticipants({
+        criteria: {roles: ["product"]},
+        participants: reaction.participants
+      })
+    );
+    // Combine reactants and products.
+    return reactants.reduce(function (collection, reactant) {
+      var reactantPairs = products.map(function (product) {
+        return {
+          identifier: General
+          .sortArrayElementsByCharacter([reactant, product]).join("/"),
+          reactant: reactant,
+          product: product,
+          similarity: Pair.determineCarbonSimilarity({
+            firstMetabolite: metabolites[reactant],
+            secondMetabolite: metabolites[product]
+          })
+        };
+      });
+      return collection.concat(reactantPairs);
+    }, []);
+  }
+  /**
+  * Selects main pairs that have the greatest similarity for each of their
+  * reactants and products.
+  * @param {Array<Object>} pairs Information about pairs of metabolites.
+  * @returns {Array<Object>} Information about main pairs of metabolites.
+  */
+  static selectMainPairs(pairs) {
+    // Only pairs that share carbon are candidates.
+    var carbonPairs = pairs.filter(function (pair) {
+      return pair.similarity > 0;
+    });
+    return carbonPairs.filter(function (pair) {
+      // Determine whether the pair has the greatest similarity for its
+      // reactant or its product.
+      var reactantMaximum = General.determineMaximum(
+        carbonPairs.filter(function (otherPair) {
+          return otherPair.reactant === pair.reactant;
+        }).map(function (otherPair) {
+          return otherPair.similarity;
+        })
+      );
+      var productMaximum = General.determineMaximum(
+        carbonPairs.filter(function (otherPair) {
+          return otherPair.product === pair.product;
+        }).map(function (otherPair) {
+          return otherPair.similarity;
+        })
+      );
+      return (
+        (pair.similarity === reactantMaximum) ||
+        (pair.similarity === productMaximum)
+      );
+    });
+  }
+  /**
+  * Determines the similarity of two metabolites' carbon skeletons, estimated
+  * from the counts of carbon in their formulas.
+  * Identical metabolites, such as in transport, have complete similarity.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.firstMetabolite Information about a metabolite.
+  * @param {Object} parameters.secondMetabolite Information about a metabolite.
+  * @returns {number} Similarity from 0 to 1.
+  */
+  static determineCarbonSimilarity({firstMetabolite, secondMetabolite} = {}) {
+    var firstCarbon = Pair.determineMetaboliteCarbon(firstMetabolite);
+    var secondCarbon = Pair.determineMetaboliteCarbon(secondMetabolite);
+    if ((firstCarbon > 0) && (secondCarbon > 0)) {
+      return (
+        Math.min(firstCarbon, secondCarbon) /
+        Math.max(firstCarbon, secondCarbon)
+      );
+    } else {
+      return 0;
+    }
+  }
+  /**
+  * Determines the count of carbon in a metabolite's formula.
+  * @param {Object} metabolite Information about a metabolite.
+  * @returns {number} Count of carbon, or zero if formula is not specific.
+  */
+  static determineMetaboliteCarbon(metabolite) {
+    var elements = Balance.parseFormula(metabolite.formula);
+    if (elements && elements.hasOwnProperty("C")) {
+      return elements.C;
+    } else {
+      return 0;
+    }
+  }
+}
@@ -0,0 +1,471 @@
+/*
+Profondeur supports visual exploration and analysis of metabolic networks.
+Copyright (C) 2017 Thomas Cameron Waller
+
+This program is free software: you can redistribute it and/or modify it under
+the terms of the GNU General Public License as published by the Free Software
+Foundation, either version 3 of the License, or (at your option) any later
+version.
+
+This program is distributed in the hope that it will be useful, but WITHOUT ANY
+WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+PARTICULAR PURPOSE.
+See the GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License along with
+this program.
+If not, see <http://www.gnu.org/licenses/>.
+
+This file is part of project Profondeur.
+Project repository's address: https://github.com/tcameronwaller/profondeur/
+Author's electronic address: tcameronwaller@gmail.com
+Author's physical address:
+T Cameron Waller
+Scientific Computing and Imaging Institute
+University of Utah
+72 South Central Campus Drive Room 3750
+Salt Lake City, Utah 84112
+United States of America
+*/
+
+
+
+/**
+* Functionality of utility for parsing and evaluating the rules of genes and
+* their protein products that catalyze reactions.
+* A rule is an expression of identifiers of genes with logical operators.
+* The operator "and" joins genes that together compose a complex, and the
+* operator "or" joins alternative isozymes.
+* This class stores methods for external utility.
+* This class does not store any attributes and does not require instantiation.
+*/
+class Rule {
+
+  // Parse rules.
+
+  /**
+  * Parses a reaction's rule of genes into a tree of expressions.
+  * Nodes for genes have a type of "gene" and the identifier of the gene.
+  * Nodes for operators have a type of "and" or "or" and their operands.
+  * The operator "and" takes precedence over the operator "or".
+  * @param {string} geneReactionRule Rule for a reaction's gene requirements.
+  * @returns {Object} Tree of expressions for the rule, or null if the rule is
+  * empty or invalid.
+  */
+  static parseRule(geneReactionRule) {
+    if (!geneReactionRule) {
+      return null;
+    }
+    var tokens = Rule.tokenizeRule(geneReactionRule);
+    if (tokens.length < 1) {
+      return null;
+    }
+    var parse = Rule.parseDisjunction(tokens, 0);
+    // Confirm that the parse consumed all tokens.
+    if (parse === null || parse.position !== tokens.length) {
+      return null;
+    } else {
+      return parse.node;
+    }
+  }
+  /**
+  * Separates a reaction's rule of genes into tokens.
+  * @param {string} geneReactionRule Rule for a reaction's gene requirements.
+  * @returns {Array<string>} Tokens of parentheses, operators, and identifiers
+  * of genes.
+  */
+  static tokenizeRule(geneReactionRule) {
+    // Separate parentheses from adjacent identifiers.
+    return geneReactionRule
+    .split("(").join(" ( ")
+    .split(")").join(" ) ")
+    .split(/\s+/)
+    .filter(function (token) {
+      return token.length > 0;
+    })
+    .map(function (token) {
+      // Normalize operators.
+      var lowerToken = token.toLowerCase();
+      if (lowerToken === "and" || lowerToken === "or") {
+        return lowerToken;
+      } else {
+        return token;
+      }
+    });
+  }
+  /**
+  * Parses a sequence of operands that the operator "or" joins.
+  * @param {Array<string>} tokens Tokens of a rule.
+  * @param {number} position Index of current token.
+  * @returns {Object} Node of expression and index of next token, or null if
+  * the tokens are invalid.
+  */
+  static parseDisjunction(tokens, position) {
+    return Rule.parseOperation({
+      tokens: tokens,
+      position: position,
+      operator: "or",
+      parseOperand: Rule.parseConjunction
+    });
+  }
+  /**
+  * Parses a sequence of operands that the operator "and" joins.
+  * @param {Array<string>} tokens Tokens of a rule.
+  * @param {number} position Index of current token.
+  * @returns {Object} Node of expression and index of next token, or null if
+  * the tokens are invalid.
+  */
+  static parseConjunction(tokens, position) {
+    return Rule.parseOperation({
+      tokens: tokens,
+      position: position,
+      operator: "and",
+      parseOperand: Rule.parseTerm
+    });
+  }
+  /**
+  * Parses a sequence of operands that a single operator joins.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Array<string>} parameters.tokens Tokens of a rule.
+  * @param {number} parameters.position Index of current token.
+  * @param {string} parameters.operator Operator, "and" or "or".
+  * @param {Function} parameters.parseOperand Method to parse each operand.
+  * @returns {Object} Node of expression and index of next token, or null if
+  * the tokens are invalid.
+  */
+  static parseOperation({tokens, position, operator, parseOperand} = {}) {
+    var first = parseOperand(tokens, position);
+    if (first === null) {
+      return null;
+    }
+    var operands = [first.node];
+    var current = first.position;
+    while (tokens[current] === operator) {
+      var next = parseOperand(tokens, current + 1);
+      if (next === null) {
+        return null;
+      }
+      operands = operands.concat(next.node);
+      current = next.position;
+    }
+    if (operands.length === 1) {
+      var node = operands[0];
+    } else {
+      var node = Rule.createOperatorNode(operator, operands);
+    }
+    return {
+      node: node,
+      position: current
+    };
+  }
+  /**
+  * Parses either a gene or an expression within parentheses.
+  * @param {Array<string>} tokens Tokens of a rule.
+  * @param {number} position Index of current token.
+  * @returns {Object} Node of expression and index of next token, or null if
+  * the tokens are invalid.
+  */
+  static parseTerm(tokens, position) {
+    var token = tokens[position];
+    if (token === "(") {
+      var parse = Rule.parseDisjunction(tokens, position + 1);
+      if (parse === null || tokens[parse.position] !== ")") {
+        return null;
+      }
+      return {
+        node: parse.node,
+        position: parse.position + 1
+      };
+    } else if (
+      token === undefined ||
+      token === ")" ||
+      token === "and" ||
+      token === "or"
+    ) {
+      return null;
+    } else {
+      return {
+        node: {
+          type: "gene",
+          gene: token
+        },
+        position: position + 1
+      };
+    }
+  }
+  /**
+  * Creates a node for an operator.
+  * Operands of the same operator merge into a single node.
+  * @param {string} operator Operator, "and" or "or".
+  * @param {Array<Object>} operands Nodes of operands.
+  * @returns {Object} Node for the operator.
+  */
+  static createOperatorNode(operator, operands) {
+    var flatOperands = operands.reduce(function (collection, operand) {
+      if (operand.type === operator) {
+        return collection.concat(operand.operands);
+      } else {
+        return collection.concat(operand);
+      }
+    }, []);
+    return {
+      type: operator,
+      operands: flatOperands
+    };
+  }
+
+  // Access and describe rules.
+
+  /**
+  * Accesses the tree of expressions for a reaction's rule of genes.
+  * Reactions from sources of information that predate parse of rules do not
+  * have a record of the rule, so their genes serve as alternatives.
+  * @param {Object} reaction Information about a reaction.
+  * @returns {Object} Tree of expressions for the rule, or null if the reaction
+  * does not have genes.
+  */
+  static accessReactionRule(reaction) {
+    if (reaction.hasOwnProperty("rule")) {
+      return reaction.rule;
+    } else if (reaction.genes.length === 1) {
+      return {
+        type: "gene",
+        gene: reaction.genes[0]
+      };
+    } else if (reaction.genes.length > 1) {
+      return Rule.createOperatorNode("or", reaction.genes.map(function (gene) {
+        return {
+          type: "gene",
+          gene: gene
+        };
+      }));
+    } else {
+      return null;
+    }
+  }
+  /**
+  * Collects identifiers of genes from a tree of expressions for a rule.
+  * @param {Object} rule Tree of expressions for a rule.
+  * @returns {Array<string>} Identifiers of genes.
+  */
+  static collectRuleGenes(rule) {
+    if (rule === null) {
+      return [];
+    } else if (rule.type === "gene") {
+      return [rule.gene];
+    } else {
+      return General.collectUniqueElements(
+        rule.operands.reduce(function (collection, operand) {
+          return collection.concat(Rule.collectRuleGenes(operand));
+        }, [])
+      );
+    }
+  }
+  /**
+  * Describes a tree of expressions for a rule.
+  * Parentheses enclose every nested operation to make grouping explicit.
+  * @param {Object} rule Tree of expressions for a rule.
+  * @returns {string} Description of rule.
+  */
+  static describeRule(rule) {
+    if (rule === null) {
+      return "";
+    } else if (rule.type === "gene") {
+      return rule.gene;
+    } else {
+      return rule.operands.map(function (operand) {
+        if (operand.type === "gene") {
+          return Rule.describeRule(operand);
+        } else {
+          return "(" + Rule.describeRule(operand) + ")";
+        }
+      }).join(" " + rule.type + " ");
+    }
+  }
+
+  // Evaluate rules.
+
+  /**
+  * Evaluates whether a rule retains catalysis given inactive genes.
+  * A complex requires all of its genes, whereas any isozyme suffices.
+  * Reactions without a rule do not depend on genes and retain catalysis.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.rule Tree of expressions for a rule.
+  * @param {Array<string>} parameters.inactiveGenes Identifiers of inactive
+  * genes.
+  * @returns {boolean} Whether the rule retains catalysis.
+  */
+  static evaluateRule({rule, inactiveGenes} = {}) {
+    if (rule === null) {
+      return true;
+    } else if (rule.type === "gene") {
+      return !inactiveGenes.includes(rule.gene);
+    } else if (rule.type === "and") {
+      return rule.operands.every(function (operand) {
+        return Rule.evaluateRule({
+          rule: operand,
+          inactiveGenes: inactiveGenes
+        });
+      });
+    } else {
+      return rule.operands.some(function (operand) {
+        return Rule.evaluateRule({
+          rule: operand,
+          inactiveGenes: inactiveGenes
+        });
+      });
+    }
+  }
+  /**
+  * Determines whether a reaction retains catalysis given inactive genes.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.reaction Information about a reaction.
+  * @param {Array<string>} parameters.inactiveGenes Identifiers of inactive
+  * genes.
+  * @returns {boolean} Whether the reaction retains catalysis.
+  */
+  static determineReactionCatalysis({reaction, inactiveGenes} = {}) {
+    return Rule.evaluateRule({
+      rule: Rule.accessReactionRule(reaction),
+      inactiveGenes: inactiveGenes
+    });
+  }
+  /**
+  * Collects reactions that lose catalysis given inactive genes.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object<Object>} parameters.reactions Information about all
+  * reactions.
+  * @param {Array<string>} parameters.inactiveGenes Identifiers of inactive
+  * genes.
+  * @returns {Array<string>} Identifiers of reactions that lose catalysis.
+  */
+  static collectReactionsLossCatalysis({reactions, inactiveGenes} = {}) {
+    // Avoid evaluation of rules when there are not any inactive genes.
+    if (inactiveGenes.length < 1) {
+      return [];
+    }
+    return Object.keys(reactions).filter(function (identifier) {
+      return !Rule.determineReactionCatalysis({
+        reaction: reactions[identifier],
+        inactiveGenes: inactiveGenes
+      });
+    });
+  }
+
+  // Knockouts of genes.
+
+  /**
+  * Creates records for all genes that have a role in reactions.
+  * Records of genes from the metabolic model supply names, whereas genes from
+  * reactions' rules without records use their identifiers as names.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object<Object>} parameters.genes Information about genes.
+  * @param {Object<Object>} parameters.reactions Information about reactions.
+  * @returns {Object<Object>} Records for genes.
+  */
+  static createReactionsGenesRecords({genes, reactions} = {}) {
+    var reactionsGenes = Object.keys(reactions)
+    .reduce(function (collection, identifier) {
+      return collection.concat(reactions[identifier].genes);
+    }, []);
+    return General.collectUniqueElements(reactionsGenes)
+    .reduce(function (collection, identifier) {
+      if (genes.hasOwnProperty(identifier) && genes[identifier].name) {
+        var name = genes[identifier].name;
+      } else {
+        var name = identifier;
+      }
+      var record = {
+        [identifier]: {
+          identifier: identifier,
+          name: name
+        }
+      };
+      return Object.assign(collection, record);
+    }, {});
+  }
+  /**
+  * Collects identifiers of genes from a list of text.
+  * The list can separate genes by white space, commas, or semicolons.
+  * Only genes with records are valid.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.text List of identifiers or names of genes.
+  * @param {Object<Object>} parameters.genesRecords Records for genes.
+  * @returns {Array<string>} Identifiers of genes.
+  */
+  static parseGenesList({text, genesRecords} = {}) {
+    var identifiers = Object.keys(genesRecords);
+    var names = identifiers.map(function (identifier) {
+      return genesRecords[identifier].name;
+    });
+    var genes = text.split(/[\s,;]+/).reduce(function (collection, element) {
+      if (identifiers.includes(element)) {
+        return collection.concat(element);
+      } else if (names.includes(element)) {
+        return collection.concat(identifiers[names.indexOf(element)]);
+      } else {
+        return collection;
+      }
+    }, []);
+    return General.collectUniqueElements(genes);
+  }
+  /**
+  * Collects reactions that lose catalysis and metabolites that lose all of
+  * their reactions by knockout of genes.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Array<string>} parameters.knockoutGenes Identifiers of genes to
+  * knock out.
+  * @param {Object<Object>} parameters.reactionsSets Information about
+  * reactions' metabolites and sets.
+  * @param {Object<Object>} parameters.reactions Information about reactions.
+  * @returns {Object<Array<string>>} Identifiers of reactions and metabolites.
+  */
+  static collectKnockouts({knockoutGenes, reactionsSets, reactions} = {}) {
+    // Determine whether there are any knockouts.
+    if (knockoutGenes.length < 1) {
+      return {
+        knockoutReactions: [],
+        knockoutMetabolites: []
+      };
+    }
+    // Only consider reactions that pass filters.
+    // Separate reactions that lose catalysis from reactions that retain
+    // catalysis.
+    var initialCollection = {
+      knockoutReactions: [],
+      retentionMetabolites: {}
+    };
+    var separation = Object.keys(reactionsSets)
+    .reduce(function (collection, identifier) {
+      if (
+        Rule.determineReactionCatalysis({
+          reaction: reactions[identifier],
+          inactiveGenes: knockoutGenes
+        })
+      ) {
+        reactionsSets[identifier].metabolites.forEach(function (metabolite) {
+          collection.retentionMetabolites[metabolite] = true;
+        });
+      } else {
+        collection.knockoutReactions.push(identifier);
+      }
+      return collection;
+    }, initialCollection);
+    // Collect metabolites that participate in reactions that lose catalysis
+    // but not in any reactions that retain catalysis.
+    var knockoutMetabolites = separation.knockoutReactions
+    .reduce(function (collection, identifier) {
+      reactionsSets[identifier].metabolites.forEach(function (metabolite) {
+        if (!separation.retentionMetabolites.hasOwnProperty(metabolite)) {
+          collection[metabolite] = true;
+        }
+      });
+      return collection;
+    }, {});
+    // Compile information.
+    return {
+      knockoutReactions: separation.knockoutReactions,
+      knockoutMetabolites: Object.keys(knockoutMetabolites)
+    };
+  }
+}
@@ -0,0 +1,1187 @@
+/*
+Profondeur supports visual exploration and analysis of metabolic networks.
+Copyright (C) 2017 Thomas Cameron Waller
+
+This program is free software: you can redistribute it and/or modify it under
+the terms of the GNU General Public License as published by the Free Software
+Foundation, either version 3 of the License, or (at your option) any later
+version.
+
+This program is distributed in the hope that it will be useful, but WITHOUT ANY
+WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+PARTICULAR PURPOSE.
+See the GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License along with
+this program.
+If not, see <http://www.gnu.org/licenses/>.
+
+This file is part of project Profondeur.
+Project repository's address: https://github.com/tcameronwaller/profondeur/
+Author's electronic address: tcameronwaller@gmail.com
+Author's physical address:
+T Cameron Waller
+Scientific Computing and Imaging Institute
+University of Utah
+72 South Central Campus Drive Room 3750
+Salt Lake City, Utah 84112
+United States of America
+*/
+
+
+
+/**
+* Functionality of utility for serialization of network's elements in formats
+* for other software for analysis and visualization of networks.
+* Formats include GraphML, Simple Interaction Format (SIF), Graph Modeling
+* Language (GML), DOT of Graphviz, JSON of Cytoscape.js, SBGN-ML of
+* Systems Biology Graphical Notation's Process Description, and JSON of Escher's
+* maps.
+* This class stores methods for external utility.
+* This class does not store any attributes and does not require instantiation.
+*/
+class Serialization {
+
+  // Formats.
+
+  /**
+  * Creates references to formats for export of network's elements.
+  * @returns {Array<Object<string>>} Information about formats.
+  */
+  static createFormatsReferences() {
+    return [
+      {format: "table", label: "tables", extension: "txt"},
+      {format: "graphml", label: "GraphML", extension: "graphml"},
+      {format: "sif", label: "SIF", extension: "sif"},
+      {format: "gml", label: "GML", extension: "gml"},
+      {format: "dot", label: "DOT", extension: "dot"},
+      {format: "cytoscape", label: "Cytoscape.js", extension: "cyjs"},
+      {format: "sbgn", label: "SBGN-ML", extension: "sbgn"},
+      {format: "escher", label: "Escher", extension: "json"}
+    ];
+  }
+  /**
+  * Determines the extension of files for a format.
+  * @param {string} format Format for export of network's elements.
+  * @returns {string} Extension of files.
+  */
+  static determineFormatExtension(format) {
+    return Serialization.createFormatsReferences()
+    .find(function (reference) {
+      return reference.format === format;
+    }).extension;
+  }
+
+  // Description of network's elements.
+
+  /**
+  * Creates descriptions of network's elements with their attributes and
+  * positions.
+  * Descriptions of reactions' nodes include reactions' reversibilities,
+  * participants, and rules of genes.
+  * Descriptions of links include participants' coefficients and the
+  * intermediate reactions or metabolites that links of projections represent.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Array<Object>} parameters.nodesRecords Information about network's
+  * nodes.
+  * @param {Array<Object>} parameters.linksRecords Information about network's
+  * links.
+  * @param {Array<Object>} parameters.positionsRecords Information about
+  * positions of network's nodes in diagram.
+  * @param {Object} parameters.networkNodesReactions Information about network's
+  * nodes for reactions.
+  * @param {Object} parameters.networkNodesMetabolites Information about
+  * network's nodes for metabolites.
+  * @param {Object} parameters.networkNodesGenes Information about network's
+  * nodes for genes.
+  * @param {Object} parameters.networkLinks Information about network's links.
+  * @param {Object} parameters.candidatesReactions Information about candidate
+  * reactions.
+  * @param {Object} parameters.candidatesMetabolites Information about
+  * candidate metabolites.
+  * @param {Object<Object>} parameters.reactions Information about reactions.
+  * @param {Object<Object>} parameters.metabolites Information about
+  * metabolites.
+  * @param {Object<Object>} parameters.genes Information about genes.
+  * @param {Object<Object>} parameters.reactionsSets Information about
+  * reactions' metabolites and sets.
+  * @param {Object<Object>} parameters.metabolitesSets Information about
+  * metabolites' reactions and sets.
+  * @param {Object<Object>} parameters.compartments Information about
+  * compartments.
+  * @param {Object<Object>} parameters.processes Information about processes.
+  * @returns {Object<Array<Object>>} Descriptions of network's nodes and links.
+  */
+  static createNetworkElementsDescriptions({nodesRecords, linksRecords, positionsRecords, networkNodesReactions, networkNodesMetabolites, networkNodesGenes, networkLinks, candidatesReactions, candidatesMetabolites, reactions, metabolites, genes, reactionsSets, metabolitesSets, compartments, processes} = {}) {
+    // Collect positions of nodes.
+    var positions = positionsRecords.reduce(function (collection, record) {
+      var entry = {
+        [record.identifier]: {x: record.x, y: record.y}
+      };
+      return Object.assign(collection, entry);
+    }, {});
+    // Describe nodes.
+    var nodes = nodesRecords.map(function (record) {
+      // Access information.
+      if (record.type === "reaction") {
+        var node = networkNodesReactions[record.identifier];
+        var candidate = candidatesReactions[node.candidate];
+        var entity = reactions[candidate.reaction];
+        var name = candidate.name;
+        var sets = reactionsSets[candidate.reaction];
+        var setsCompartments = sets.compartments;
+        var rule = Rule.accessReactionRule(entity);
+        var ruleGenes = Rule.collectRuleGenes(rule).map(function (gene) {
+          return {
+            identifier: gene,
+            name: (genes.hasOwnProperty(gene) ? genes[gene].name : gene)
+          };
+        });
+      } else if (record.type === "metabolite") {
+        var node = networkNodesMetabolites[record.identifier];
+        var candidate = candidatesMetabolites[node.candidate];
+        var entity = metabolites[candidate.metabolite];
+        var name = candidate.name;
+        var sets = metabolitesSets[candidate.metabolite];
+        // Compartmentalization restricts candidate metabolites to the
+        // compartments of their groups.
+        if (candidate.compartments) {
+          var setsCompartments = sets.compartments
+          .filter(function (compartment) {
+            return candidate.compartments.includes(compartment);
+          });
+        } else {
+          var setsCompartments = sets.compartments;
+        }
+      } else if (record.type === "gene") {
+        var node = networkNodesGenes[record.identifier];
+        var entity = genes[node.gene];
+        var name = entity.name;
+        var sets = {processes: []};
+        var setsCompartments = [];
+      }
+      // Compile information.
+      return {
+        identifier: record.identifier,
+        type: record.type,
+        name: name,
+        entity: entity.identifier,
+        compartments: setsCompartments.map(function (compartment) {
+          return compartments[compartment].name;
+        }),
+        processes: sets.processes.map(function (process) {
+          return processes[process].name;
+        }),
+        position: (positions[record.identifier] || null),
+        reversibility: (
+          (record.type === "reaction") ? entity.reversibility : false
+        ),
+        participants: ((record.type === "reaction") ? entity.participants : []),
+        rule: ((record.type === "reaction") ? Rule.describeRule(rule) : ""),
+        genes: ((record.type === "reaction") ? ruleGenes : [])
+      };
+    });
+    // Describe links.
+    var links = linksRecords.map(function (record) {
+      var link = networkLinks[record.identifier];
+      return {
+        identifier: record.identifier,
+        source: record.source,
+        target: record.target,
+        role: link.role,
+        coefficient: (
+          link.hasOwnProperty("coefficient") ? link.coefficient : null
+        ),
+        replication: link.replication,
+        reactions: (link.reactions || []),
+        metabolites: (link.metabolites || [])
+      };
+    });
+    // Compile information.
+    return {
+      nodes: nodes,
+      links: links
+    };
+  }
+
+  // Serialization of network's elements.
+
+  /**
+  * Serializes descriptions of network's elements in a format.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.format Format for export of network's elements.
+  * @param {Object<Array<Object>>} parameters.elements Descriptions of
+  * network's nodes and links.
+  * @returns {string} Serialization of network's elements.
+  */
+  static serializeNetworkElements({format, elements} = {}) {
+    if (format === "graphml") {
+      return Serialization.serializeGraphML(elements);
+    } else if (format === "sif") {
+      return Serialization.serializeSIF(elements);
+    } else if (format === "gml") {
+      return Serialization.serializeGML(elements);
+    } else if (format === "dot") {
+      return Serialization.serializeDOT(elements);
+    } else if (format === "cytoscape") {
+      return Serialization.serializeCytoscape(elements);
+    } else if (format === "sbgn") {
+      return Serialization.serializeSBGN(elements);
+    } else if (format === "escher") {
+      return Serialization.serializeEscher(elements);
+    }
+  }
+  /**
+  * Serializes descriptions of network's elements in GraphML.
+  * @param {Object<Array<Object>>} elements Descriptions of network's nodes and
+  * links.
+  * @returns {string} Serialization of network's elements.
+  */
+  static serializeGraphML(elements) {
+    // Specify attributes.
+    var keys = [
+      {identifier: "type", domain: "node", type: "string"},
+      {identifier: "name", domain: "node", type: "string"},
+      {identifier: "entity", domain: "node", type: "string"},
+      {identifier: "compartments", domain: "node", type: "string"},
+      {identifier: "processes", domain: "node", type: "string"},
+      {identifier: "x", domain: "node", type: "double"},
+      {identifier: "y", domain: "node", type: "double"},
+      {identifier: "role", domain: "edge", type: "string"},
+      {identifier: "coefficient", domain: "edge", type: "double"},
+      {identifier: "replication", domain: "edge", type: "boolean"},
+      {identifier: "reactions", domain: "edge", type: "string"},
+      {identifier: "metabolites", domain: "edge", type: "string"}
+    ];
+    var head = [
+      "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+      "<graphml xmlns=\"http://graphml.graphdrawing.org/xmlns\">"
+    ].concat(keys.map(function (key) {
+      return (
+        "  <key id=\"" + key.identifier + "\" for=\"" + key.domain +
+        "\" attr.name=\"" + key.identifier + "\" attr.type=\"" + key.type +
+        "\"/>"
+      );
+    }), "  <graph id=\"network\" edgedefault=\"directed\">");
+    var nodes = elements.nodes.map(function (node) {
+      var values = Serialization.createNodeAttributesValues(node);
+      var data = Object.keys(values).map(function (key) {
+        return (
+          "      <data key=\"" + key + "\">" +
+          Serialization.escapeMarkup(String(values[key])) + "</data>"
+        );
+      });
+      return [].concat(
+        "    <node id=\"" + Serialization.escapeMarkup(node.identifier) + "\">",
+        data,
+        "    </node>"
+      ).join("\n");
+    });
+    var links = elements.links.map(function (link) {
+      var values = Serialization.createLinkAttributesValues(link);
+      var data = Object.keys(values).map(function (key) {
+        return (
+          "      <data key=\"" + key + "\">" +
+          Serialization.escapeMarkup(String(values[key])) + "</data>"
+        );
+      });
+      return [].concat(
+        (
+          "    <edge id=\"" + Serialization.escapeMarkup(link.identifier) +
+          "\" source=\"" + Serialization.escapeMarkup(link.source) +
+          "\" target=\"" + Serialization.escapeMarkup(link.target) + "\">"
+        ),
+        data,
+        "    </edge>"
+      ).join("\n");
+    });
+    var tail = ["  </graph>", "</graphml>"];
+    return [].concat(head, nodes, links, tail).join("\n") + "\n";
+  }
+  /**
+  * Serializes descriptions of network's elements in Simple Interaction Format.
+  * Simple Interaction Format only represents links and their roles, so
+  * serialization lists nodes without links separately.
+  * @param {Object<Array<Object>>} elements Descriptions of network's nodes and
+  * links.
+  * @returns {string} Serialization of network's elements.
+  */
+  static serializeSIF(elements) {
+    var links = elements.links.map(function (link) {
+      return [link.source, link.role, link.target].join("\t");
+    });
+    var linked = elements.links.reduce(function (collection, link) {
+      collection[link.source] = true;
+      collection[link.target] = true;
+      return collection;
+    }, {});
+    var nodes = elements.nodes
+    .filter(function (node) {
+      return !linked[node.identifier];
+    })
+    .map(function (node) {
+      return node.identifier;
+    });
+    return [].concat(links, nodes).join("\n") + "\n";
+  }
+  /**
+  * Serializes descriptions of network's elements in Graph Modeling Language.
+  * @param {Object<Array<Object>>} elements Descriptions of network's nodes and
+  * links.
+  * @returns {string} Serialization of network's elements.
+  */
+  static serializeGML(elements) {
+    // Graph Modeling Language requires numeric identifiers for nodes.
+    var indices = elements.nodes.reduce(function (collection, node, index) {
+      collection[node.identifier] = index;
+      return collection;
+    }, {});
+    var nodes = elements.nodes.map(function (node, index) {
+      var values = Serialization.createNodeAttributesValues(node);
+      var lines = [
+        "  node [",
+        "    id " + index,
+        "    label " + Serialization.quoteGML(node.name),
+        "    identifier " + Serialization.quoteGML(node.identifier)
+      ];
+      ["type", "entity", "compartments", "processes"]
+      .forEach(function (key) {
+        lines.push("    " + key + " " + Serialization.quoteGML(values[key]));
+      });
+      if (node.position) {
+        lines.push(
+          "    graphics [",
+          "      x " + node.position.x,
+          "      y " + node.position.y,
+          "    ]"
+        );
+      }
+      lines.push("  ]");
+      return lines.join("\n");
+    });
+    var links = elements.links.map(function (link) {
+      var values = Serialization.createLinkAttributesValues(link);
+      var lines = [
+        "  edge [",
+        "    source " + indices[link.source],
+        "    target " + indices[link.target]
+      ];
+      Object.keys(values).forEach(function (key) {
+        if (key === "coefficient") {
+          lines.push("    " + key + " " + values[key]);
+        } else {
+          lines.push("    " + key + " " + Serialization.quoteGML(values[key]));
+        }
+      });
+      lines.push("  ]");
+      return lines.join("\n");
+    });
+    return (
+      [].concat("graph [", "  directed 1", nodes, links, "]").join("\n") + "\n"
+    );
+  }
+  /**
+  * Serializes descriptions of network's elements in DOT language of Graphviz.
+  * @param {Object<Array<Object>>} elements Descriptions of network's nodes and
+  * links.
+  * @returns {string} Serialization of network's elements.
+  */
+  static serializeDOT(elements) {
+    var shapes = {
+      metabolite: "ellipse",
+      reaction: "box",
+      gene: "diamond"
+    };
+    var nodes = elements.nodes.map(function (node) {
+      var values = Serialization.createNodeAttributesValues(node);
+      var attributes = [
+        "label=" + Serialization.quoteDOT(node.name),
+        "shape=" + shapes[node.type]
+      ].concat(
+        ["type", "entity", "compartments", "processes"].map(function (key) {
+          return key + "=" + Serialization.quoteDOT(values[key]);
+        })
+      );
+      if (node.position) {
+        // Diagram's vertical axis increases downward, whereas Graphviz's
+        // vertical axis increases upward.
+        attributes.push(
+          "pos=" + Serialization.quoteDOT(
+            node.position.x + "," + (-node.position.y) + "!"
+          )
+        );
+      }
+      return (
+        "  " + Serialization.quoteDOT(node.identifier) +
+        " [" + attributes.join(", ") + "];"
+      );
+    });
+    var links = elements.links.map(function (link) {
+      var values = Serialization.createLinkAttributesValues(link);
+      var attributes = Object.keys(values).map(function (key) {
+        return key + "=" + Serialization.quoteDOT(values[key]);
+      });
+      return (
+        "  " + Serialization.quoteDOT(link.source) + " -> " +
+        Serialization.quoteDOT(link.target) +
+        " [" + attributes.join(", ") + "];"
+      );
+    });
+    return [].concat("digraph network {", nodes, links, "}").join("\n") + "\n";
+  }
+  /**
+  * Serializes descriptions of network's elements in JSON of Cytoscape.js.
+  * @param {Object<Array<Object>>} elements Descriptions of network's nodes and
+  * links.
+  * @returns {string} Serialization of network's elements.
+  */
+  static serializeCytoscape(elements) {
+    var nodes = elements.nodes.map(function (node) {
+      var data = Object.assign({
+        id: node.identifier
+      }, Serialization.createNodeAttributesValues(node));
+      if (node.position) {
+        return {
+          data: data,
+          position: {x: node.position.x, y: node.position.y}
+        };
+      } else {
+        return {
+          data: data
+        };
+      }
+    });
+    var links = elements.links.map(function (link) {
+      return {
+        data: Object.assign({
+          id: link.identifier,
+          source: link.source,
+          target: link.target
+        }, Serialization.createLinkAttributesValues(link))
+      };
+    });
+    var information = {
+      elements: {
+        nodes: nodes,
+        edges: links
+      }
+    };
+    return JSON.stringify(information, null, 2);
+  }
+  /**
+  * Serializes descriptions of network's elements in SBGN-ML of Process
+  * Description.
+  * Reactions are process glyphs, metabolites are simple chemical glyphs, and
+  * genes are macromolecule glyphs.
+  * Compartments are compartment glyphs that enclose metabolites that occur in
+  * only a single compartment.
+  * Serialization does not arrange nodes by compartments, so bounds of
+  * compartments overlap where positions of their metabolites intermingle.
+  * Identifiers of glyphs and arcs derive from identifiers of nodes and links
+  * with escapes to conform to XML's names.
+  * Links from metabolites to reactions are consumption arcs, links from
+  * reactions to metabolites are production arcs, and links from genes to
+  * reactions are catalysis arcs.
+  * Reversible reactions have production arcs for all of their metabolites.
+  * Process Description does not accommodate links between nodes of the same
+  * type in projections of the network.
+  * @param {Object<Array<Object>>} elements Descriptions of network's nodes and
+  * links.
+  * @returns {string} Serialization of network's elements.
+  */
+  static serializeSBGN(elements) {
+    // Specify dimensions of glyphs.
+    var dimensions = {
+      metabolite: {width: 30, height: 30, type: "simple chemical"},
+      reaction: {width: 15, height: 15, type: "process"},
+      gene: {width: 60, height: 30, type: "macromolecule"}
+    };
+    // Determine positions of glyphs' centers.
+    var nodes = elements.nodes.map(function (node) {
+      var position = (node.position || {x: 0, y: 0});
+      return Object.assign({}, node, {
+        x: position.x,
+        y: position.y,
+        dimensions: dimensions[node.type]
+      });
+    });
+    var types = nodes.reduce(function (collection, node) {
+      collection[node.identifier] = node.type;
+      return collection;
+    }, {});
+    // Create compartment glyphs for metabolites in single compartments.
+    var compartments = Serialization.collectSBGNCompartments(nodes);
+    var compartmentsGlyphs = compartments.map(function (compartment) {
+      return Serialization.createSBGNGlyph({
+        identifier: compartment.identifier,
+        type: "compartment",
+        label: compartment.name,
+        bounds: compartment.bounds,
+        reference: null
+      });
+    });
+    // Create glyphs for nodes.
+    var nodesGlyphs = nodes.map(function (node) {
+      // Determine compartment of node.
+      var compartment = compartments.find(function (compartment) {
+        return compartment.members.includes(node.identifier);
+      });
+      return Serialization.createSBGNGlyph({
+        identifier: Serialization.createSBGNIdentifier({
+          prefix: "glyph",
+          identifier: node.identifier
+        }),
+        type: node.dimensions.type,
+        label: node.name,
+        bounds: {
+          x: (node.x - (node.dimensions.width / 2)),
+          y: (node.y - (node.dimensions.height / 2)),
+          width: node.dimensions.width,
+          height: node.dimensions.height
+        },
+        reference: (compartment ? compartment.identifier : null)
+      });
+    });
+    // Create arcs for links.
+    var arcs = Serialization.collectSBGNArcs({
+      links: elements.links,
+      types: types
+    });
+    var positions = nodes.reduce(function (collection, node) {
+      collection[node.identifier] = {x: node.x, y: node.y};
+      return collection;
+    }, {});
+    var arcsElements = arcs.map(function (arc) {
+      var start = positions[arc.source];
+      var end = positions[arc.target];
+      var identifier = Serialization.createSBGNIdentifier({
+        prefix: "arc",
+        identifier: arc.identifier
+      });
+      var source = Serialization.createSBGNIdentifier({
+        prefix: "glyph",
+        identifier: arc.source
+      });
+      var target = Serialization.createSBGNIdentifier({
+        prefix: "glyph",
+        identifier: arc.target
+      });
+      return [
+        (
+          "    <arc id=\"" + identifier + "\" class=\"" + arc.type +
+          "\" source=\"" + source + "\" target=\"" + target + "\">"
+        ),
+        "      <start x=\"" + start.x + "\" y=\"" + start.y + "\"/>",
+        "      <end x=\"" + end.x + "\" y=\"" + end.y + "\"/>",
+        "    </arc>"
+      ].join("\n");
+    });
+    var head = [
+      "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+      "<sbgn xmlns=\"http://sbgn.org/libsbgn/0.2\">",
+      "  <map language=\"process description\">"
+    ];
+    var tail = ["  </map>", "</sbgn>"];
+    return (
+      [].concat(head, compartmentsGlyphs, nodesGlyphs, arcsElements, tail)
+      .join("\n") + "\n"
+    );
+  }
+  /**
+  * Collects compartments of metabolites that occur in only a single
+  * compartment.
+  * Compartments' bounds enclose their metabolites' glyphs.
+  * Bounds of separate compartments overlap when their metabolites'
+  * glyphs intermingle.
+  * @param {Array<Object>} nodes Descriptions of network's nodes with
+  * positions and dimensions.
+  * @returns {Array<Object>} Information about compartments.
+  */
+  static collectSBGNCompartments(nodes) {
+    var pad = 20;
+    var compartments = nodes
+    .filter(function (node) {
+      return (node.type === "metabolite") && (node.compartments.length === 1);
+    })
+    .reduce(function (collection, node) {
+      var name = node.compartments[0];
+      var left = node.x - (node.dimensions.width / 2) - pad;
+      var top = node.y - (node.dimensions.height / 2) - pad;
+      var right = node.x + (node.dimensions.width / 2) + pad;
+      var bottom = node.y + (node.dimensions.height / 2) + pad;
+      if (collection.hasOwnProperty(name)) {
+        var compartment = collection[name];
+        compartment.members.push(node.identifier);
+        compartment.left = Math.min(compartment.left, left);
+        compartment.top = Math.min(compartment.top, top);
+        compartment.right = Math.max(compartment.right, right);
+        compartment.bottom = Math.max(compartment.bottom, bottom);
+      } else {
+        collection[name] = {
+          name: name,
+          members: [node.identifier],
+          left: left,
+          top: top,
+          right: right,
+          bottom: bottom
+        };
+      }
+      return collection;
+    }, {});
+    return Object.keys(compartments).map(function (name, index) {
+      var compartment = compartments[name];
+      return {
+        identifier: ("compartment_" + (index + 1)),
+        name: name,
+        members: compartment.members,
+        bounds: {
+          x: compartment.left,
+          y: compartment.top,
+          width: (compartment.right - compartment.left),
+          height: (compartment.bottom - compartment.top)
+        }
+      };
+    });
+  }
+  /**
+  * Collects arcs of Process Description from network's links.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Array<Object>} parameters.links Descriptions of network's links.
+  * @param {Object<string>} parameters.types Types of network's nodes.
+  * @returns {Array<Object>} Information about arcs.
+  */
+  static collectSBGNArcs({links, types} = {}) {
+    // Collect pairs of nodes that links connect in both directions.
+    var pairs = links.reduce(function (collection, link) {
+      collection[link.source + "\t" + link.target] = true;
+      return collection;
+    }, {});
+    return links.reduce(function (collection, link) {
+      var source = types[link.source];
+      var target = types[link.target];
+      var reverse = pairs.hasOwnProperty(link.target + "\t" + link.source);
+      if ((source === "gene") && (target === "reaction")) {
+        var type = "catalysis";
+      } else if (
+        (source === "metabolite") && (target === "reaction") && !reverse
+      ) {
+        var type = "consumption";
+      } else if ((source === "reaction") && (target === "metabolite")) {
+        var type = "production";
+      } else {
+        // Links of reversible reactions from metabolites to reactions
+        // duplicate links from reactions to metabolites.
+        // Links between nodes of the same type do not have arcs.
+        return collection;
+      }
+      return collection.concat({
+        identifier: link.identifier,
+        type: type,
+        source: link.source,
+        target: link.target
+      });
+    }, []);
+  }
+  /**
+  * Creates an identifier for a glyph or arc of SBGN-ML.
+  * Identifiers of SBGN-ML must be names of XML that do not include colons.
+  * Escapes of characters other than letters, digits, periods, and hyphens
+  * preserve distinction between identifiers.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.prefix Prefix that begins the identifier.
+  * @param {string} parameters.identifier Identifier of a node or link.
+  * @returns {string} Identifier for a glyph or arc.
+  */
+  static createSBGNIdentifier({prefix, identifier} = {}) {
+    var escape = String(identifier)
+    .replace(/[^A-Za-z0-9.\-]/g, function (character) {
+      var code = character.charCodeAt(0).toString(16);
+      return "_" + ("0000" + code).slice(-4);
+    });
+    return prefix + "_" + escape;
+  }
+  /**
+  * Creates a glyph of SBGN-ML.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.identifier Identifier of glyph.
+  * @param {string} parameters.type Class of glyph.
+  * @param {string} parameters.label Text of glyph's label.
+  * @param {Object<number>} parameters.bounds Position and dimensions of
+  * glyph's bounds.
+  * @param {string} parameters.reference Identifier of glyph's compartment.
+  * @returns {string} Serialization of glyph.
+  */
+  static createSBGNGlyph({identifier, type, label, bounds, reference} = {}) {
+    var attributes = (
+      "id=\"" + Serialization.escapeMarkup(identifier) + "\" class=\"" +
+      type + "\""
+    );
+    if (reference) {
+      attributes += " compartmentRef=\"" + reference + "\"";
+    }
+    var lines = ["    <glyph " + attributes + ">"];
+    // Process glyphs do not have labels.
+    if (type !== "process") {
+      lines.push(
+        "      <label text=\"" + Serialization.escapeMarkup(label) + "\"/>"
+      );
+    }
+    lines.push(
+      (
+        "      <bbox x=\"" + bounds.x + "\" y=\"" + bounds.y + "\" w=\"" +
+        bounds.width + "\" h=\"" + bounds.height + "\"/>"
+      ),
+      "    </glyph>"
+    );
+    return lines.join("\n");
+  }
+  /**
+  * Serializes descriptions of network's elements in JSON of Escher's maps.
+  * Reactions are midmarker nodes with segments to the nodes of their
+  * metabolites, and metabolites are metabolite nodes.
+  * Metabolites that participate in multiple compartments have a node for each
+  * compartment.
+  * Escher's maps do not accommodate genes or links between nodes of the same
+  * type in projections of the network.
+  * @param {Object<Array<Object>>} elements Descriptions of network's nodes and
+  * links.
+  * @returns {string} Serialization of network's elements.
+  */
+  static serializeEscher(elements) {
+    // Determine positions of nodes.
+    var nodes = elements.nodes.reduce(function (collection, node) {
+      collection[node.identifier] = Object.assign({}, node, {
+        position: (node.position || {x: 0, y: 0})
+      });
+      return collection;
+    }, {});
+    // Collect participations of metabolites in reactions.
+    var participations = Serialization.collectEscherParticipations({
+      links: elements.links,
+      nodes: nodes
+    });
+    // Collect nodes of map for metabolites.
+    var metabolites = elements.nodes
+    .filter(function (node) {
+      return node.type === "metabolite";
+    })
+    .reduce(function (collection, node) {
+      var references = General.collectUniqueElements(
+        participations
+        .filter(function (participation) {
+          return participation.metabolite === node.identifier;
+        })
+        .map(function (participation) {
+          return participation.reference;
+        })
+      );
+      var nodeReferences = (
+        (references.length > 0) ? references : [node.entity]
+      );
+      return collection.concat(nodeReferences.map(function (reference) {
+        return {
+          node: node.identifier,
+          reference: reference
+        };
+      }));
+    }, []);
+    var reactions = elements.nodes.filter(function (node) {
+      return node.type === "reaction";
+    });
+    // Create nodes of map.
+    // Identifiers of map's nodes for metabolites precede those for reactions'
+    // midmarkers.
+    var metabolitesNodes = metabolites
+    .reduce(function (collection, metabolite, index) {
+      var position = nodes[metabolite.node].position;
+      collection[String(index + 1)] = {
+        node_type: "metabolite",
+        x: position.x,
+        y: position.y,
+        bigg_id: metabolite.reference,
+        name: nodes[metabolite.node].name,
+        label_x: (position.x + 15),
+        label_y: (position.y + 25),
+        node_is_primary: false
+      };
+      return collection;
+    }, {});
+    var mapNodes = reactions.reduce(function (collection, reaction, index) {
+      var position = nodes[reaction.identifier].position;
+      collection[String(metabolites.length + index + 1)] = {
+        node_type: "midmarker",
+        x: position.x,
+        y: position.y
+      };
+      return collection;
+    }, metabolitesNodes);
+    // Create reactions of map.
+    var mapReactions = reactions.reduce(function (collection, reaction, index) {
+      var position = nodes[reaction.identifier].position;
+      var midmarker = String(metabolites.length + index + 1);
+      var segments = participations
+      .filter(function (participation) {
+        return participation.reaction === reaction.identifier;
+      })
+      .reduce(function (segmentsCollection, participation) {
+        var metabolite = String(metabolites.findIndex(function (metabolite) {
+          return (
+            (metabolite.node === participation.metabolite) &&
+            (metabolite.reference === participation.reference)
+          );
+        }) + 1);
+        // Segments proceed from reactants to midmarkers and from midmarkers
+        // to products.
+        if (participation.role === "reactant") {
+          var origin = metabolite;
+          var destination = midmarker;
+        } else {
+          var origin = midmarker;
+          var destination = metabolite;
+        }
+        segmentsCollection[participation.identifier] = {
+          from_node_id: origin,
+          to_node_id: destination,
+          b1: null,
+          b2: null
+        };
+        return segmentsCollection;
+      }, {});
+      collection[String(index + 1)] = {
+        name: reaction.name,
+        bigg_id: reaction.entity,
+        reversibility: reaction.reversibility,
+        label_x: (position.x + 15),
+        label_y: (position.y - 15),
+        gene_reaction_rule: reaction.rule,
+        genes: reaction.genes.map(function (gene) {
+          return {
+            bigg_id: gene.identifier,
+            name: gene.name
+          };
+        }),
+        metabolites: reaction.participants.map(function (participant) {
+          var sign = (participant.role === "reactant") ? -1 : 1;
+          return {
+            bigg_id: (participant.metabolite + "_" + participant.compartment),
+            coefficient: (sign * participant.coefficient)
+          };
+        }),
+        segments: segments
+      };
+      return collection;
+    }, {});
+    // Determine bounds of map's canvas.
+    var pad = 100;
+    var nodesPositions = Object.keys(mapNodes).map(function (identifier) {
+      return mapNodes[identifier];
+    });
+    var positions = (
+      (nodesPositions.length > 0) ? nodesPositions : [{x: 0, y: 0}]
+    );
+    var xs = positions.map(function (position) {
+      return position.x;
+    });
+    var ys = positions.map(function (position) {
+      return position.y;
+    });
+    var canvas = {
+      x: (Math.min(...xs) - pad),
+      y: (Math.min(...ys) - pad),
+      width: (Math.max(...xs) - Math.min(...xs) + (2 * pad)),
+      height: (Math.max(...ys) - Math.min(...ys) + (2 * pad))
+    };
+    // Compile information.
+    var head = {
+      map_name: "network",
+      map_id: "network",
+      map_description: "Network from Profondeur",
+      homepage: "https://escher.github.io",
+      schema: "https://escher.github.io/escher/jsonschema/1-0-0#"
+    };
+    var body = {
+      reactions: mapReactions,
+      nodes: mapNodes,
+      text_labels: {},
+      canvas: canvas
+    };
+    return JSON.stringify([head, body], null, 2);
+  }
+  /**
+  * Collects participations of metabolites in reactions for segments of
+  * Escher's maps from network's links.
+  * Links of reversible reactions in both directions represent the same
+  * participation.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Array<Object>} parameters.links Descriptions of network's links.
+  * @param {Object<Object>} parameters.nodes Descriptions of network's nodes.
+  * @returns {Array<Object>} Information about participations.
+  */
+  static collectEscherParticipations({links, nodes} = {}) {
+    var participations = links.reduce(function (collection, link) {
+      var source = nodes[link.source];
+      var target = nodes[link.target];
+      if ((source.type === "metabolite") && (target.type === "reaction")) {
+        var metabolite = source;
+        var reaction = target;
+      } else if (
+        (source.type === "reaction") && (target.type === "metabolite")
+      ) {
+        var metabolite = target;
+        var reaction = source;
+      } else {
+        return collection;
+      }
+      var key = [reaction.identifier, metabolite.identifier, link.role]
+      .join("\t");
+      if (!collection.hasOwnProperty(key)) {
+        // Determine compartment of participation from reaction's participants.
+        var participant = reaction.participants.find(function (participant) {
+          return (
+            (participant.metabolite === metabolite.entity) &&
+            (participant.role === link.role)
+          );
+        });
+        collection[key] = {
+          reaction: reaction.identifier,
+          metabolite: metabolite.identifier,
+          role: link.role,
+          reference: (
+            participant ?
+            (participant.metabolite + "_" + participant.compartment) :
+            metabolite.entity
+          )
+        };
+      }
+      return collection;
+    }, {});
+    return Object.keys(participations).map(function (key, index) {
+      return Object.assign(participations[key], {
+        identifier: String(index + 1)
+      });
+    });
+  }
+
+  /**
+  * Creates values of a node's attributes for serialization.
+  * Serialization joins values of multiple compartments or processes.
+  * @param {Object} node Description of a network's node.
+  * @returns {Object} Values of node's attributes.
+  */
+  static createNodeAttributesValues(node) {
+    var values = {
+      type: node.type,
+      name: node.name,
+      entity: node.entity,
+      compartments: node.compartments.join("; "),
+      processes: node.processes.join("; ")
+    };
+    if (node.position) {
+      return Object.assign(values, {
+        x: node.position.x,
+        y: node.position.y
+      });
+    } else {
+      return values;
+    }
+  }
+  /**
+  * Creates values of a link's attributes for serialization.
+  * Serialization joins values of multiple reactions or metabolites and only
+  * includes attributes that apply to the link.
+  * @param {Object} link Description of a network's link.
+  * @returns {Object} Values of link's attributes.
+  */
+  static createLinkAttributesValues(link) {
+    var values = {
+      role: link.role,
+      replication: Boolean(link.replication)
+    };
+    var coefficient = (
+      (link.coefficient === null) ? {} : {coefficient: link.coefficient}
+    );
+    var reactions = (
+      (link.reactions.length > 0) ? {reactions: link.reactions.join("; ")} : {}
+    );
+    var metabolites = (
+      (link.metabolites.length > 0) ?
+      {metabolites: link.metabolites.join("; ")} : {}
+    );
+    return Object.assign(values, coefficient, reactions, metabolites);
+  }
+  /**
+  * Escapes characters with special meaning in markup languages.
+  * @param {string} string Character string.
+  * @returns {string} Character string with escapes.
+  */
+  static escapeMarkup(string) {
+    return string
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+  }
+  /**
+  * Quotes a character string for Graph Modeling Language.
+  * Graph Modeling Language does not accommodate quotation marks within
+  * strings.
+  * @param {string} string Character string.
+  * @returns {string} Character string with quotation.
+  */
+  static quoteGML(string) {
+    return "\"" + String(string).replace(/"/g, "&quot;") + "\"";
+  }
+  /**
+  * Quotes a character string for DOT language.
+  * @param {string} string Character string.
+  * @returns {string} Character string with quotation.
+  */
+  static quoteDOT(string) {
+    return "\"" + String(string).replace(/\\/g, "\\\\").replace(/"/g, "\\\"") +
+    "\"";
+  }
+
+  // Positions from Escher's maps.
+
+  /**
+  * Determines whether information from an Escher map is valid for
+  * determination of positions.
+  * Escher's maps consist of a header and a body with nodes and reactions.
+  * @param {Array<Object>} data Information from Escher map.
+  * @returns {boolean} Whether the information is valid.
+  */
+  static determineEscherMapValidity(data) {
+    return (
+      Array.isArray(data) &&
+      (data.length === 2) &&
+      (typeof data[1] === "object") &&
+      (data[1] !== null) &&
+      (typeof data[1].nodes === "object") &&
+      (data[1].nodes !== null) &&
+      (typeof data[1].reactions === "object") &&
+      (data[1].reactions !== null)
+    );
+  }
+  /**
+  * Determines positions of network's nodes from an Escher map.
+  * Metabolites' nodes match map's metabolites in their compartments, and
+  * reactions' nodes match map's reactions or their replicates.
+  * Positions of nodes that match multiple elements of the map are the
+  * centroids of these elements.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Array<Object>} parameters.data Information from Escher map.
+  * @param {Object} parameters.networkNodesReactions Information about network's
+  * nodes for reactions.
+  * @param {Object} parameters.networkNodesMetabolites Information about
+  * network's nodes for metabolites.
+  * @param {Object} parameters.candidatesReactions Information about candidate
+  * reactions.
+  * @param {Object} parameters.candidatesMetabolites Information about
+  * candidate metabolites.
+  * @returns {Object<Object<number>>} Positions of network's nodes.
+  */
+  static determineEscherPositions({data, networkNodesReactions, networkNodesMetabolites, candidatesReactions, candidatesMetabolites} = {}) {
+    // Escher's maps consist of a header and a body.
+    var map = data[1];
+    // Collect positions of map's metabolites.
+    var metabolitesPositions = Object.keys(map.nodes)
+    .reduce(function (collection, key) {
+      var node = map.nodes[key];
+      if (node.node_type === "metabolite") {
+        var metabolite = Clean.extractMetaboliteIdentifier(node.bigg_id);
+        var entry = {
+          compartment: Clean.extractCompartmentIdentifier(node.bigg_id),
+          x: node.x,
+          y: node.y
+        };
+        collection[metabolite] = (collection[metabolite] || []).concat(entry);
+      }
+      return collection;
+    }, {});
+    // Collect positions of map's reactions.
+    // Positions of reactions are those of their midmarkers.
+    var reactionsPositions = Object.keys(map.reactions)
+    .reduce(function (collection, key) {
+      var reaction = map.reactions[key];
+      var midmarkers = Object.keys(reaction.segments)
+      .reduce(function (midmarkersCollection, segment) {
+        var identifiers = [
+          reaction.segments[segment].from_node_id,
+          reaction.segments[segment].to_node_id
+        ];
+        return midmarkersCollection.concat(identifiers.filter(function (node) {
+          return (
+            map.nodes.hasOwnProperty(node) &&
+            (map.nodes[node].node_type === "midmarker")
+          );
+        }));
+      }, []);
+      if (midmarkers.length > 0) {
+        var node = map.nodes[midmarkers[0]];
+        var entry = {x: node.x, y: node.y};
+      } else {
+        var entry = {x: reaction.label_x, y: reaction.label_y};
+      }
+      collection[reaction.bigg_id] = (collection[reaction.bigg_id] || [])
+      .concat(entry);
+      return collection;
+    }, {});
+    // Determine positions of network's nodes for metabolites.
+    var positions = Object.keys(networkNodesMetabolites)
+    .reduce(function (collection, identifier) {
+      var node = networkNodesMetabolites[identifier];
+      var candidate = candidatesMetabolites[node.candidate];
+      var matches = (metabolitesPositions[candidate.metabolite] || [])
+      .filter(function (position) {
+        return (
+          !candidate.compartments ||
+          candidate.compartments.includes(position.compartment)
+        );
+      });
+      return Serialization.includeCentroidPosition({
+        identifier: identifier,
+        matches: matches,
+        collection: collection
+      });
+    }, {});
+    // Determine positions of network's nodes for reactions.
+    return Object.keys(networkNodesReactions)
+    .reduce(function (collection, identifier) {
+      var node = networkNodesReactions[identifier];
+      var candidate = candidatesReactions[node.candidate];
+      var matches = General.collectUniqueElements(
+        [candidate.reaction].concat(candidate.replicates)
+      ).reduce(function (matchesCollection, reaction) {
+        return matchesCollection.concat(reactionsPositions[reaction] || []);
+      }, []);
+      return Serialization.includeCentroidPosition({
+        identifier: identifier,
+        matches: matches,
+        collection: collection
+      });
+    }, positions);
+  }
+  /**
+  * Includes in a collection the centroid of positions for a node.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.identifier Identifier of a node.
+  * @param {Array<Object<number>>} parameters.matches Positions for the node.
+  * @param {Object<Object<number>>} parameters.collection Positions of nodes.
+  * @returns {Object<Object<number>>} Positions of nodes.
+  */
+  static includeCentroidPosition({identifier, matches, collection} = {}) {
+    if (matches.length > 0) {
+      var sums = matches.reduce(function (sumsCollection, match) {
+        return {
+          x: (sumsCollection.x + match.x),
+          y: (sumsCollection.y + match.y)
+        };
+      }, {x: 0, y: 0});
+      collection[identifier] = {
+        x: (sums.x / matches.length),
+        y: (sums.y / matches.length)
+      };
+    }
+    return collection;
+  }
+}
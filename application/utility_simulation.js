@@ -87,6 +87,7 @@ class Simulation {
   * Creates a novel simulation to determine the optimal positions of nodes and
   * links in network's diagram.
   * @param {Object} parameters Destructured object of parameters.
+  * @param {number} parameters.alpha Initial alpha of simulation.
   * @param {number} parameters.length Length factor in pixels.
   * @param {number} parameters.width Container's width in pixels.
   * @param {number} parameters.height Container's height in pixels.
@@ -96,17 +97,17 @@ class Simulation {
   * links.
   * @returns {Object} References to novel simulation and its controls.
   */
-  static createNovelPositionSimulation({length, width, height, nodesRecords, linksRecords} = {}) {
+  static createNovelPositionSimulation({alpha, length, width, height, nodesRecords, linksRecords} = {}) {
     // Initialize simulation's progress.
     var simulationProgress = Simulation.initializeSimulationProgress({
-      alpha: 1,
+      alpha: alpha,
       alphaDecay: 0.013,
       alphaMinimum: 0.001,
       factor: 0.9
     });
     // Initiate simulation.
     var novelSimulation = Simulation.createSimulation({
-      alpha: 1,
+      alpha: alpha,
       alphaDecay: 0.013,
       velocityDecay: 0.15,
       alphaTarget: 0,
@@ -261,6 +262,8 @@ class Simulation {
           return length;
         } else if (element.type === "reaction") {
           return (length * 3);
+        } else if (element.type === "gene") {
+          return (length * 1.5);
         }
       })
       .strength(0.7)
@@ -335,6 +338,69 @@ class Simulation {
     return Math.max(radius, Math.min(boundary - radius, position));
   }
   /**
+  * Seeds positions of network's nodes from positions of another layout.
+  * Positions scale uniformly to fit within container.
+  * Nodes without positions from the other layout begin at the container's
+  * center.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Array<Object>} parameters.nodesRecords Information about network's
+  * nodes.
+  * @param {Object<Object<number>>} parameters.positions Positions of network's
+  * nodes from another layout.
+  * @param {number} parameters.width Container's width in pixels.
+  * @param {number} parameters.height Container's height in pixels.
+  * @returns {Array<Object>} Information about network's nodes.
+  */
+  static seedSimulationPositions({nodesRecords, positions, width, height} = {}) {
+    // Collect positions of records' nodes.
+    var seeds = nodesRecords
+    .filter(function (nodeRecord) {
+      return positions.hasOwnProperty(nodeRecord.identifier);
+    })
+    .map(function (nodeRecord) {
+      return positions[nodeRecord.identifier];
+    });
+    if (seeds.length === 0) {
+      return nodesRecords;
+    }
+    // Determine scale and translation to fit positions within container.
+    var pad = 0.05;
+    var horizontalExtent = d3.extent(seeds, function (seed) {
+      return seed.x;
+    });
+    var verticalExtent = d3.extent(seeds, function (seed) {
+      return seed.y;
+    });
+    var scale = Math.min(
+      ((width * (1 - (2 * pad))) /
+      Math.max(1, (horizontalExtent[1] - horizontalExtent[0]))),
+      ((height * (1 - (2 * pad))) /
+      Math.max(1, (verticalExtent[1] - verticalExtent[0])))
+    );
+    var horizontalShift = (
+      (width / 2) - (scale * (horizontalExtent[0] + horizontalExtent[1]) / 2)
+    );
+    var verticalShift = (
+      (height / 2) - (scale * (verticalExtent[0] + verticalExtent[1]) / 2)
+    );
+    // Iterate on records for network's entities.
+    return nodesRecords.map(function (nodeRecord) {
+      if (positions.hasOwnProperty(nodeRecord.identifier)) {
+        var position = positions[nodeRecord.identifier];
+        var novelEntries = {
+          x: ((scale * position.x) + horizontalShift),
+          y: ((scale * position.y) + verticalShift)
+        };
+      } else {
+        var novelEntries = {
+          x: (width / 2),
+          y: (height / 2)
+        };
+      }
+      return Object.assign(nodeRecord, novelEntries);
+    });
+  }
+  /**
   * Determines a simulation's progress as a proportion.
   * @param {Object} parameters Destructured object of parameters.
   * @param {number} parameters.count Count of simulation's iterations.
@@ -0,0 +1,708 @@
+/*
+Profondeur supports visual exploration and analysis of metabolic networks.
+Copyright (C) 2017 Thomas Cameron Waller
+
+This program is free software: you can redistribute it and/or modify it under
+the terms of the GNU General Public License as published by the Free Software
+Foundation, either version 3 of the License, or (at your option) any later
+version.
+
+This program is distributed in the hope that it will be useful, but WITHOUT ANY
+WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+PARTICULAR PURPOSE.
+See the GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License along with
+this program.
+If not, see <http://www.gnu.org/licenses/>.
+
+This file is part of project Profondeur.
+Project repository's address: https://github.com/tcameronwaller/profondeur/
+Author's electronic address: tcameronwaller@gmail.com
+Author's physical address:
+T Cameron Waller
+Scientific Computing and Imaging Institute
+University of Utah
+72 South Central Campus Drive Room 3750
+Salt Lake City, Utah 84112
+United States of America
+*/
+
+
+
+/**
+* Functionality of utility for measurement of network's topology.
+* Measurements include degrees and centralities of nodes as well as
+* components, diameter, and density of the network.
+* This class stores methods for external utility.
+* This class does not store any attributes and does not require instantiation.
+*/
+class Statistics {
+
+  // Measurement of nodes and network.
+
+  /**
+  * Determines statistics about topology of network's nodes and links.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Array<Object>} parameters.nodesRecords Information about network's
+  * nodes.
+  * @param {Array<Object>} parameters.linksRecords Information about network's
+  * links.
+  * @param {Object} parameters.networkNodesMetabolites Information about
+  * network's nodes for metabolites.
+  * @param {Object} parameters.networkNodesReactions Information about network's
+  * nodes for reactions.
+  * @param {Object} parameters.networkNodesGenes Information about network's
+  * nodes for genes.
+  * @param {Object} parameters.candidatesMetabolites Information about
+  * candidate metabolites.
+  * @param {Object} parameters.candidatesReactions Information about candidate
+  * reactions.
+  * @param {Object} parameters.genes Information about genes.
+  * @returns {Object} Information about statistics of network's nodes and
+  * summary.
+  */
+  static determineNetworkStatistics({nodesRecords, linksRecords, networkNodesMetabolites, networkNodesReactions, networkNodesGenes, candidatesMetabolites, candidatesReactions, genes} = {}) {
+    // Create adjacency of nodes.
+    var adjacency = Statistics.createAdjacency({
+      nodesRecords: nodesRecords,
+      linksRecords: linksRecords
+    });
+    // Determine centralities and distances from shortest paths.
+    var paths = Statistics.determineShortestPathsStatistics(adjacency);
+    // Determine components.
+    var weakComponents = Statistics.collectWeakComponents(adjacency);
+    var strongComponents = Statistics.collectStrongComponents(adjacency);
+    // Create records for nodes.
+    var count = adjacency.identifiers.length;
+    var nodes = nodesRecords.map(function (record) {
+      var identifier = record.identifier;
+      var inputs = adjacency.predecessors[identifier].length;
+      var outputs = adjacency.successors[identifier].length;
+      return {
+        identifier: identifier,
+        type: record.type,
+        name: Statistics.determineNodeName({
+          identifier: identifier,
+          type: record.type,
+          networkNodesMetabolites: networkNodesMetabolites,
+          networkNodesReactions: networkNodesReactions,
+          networkNodesGenes: networkNodesGenes,
+          candidatesMetabolites: candidatesMetabolites,
+          candidatesReactions: candidatesReactions,
+          genes: genes
+        }),
+        degree: adjacency.neighbors[identifier].length,
+        inputs: inputs,
+        outputs: outputs,
+        betweenness: paths.betweenness[identifier],
+        closeness: paths.closeness[identifier],
+        clustering: Statistics.determineClusteringCoefficient({
+          identifier: identifier,
+          neighbors: adjacency.neighbors
+        })
+      };
+    });
+    // Compile summary.
+    var summary = {
+      nodes: count,
+      links: adjacency.links,
+      density: Statistics.determineDensity({
+        nodes: count,
+        links: adjacency.links
+      }),
+      diameter: paths.diameter,
+      weakComponents: weakComponents.length,
+      strongComponents: strongComponents.length
+    };
+    // Compile information.
+    return {
+      nodes: nodes,
+      summary: summary
+    };
+  }
+  /**
+  * Determines the name of a network's node.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.identifier Identifier of a node.
+  * @param {string} parameters.type Type of a node, metabolite, reaction, or
+  * gene.
+  * @param {Object} parameters.networkNodesMetabolites Information about
+  * network's nodes for metabolites.
+  * @param {Object} parameters.networkNodesReactions Information about network's
+  * nodes for reactions.
+  * @param {Object} parameters.networkNodesGenes Information about network's
+  * nodes for genes.
+  * @param {Object} parameters.candidatesMetabolites Information about
+  * candidate metabolites.
+  * @param {Object} parameters.candidatesReactions Information about candidate
+  * reactions.
+  * @param {Object} parameters.genes Information about genes.
+  * @returns {string} Name of node.
+  */
+  static determineNodeName({identifier, type, networkNodesMetabolites, networkNodesReactions, networkNodesGenes, candidatesMetabolites, candidatesReactions, genes} = {}) {
+    if (type === "metabolite") {
+      var node = networkNodesMetabolites[identifier];
+      return candidatesMetabolites[node.candidate].name;
+    } else if (type === "reaction") {
+      var node = networkNodesReactions[identifier];
+      return candidatesReactions[node.candidate].name;
+    } else if (type === "gene") {
+      var node = networkNodesGenes[identifier];
+      return genes[node.gene].name;
+    }
+  }
+  /**
+  * Creates adjacency of network's nodes.
+  * Adjacency ignores links that duplicate others or that connect nodes to
+  * themselves.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Array<Object>} parameters.nodesRecords Information about network's
+  * nodes.
+  * @param {Array<Object>} parameters.linksRecords Information about network's
+  * links.
+  * @returns {Object} Information about identifiers, successors, predecessors,
+  * and neighbors of nodes and count of links.
+  */
+  static createAdjacency({nodesRecords, linksRecords} = {}) {
+    // Collect identifiers of nodes.
+    var identifiers = nodesRecords.map(function (record) {
+      return record.identifier;
+    });
+    // Initialize collections.
+    var successors = {};
+    var predecessors = {};
+    var neighbors = {};
+    identifiers.forEach(function (identifier) {
+      successors[identifier] = [];
+      predecessors[identifier] = [];
+      neighbors[identifier] = [];
+    });
+    // Include links.
+    var links = linksRecords.reduce(function (count, link) {
+      // Determine whether link is relevant.
+      if (
+        (link.source !== link.target) &&
+        successors.hasOwnProperty(link.source) &&
+        successors.hasOwnProperty(link.target) &&
+        !successors[link.source].includes(link.target)
+      ) {
+        successors[link.source].push(link.target);
+        predecessors[link.target].push(link.source);
+        if (!neighbors[link.source].includes(link.target)) {
+          neighbors[link.source].push(link.target);
+          neighbors[link.target].push(link.source);
+        }
+        return count + 1;
+      } else {
+        return count;
+      }
+    }, 0);
+    // Compile information.
+    return {
+      identifiers: identifiers,
+      successors: successors,
+      predecessors: predecessors,
+      neighbors: neighbors,
+      links: links
+    };
+  }
+  /**
+  * Determines betweenness and closeness centralities of nodes and diameter of
+  * network from directional shortest paths.
+  * Betweenness follows the algorithm of Brandes (2001) and normalizes by the
+  * count of pairs of other nodes.
+  * Closeness follows the variation of Wasserman and Faust (1994) for networks
+  * with multiple components.
+  * @param {Object} adjacency Information about identifiers and successors of
+  * nodes.
+  * @returns {Object} Information about betweenness and closeness of nodes and
+  * diameter of network.
+  */
+  static determineShortestPathsStatistics(adjacency) {
+    var identifiers = adjacency.identifiers;
+    var count = identifiers.length;
+    // Initialize collections.
+    var betweenness = {};
+    var closeness = {};
+    identifiers.forEach(function (identifier) {
+      betweenness[identifier] = 0;
+    });
+    var diameter = 0;
+    // Iterate on source nodes.
+    identifiers.forEach(function (source) {
+      // Traverse shortest paths in breadth from source.
+      var order = [];
+      var previous = {};
+      var paths = {[source]: 1};
+      var distances = {[source]: 0};
+      var queue = [source];
+      var index = 0;
+      while (index < queue.length) {
+        var node = queue[index];
+        index += 1;
+        order.push(node);
+        adjacency.successors[node].forEach(function (successor) {
+          // Determine whether traversal reaches successor for the first time.
+          if (!distances.hasOwnProperty(successor)) {
+            distances[successor] = distances[node] + 1;
+            paths[successor] = 0;
+            previous[successor] = [];
+            queue.push(successor);
+          }
+          // Determine whether path through node is shortest to successor.
+          if (distances[successor] === (distances[node] + 1)) {
+            paths[successor] += paths[node];
+            previous[successor].push(node);
+          }
+        });
+      }
+      // Accumulate dependencies in reverse order of distance.
+      var dependencies = {};
+      order.forEach(function (node) {
+        dependencies[node] = 0;
+      });
+      order.slice().reverse().forEach(function (node) {
+        if (node !== source) {
+          previous[node].forEach(function (predecessor) {
+            dependencies[predecessor] += (
+              (paths[predecessor] / paths[node]) * (1 + dependencies[node])
+            );
+          });
+          betweenness[node] += dependencies[node];
+        }
+      });
+      // Determine closeness and eccentricity.
+      var reach = order.length - 1;
+      var total = order.reduce(function (sum, node) {
+        return sum + distances[node];
+      }, 0);
+      if ((reach > 0) && (count > 1)) {
+        closeness[source] = (reach / (count - 1)) * (reach / total);
+      } else {
+        closeness[source] = 0;
+      }
+      diameter = Math.max(diameter, distances[order[order.length - 1]]);
+    });
+    // Normalize betweenness.
+    if (count > 2) {
+      identifiers.forEach(function (identifier) {
+        betweenness[identifier] = (
+          betweenness[identifier] / ((count - 1) * (count - 2))
+        );
+      });
+    }
+    // Compile information.
+    return {
+      betweenness: betweenness,
+      closeness: closeness,
+      diameter: diameter
+    };
+  }
+  /**
+  * Determines a node's coefficient of clustering without regard to links'
+  * directions.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.identifier Identifier of a node.
+  * @param {Object<Array<string>>} parameters.neighbors Identifiers of each
+  * node's neighbors.
+  * @returns {number} Coefficient of clustering.
+  */
+  static determineClusteringCoefficient({identifier, neighbors} = {}) {
+    var nodeNeighbors = neighbors[identifier];
+    var degree = nodeNeighbors.length;
+    // Determine whether node has sufficient neighbors.
+    if (degree < 2) {
+      return 0;
+    }
+    // Count links between pairs of neighbors.
+    var links = nodeNeighbors.reduce(function (count, neighbor, index) {
+      return nodeNeighbors.slice(index + 1).reduce(function (sum, other) {
+        return sum + (neighbors[neighbor].includes(other) ? 1 : 0);
+      }, count);
+    }, 0);
+    return (2 * links) / (degree * (degree - 1));
+  }
+  /**
+  * Collects weakly connected components of network.
+  * @param {Object} adjacency Information about identifiers and neighbors of
+  * nodes.
+  * @returns {Array<Array<string>>} Identifiers of nodes in each component.
+  */
+  static collectWeakComponents(adjacency) {
+    var visits = {};
+    return adjacency.identifiers.reduce(function (collection, identifier) {
+      // Determine whether node belongs to a previous component.
+      if (visits[identifier]) {
+        return collection;
+      }
+      // Traverse component in breadth.
+      visits[identifier] = true;
+      var component = [identifier];
+      var index = 0;
+      while (index < component.length) {
+        adjacency.neighbors[component[index]].forEach(function (neighbor) {
+          if (!visits[neighbor]) {
+            visits[neighbor] = true;
+            component.push(neighbor);
+          }
+        });
+        index += 1;
+      }
+      return collection.concat([component]);
+    }, []);
+  }
+  /**
+  * Collects strongly connected components of network.
+  * Collection follows the algorithm of Kosaraju with iterative traversals in
+  * depth to avoid limits on recursion in large networks.
+  * @param {Object} adjacency Information about identifiers, successors, and
+  * predecessors of nodes.
+  * @returns {Array<Array<string>>} Identifiers of nodes in each component.
+  */
+  static collectStrongComponents(adjacency) {
+    // Determine order of nodes by completion of traversal along successors.
+    var visits = {};
+    var completions = [];
+    adjacency.identifiers.forEach(function (identifier) {
+      if (visits[identifier]) {
+        return;
+      }
+      visits[identifier] = true;
+      var stack = [{node: identifier, index: 0}];
+      while (stack.length > 0) {
+        var entry = stack[stack.length - 1];
+        var successors = adjacency.successors[entry.node];
+        if (entry.index < successors.length) {
+          var successor = successors[entry.index];
+          entry.index += 1;
+          if (!visits[successor]) {
+            visits[successor] = true;
+            stack.push({node: successor, index: 0});
+          }
+        } else {
+          completions.push(entry.node);
+          stack.pop();
+        }
+      }
+    });
+    // Traverse along predecessors in reverse order of completion.
+    var assignments = {};
+    return completions.reverse().reduce(function (collection, identifier) {
+      if (assignments[identifier]) {
+        return collection;
+      }
+      assignments[identifier] = true;
+      var component = [identifier];
+      var index = 0;
+      while (index < component.length) {
+        adjacency.predecessors[component[index]].forEach(function (node) {
+          if (!assignments[node]) {
+            assignments[node] = true;
+            component.push(node);
+          }
+        });
+        index += 1;
+      }
+      return collection.concat([component]);
+    }, []);
+  }
+  /**
+  * Determines density of network's directional links.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {number} parameters.nodes Count of nodes.
+  * @param {number} parameters.links Count of links.
+  * @returns {number} Density of network.
+  */
+  static determineDensity({nodes, links} = {}) {
+    if (nodes > 1) {
+      return links / (nodes * (nodes - 1));
+    } else {
+      return 0;
+    }
+  }
+
+  // Detection of modules.
+
+  /**
+  * Determines modules of network's nodes by optimization of modularity.
+  * Detection follows the method of Blondel et al. (2008), Louvain, without
+  * regard to links' directions.
+  * Detection visits nodes in order of their records, so that results are
+  * reproducible.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Array<Object>} parameters.nodesRecords Information about network's
+  * nodes.
+  * @param {Array<Object>} parameters.linksRecords Information about network's
+  * links.
+  * @returns {Object} Information about modules of nodes, count of modules, and
+  * modularity.
+  */
+  static determineModules({nodesRecords, linksRecords} = {}) {
+    // Create weighted graph without regard to links' directions.
+    var graph = Statistics.createWeightedGraph({
+      nodesRecords: nodesRecords,
+      linksRecords: linksRecords
+    });
+    // Assign each node to its own module initially.
+    var memberships = graph.nodes.map(function (node, index) {
+      return index;
+    });
+    // Iterate on levels of aggregation until no node changes its module.
+    var level = graph;
+    while (true) {
+      var communities = Statistics.determineLevelCommunities(level);
+      var count = Math.max.apply(null, communities.concat(-1)) + 1;
+      if (count === level.nodes.length) {
+        break;
+      }
+      memberships = memberships.map(function (community) {
+        return communities[community];
+      });
+      level = Statistics.aggregateWeightedGraph({
+        graph: level,
+        communities: communities,
+        count: count
+      });
+    }
+    // Number modules in descending order of their sizes.
+    var sizes = memberships.reduce(function (collection, community) {
+      collection[community] = (collection[community] || 0) + 1;
+      return collection;
+    }, {});
+    var order = Object.keys(sizes).map(Number).sort(function (first, second) {
+      return (sizes[second] - sizes[first]) || (first - second);
+    });
+    var modules = graph.nodes.reduce(function (collection, identifier, index) {
+      var entry = {
+        [identifier]: order.indexOf(memberships[index]) + 1
+      };
+      return Object.assign(collection, entry);
+    }, {});
+    // Compile information.
+    return {
+      modules: modules,
+      count: order.length,
+      modularity: Statistics.determineModularity(level)
+    };
+  }
+  /**
+  * Creates a weighted graph without regard to links' directions.
+  * Weights of links between pairs of nodes are counts of links in either
+  * direction.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Array<Object>} parameters.nodesRecords Information about network's
+  * nodes.
+  * @param {Array<Object>} parameters.linksRecords Information about network's
+  * links.
+  * @returns {Object} Information about identifiers of nodes, weights of links
+  * between nodes, and weights of links from nodes to themselves.
+  */
+  static createWeightedGraph({nodesRecords, linksRecords} = {}) {
+    var nodes = nodesRecords.map(function (record) {
+      return record.identifier;
+    });
+    var indices = nodes.reduce(function (collection, identifier, index) {
+      collection[identifier] = index;
+      return collection;
+    }, {});
+    var weights = nodes.map(function () {
+      return {};
+    });
+    linksRecords.forEach(function (link) {
+      // Determine whether link is relevant.
+      if (
+        indices.hasOwnProperty(link.source) &&
+        indices.hasOwnProperty(link.target) &&
+        (link.source !== link.target)
+      ) {
+        var source = indices[link.source];
+        var target = indices[link.target];
+        weights[source][target] = (weights[source][target] || 0) + 1;
+        weights[target][source] = (weights[target][source] || 0) + 1;
+      }
+    });
+    // Compile information.
+    return {
+      nodes: nodes,
+      weights: weights,
+      loops: nodes.map(function () {
+        return 0;
+      })
+    };
+  }
+  /**
+  * Determines communities of nodes at a single level of aggregation by local
+  * moves of nodes that increase modularity.
+  * @param {Object} graph Information about weights of links between nodes and
+  * weights of links from nodes to themselves.
+  * @returns {Array<number>} Indices of communities of nodes.
+  */
+  static determineLevelCommunities(graph) {
+    // Determine weighted degrees of nodes.
+    var degrees = Statistics.determineWeightedDegrees(graph);
+    var total = degrees.reduce(function (sum, degree) {
+      return sum + degree;
+    }, 0);
+    // Assign each node to its own community initially.
+    var communities = degrees.map(function (degree, index) {
+      return index;
+    });
+    // Determine whether graph has any links.
+    if (total === 0) {
+      return communities;
+    }
+    var totals = degrees.slice();
+    // Move nodes between communities until no move increases modularity.
+    var movement = true;
+    while (movement) {
+      movement = false;
+      communities.forEach(function (original, node) {
+        // Remove node from its community.
+        totals[original] -= degrees[node];
+        // Determine weights of links from node to neighboring communities.
+        var neighbors = Object.keys(graph.weights[node]).reduce(
+          function (collection, neighbor) {
+            var community = communities[neighbor];
+            collection[community] = (
+              (collection[community] || 0) + graph.weights[node][neighbor]
+            );
+            return collection;
+          }, {[original]: 0}
+        );
+        // Determine community of greatest gain in modularity.
+        // Tolerance avoids oscillation of nodes between communities of equal
+        // gain due to imprecision of floating point arithmetic.
+        var gain = function (community) {
+          return (
+            neighbors[community] -
+            ((totals[community] * degrees[node]) / total)
+          );
+        };
+        var best = Object.keys(neighbors).map(Number)
+        .reduce(function (best, community) {
+          return (gain(community) > (gain(best) + 1e-12)) ? community : best;
+        }, original);
+        // Include node in community.
+        totals[best] += degrees[node];
+        communities[node] = best;
+        if (best !== original) {
+          movement = true;
+        }
+      });
+    }
+    // Number communities consecutively.
+    var numbers = {};
+    return communities.map(function (community) {
+      if (!numbers.hasOwnProperty(community)) {
+        numbers[community] = Object.keys(numbers).length;
+      }
+      return numbers[community];
+    });
+  }
+  /**
+  * Determines weighted degrees of nodes.
+  * Links from nodes to themselves contribute twice to degrees.
+  * @param {Object} graph Information about weights of links between nodes and
+  * weights of links from nodes to themselves.
+  * @returns {Array<number>} Weighted degrees of nodes.
+  */
+  static determineWeightedDegrees(graph) {
+    return graph.weights.map(function (weights, node) {
+      return Object.keys(weights).reduce(function (sum, neighbor) {
+        return sum + weights[neighbor];
+      }, (2 * graph.loops[node]));
+    });
+  }
+  /**
+  * Aggregates nodes of a weighted graph by their communities.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.graph Information about weights of links between
+  * nodes and weights of links from nodes to themselves.
+  * @param {Array<number>} parameters.communities Indices of communities of
+  * nodes.
+  * @param {number} parameters.count Count of communities.
+  * @returns {Object} Information about weights of links between communities
+  * and weights of links within communities.
+  */
+  static aggregateWeightedGraph({graph, communities, count} = {}) {
+    var nodes = [];
+    var weights = [];
+    var loops = [];
+    for (var index = 0; index < count; index += 1) {
+      nodes.push(index);
+      weights.push({});
+      loops.push(0);
+    }
+    graph.weights.forEach(function (neighbors, node) {
+      var community = communities[node];
+      loops[community] += graph.loops[node];
+      Object.keys(neighbors).forEach(function (neighbor) {
+        var other = communities[neighbor];
+        if (other === community) {
+          // Count each link within community once from both of its nodes.
+          loops[community] += (neighbors[neighbor] / 2);
+        } else {
+          weights[community][other] = (
+            (weights[community][other] || 0) + neighbors[neighbor]
+          );
+        }
+      });
+    });
+    // Compile information.
+    return {
+      nodes: nodes,
+      weights: weights,
+      loops: loops
+    };
+  }
+  /**
+  * Determines modularity of a weighted graph in which each node represents a
+  * community.
+  * @param {Object} graph Information about weights of links between nodes and
+  * weights of links from nodes to themselves.
+  * @returns {number} Modularity.
+  */
+  static determineModularity(graph) {
+    var degrees = Statistics.determineWeightedDegrees(graph);
+    var total = degrees.reduce(function (sum, degree) {
+      return sum + degree;
+    }, 0);
+    if (total === 0) {
+      return 0;
+    }
+    return degrees.reduce(function (sum, degree, node) {
+      return (
+        sum + ((2 * graph.loops[node]) / total) -
+        Math.pow((degree / total), 2)
+      );
+    }, 0);
+  }
+
+  // Sort of nodes' statistics.
+
+  /**
+  * Sorts records of nodes' statistics.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.statistics Information about statistics of
+  * network's nodes and summary.
+  * @param {Object<Object<string>>} parameters.statisticsSorts Specifications
+  * to sort records of statistics.
+  * @returns {Object} Information about statistics of network's nodes in sort
+  * order and summary.
+  */
+  static sortNetworkStatistics({statistics, statisticsSorts} = {}) {
+    // Determine whether records exist.
+    if (!statistics || (statistics.nodes.length === 0)) {
+      return statistics;
+    }
+    // Sort records.
+    var nodes = General.sortArrayRecords({
+      array: statistics.nodes,
+      key: statisticsSorts.nodes.criterion,
+      order: statisticsSorts.nodes.order
+    });
+    // Compile information.
+    return Object.assign({}, statistics, {nodes: nodes});
+  }
+}
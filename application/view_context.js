@@ -84,8 +84,42 @@ class ViewContext {
       self.createActivateCompartmentalizationControl(self);
       // Create break.
       self.container.appendChild(self.document.createElement("br"));
+      // Create and activate control for groups of compartments.
+      self.createActivateCompartmentsGroupsControl(self);
+      // Create break.
+      self.container.appendChild(self.document.createElement("br"));
+      // Create and activate control for nodes for genes.
+      self.createActivateGeneNodesControl(self);
+      // Create and activate control for links of main pairs.
+      self.createActivateMainPairsControl(self);
+      // Create break.
+      self.container.appendChild(self.document.createElement("br"));
+      // Create and activate controls for projection of network.
+      self.createActivateProjectionControls(self);
+      // Create break.
+      self.container.appendChild(self.document.createElement("br"));
+      // Create and activate controls for redundancy of replicate reactions.
+      self.createActivateRedundancyControls(self);
+      // Create break.
+      self.container.appendChild(self.document.createElement("br"));
       // Create and activate control for default simplifications.
       self.createActivateDefaultSimplificationsControl(self);
+      // Create and activate control to load curation of default
+      // simplifications.
+      self.createActivateCurationLoad(self);
+      // Create break.
+      self.container.appendChild(self.document.createElement("br"));
+      // Create and activate controls to export and import designations for
+      // simplification.
+      self.createActivateSimplificationsExportLoad(self);
+      // Create break.
+      self.container.appendChild(self.document.createElement("br"));
+      // Create and activate controls for history of simplifications.
+      self.createActivateSimplificationsHistoryControls(self);
+      // Create break.
+      self.container.appendChild(self.document.createElement("br"));
+      // Create container for suggestions of currency pairs of metabolites.
+      self.createCurrencyPairsContainer(self);
       // Create break.
       self.container.appendChild(self.document.createElement("br"));
       // Create menu for sets by processes.
@@ -111,8 +145,38 @@ class ViewContext {
       // Set references to content.
       self.compartmentalization = self
       .document.getElementById("candidacy-compartmentalization");
+      self.compartmentsGroupsList = self
+      .document.getElementById("candidacy-compartments-groups");
+      self.compartmentsGroups = self.container.querySelector("span.groups");
+      self.geneNodes = self
+      .document.getElementById("candidacy-gene-nodes");
+      self.mainPairs = self
+      .document.getElementById("candidacy-main-pairs");
+      self.projections = ViewContext
+      .createProjectionsReferences()
+      .reduce(function (collection, record) {
+        var entry = {
+          [record.projection]: self
+          .document.getElementById("candidacy-projection-" + record.projection)
+        };
+        return Object.assign(collection, entry);
+      }, {});
+      self.redundancyCriteria = ViewContext
+      .createRedundancyCriteriaReferences()
+      .reduce(function (collection, record) {
+        var entry = {
+          [record.criterion]: self
+          .document.getElementById("candidacy-redundancy-" + record.criterion)
+        };
+        return Object.assign(collection, entry);
+      }, {});
       self.simplifications = self
       .document.getElementById("candidacy-simplifications");
+      self.undo = self.document.getElementById("candidacy-history-undo");
+      self.redo = self.document.getElementById("candidacy-history-redo");
+      self.importReport = self.container.querySelector("span.report");
+      self.history = self.container.querySelector("div.history");
+      self.pairs = self.container.querySelector("div.pairs");
     }
   }
   /**
@@ -131,6 +195,15 @@ class ViewContext {
     // Create text.
     var text = (
       "- Select compartmentalization of metabolites.\r\n" +
+      "- Merge groups of compartments, such as cytosol, nucleus.\r\n" +
+      "- Select whether to include genes that catalyze reactions.\r\n" +
+      "- Select main pairs to link reactants to products by carbon.\r\n" +
+      "- Project network's nodes onto metabolites or reactions.\r\n" +
+      "- Select criteria by which replicate reactions merge.\r\n" +
+      "- Load a curation (TSV) of metabolites to simplify by default.\r\n" +
+      "- Export or load designations of entities for simplification.\r\n" +
+      "- Undo (Ctrl+Z) or redo (Ctrl+Y) changes to designations.\r\n" +
+      "- Omit suggested currency pairs of metabolites, such as ATP / ADP.\r\n" +
       "- Select metabolites and reactions to exclude from network."
     );
     container.textContent = text;
@@ -158,6 +231,226 @@ class ViewContext {
     });
   }
   /**
+  * Creates and activates a control for groups of compartments to merge in
+  * compartmentalization.
+  * @param {Object} self Instance of a class.
+  */
+  createActivateCompartmentsGroupsControl(self) {
+    // Create control for list of compartments.
+    self.compartmentsGroupsList = self.document.createElement("input");
+    self.container.appendChild(self.compartmentsGroupsList);
+    self.compartmentsGroupsList
+    .setAttribute("id", "candidacy-compartments-groups");
+    self.compartmentsGroupsList.setAttribute("type", "text");
+    self.compartmentsGroupsList
+    .setAttribute("placeholder", "merge compartments...");
+    var merge = View.createButton({
+      text: "merge",
+      parent: self.container,
+      documentReference: self.document
+    });
+    merge.addEventListener("click", function (event) {
+      // Element on which the event originated is event.currentTarget.
+      // Call action.
+      ActionContext.includeCompartmentsGroupList({
+        text: self.compartmentsGroupsList.value,
+        state: self.state
+      });
+    });
+    // Create container for groups of compartments.
+    self.compartmentsGroups = self.document.createElement("span");
+    self.container.appendChild(self.compartmentsGroups);
+    self.compartmentsGroups.classList.add("groups");
+  }
+  /**
+  * Restores representations of groups of compartments.
+  * @param {Object} self Instance of a class.
+  */
+  restoreCompartmentsGroups(self) {
+    self.compartmentsGroupsList.value = "";
+    // Select parent.
+    var parent = d3.select(self.compartmentsGroups);
+    // Define function to access data.
+    function access() {
+      return self.state.compartmentsGroups;
+    };
+    // Create children elements by association to data.
+    var groups = View.createElementsData({
+      parent: parent,
+      type: "span",
+      accessor: access
+    });
+    // Assign attributes to elements.
+    groups
+    .classed("group", true)
+    .attr("title", "click to separate compartments")
+    .text(function (element, index, nodes) {
+      return element.join(" + ");
+    });
+    // Activate behavior.
+    groups.on("click", function (element, index, nodes) {
+      // Call action.
+      ActionContext.excludeCompartmentsGroup({
+        identifier: Candidacy.createCompartmentGroupIdentifier({
+          compartment: element[0],
+          compartmentsGroups: self.state.compartmentsGroups
+        }),
+        state: self.state
+      });
+    });
+  }
+  /**
+  * Creates and activates a control for nodes for genes.
+  * @param {Object} self Instance of a class.
+  */
+  createActivateGeneNodesControl(self) {
+    // Create control for nodes for genes.
+    var identifier = "candidacy-gene-nodes";
+    self.geneNodes = View.createCheckLabel({
+      identifier: identifier,
+      value: "genes",
+      className: "genes",
+      text: "gene nodes",
+      parent: self.container,
+      documentReference: self.document
+    });
+    // Activate behavior.
+    self.geneNodes.addEventListener("change", function (event) {
+      // Element on which the event originated is event.currentTarget.
+      // Call action.
+      ActionContext.changeGeneNodes(self.state);
+    });
+  }
+  /**
+  * Creates and activates a control for links of main pairs of reactants and
+  * products.
+  * @param {Object} self Instance of a class.
+  */
+  createActivateMainPairsControl(self) {
+    // Create control for links of main pairs.
+    var identifier = "candidacy-main-pairs";
+    self.mainPairs = View.createCheckLabel({
+      identifier: identifier,
+      value: "pairs",
+      className: "pairs",
+      text: "main pairs",
+      parent: self.container,
+      documentReference: self.document
+    });
+    // Activate behavior.
+    self.mainPairs.addEventListener("change", function (event) {
+      // Element on which the event originated is event.currentTarget.
+      // Call action.
+      ActionContext.changeMainPairs(self.state);
+    });
+  }
+  /**
+  * Creates and activates controls for projection of network's nodes and links.
+  * @param {Object} self Instance of a class.
+  */
+  createActivateProjectionControls(self) {
+    // Create text.
+    var label = self.document.createElement("span");
+    self.container.appendChild(label);
+    label.textContent = "nodes: ";
+    // Create and activate controls for projections.
+    self.projections = ViewContext
+    .createProjectionsReferences()
+    .reduce(function (collection, record) {
+      var control = View.createRadioButtonLabel({
+        identifier: ("candidacy-projection-" + record.projection),
+        value: record.projection,
+        name: "projection",
+        className: "projection",
+        text: record.text,
+        parent: self.container,
+        documentReference: self.document
+      });
+      control.addEventListener("change", function (event) {
+        // Element on which the event originated is event.currentTarget.
+        // Call action.
+        ActionContext.changeProjection({
+          projection: event.currentTarget.value,
+          state: self.state
+        });
+      });
+      var entry = {
+        [record.projection]: control
+      };
+      return Object.assign(collection, entry);
+    }, {});
+  }
+  /**
+  * Creates references to projections of network's nodes and links.
+  * @returns {Array<Object<string>>} References to projections.
+  */
+  static createProjectionsReferences() {
+    return [
+      {projection: "bipartite", text: "metabolites and reactions"},
+      {projection: "metabolites", text: "metabolites"},
+      {projection: "reactions", text: "reactions"}
+    ];
+  }
+  /**
+  * Creates and activates controls for criteria for redundancy of replicate
+  * reactions.
+  * @param {Object} self Instance of a class.
+  */
+  createActivateRedundancyControls(self) {
+    // Create text.
+    var label = self.document.createElement("span");
+    self.container.appendChild(label);
+    label.textContent = "replicates: ";
+    // Create and activate controls for criteria.
+    self.redundancyCriteria = ViewContext
+    .createRedundancyCriteriaReferences()
+    .reduce(function (collection, record) {
+      var control = View.createCheckLabel({
+        identifier: ("candidacy-redundancy-" + record.criterion),
+        value: record.criterion,
+        className: "redundancy",
+        text: record.text,
+        parent: self.container,
+        documentReference: self.document
+      });
+      control.addEventListener("change", function (event) {
+        // Element on which the event originated is event.currentTarget.
+        // Call action.
+        ActionContext.changeRedundancyCriterion({
+          criterion: record.criterion,
+          state: self.state
+        });
+      });
+      var entry = {
+        [record.criterion]: control
+      };
+      return Object.assign(collection, entry);
+    }, {});
+    // Create and activate button to restore redundancy of all replicates.
+    var merge = View.createButton({
+      text: "merge all",
+      parent: self.container,
+      documentReference: self.document
+    });
+    merge.addEventListener("click", function (event) {
+      // Element on which the event originated is event.currentTarget.
+      // Call action.
+      ActionContext.restoreRedundancySeparations(self.state);
+    });
+  }
+  /**
+  * Creates references to criteria for redundancy of replicate reactions.
+  * @returns {Array<Object<string>>} References to criteria.
+  */
+  static createRedundancyCriteriaReferences() {
+    return [
+      {criterion: "ignoreCompartments", text: "ignore compartments"},
+      {criterion: "ignoreProcesses", text: "ignore processes"},
+      {criterion: "requireGenes", text: "identical genes"},
+      {criterion: "reversibility", text: "reversibility"}
+    ];
+  }
+  /**
   * Creates and activates a control for default simplifications.
   * @param {Object} self Instance of a class.
   */
@@ -180,6 +473,231 @@ class ViewContext {
     });
   }
   /**
+  * Creates and activates controls to export and to load from file designations
+  * of entities for simplification.
+  * @param {Object} self Instance of a class.
+  */
+  createActivateSimplificationsExportLoad(self) {
+    // Create text.
+    var label = self.document.createElement("span");
+    self.container.appendChild(label);
+    label.textContent = "designations: ";
+    // Create and activate button to export.
+    var exportButton = View.createButton({
+      text: "export",
+      parent: self.container,
+      documentReference: self.document
+    });
+    exportButton.addEventListener("click", function (event) {
+      // Element on which the event originated is event.currentTarget.
+      // Call action.
+      ActionContext.exportSimplifications(self.state);
+    });
+    // Create and activate file selector.
+    var load = View.createFileLoadFacade({
+      suffix: ".tsv, .txt",
+      parent: self.container,
+      documentReference: self.document
+    });
+    load.addEventListener("change", function (event) {
+      // Element on which the event originated is event.currentTarget.
+      // Call action.
+      ActionContext.loadSimplifications({
+        source: event.currentTarget.files[0],
+        state: self.state
+      });
+    });
+    // Create text for report of import.
+    self.importReport = self.document.createElement("span");
+    self.container.appendChild(self.importReport);
+    self.importReport.classList.add("report");
+  }
+  /**
+  * Creates and activates controls for history of changes to designations of
+  * entities for simplification.
+  * @param {Object} self Instance of a class.
+  */
+  createActivateSimplificationsHistoryControls(self) {
+    // Create text.
+    var label = self.document.createElement("span");
+    self.container.appendChild(label);
+    label.textContent = "history: ";
+    // Create and activate buttons to undo and redo.
+    self.undo = View.createButtonIdentifier({
+      identifier: "candidacy-history-undo",
+      text: "undo",
+      parent: self.container,
+      documentReference: self.document
+    });
+    self.undo.addEventListener("click", function (event) {
+      // Element on which the event originated is event.currentTarget.
+      // Call action.
+      ActionContext.undoSimplification(self.state);
+    });
+    self.redo = View.createButtonIdentifier({
+      identifier: "candidacy-history-redo",
+      text: "redo",
+      parent: self.container,
+      documentReference: self.document
+    });
+    self.redo.addEventListener("click", function (event) {
+      // Element on which the event originated is event.currentTarget.
+      // Call action.
+      ActionContext.redoSimplification(self.state);
+    });
+    // Interface view activates keyboard shortcuts to undo and redo.
+    // Create container for list of changes in history.
+    self.history = View.createInsertContainer({
+      classNames: ["history"],
+      type: "standard",
+      target: self.container,
+      position: "beforeend",
+      documentReference: self.document
+    });
+  }
+  /**
+  * Restores report of counts of records that applied and that did not apply
+  * from import of designations of entities for simplification.
+  * @param {Object} self Instance of a class.
+  */
+  restoreSimplificationsImportReport(self) {
+    var report = self.state.simplificationsImportReport;
+    if (report) {
+      self.importReport.textContent = (
+        " imported " + report.applications + ", skipped " + report.skips +
+        " without match to current candidates"
+      );
+    } else {
+      self.importReport.textContent = "";
+    }
+  }
+  /**
+  * Restores representations of history of changes to designations of entities
+  * for simplification.
+  * @param {Object} self Instance of a class.
+  */
+  restoreSimplificationsHistory(self) {
+    var history = self.state.simplificationsHistory;
+    self.undo.disabled = (history.position < 1);
+    self.redo.disabled = (history.position >= (history.entries.length - 1));
+    // Select parent.
+    var parent = d3.select(self.history);
+    // Define function to access data.
+    function access() {
+      return history.entries.map(function (entry, index) {
+        return {
+          name: entry.name,
+          position: index
+        };
+      }).reverse();
+    };
+    // Create children elements by association to data.
+    var entries = View.createElementsData({
+      parent: parent,
+      type: "div",
+      accessor: access
+    });
+    // Assign attributes to elements.
+    entries
+    .classed("entry", true)
+    .classed("current", function (element, index, nodes) {
+      return element.position === history.position;
+    })
+    .classed("future", function (element, index, nodes) {
+      return element.position > history.position;
+    })
+    .attr("title", "click to restore designations after this change")
+    .text(function (element, index, nodes) {
+      return element.name;
+    });
+    // Activate behavior.
+    entries.on("click", function (element, index, nodes) {
+      // Call action.
+      ActionContext.restoreSimplificationsHistory({
+        position: element.position,
+        state: self.state
+      });
+    });
+  }
+  /**
+  * Creates container for suggestions of currency pairs of metabolites.
+  * @param {Object} self Instance of a class.
+  */
+  createCurrencyPairsContainer(self) {
+    // Create text.
+    var label = self.document.createElement("span");
+    self.container.appendChild(label);
+    label.textContent = "currency pairs: ";
+    // Create container for pairs.
+    self.pairs = View.createInsertContainer({
+      classNames: ["pairs"],
+      type: "standard",
+      target: self.container,
+      position: "beforeend",
+      documentReference: self.document
+    });
+  }
+  /**
+  * Restores representations of suggestions of currency pairs of metabolites.
+  * @param {Object} self Instance of a class.
+  */
+  restoreCurrencyPairs(self) {
+    // Select parent.
+    var parent = d3.select(self.pairs);
+    // Define function to access data.
+    function access() {
+      return self.state.currencyPairs;
+    };
+    // Create children elements by association to data.
+    var pairs = View.createElementsData({
+      parent: parent,
+      type: "span",
+      accessor: access
+    });
+    // Assign attributes to elements.
+    pairs
+    .classed("pair", true)
+    .classed("simplification", function (element, index, nodes) {
+      return ViewContext.determineCurrencyPairSimplification({
+        pair: element,
+        state: self.state
+      });
+    })
+    .attr("title", "click to omit both metabolites")
+    .text(function (element, index, nodes) {
+      return (element.name + " (" + element.count + ")");
+    });
+    // Activate behavior.
+    pairs.on("click", function (element, index, nodes) {
+      // Call action.
+      ActionContext.omitCurrencyPair({
+        identifier: element.identifier,
+        state: self.state
+      });
+    });
+  }
+  /**
+  * Creates and activates a control to load from file a curation of metabolites
+  * for default simplifications.
+  * @param {Object} self Instance of a class.
+  */
+  createActivateCurationLoad(self) {
+    // Create and activate file selector.
+    var load = View.createFileLoadFacade({
+      suffix: ".tsv",
+      parent: self.container,
+      documentReference: self.document
+    });
+    load.addEventListener("change", function (event) {
+      // Element on which the event originated is event.currentTarget.
+      // Call action.
+      ActionContext.loadDefaultSimplificationsCuration({
+        source: event.currentTarget.files[0],
+        state: self.state
+      });
+    });
+  }
+  /**
   * Restores view's content and behavior that varies with changes to the
   * application's state.
   * @param {Object} self Instance of a class.
@@ -189,8 +707,23 @@ class ViewContext {
     // Activate variant behavior of view's elements.
     self.compartmentalization.checked = ViewContext
     .determineCompartmentalization(self.state);
+    self.restoreCompartmentsGroups(self);
+    self.geneNodes.checked = ViewContext.determineGeneNodes(self.state);
+    self.mainPairs.checked = ViewContext.determineMainPairs(self.state);
+    Object.keys(self.projections).forEach(function (projection) {
+      self.projections[projection].checked = (
+        self.state.projection === projection
+      );
+    });
+    Object.keys(self.redundancyCriteria).forEach(function (criterion) {
+      self.redundancyCriteria[criterion].checked = self
+      .state.redundancyCriteria[criterion];
+    });
     self.simplifications.checked = ViewContext
     .determineSimplifications(self.state);
+    self.restoreSimplificationsImportReport(self);
+    self.restoreSimplificationsHistory(self);
+    self.restoreCurrencyPairs(self);
     // Create menu for candidate metabolites.
     new ViewContextMenu({
       category: "metabolites",
@@ -217,6 +750,44 @@ class ViewContext {
     return state.compartmentalization;
   }
   /**
+  * Determines whether nodes for genes has a true value in the application's
+  * state.
+  * @param {Object} state Application's state.
+  * @returns {boolean} Whether nodes for genes has a true value in the
+  * application's state.
+  */
+  static determineGeneNodes(state) {
+    return state.geneNodes;
+  }
+  /**
+  * Determines whether links of main pairs has a true value in the
+  * application's state.
+  * @param {Object} state Application's state.
+  * @returns {boolean} Whether links of main pairs has a true value in the
+  * application's state.
+  */
+  static determineMainPairs(state) {
+    return state.mainPairs;
+  }
+  /**
+  * Determines whether all candidate metabolites of a currency pair have
+  * designations for simplification.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.pair Information about a currency pair.
+  * @param {Object} parameters.state Application's state.
+  * @returns {boolean} Whether all candidate metabolites of the pair have
+  * designations for simplification.
+  */
+  static determineCurrencyPairSimplification({pair, state} = {}) {
+    var identifiers = Candidacy.collectPairCandidatesMetabolites({
+      metabolites: pair.metabolites,
+      candidatesMetabolites: state.candidatesMetabolites
+    });
+    return identifiers.every(function (identifier) {
+      return state.metabolitesSimplifications.hasOwnProperty(identifier);
+    });
+  }
+  /**
   * Determines whether default simplifications has a true value in the
   * application's state.
   * @param {Object} state Application's state.
@@ -287,6 +858,10 @@ class ViewContextMenu {
     } else {
       // Container is not empty.
       // Set references to content.
+      // Actions on multiple candidates.
+      self.selection = self.document
+      .getElementById("simplification-" + self.category + "-selection");
+      self.target = self.container.querySelector("div.bulk span.target");
       // Search.
       self.search = self.container.querySelector("input.search");
       // Sorts.
@@ -310,6 +885,8 @@ class ViewContextMenu {
   * @param {Object} self Instance of a class.
   */
   createActivateMenu(self) {
+    // Create controls for actions on multiple candidates.
+    self.createActivateBulkControls(self);
     // Create separate tables for head and body to support stationary head and
     // scrollable body.
     // Create head table.
@@ -318,6 +895,62 @@ class ViewContextMenu {
     self.createTableBody(self);
   }
   /**
+  * Creates and activates controls for actions on multiple candidates.
+  * @param {Object} self Instance of a class.
+  */
+  createActivateBulkControls(self) {
+    // Create container.
+    var container = View.createInsertContainer({
+      classNames: ["bulk"],
+      type: "standard",
+      target: self.container,
+      position: "beforeend",
+      documentReference: self.document
+    });
+    // Create and activate control for selection of multiple candidates.
+    self.selection = View.createCheckLabel({
+      identifier: ("simplification-" + self.category + "-selection"),
+      value: "selection",
+      className: "selection",
+      text: "select rows",
+      parent: container,
+      documentReference: self.document
+    });
+    self.selection.addEventListener("change", function (event) {
+      // Element on which the event originated is event.currentTarget.
+      // Call action.
+      ActionContext.changeCandidatesSelectionMode({
+        category: self.category,
+        state: self.state
+      });
+    });
+    // Create text to describe the candidates for action.
+    self.target = self.document.createElement("span");
+    container.appendChild(self.target);
+    self.target.classList.add("target");
+    // Create and activate buttons for actions.
+    [
+      {text: "omit", method: "omission"},
+      {text: "replicate", method: "replication"},
+      {text: "clear", method: null}
+    ].forEach(function (record) {
+      var button = View.createButton({
+        text: record.text,
+        parent: container,
+        documentReference: self.document
+      });
+      button.addEventListener("click", function (event) {
+        // Element on which the event originated is event.currentTarget.
+        // Call action.
+        ActionContext.changeSimplificationsCollection({
+          category: self.category,
+          method: record.method,
+          state: self.state
+        });
+      });
+    });
+  }
+  /**
   * Creates and activates a table's head.
   * @param {Object} self Instance of a class.
   */
@@ -413,6 +1046,7 @@ class ViewContextMenu {
   * @param {Object} self Instance of a class.
   */
   restoreView(self) {
+    self.representBulkControls(self);
     self.representSearch(self);
     self.representSorts(self);
     // Determine values for representation of counts.
@@ -426,6 +1060,24 @@ class ViewContextMenu {
     self.createActivateSummaries(self);
   }
   /**
+  * Represents controls for actions on multiple candidates.
+  * @param {Object} self Instance of a class.
+  */
+  representBulkControls(self) {
+    var selection = self.state.candidatesSelections[self.category];
+    self.selection.checked = selection.mode;
+    var count = Candidacy.collectCandidatesSummariesIdentifiers({
+      category: self.category,
+      candidatesSummaries: self.state.candidatesSummaries,
+      candidatesSelections: self.state.candidatesSelections
+    }).length;
+    if (selection.mode && (selection.identifiers.length > 0)) {
+      self.target.textContent = (" selection (" + count + "): ");
+    } else {
+      self.target.textContent = (" visible (" + count + "): ");
+    }
+  }
+  /**
   * Represents search's value.
   * @param {Object} self Instance of a class.
   */
@@ -502,15 +1154,30 @@ class ViewContextMenu {
     })
     // Class emphasis versus ignorance.
     self.rows.classed("ignorance", true);
+    // Class selection of multiple candidates.
+    var selection = self.state.candidatesSelections[self.category];
+    self.rows.classed("chosen", function (element, index, nodes) {
+      return selection.identifiers.includes(element.candidate);
+    });
     // Activate behavior.
     self.rows.on("click", function (element, index, nodes) {
-      // Call action.
-      ActionContext.changeSimplification({
-        identifier: element.candidate,
-        method: "omission",
-        category: element.entity,
-        state: self.state
-      });
+      // Determine whether selection of multiple candidates is active.
+      if (self.state.candidatesSelections[self.category].mode) {
+        // Call action.
+        ActionContext.changeCandidateSelection({
+          identifier: element.candidate,
+          category: element.entity,
+          state: self.state
+        });
+      } else {
+        // Call action.
+        ActionContext.changeSimplification({
+          identifier: element.candidate,
+          method: "omission",
+          category: element.entity,
+          state: self.state
+        });
+      }
     });
     self.rows.on("mouseenter", function (element, index, nodes) {
       // Select element.
@@ -612,6 +1279,71 @@ class ViewContextMenu {
         state: self.state
       });
     });
+    // Represent redundant replicate reactions.
+    self.representReplicates(self);
+  }
+  /**
+  * Represents redundant replicate reactions that merge in candidate reactions.
+  * @param {Object} self Instance of a class.
+  */
+  representReplicates(self) {
+    // Define function to access data.
+    function access(element, index, nodes) {
+      // Determine whether candidate reaction has merge or separation of
+      // replicates.
+      if (element.entity === "reactions") {
+        var candidate = self.state.candidatesReactions[element.identifier];
+        if (candidate.replicates.length > 0) {
+          return [{
+            type: "merge",
+            identifier: element.identifier,
+            count: (candidate.replicates.length + 1)
+          }];
+        } else if (
+          self.state.redundancySeparations.includes(element.identifier)
+        ) {
+          return [{
+            type: "separation",
+            identifier: element.identifier,
+            count: 1
+          }];
+        }
+      }
+      return [];
+    };
+    // Create children elements by association to data.
+    var replicates = View.createElementsData({
+      parent: self.names,
+      type: "span",
+      accessor: access
+    });
+    // Assign attributes to elements.
+    replicates
+    .classed("replicates", true)
+    .attr("title", function (element, index, nodes) {
+      if (element.type === "merge") {
+        return "click to separate merged reactions";
+      } else {
+        return "click to merge replicate reactions";
+      }
+    })
+    .text(function (element, index, nodes) {
+      if (element.type === "merge") {
+        return (" [" + element.count + " merged]");
+      } else {
+        return " [separate]";
+      }
+    });
+    // Activate behavior.
+    replicates.on("click", function (element, index, nodes) {
+      // Prevent change to simplification of candidate reaction.
+      d3.event.stopPropagation();
+      // Call action.
+      ActionContext.changeRedundancySeparation({
+        identifier: element.identifier,
+        state: self.state
+      });
+    });
   }
 
   // TODO: representActivateSimplifications() is obsolete...
@@ -774,6 +1506,18 @@ class ViewContextMenu {
       state: state
     });
     var message = (name + " (" + count + ")");
+    // Include names of redundant replicate reactions.
+    if (
+      (entity === "reactions") &&
+      (state.candidatesReactions[identifier].replicates.length > 0)
+    ) {
+      var replicates = []
+      .concat(identifier, state.candidatesReactions[identifier].replicates)
+      .map(function (replicate) {
+        return state.reactions[replicate].name;
+      });
+      message = (message + " merged: " + replicates.join(", "));
+    }
     var summary = View.createSpanText({
       text: message,
       documentReference: documentReference
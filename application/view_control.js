@@ -85,6 +85,9 @@ class ViewControl {
       // Set references to content.
       // Tabs.
       self.stateTab = self.document.getElementById("tab-state");
+      self.validationTab = self.document.getElementById("tab-validation");
+      self.knockoutTab = self.document.getElementById("tab-knockout");
+      self.hubTab = self.document.getElementById("tab-hub");
       self.networkTab = self.document.getElementById("tab-network");
       self.subnetworkTab = self.document.getElementById("tab-subnetwork");
       //self.measurementTab = self.document.getElementById("tab-measurement");
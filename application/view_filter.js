@@ -107,6 +107,24 @@ class ViewFilter {
       });
       // Create break.
       self.container.appendChild(self.document.createElement("br"));
+      // Create menu for sets by balances of elements and charges.
+      new ViewFilterMenu({
+        category: "balances",
+        filterView: self,
+        documentReference: self.document,
+        state: self.state
+      });
+      // Create break.
+      self.container.appendChild(self.document.createElement("br"));
+      // Create menu for sets by directions.
+      new ViewFilterMenu({
+        category: "directions",
+        filterView: self,
+        documentReference: self.document,
+        state: self.state
+      });
+      // Create break.
+      self.container.appendChild(self.document.createElement("br"));
     } else {
       // Container is not empty.
       // Set references to content.
@@ -132,7 +150,8 @@ class ViewFilter {
     });
     // Create text.
     var text = (
-      "- Select processes and compartments to filter network's entities."
+      "- Select processes, compartments, balances, and directions to filter " +
+      "network's entities."
     );
     container.textContent = text;
   }
@@ -209,6 +228,20 @@ class ViewFilter {
       documentReference: self.document,
       state: self.state
     });
+    // Create menu for sets by balances of elements and charges.
+    new ViewFilterMenu({
+      category: "balances",
+      filterView: self,
+      documentReference: self.document,
+      state: self.state
+    });
+    // Create menu for sets by directions.
+    new ViewFilterMenu({
+      category: "directions",
+      filterView: self,
+      documentReference: self.document,
+      state: self.state
+    });
   }
   /**
   * Determines whether a type of entities matches the value in the application's
@@ -749,7 +782,15 @@ class ViewFilterMenu {
   * @returns {string} Name of the value of the attribute.
   */
   static accessName({attribute, value, state} = {}) {
-    return state[attribute][value].name;
+    // Determine reference.
+    if (attribute === "balances") {
+      var reference = Balance.createBalancesRecords();
+    } else if (attribute === "directions") {
+      var reference = Extraction.createDirectionsRecords();
+    } else {
+      var reference = state[attribute];
+    }
+    return reference[value].name;
   }
   /**
   * Determines whether an attribute's value has a selection.
@@ -647,6 +647,61 @@ class View {
     });
   }
   /**
+  * Creates and activates a selector menu for the format of export of
+  * network's elements.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.identifier Identifier for element.
+  * @param {Object} parameters.parent Reference to parent element.
+  * @param {Object} parameters.documentReference Reference to document object
+  * model.
+  * @param {Object} parameters.state Application's state.
+  * @returns {Object} Reference to element.
+  */
+  static createActivateExportFormatSelector({identifier, parent, documentReference, state} = {}) {
+    // Create selector.
+    var selector = View.createSelector({
+      identifier: identifier,
+      parent: parent,
+      documentReference: documentReference
+    });
+    selector.classList.add("format");
+    // Activate behavior.
+    selector.addEventListener("change", function (event) {
+      // Element on which the event originated is event.currentTarget.
+      // Call action.
+      ActionNetwork.changeExportFormat({
+        format: event.currentTarget.value,
+        state: state
+      });
+    });
+    // Return reference to element.
+    return selector;
+  }
+  /**
+  * Restores options within a selector menu for the format of export of
+  * network's elements.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.selector Reference to selector menu.
+  * @param {Object} parameters.documentReference Reference to document object
+  * model.
+  * @param {Object} parameters.state Application's state.
+  */
+  static restoreExportFormatSelector({selector, documentReference, state} = {}) {
+    var options = Serialization.createFormatsReferences()
+    .map(function (reference) {
+      return {
+        label: reference.label,
+        value: reference.format,
+        selection: (reference.format === state.exportFormat)
+      };
+    });
+    View.createSelectorOptions({
+      options: options,
+      selector: selector,
+      documentReference: documentReference
+    });
+  }
+  /**
   * Determines the horizontal and vertical positions for the proximal corner of
   * a transient view with absolute position.
   * Positions for transient views are relative to the browser's view window.
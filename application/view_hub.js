@@ -0,0 +1,342 @@
+/*
+This file is part of project Profondeur
+(https://github.com/tcameronwaller/profondeur/).
+
+Profondeur supports visual exploration and analysis of metabolic networks.
+Copyright (C) 2018 Thomas Cameron Waller
+
+This program is free software: you can redistribute it and/or modify it under
+the terms of the GNU General Public License as published by the Free Software
+Foundation, either version 3 of the License, or (at your option) any later
+version.
+
+This program is distributed in the hope that it will be useful, but WITHOUT ANY
+WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+PARTICULAR PURPOSE.
+See the GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License along with
+this program.
+If not, see <http://www.gnu.org/licenses/>.
+
+Thomas Cameron Waller
+tcameronwaller@gmail.com
+Department of Biochemistry
+University of Utah
+Room 5520C, Emma Eccles Jones Medical Research Building
+15 North Medical Drive East
+Salt Lake City, Utah 84112
+United States of America
+*/
+
+
+/**
+* Interface to designate candidate metabolites with high degrees, hubs, for
+* simplification.
+*/
+class ViewHub {
+  /**
+  * Initializes an instance of a class.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.documentReference Reference to document object
+  * model.
+  * @param {Object} parameters.state Application's state.
+  */
+  constructor ({documentReference, state} = {}) {
+    // Set common references.
+    // Set reference to class' current instance to persist across scopes.
+    var self = this;
+    // Set reference to application's state.
+    self.state = state;
+    // Set reference to document object model (DOM).
+    self.document = documentReference;
+    // Set reference to other views.
+    self.interfaceView = self.state.views.interface;
+    self.tipView = self.state.views.tip;
+    self.promptView = self.state.views.prompt;
+    self.controlView = self.state.views.control;
+    // Control view's composition and behavior.
+    // Initialize view.
+    self.initializeView(self);
+    // Restore view.
+    self.restoreView(self);
+  }
+  /**
+  * Initializes, creates and activates, view's content and behavior that does
+  * not vary with changes to the application's state.
+  * @param {Object} self Instance of a class.
+  */
+  initializeView(self) {
+    // Create or set reference to container.
+    self.container = View.createReferenceContainer({
+      identifier: "hub",
+      classNames: ["container", "panel", "control", "tierTwo"],
+      type: "standard",
+      target: self.controlView.hubTab,
+      position: "afterend",
+      documentReference: self.document
+    });
+    // Determine whether to create and activate behavior of content.
+    if (self.container.children.length === 0) {
+      // Container is empty.
+      // Create and activate behavior of content.
+      // Create graph to represent distribution of degrees.
+      self.graph = View.createGraph({
+        parent: self.container,
+        documentReference: self.document
+      });
+      self.graph.classList.add("histogram");
+      // Create break.
+      self.container.appendChild(self.document.createElement("br"));
+      // Create and activate controls.
+      self.createActivateControls(self);
+      // Create break.
+      self.container.appendChild(self.document.createElement("br"));
+      // Create text.
+      self.summary = self.document.createElement("span");
+      self.container.appendChild(self.summary);
+      self.summary.classList.add("summary");
+    } else {
+      // Container is not empty.
+      // Set references to content.
+      self.graph = self.container.querySelector("svg.histogram");
+      self.threshold = self.container.querySelector("input");
+      self.method = self.container.querySelector("select");
+      self.summary = self.container.querySelector("span.summary");
+    }
+  }
+  /**
+  * Creates and activates controls for threshold, method, and application of
+  * simplifications.
+  * @param {Object} self Instance of a class.
+  */
+  createActivateControls(self) {
+    // Create control for threshold.
+    View.createAppendSpanText({
+      text: "degree > ",
+      parent: self.container,
+      documentReference: self.document
+    });
+    self.threshold = self.document.createElement("input");
+    self.container.appendChild(self.threshold);
+    self.threshold.setAttribute("type", "number");
+    self.threshold.setAttribute("min", 0);
+    self.threshold.setAttribute("step", 1);
+    self.threshold.setAttribute("id", "hub-threshold");
+    self.threshold.addEventListener("change", function (event) {
+      // Element on which the event originated is event.currentTarget.
+      // Determine value.
+      var value = Number(event.currentTarget.value);
+      // Determine whether value is valid.
+      if (Number.isFinite(value) && (value >= 0)) {
+        // Call action.
+        ActionHub.changeHubThreshold({
+          threshold: value,
+          state: self.state
+        });
+      }
+    });
+    // Create control for method.
+    self.method = View.createSelector({
+      identifier: "hub-method",
+      parent: self.container,
+      documentReference: self.document
+    });
+    self.method.addEventListener("change", function (event) {
+      // Element on which the event originated is event.currentTarget.
+      // Call action.
+      ActionHub.changeHubMethod({
+        method: event.currentTarget.value,
+        state: self.state
+      });
+    });
+    // Create button to preview simplifications.
+    var preview = View.createButton({
+      text: "preview",
+      parent: self.container,
+      documentReference: self.document
+    });
+    preview.addEventListener("click", function (event) {
+      // Element on which the event originated is event.currentTarget.
+      // Call action.
+      ActionHub.changeHubThreshold({
+        threshold: self.state.hubThreshold,
+        state: self.state
+      });
+    });
+    // Create button to apply simplifications.
+    var apply = View.createButton({
+      text: "apply",
+      parent: self.container,
+      documentReference: self.document
+    });
+    apply.addEventListener("click", function (event) {
+      // Element on which the event originated is event.currentTarget.
+      // Call action.
+      ActionHub.applyHubSimplifications(self.state);
+    });
+  }
+  /**
+  * Restores view's content and behavior that varies with changes to the
+  * application's state.
+  * @param {Object} self Instance of a class.
+  */
+  restoreView(self) {
+    // Create view's variant elements.
+    // Restore controls.
+    self.threshold.value = String(self.state.hubThreshold);
+    var options = ["omission", "replication"].map(function (method) {
+      return {
+        label: method,
+        value: method,
+        selection: (method === self.state.hubMethod)
+      };
+    });
+    View.createSelectorOptions({
+      options: options,
+      selector: self.method,
+      documentReference: self.document
+    });
+    // Represent distribution of degrees.
+    self.bins = Candidacy.createHubsDegreesDistribution({
+      candidatesMetabolites: self.state.candidatesMetabolites,
+      count: 25
+    });
+    self.restoreHistogram(self);
+    // Represent summary of hubs.
+    self.restoreSummary(self);
+  }
+  /**
+  * Restores a histogram of the distribution of candidate metabolites'
+  * degrees.
+  * @param {Object} self Instance of a class.
+  */
+  restoreHistogram(self) {
+    // Determine dimensions.
+    self.graphWidth = General.determineElementDimension(self.graph, "width");
+    self.graphHeight = General.determineElementDimension(self.graph, "height");
+    self.pad = 3;
+    var width = (self.graphWidth - (self.pad * 2));
+    var height = (self.graphHeight - (self.pad * 2));
+    // Determine scales for bars' dimensions.
+    if (self.bins.length > 0) {
+      var minimum = self.bins[0].minimum;
+      var maximum = self.bins[self.bins.length - 1].maximum;
+      var frequency = General.determineMaximum(
+        General.collectValueFromObjects("frequency", self.bins)
+      );
+    } else {
+      var minimum = 0;
+      var maximum = 1;
+      var frequency = 1;
+    }
+    var scaleDegree = d3
+    .scaleLinear()
+    .domain([minimum, maximum])
+    .range([0, width]);
+    var scaleFrequency = d3
+    .scaleLinear()
+    .domain([0, frequency])
+    .range([0, height]);
+    // Select parent.
+    var graph = d3.select(self.graph);
+    // Create groups.
+    // Define function to access data.
+    function accessGroup() {
+      return [self.bins];
+    };
+    // Create children elements by association to data.
+    var groups = View.createElementsData({
+      parent: graph,
+      type: "g",
+      accessor: accessGroup
+    });
+    groups.attr("transform", function (element, index, nodes) {
+      return "translate(" + self.pad + "," + self.pad + ")";
+    });
+    // Create marks.
+    // Define function to access data.
+    function accessMark(element, index, nodes) {
+      return element;
+    };
+    // Create children elements by association to data.
+    var marks = View.createElementsData({
+      parent: groups,
+      type: "rect",
+      accessor: accessMark
+    });
+    // Assign attributes to elements.
+    marks
+    .classed("mark", true)
+    .classed("hub", function (element, index, nodes) {
+      return element.minimum > self.state.hubThreshold;
+    })
+    .attr("x", function (element, index, nodes) {
+      return scaleDegree(element.minimum);
+    })
+    .attr("y", function (element, index, nodes) {
+      return height - scaleFrequency(element.frequency);
+    })
+    .attr("width", function (element, index, nodes) {
+      return Math.max(
+        (scaleDegree(element.maximum) - scaleDegree(element.minimum) - 1), 1
+      );
+    })
+    .attr("height", function (element, index, nodes) {
+      return scaleFrequency(element.frequency);
+    });
+    // Create tips.
+    var tips = View.createElementsData({
+      parent: marks,
+      type: "title",
+      accessor: function (element, index, nodes) {
+        return [element];
+      }
+    });
+    tips.text(function (element, index, nodes) {
+      return (
+        "degree: " + Math.ceil(element.minimum) + " - " +
+        Math.floor(element.maximum) + " metabolites: " + element.frequency
+      );
+    });
+    // Create line to represent threshold.
+    var lines = View.createElementsData({
+      parent: groups,
+      type: "line",
+      accessor: function (element, index, nodes) {
+        return [self.state.hubThreshold];
+      }
+    });
+    var position = scaleDegree(
+      Math.min(Math.max(self.state.hubThreshold, minimum), maximum)
+    );
+    lines
+    .classed("threshold", true)
+    .attr("x1", position)
+    .attr("y1", 0)
+    .attr("x2", position)
+    .attr("y2", height);
+  }
+  /**
+  * Restores a summary of hubs and a preview of their simplification.
+  * @param {Object} self Instance of a class.
+  */
+  restoreSummary(self) {
+    // Determine count of hubs.
+    var hubs = Candidacy.collectHubsCandidates({
+      candidatesMetabolites: self.state.candidatesMetabolites,
+      threshold: self.state.hubThreshold
+    });
+    var text = "hubs: " + hubs.length;
+    // Determine whether there is a preview.
+    if (self.state.hubPreview) {
+      var current = self.state.hubPreview.currentSummary;
+      var novel = self.state.hubPreview.novelSummary;
+      text += (
+        " nodes: " + current.nodes + " -> " + novel.nodes +
+        " links: " + current.links + " -> " + novel.links
+      );
+    }
+    self.summary.textContent = text;
+  }
+}
@@ -70,5 +70,37 @@ class ViewInterface {
       position: "beforeend",
       documentReference: self.document
     });
+    // Determine whether to create and activate behavior of content.
+    if (self.container.children.length === 0) {
+      // Container is empty.
+      // Activate keyboard shortcuts once for the document.
+      self.activateSimplificationsHistoryKeys(self);
+    }
+  }
+  /**
+  * Activates keyboard shortcuts to undo and redo changes to designations of
+  * entities for simplification.
+  * Shortcuts only respond while the context view exists.
+  * @param {Object} self Instance of a class.
+  */
+  activateSimplificationsHistoryKeys(self) {
+    self.document.addEventListener("keydown", function (event) {
+      // Ignore keys within fields for text and in absence of context view.
+      var tag = event.target.tagName;
+      if (
+        (event.ctrlKey || event.metaKey) &&
+        !["INPUT", "TEXTAREA", "SELECT"].includes(tag) &&
+        (self.document.getElementById("context") !== null)
+      ) {
+        var key = event.key.toLowerCase();
+        if (key === "z" && !event.shiftKey) {
+          event.preventDefault();
+          ActionContext.undoSimplification(self.state);
+        } else if (key === "y" || (key === "z" && event.shiftKey)) {
+          event.preventDefault();
+          ActionContext.redoSimplification(self.state);
+        }
+      }
+    });
   }
 }
@@ -0,0 +1,308 @@
+/*
+This file is part of project Profondeur
+(https://github.com/tcameronwaller/profondeur/).
+
+Profondeur supports visual exploration and analysis of metabolic networks.
+Copyright (C) 2018 Thomas Cameron Waller
+
+This program is free software: you can redistribute it and/or modify it under
+the terms of the GNU General Public License as published by the Free Software
+Foundation, either version 3 of the License, or (at your option) any later
+version.
+
+This program is distributed in the hope that it will be useful, but WITHOUT ANY
+WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+PARTICULAR PURPOSE.
+See the GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License along with
+this program.
+If not, see <http://www.gnu.org/licenses/>.
+
+Thomas Cameron Waller
+tcameronwaller@gmail.com
+Department of Biochemistry
+University of Utah
+Room 5520C, Emma Eccles Jones Medical Research Building
+15 North Medical Drive East
+Salt Lake City, Utah 84112
+United States of America
+*/
+
+/**
+* Interface to knock out genes and summarize the reactions and metabolites that
+* the network loses.
+*/
+class ViewKnockout {
+  /**
+  * Initializes an instance of a class.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.documentReference Reference to document object
+  * model.
+  * @param {Object} parameters.state Application's state.
+  */
+  constructor ({documentReference, state} = {}) {
+    // Set common references.
+    // Set reference to class' current instance to persist across scopes.
+    var self = this;
+    // Set reference to application's state.
+    self.state = state;
+    // Set reference to document object model (DOM).
+    self.document = documentReference;
+    // Set reference to other views.
+    self.interfaceView = self.state.views.interface;
+    self.tipView = self.state.views.tip;
+    self.promptView = self.state.views.prompt;
+    self.controlView = self.state.views.control;
+    // Control view's composition and behavior.
+    // Initialize view.
+    self.initializeView(self);
+    // Restore view.
+    self.restoreView(self);
+  }
+  /**
+  * Initializes, creates and activates, view's content and behavior that does
+  * not vary with changes to the application's state.
+  * @param {Object} self Instance of a class.
+  */
+  initializeView(self) {
+    // Create or set reference to container.
+    self.container = View.createReferenceContainer({
+      identifier: "knockout",
+      classNames: ["container", "panel", "control", "tierTwo"],
+      type: "standard",
+      target: self.controlView.knockoutTab,
+      position: "afterend",
+      documentReference: self.document
+    });
+    // Determine whether to create and activate behavior of content.
+    if (self.container.children.length === 0) {
+      // Container is empty.
+      // Create and activate behavior of content.
+      // Create and activate search menu to select genes.
+      self.createActivateSearch(self);
+      // Create break.
+      self.container.appendChild(self.document.createElement("br"));
+      // Create and activate list to paste genes.
+      self.createActivateList(self);
+      // Create text.
+      self.countLabel = self.document.createElement("span");
+      self.container.appendChild(self.countLabel);
+      // Create break.
+      self.container.appendChild(self.document.createElement("br"));
+      // Create table.
+      self.createTable(self);
+    } else {
+      // Container is not empty.
+      // Set references to content.
+      self.search = self.container.querySelector("input");
+      self.list = self.container.getElementsByTagName("textarea").item(0);
+      self.countLabel = self.container.getElementsByTagName("span").item(1);
+      self.tableBody = self.container.getElementsByTagName("tbody").item(0);
+    }
+  }
+  /**
+  * Creates and activates a search menu to select genes.
+  * @param {Object} self Instance of a class.
+  */
+  createActivateSearch(self) {
+    self.search = View.createSearchOptionsList({
+      identifier: "knockout-gene-search",
+      prompt: "select gene...",
+      parent: self.container,
+      documentReference: self.document
+    });
+    self.search.addEventListener("change", function (event) {
+      // Element on which the event originated is event.currentTarget.
+      // Determine identifier of any option that matches the search's value.
+      var identifier = View.determineSearchOptionName(event.currentTarget);
+      // Determine whether search's value matches a valid option.
+      if (identifier.length > 0) {
+        // Call action.
+        ActionKnockout.changeKnockoutGene({
+          identifier: identifier,
+          state: self.state
+        });
+      }
+    });
+  }
+  /**
+  * Creates and activates a list to paste genes and buttons to include or
+  * clear genes.
+  * @param {Object} self Instance of a class.
+  */
+  createActivateList(self) {
+    self.list = self.document.createElement("textarea");
+    self.container.appendChild(self.list);
+    self.list.setAttribute("placeholder", "paste genes...");
+    self.container.appendChild(self.document.createElement("br"));
+    var include = View.createButton({
+      text: "knock out",
+      parent: self.container,
+      documentReference: self.document
+    });
+    include.addEventListener("click", function (event) {
+      // Element on which the event originated is event.currentTarget.
+      // Call action.
+      ActionKnockout.includeKnockoutGenesList({
+        text: self.list.value,
+        state: self.state
+      });
+    });
+    var clear = View.createButton({
+      text: "clear",
+      parent: self.container,
+      documentReference: self.document
+    });
+    clear.addEventListener("click", function (event) {
+      // Element on which the event originated is event.currentTarget.
+      // Call action.
+      ActionKnockout.clearKnockoutGenes(self.state);
+    });
+  }
+  /**
+  * Creates a table to summarize knockouts.
+  * @param {Object} self Instance of a class.
+  */
+  createTable(self) {
+    // Create table's head.
+    var head = View.createTableHead({
+      parent: self.container,
+      documentReference: self.document
+    });
+    var headRow = View.createTableRow({
+      parent: head,
+      documentReference: self.document
+    });
+    ["entity", "identifier", "name"].forEach(function (attribute) {
+      var cell = View.createTableHeadCell({
+        parent: headRow,
+        className: attribute,
+        documentReference: self.document
+      });
+      cell.textContent = attribute;
+    });
+    // Create table's body.
+    self.tableBody = View.createScrollTableBody({
+      className: "knockouts",
+      parent: self.container,
+      documentReference: self.document
+    });
+  }
+  /**
+  * Restores view's content and behavior that varies with changes to the
+  * application's state.
+  * @param {Object} self Instance of a class.
+  */
+  restoreView(self) {
+    // Create view's variant elements.
+    // Represent genes for selection.
+    self.genesRecords = Rule.createReactionsGenesRecords({
+      genes: self.state.genes,
+      reactions: self.state.reactions
+    });
+    View.createSearchOptions({
+      list: self.search.list,
+      records: General.sortArrayRecordsByNameLengthCharacter(
+        Object.values(self.genesRecords)
+      )
+    });
+    self.search.value = "";
+    // Represent counts of knockouts.
+    self.countLabel.textContent = (
+      " genes: " + self.state.knockoutGenes.length +
+      " reactions: " + self.state.knockoutReactions.length +
+      " stranded metabolites: " + self.state.knockoutMetabolites.length
+    );
+    // Represent knockouts.
+    self.createTableRows(self);
+  }
+  /**
+  * Creates records to summarize knockouts.
+  * @param {Object} self Instance of a class.
+  * @returns {Array<Object>} Records for knockouts.
+  */
+  createRecords(self) {
+    var genes = self.state.knockoutGenes.map(function (identifier) {
+      if (self.genesRecords.hasOwnProperty(identifier)) {
+        var name = self.genesRecords[identifier].name;
+      } else {
+        var name = identifier;
+      }
+      return {
+        entity: "gene",
+        identifier: identifier,
+        name: name
+      };
+    });
+    var reactions = self.state.knockoutReactions.map(function (identifier) {
+      return {
+        entity: "reaction",
+        identifier: identifier,
+        name: self.state.reactions[identifier].name
+      };
+    });
+    var metabolites = self.state.knockoutMetabolites.map(function (identifier) {
+      return {
+        entity: "metabolite",
+        identifier: identifier,
+        name: self.state.metabolites[identifier].name
+      };
+    });
+    return [].concat(genes, reactions, metabolites);
+  }
+  /**
+  * Creates rows in a table to summarize knockouts.
+  * @param {Object} self Instance of a class.
+  */
+  createTableRows(self) {
+    // Select parent.
+    var body = d3.select(self.tableBody);
+    // Define function to access data.
+    function accessOne() {
+      return self.createRecords(self);
+    };
+    // Create children elements by association to data.
+    var rows = View.createElementsData({
+      parent: body,
+      type: "tr",
+      accessor: accessOne
+    });
+    // Assign attributes to elements.
+    rows.classed("gene", function (element, index, nodes) {
+      return element.entity === "gene";
+    });
+    rows.attr("title", function (element, index, nodes) {
+      if (element.entity === "gene") {
+        return "click to restore gene";
+      } else {
+        return null;
+      }
+    });
+    // Activate behavior.
+    rows.on("click", function (element, index, nodes) {
+      if (element.entity === "gene") {
+        // Call action.
+        ActionKnockout.changeKnockoutGene({
+          identifier: element.identifier,
+          state: self.state
+        });
+      }
+    });
+    // Define function to access data.
+    function accessTwo(element, index, nodes) {
+      // Organize data.
+      return [element.entity, element.identifier, element.name];
+    };
+    // Create children elements by association to data.
+    var cells = View.createElementsData({
+      parent: rows,
+      type: "td",
+      accessor: accessTwo
+    });
+    // Assign attributes to elements.
+    cells.text(function (element, index, nodes) {
+      return element;
+    });
+  }
+}
@@ -0,0 +1,181 @@
+/*
+This file is part of project Profondeur
+(https://github.com/tcameronwaller/profondeur/).
+
+Profondeur supports visual exploration and analysis of metabolic networks.
+Copyright (C) 2018 Thomas Cameron Waller
+
+This program is free software: you can redistribute it and/or modify it under
+the terms of the GNU General Public License as published by the Free Software
+Foundation, either version 3 of the License, or (at your option) any later
+version.
+
+This program is distributed in the hope that it will be useful, but WITHOUT ANY
+WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+PARTICULAR PURPOSE.
+See the GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License along with
+this program.
+If not, see <http://www.gnu.org/licenses/>.
+
+Thomas Cameron Waller
+tcameronwaller@gmail.com
+Department of Biochemistry
+University of Utah
+Room 5520C, Emma Eccles Jones Medical Research Building
+15 North Medical Drive East
+Salt Lake City, Utah 84112
+United States of America
+*/
+
+/**
+* Interface to select a metabolic model to load.
+*/
+class ViewModel {
+  /**
+  * Initializes an instance of a class.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.documentReference Reference to document object
+  * model.
+  * @param {Object} parameters.body Reference to document's body.
+  * @param {Object} parameters.state Application's state.
+  */
+  constructor ({documentReference, body, state} = {}) {
+    // Set common references.
+    // Set reference to class' current instance to persist across scopes.
+    var self = this;
+    // Set reference to application's state.
+    self.state = state;
+    // Set reference to document object model (DOM).
+    self.document = documentReference;
+    // Set reference to other views.
+    self.body = body;
+    // Control view's composition and behavior.
+    // Initialize view.
+    self.initializeView(self);
+    // Restore view.
+    self.restoreView(self);
+  }
+  /**
+  * Initializes, creates and activates, view's content and behavior that does
+  * not vary with changes to the application's state.
+  * @param {Object} self Instance of a class.
+  */
+  initializeView(self) {
+    // Create or set reference to container.
+    self.container = View.createReferenceContainer({
+      identifier: "model",
+      classNames: ["container"],
+      type: "standard",
+      target: self.body,
+      position: "afterbegin",
+      documentReference: self.document
+    });
+    // Determine whether to create and activate behavior of content.
+    if (self.container.children.length === 0) {
+      // Container is empty.
+      // Create and activate behavior of content.
+      // Create title.
+      View.createAppendDivisionText({
+        text: "Select a metabolic model.",
+        className: "title",
+        parent: self.container,
+        documentReference: self.document
+      });
+      // Create and activate buttons to select models from application's data.
+      self.createActivateModelsButtons(self);
+      // Create and activate button to select model from file.
+      self.createActivateLoadButton(self);
+      // Create text.
+      self.sourceLabel = self.document.createElement("span");
+      self.container.appendChild(self.sourceLabel);
+    } else {
+      // Container is not empty.
+      // Set references to content.
+      var spans = self.container.getElementsByTagName("span");
+      self.sourceLabel = spans.item(spans.length - 1);
+    }
+  }
+  /**
+  * Creates and activates buttons to select metabolic models from the
+  * application's data.
+  * @param {Object} self Instance of a class.
+  */
+  createActivateModelsButtons(self) {
+    var container = self.document.createElement("div");
+    self.container.appendChild(container);
+    self.state.models.forEach(function (model) {
+      var button = View.createButton({
+        text: model.name,
+        parent: container,
+        documentReference: self.document
+      });
+      button.addEventListener("click", function (event) {
+        // Element on which the event originated is event.currentTarget.
+        // Call action.
+        ActionGeneral.changeSourceModel({
+          source: model,
+          state: self.state
+        });
+      });
+    });
+  }
+  /**
+  * Creates and activates button to select file of a metabolic model in Systems
+  * Biology Markup Language (SBML) or in JavaScript Object Notation (JSON) from
+  * COBRApy to load.
+  * @param {Object} self Instance of a class.
+  */
+  createActivateLoadButton(self) {
+    var container = self.document.createElement("div");
+    self.container.appendChild(container);
+    // Create label.
+    View.createAppendSpanText({
+      text: "or a model from file (COBRApy JSON or SBML): ",
+      parent: container,
+      documentReference: self.document
+    });
+    // Create and activate file selector.
+    var load = View.createFileLoadFacade({
+      suffix: ".json,.xml,.sbml",
+      parent: container,
+      documentReference: self.document
+    });
+    load.addEventListener("change", function (event) {
+      // Element on which the event originated is event.currentTarget.
+      // Call action.
+      ActionGeneral.changeSourceModel({
+        source: event.currentTarget.files[0],
+        state: self.state
+      });
+    });
+  }
+  /**
+  * Restores view's content and behavior that varies with changes to the
+  * application's state.
+  * @param {Object} self Instance of a class.
+  */
+  restoreView(self) {
+    // Create view's variant elements.
+    // Activate variant behavior of view's elements.
+    self.restoreSourceLabel(self);
+  }
+  /**
+  * Restores source's label.
+  * @param {Object} self Instance of a class.
+  */
+  restoreSourceLabel(self) {
+    // Determine whether the application's state includes a selection of a
+    // metabolic model.
+    if (Model.determineSourceModel(self.state)) {
+      // Application's state includes a selection of a metabolic model.
+      var text = "loading " + self.state.sourceModel.name + "...";
+    } else {
+      // Application's state does not include a selection of a metabolic
+      // model.
+      var text = "";
+    }
+    self.sourceLabel.textContent = text;
+  }
+}
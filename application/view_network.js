@@ -82,6 +82,13 @@ class ViewNetwork {
       self.createActivateRestorationButton(self);
       // Create and activate button to export information about network.
       self.createActivateExportButton(self);
+      // Create and activate selector for format of export.
+      self.format = View.createActivateExportFormatSelector({
+        identifier: "network-export-format",
+        parent: self.container,
+        documentReference: self.document,
+        state: self.state
+      });
       // Create break.
       self.container.appendChild(self.document.createElement("br"));
       // Create summary of network's elements.
@@ -91,6 +98,8 @@ class ViewNetwork {
     } else {
       // Container is not empty.
       // Set references to content.
+      // Selector for format of export.
+      self.format = self.document.getElementById("network-export-format");
       // Summary.
       self.graphNode = self
       .container.querySelector("div.summary table svg.node");
@@ -243,6 +252,12 @@ class ViewNetwork {
   */
   restoreView(self) {
     // Create view's variant elements.
+    // Restore selector for format of export.
+    View.restoreExportFormatSelector({
+      selector: self.format,
+      documentReference: self.document,
+      state: self.state
+    });
     // Activate variant behavior of view's elements.
     // Restore chart for nodes.
     View.restoreNodeChart({
@@ -1140,7 +1140,8 @@ class ViewQuery {
   * Accesses a node's name.
   * @param {Object} parameters Destructured object of parameters.
   * @param {string} parameters.identifier Identifier of a node.
-  * @param {string} parameters.type Type of a node, metabolite or reaction.
+  * @param {string} parameters.type Type of a node, metabolite, reaction, or
+  * gene.
   * @param {Object} parameters.state Application's state.
   * @returns {string} Node's name.
   */
@@ -1155,6 +1156,10 @@ class ViewQuery {
       var node = state.networkNodesReactions[identifier];
       var candidate = state.candidatesReactions[node.candidate];
       var name = candidate.name;
+    } else if (type === "gene") {
+      // Access information.
+      var node = state.networkNodesGenes[identifier];
+      var name = state.genes[node.gene].name;
     }
     return name;
   }
@@ -84,6 +84,10 @@ class ViewState {
       self.createActivateLoadButton(self);
       // Create break.
       self.container.appendChild(self.document.createElement("br"));
+      // Create and activate button to load metabolic model.
+      self.createActivateModelLoadButton(self);
+      // Create break.
+      self.container.appendChild(self.document.createElement("br"));
       // Create and activate button to save application's state.
       self.createActivateSaveButton(self);
       // Create and activate button to execute temporary procedure, for
@@ -136,6 +140,34 @@ class ViewState {
     self.container.appendChild(self.sourceLabel);
   }
   /**
+  * Creates and activates button to select file of a metabolic model in Systems
+  * Biology Markup Language (SBML) or in JavaScript Object Notation (JSON) from
+  * COBRApy to load.
+  * @param {Object} self Instance of a class.
+  */
+  createActivateModelLoadButton(self) {
+    // Create label.
+    View.createAppendSpanText({
+      text: "model: ",
+      parent: self.container,
+      documentReference: self.document
+    });
+    // Create and activate file selector.
+    var load = View.createFileLoadFacade({
+      suffix: ".json,.xml,.sbml",
+      parent: self.container,
+      documentReference: self.document
+    });
+    load.addEventListener("change", function (event) {
+      // Element on which the event originated is event.currentTarget.
+      // Call action.
+      ActionState.loadRestoreSourceModel({
+        source: event.currentTarget.files[0],
+        state: self.state
+      });
+    });
+  }
+  /**
   * Creates and activates button to save application's state.
   * @param {Object} self Instance of a class.
   */
@@ -0,0 +1,390 @@
+/*
+This file is part of project Profondeur
+(https://github.com/tcameronwaller/profondeur/).
+
+Profondeur supports visual exploration and analysis of metabolic networks.
+Copyright (C) 2018 Thomas Cameron Waller
+
+This program is free software: you can redistribute it and/or modify it under
+the terms of the GNU General Public License as published by the Free Software
+Foundation, either version 3 of the License, or (at your option) any later
+version.
+
+This program is distributed in the hope that it will be useful, but WITHOUT ANY
+WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+PARTICULAR PURPOSE.
+See the GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License along with
+this program.
+If not, see <http://www.gnu.org/licenses/>.
+
+Thomas Cameron Waller
+tcameronwaller@gmail.com
+Department of Biochemistry
+University of Utah
+Room 5520C, Emma Eccles Jones Medical Research Building
+15 North Medical Drive East
+Salt Lake City, Utah 84112
+United States of America
+*/
+
+/**
+* Interface to represent statistics about topology of network or subnetwork.
+*/
+class ViewStatistics {
+  /**
+  * Initializes an instance of a class.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.documentReference Reference to document object
+  * model.
+  * @param {Object} parameters.state Application's state.
+  */
+  constructor ({documentReference, state} = {}) {
+    // Set common references.
+    // Set reference to class' current instance to persist across scopes.
+    var self = this;
+    // Set reference to application's state.
+    self.state = state;
+    // Set reference to document object model (DOM).
+    self.document = documentReference;
+    // Set reference to other views.
+    self.interfaceView = self.state.views.interface;
+    self.tipView = self.state.views.tip;
+    self.promptView = self.state.views.prompt;
+    self.subnetworkView = self.state.views.subnetwork;
+    // Control view's composition and behavior.
+    // Initialize view.
+    self.initializeView(self);
+    // Restore view.
+    self.restoreView(self);
+  }
+  /**
+  * Initializes, creates and activates, view's content and behavior that does
+  * not vary with changes to the application's state.
+  * @param {Object} self Instance of a class.
+  */
+  initializeView(self) {
+    // Create or set reference to container.
+    self.container = View.createReferenceContainer({
+      identifier: "statistics",
+      classNames: ["container", "panel", "control", "tierThree"],
+      type: "standard",
+      target: self.subnetworkView.statisticsTab,
+      position: "afterend",
+      documentReference: self.document
+    });
+    // Determine whether to create and activate behavior of content.
+    if (self.container.children.length === 0) {
+      // Container is empty.
+      // Create and activate behavior of content.
+      // Create and activate controls for scope.
+      self.createActivateScopeControl("subnetwork", self);
+      self.createActivateScopeControl("network", self);
+      // Create and activate button to calculate statistics.
+      self.createActivateCalculateButton(self);
+      // Create break.
+      self.container.appendChild(self.document.createElement("br"));
+      // Create text.
+      self.summary = self.document.createElement("span");
+      self.container.appendChild(self.summary);
+      self.summary.classList.add("summary");
+      // Create table.
+      self.createTable(self);
+      // Create and activate controls for modules.
+      self.createActivateModulesControls(self);
+    } else {
+      // Container is not empty.
+      // Set references to content.
+      self.subnetwork = self.document.getElementById("scope-subnetwork");
+      self.network = self.document.getElementById("scope-network");
+      self.summary = self.container.querySelector("span.summary");
+      self.sortGraphs = ViewStatistics
+      .createColumnsReferences()
+      .reduce(function (collection, column) {
+        var entry = {
+          [column.attribute]: self.container
+          .querySelector("th." + column.attribute + " svg.sort")
+        };
+        return Object.assign(collection, entry);
+      }, {});
+      self.tableBody = self.container.querySelector("table.nodes tbody");
+      self.modulesSummary = self.container.querySelector("span.modules");
+    }
+  }
+  /**
+  * Creates and activates a control for the scope of statistics.
+  * @param {string} scope Scope of statistics, network or subnetwork.
+  * @param {Object} self Instance of a class.
+  */
+  createActivateScopeControl(scope, self) {
+    // Create control for scope.
+    var identifier = "scope-" + scope;
+    self[scope] = View.createRadioButtonLabel({
+      identifier: identifier,
+      value: scope,
+      name: "scope",
+      className: "scope",
+      text: scope,
+      parent: self.container,
+      documentReference: self.document
+    });
+    // Activate behavior.
+    self[scope].addEventListener("change", function (event) {
+      // Element on which the event originated is event.currentTarget.
+      // Call action.
+      ActionStatistics.changeScope({
+        scope: event.currentTarget.value,
+        state: self.state
+      });
+    });
+  }
+  /**
+  * Creates and activates button to calculate statistics.
+  * @param {Object} self Instance of a class.
+  */
+  createActivateCalculateButton(self) {
+    var button = View.createButton({
+      text: "calculate",
+      parent: self.container,
+      documentReference: self.document
+    });
+    button.addEventListener("click", function (event) {
+      // Element on which the event originated is event.currentTarget.
+      // Call action.
+      ActionStatistics.calculateStatistics(self.state);
+    });
+  }
+  /**
+  * Creates and activates controls to detect, clear, and export modules of
+  * subnetwork's nodes.
+  * @param {Object} self Instance of a class.
+  */
+  createActivateModulesControls(self) {
+    // Create label.
+    View.createAppendSpanText({
+      text: "subnetwork modules: ",
+      parent: self.container,
+      documentReference: self.document
+    });
+    // Create and activate buttons for actions.
+    [
+      {text: "detect", action: ActionStatistics.detectModules},
+      {text: "clear", action: ActionStatistics.clearModules},
+      {text: "export", action: ActionStatistics.exportModules}
+    ].forEach(function (record) {
+      var button = View.createButton({
+        text: record.text,
+        parent: self.container,
+        documentReference: self.document
+      });
+      button.addEventListener("click", function (event) {
+        // Element on which the event originated is event.currentTarget.
+        // Call action.
+        record.action(self.state);
+      });
+    });
+    // Create break.
+    self.container.appendChild(self.document.createElement("br"));
+    // Create text.
+    self.modulesSummary = self.document.createElement("span");
+    self.container.appendChild(self.modulesSummary);
+    self.modulesSummary.classList.add("modules");
+  }
+  /**
+  * Creates references to columns in table of statistics.
+  * @returns {Array<Object<string>>} Information about columns.
+  */
+  static createColumnsReferences() {
+    return [
+      {attribute: "name", text: "Node"},
+      {attribute: "degree", text: "Deg"},
+      {attribute: "inputs", text: "In"},
+      {attribute: "outputs", text: "Out"},
+      {attribute: "betweenness", text: "Betw"},
+      {attribute: "closeness", text: "Clos"},
+      {attribute: "clustering", text: "Clus"}
+    ];
+  }
+  /**
+  * Creates a table to summarize statistics of nodes.
+  * @param {Object} self Instance of a class.
+  */
+  createTable(self) {
+    // Create table's head.
+    var head = View.createTableHead({
+      parent: self.container,
+      documentReference: self.document
+    });
+    var headRow = View.createTableRow({
+      parent: head,
+      documentReference: self.document
+    });
+    // Create titles and sorts.
+    self.sortGraphs = ViewStatistics
+    .createColumnsReferences()
+    .reduce(function (collection, column) {
+      var references = View.createActivateTableColumnTitle({
+        attribute: column.attribute,
+        text: column.text,
+        type: "statistics",
+        category: "nodes",
+        sort: true,
+        parent: headRow,
+        documentReference: self.document,
+        state: self.state
+      });
+      var entry = {
+        [column.attribute]: references.sortGraph
+      };
+      return Object.assign(collection, entry);
+    }, {});
+    // Create table's body.
+    self.tableBody = View.createScrollTableBody({
+      className: "nodes",
+      parent: self.container,
+      documentReference: self.document
+    });
+  }
+  /**
+  * Restores view's content and behavior that varies with changes to the
+  * application's state.
+  * @param {Object} self Instance of a class.
+  */
+  restoreView(self) {
+    // Create view's variant elements.
+    // Activate variant behavior of view's elements.
+    self.subnetwork.checked = (self.state.statisticsScope === "subnetwork");
+    self.network.checked = (self.state.statisticsScope === "network");
+    // Represent specifications to sort records.
+    Object.keys(self.sortGraphs).forEach(function (attribute) {
+      View.representSort({
+        category: "nodes",
+        attribute: attribute,
+        sorts: self.state.statisticsSorts,
+        parent: self.sortGraphs[attribute],
+        documentReference: self.document
+      });
+    });
+    // Represent summary.
+    self.restoreSummary(self);
+    self.restoreModulesSummary(self);
+    // Represent statistics of nodes.
+    self.createTableRows(self);
+  }
+  /**
+  * Restores a summary of statistics about network.
+  * @param {Object} self Instance of a class.
+  */
+  restoreSummary(self) {
+    // Determine whether statistics exist.
+    if (self.state.statistics) {
+      var summary = self.state.statistics.summary;
+      self.summary.textContent = (
+        "nodes: " + summary.nodes + " links: " + summary.links +
+        " density: " + ViewStatistics.formatValue(summary.density) +
+        " diameter: " + summary.diameter +
+        " weak components: " + summary.weakComponents +
+        " strong components: " + summary.strongComponents
+      );
+    } else {
+      self.summary.textContent = "calculate to measure topology";
+    }
+  }
+  /**
+  * Restores a summary of modules of subnetwork's nodes.
+  * @param {Object} self Instance of a class.
+  */
+  restoreModulesSummary(self) {
+    // Determine whether modules exist.
+    if (self.state.subnetworkModules) {
+      var modules = self.state.subnetworkModules;
+      self.modulesSummary.textContent = (
+        "modules: " + modules.count +
+        " modularity: " + ViewStatistics.formatValue(modules.modularity)
+      );
+    } else {
+      self.modulesSummary.textContent = "";
+    }
+  }
+  /**
+  * Creates rows in a table to summarize statistics of nodes.
+  * @param {Object} self Instance of a class.
+  */
+  createTableRows(self) {
+    // Select parent.
+    var body = d3.select(self.tableBody);
+    // Define function to access data.
+    function accessOne() {
+      if (self.state.statistics) {
+        return self.state.statistics.nodes;
+      } else {
+        return [];
+      }
+    };
+    // Create children elements by association to data.
+    var rows = View.createElementsData({
+      parent: body,
+      type: "tr",
+      accessor: accessOne
+    });
+    // Assign attributes to elements.
+    rows.classed("selection", function (element, index, nodes) {
+      return Model.determineNodeEntitySelection({
+        identifier: element.identifier,
+        type: element.type,
+        state: self.state
+      });
+    });
+    rows.attr("title", function (element, index, nodes) {
+      return element.identifier;
+    });
+    // Activate behavior.
+    rows.on("click", function (element, index, nodes) {
+      // Call action.
+      ActionStatistics.selectNode({
+        identifier: element.identifier,
+        type: element.type,
+        state: self.state
+      });
+    });
+    // Define function to access data.
+    function accessTwo(element, index, nodes) {
+      // Organize data.
+      return ViewStatistics.createColumnsReferences().map(function (column) {
+        return {
+          attribute: column.attribute,
+          value: element[column.attribute]
+        };
+      });
+    };
+    // Create children elements by association to data.
+    var cells = View.createElementsData({
+      parent: rows,
+      type: "td",
+      accessor: accessTwo
+    });
+    // Assign attributes to elements.
+    cells.attr("class", function (element, index, nodes) {
+      return element.attribute;
+    });
+    cells.text(function (element, index, nodes) {
+      return ViewStatistics.formatValue(element.value);
+    });
+  }
+  /**
+  * Formats a value for representation.
+  * @param {number | string} value Value to format.
+  * @returns {string} Representation of value.
+  */
+  static formatValue(value) {
+    if (
+      (General.determineValueType(value) === "number") &&
+      !Number.isInteger(value)
+    ) {
+      return value.toFixed(3);
+    } else {
+      return String(value);
+    }
+  }
+}
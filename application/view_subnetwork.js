@@ -82,6 +82,17 @@ class ViewSubnetwork {
       self.createActivateRestorationButton(self);
       // Create and activate button to export information about network.
       self.createActivateExportButton(self);
+      // Create and activate selector for format of export.
+      self.format = View.createActivateExportFormatSelector({
+        identifier: "subnetwork-export-format",
+        parent: self.container,
+        documentReference: self.document,
+        state: self.state
+      });
+      // Create break.
+      self.container.appendChild(self.document.createElement("br"));
+      // Create and activate controls for positions from Escher map.
+      self.createActivateEscherMapControls(self);
       // Create break.
       self.container.appendChild(self.document.createElement("br"));
       // Create summary of network's elements.
@@ -91,11 +102,16 @@ class ViewSubnetwork {
     } else {
       // Container is not empty.
       // Set references to content.
+      // Selector for format of export.
+      self.format = self.document.getElementById("subnetwork-export-format");
+      // Summary of positions from Escher map.
+      self.escherSummary = self.container.querySelector("span.escher");
       // Summary.
       self.graphNode = self.container.querySelector("table.summary svg.node");
       self.graphLink = self.container.querySelector("table.summary svg.link");
       // Tabs.
       self.queryTab = self.document.getElementById("tab-query");
+      self.statisticsTab = self.document.getElementById("tab-statistics");
     }
   }
   /**
@@ -130,6 +146,48 @@ class ViewSubnetwork {
       ActionSubnetwork.export(self.state);
     });
   }
+  /**
+  * Creates and activates controls to load and clear positions of nodes from an
+  * Escher map.
+  * @param {Object} self Instance of a class.
+  */
+  createActivateEscherMapControls(self) {
+    // Create label.
+    View.createAppendSpanText({
+      text: "Escher map: ",
+      parent: self.container,
+      documentReference: self.document
+    });
+    // Create and activate file selector.
+    var load = View.createFileLoadFacade({
+      suffix: ".json",
+      parent: self.container,
+      documentReference: self.document
+    });
+    load.addEventListener("change", function (event) {
+      // Element on which the event originated is event.currentTarget.
+      // Call action.
+      ActionExploration.loadImportEscherMap({
+        source: event.currentTarget.files[0],
+        state: self.state
+      });
+    });
+    // Create and activate button to clear positions.
+    var clear = View.createButton({
+      text: "clear",
+      parent: self.container,
+      documentReference: self.document
+    });
+    clear.addEventListener("click", function (event) {
+      // Element on which the event originated is event.currentTarget.
+      // Call action.
+      ActionExploration.clearEscherMap(self.state);
+    });
+    // Create text.
+    self.escherSummary = self.document.createElement("span");
+    self.container.appendChild(self.escherSummary);
+    self.escherSummary.classList.add("escher");
+  }
 
   // TODO: create and activate a tip for the summary...
 
@@ -240,6 +298,14 @@ class ViewSubnetwork {
   */
   restoreView(self) {
     // Create view's variant elements.
+    // Restore selector for format of export.
+    View.restoreExportFormatSelector({
+      selector: self.format,
+      documentReference: self.document,
+      state: self.state
+    });
+    // Restore summary of positions from Escher map.
+    self.restoreEscherSummary(self);
     // Activate variant behavior of view's elements.
     // Restore chart for nodes.
     View.restoreNodeChart({
@@ -261,4 +327,22 @@ class ViewSubnetwork {
       graph: self.graphLink
     });
   }
+  /**
+  * Restores a summary of positions of nodes from an Escher map.
+  * Summary reports maps that are not valid and maps that do not match any
+  * nodes.
+  * @param {Object} self Instance of a class.
+  */
+  restoreEscherSummary(self) {
+    var report = self.state.simulationPositionsReport;
+    if (!report) {
+      self.escherSummary.textContent = "";
+    } else if (!report.validity) {
+      self.escherSummary.textContent = " invalid map";
+    } else {
+      self.escherSummary.textContent = (
+        " " + report.count + " of " + report.total + " nodes positioned"
+      );
+    }
+  }
 }
@@ -251,6 +251,8 @@ class ViewTopology {
     self.metaboliteNodeHeight = self.explorationView.scaleLength * 0.5;
     self.reactionNodeWidth = self.explorationView.scaleLength * 2.5;
     self.reactionNodeHeight = self.explorationView.scaleLength * 0.75;
+    self.geneNodeWidth = self.explorationView.scaleLength * 1.5;
+    self.geneNodeHeight = self.explorationView.scaleLength * 1;
     // Link dimensions.
     self.linkThickness = self.explorationView.scaleThickness;
     // Compute font size from scale.
@@ -358,10 +360,73 @@ class ViewTopology {
       });
       return link.role === "product";
     });
+    self.linksMarks.classed("catalyst", function (element, index, nodes) {
+      var link = ViewTopology.accessLink({
+        identifier: element.identifier,
+        state: self.state
+      });
+      return link.role === "catalyst";
+    });
+    self.linksMarks.classed("conversion", function (element, index, nodes) {
+      var link = ViewTopology.accessLink({
+        identifier: element.identifier,
+        state: self.state
+      });
+      return link.role === "conversion";
+    });
+    self.linksMarks.classed("adjacency", function (element, index, nodes) {
+      var link = ViewTopology.accessLink({
+        identifier: element.identifier,
+        state: self.state
+      });
+      return link.role === "adjacency";
+    });
     self.linksMarks.attr("marker-mid", "url(#link-marker)");
     // Determine dimensions for representations of network's elements.
     // Set dimensions of links.
     self.linksMarks.attr("stroke-width", (self.linkThickness));
+    // Activate behavior on hover.
+    self.activateLinksHover(self);
+  }
+  /**
+  * Activates links on hover.
+  * @param {Object} self Instance of a class.
+  */
+  activateLinksHover(self) {
+    // Links in projections of the network represent reactions or
+    // metabolites.
+    var linksMarksProjection = self
+    .linksMarks.filter(function (element, index, nodes) {
+      var link = ViewTopology.accessLink({
+        identifier: element.identifier,
+        state: self.state
+      });
+      return (
+        link.hasOwnProperty("reactions") || link.hasOwnProperty("metabolites")
+      );
+    });
+    // Activate behavior.
+    linksMarksProjection.on("mouseenter", createTip);
+    linksMarksProjection.on("mousemove", createTip);
+    linksMarksProjection.on("mouseleave", function (element, index, nodes) {
+      // Remove tip view.
+      self.tipView.clearView(self.tipView);
+    });
+    function createTip(element, index, nodes) {
+      // Determine event's positions.
+      // Determine positions relative to the browser's window.
+      var horizontalPosition = d3.event.clientX;
+      var verticalPosition = d3.event.clientY;
+      // Create tip.
+      ViewTopology.createLinkTip({
+        identifier: element.identifier,
+        horizontalPosition: horizontalPosition,
+        verticalPosition: verticalPosition,
+        tipView: self.tipView,
+        documentReference: self.document,
+        state: self.state
+      });
+    }
   }
   /**
   * Creates and activates nodes.
@@ -408,6 +473,9 @@ class ViewTopology {
     .classed("reaction", function (element, index, nodes) {
       return element.type === "reaction";
     })
+    .classed("gene", function (element, index, nodes) {
+      return element.type === "gene";
+    })
     .classed("normal", function (element, index, nodes) {
       return !Model.determineNodeEntitySelection({
         identifier: element.identifier,
@@ -663,7 +731,8 @@ class ViewTopology {
     };
     // Create children elements by association to data.
     var dataElements = self
-    .nodesGroups.selectAll("ellipse, rect").filter(".mark").data(access);
+    .nodesGroups
+    .selectAll("ellipse, rect, polygon").filter(".mark").data(access);
     dataElements.exit().remove();
     var novelElements = dataElements
     .enter().append(function (element, index, nodes) {
@@ -678,11 +747,24 @@ class ViewTopology {
         return self
         .document
         .createElementNS("http://www.w3.org/2000/svg", "rect");
+      } else if (element.type === "gene") {
+        // Node represents a gene.
+        return self
+        .document
+        .createElementNS("http://www.w3.org/2000/svg", "polygon");
       }
     });
     var nodesMarks = novelElements.merge(dataElements);
     // Assign attributes to elements.
     nodesMarks.classed("mark", true);
+    // Represent nodes' modules by colors.
+    nodesMarks.style("fill", function (element, index, nodes) {
+      return ViewTopology.determineNodeModuleColor({
+        identifier: element.identifier,
+        type: element.type,
+        state: self.state
+      });
+    });
     // Determine dimensions for representations of network's elements.
     // Set dimensions of metabolites' nodes.
     var nodesMarksMetabolites = nodesMarks
@@ -733,6 +815,23 @@ class ViewTopology {
       var y = - (self.reactionNodeHeight / 2);
       return "translate(" + x + "," + y + ")";
     });
+    // Set dimensions of genes' nodes.
+    var nodesMarksGenes = nodesMarks
+    .filter(function (element, index, nodes) {
+      return element.type === "gene";
+    });
+    nodesMarksGenes.attr("points", function (element, index, nodes) {
+      return General.createRhombusPoints({
+        width: self.geneNodeWidth,
+        height: self.geneNodeHeight
+      });
+    });
+    // Shift genes' nodes according to their dimensions.
+    nodesMarksGenes.attr("transform", function (element, index, nodes) {
+      var x = - (self.geneNodeWidth / 2);
+      var y = - (self.geneNodeHeight / 2);
+      return "translate(" + x + "," + y + ")";
+    });
   }
   /**
   * Creates labels for nodes in a node-link diagram.
@@ -764,6 +863,10 @@ class ViewTopology {
           var node = self.state.networkNodesReactions[element.identifier];
           var candidate = self.state.candidatesReactions[node.candidate];
           var name = candidate.name;
+        } else if (element.type === "gene") {
+          // Access information.
+          var node = self.state.networkNodesGenes[element.identifier];
+          var name = self.state.genes[node.gene].name;
         }
         return (name.slice(0, 5) + "...");
       });
@@ -854,39 +957,58 @@ class ViewTopology {
     // Iterate on records for reactions' nodes with access to positions from
     // force simulation.
     reactionsNodes.forEach(function (reactionNode) {
-      // Access information.
-      var node = self.state.networkNodesReactions[reactionNode.identifier];
-      var candidate = self.state.candidatesReactions[node.candidate];
-      var reaction = self.state.reactions[candidate.reaction];
-      // Collect identifiers of metabolites' nodes that surround the reaction's
-      // node.
-      // Traversal function needs identifiers of nodes that are source and
-      // target of each link.
-      // Use original records for subnetwork's links.
-      var neighbors = Query.collectNodeNeighbors({
-        focus: reactionNode.identifier,
-        direction: "neighbors",
-        omissionNodes: [],
-        omissionLinks: [],
-        links: self.state.subnetworkLinksRecords
-      });
-      // Determine the roles in which metabolites participate in the reaction.
-      // Reaction's store information about metabolites' participation.
-      // Metabolites can participate in multiple reactions.
-      var neighborsRoles = ViewTopology.sortMetabolitesNodesReactionRoles({
-        identifiers: neighbors,
-        participants: reaction.participants,
-        networkNodesMetabolites: self.state.networkNodesMetabolites,
-        candidatesMetabolites: self.state.candidatesMetabolites
-      });
-      // Collect records for nodes of metabolites that participate in the
-      // reaction in each role.
-      var reactantsNodes = General.filterArrayRecordsByIdentifiers(
-        neighborsRoles.reactants, metabolitesNodes
-      );
-      var productsNodes = General.filterArrayRecordsByIdentifiers(
-        neighborsRoles.products, metabolitesNodes
-      );
+      // Determine whether network is a projection onto reactions.
+      if (self.state.projection === "reactions") {
+        // Nodes for reactions that precede and succeed the reaction occupy
+        // the sides for reactants and products.
+        var sides = ViewTopology.collectReactionNodeAdjacentNodes({
+          identifier: reactionNode.identifier,
+          reactionsNodes: reactionsNodes,
+          networkNodesReactions: self.state.networkNodesReactions,
+          links: self.state.subnetworkLinksRecords
+        });
+        var reactantsNodes = sides.predecessors;
+        var productsNodes = sides.successors;
+      } else {
+        // Access information.
+        var node = self.state.networkNodesReactions[reactionNode.identifier];
+        var candidate = self.state.candidatesReactions[node.candidate];
+        var reaction = self.state.reactions[candidate.reaction];
+        // Collect identifiers of metabolites' nodes that surround the
+        // reaction's node.
+        // Traversal function needs identifiers of nodes that are source and
+        // target of each link.
+        // Use original records for subnetwork's links.
+        var neighbors = Query.collectNodeNeighbors({
+          focus: reactionNode.identifier,
+          direction: "neighbors",
+          omissionNodes: [],
+          omissionLinks: [],
+          links: self.state.subnetworkLinksRecords
+        }).filter(function (identifier) {
+          // Nodes for genes do not participate in the reaction's sides.
+          return self
+          .state.networkNodesMetabolites.hasOwnProperty(identifier);
+        });
+        // Determine the roles in which metabolites participate in the
+        // reaction.
+        // Reaction's store information about metabolites' participation.
+        // Metabolites can participate in multiple reactions.
+        var neighborsRoles = ViewTopology.sortMetabolitesNodesReactionRoles({
+          identifiers: neighbors,
+          participants: reaction.participants,
+          networkNodesMetabolites: self.state.networkNodesMetabolites,
+          candidatesMetabolites: self.state.candidatesMetabolites
+        });
+        // Collect records for nodes of metabolites that participate in the
+        // reaction in each role.
+        var reactantsNodes = General.filterArrayRecordsByIdentifiers(
+          neighborsRoles.reactants, metabolitesNodes
+        );
+        var productsNodes = General.filterArrayRecordsByIdentifiers(
+          neighborsRoles.products, metabolitesNodes
+        );
+      }
       // Determine orientation of reaction's node.
       // Include designations of orientation in record for reaction's node.
       var orientation = ViewTopology.determineReactionNodeOrientation({
@@ -1022,7 +1144,8 @@ class ViewTopology {
   * Accesses a node.
   * @param {Object} parameters Destructured object of parameters.
   * @param {string} parameters.identifier Identifier of a node.
-  * @param {string} parameters.type Type of entity, metabolite or reaction.
+  * @param {string} parameters.type Type of entity, metabolite, reaction, or
+  * gene.
   * @param {Object} parameters.state Application's state.
   * @returns {string} Name of the value of the attribute.
   */
@@ -1031,6 +1154,37 @@ class ViewTopology {
       return state.networkNodesMetabolites[identifier];
     } else if (type === "reaction") {
       return state.networkNodesReactions[identifier];
+    } else if (type === "gene") {
+      return state.networkNodesGenes[identifier];
+    }
+  }
+  /**
+  * Determines the color to represent a node's module.
+  * Nodes of selection and nodes without modules keep the colors of their
+  * types.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.identifier Identifier of a node.
+  * @param {string} parameters.type Type of a node, metabolite, reaction, or
+  * gene.
+  * @param {Object} parameters.state Application's state.
+  * @returns {string} Color for node's mark or null.
+  */
+  static determineNodeModuleColor({identifier, type, state} = {}) {
+    // Determine whether node belongs to a module.
+    if (
+      state.subnetworkModules &&
+      state.subnetworkModules.modules.hasOwnProperty(identifier) &&
+      !Model.determineNodeEntitySelection({
+        identifier: identifier,
+        type: type,
+        state: state
+      })
+    ) {
+      var module = state.subnetworkModules.modules[identifier];
+      var colors = d3.schemeCategory20;
+      return colors[(module - 1) % colors.length];
+    } else {
+      return null;
     }
   }
 
@@ -1055,12 +1209,17 @@ class ViewTopology {
       var node = state.networkNodesMetabolites[identifier];
       var candidate = state.candidatesMetabolites[node.candidate];
       var entity = state.metabolites[candidate.metabolite];
+      var name = candidate.name;
     } else if (type === "reaction") {
       var node = state.networkNodesReactions[identifier];
       var candidate = state.candidatesReactions[node.candidate];
       var entity = state.reactions[candidate.reaction];
+      var name = candidate.name;
+    } else if (type === "gene") {
+      var node = state.networkNodesGenes[identifier];
+      var entity = state.genes[node.gene];
+      var name = entity.name;
     }
-    var name = candidate.name;
     var summary = View.createSpanText({
       text: name,
       documentReference: documentReference
@@ -1076,6 +1235,53 @@ class ViewTopology {
       self: tipView
     });
   }
+  /**
+  * Creates tip for a link that represents reactions or metabolites.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.identifier Identifier of a link.
+  * @param {number} parameters.horizontalPosition Horizontal position in pixels
+  * relative to the browser's view window of reference point.
+  * @param {number} parameters.verticalPosition Horizontal position in pixels
+  * relative to the browser's view window of reference point.
+  * @param {Object} parameters.tipView Instance of ViewTip's class.
+  * @param {Object} parameters.documentReference Reference to document object
+  * model.
+  * @param {Object} parameters.state Application's state.
+  */
+  static createLinkTip({identifier, horizontalPosition, verticalPosition, tipView, documentReference, state} = {}) {
+    // Create summary for tip.
+    // Access information.
+    var link = state.networkLinks[identifier];
+    if (link.hasOwnProperty("reactions")) {
+      var names = General.collectKeyValueFromEntries({
+        identifiers: link.reactions,
+        key: "name",
+        object: state.candidatesReactions
+      });
+      var text = "converted by: " + names.join(", ");
+    } else {
+      var names = General.collectKeyValueFromEntries({
+        identifiers: link.metabolites,
+        key: "name",
+        object: state.candidatesMetabolites
+      });
+      var text = "adjacent by: " + names.join(", ");
+    }
+    var summary = View.createSpanText({
+      text: text,
+      documentReference: documentReference
+    });
+    // Create tip.
+    tipView.restoreView({
+      visibility: true,
+      horizontalPosition: horizontalPosition,
+      verticalPosition: verticalPosition,
+      horizontalShift: 15,
+      verticalShift: 0,
+      content: summary,
+      self: tipView
+    });
+  }
 
   /**
   * Sorts identifiers of nodes for metabolites by their roles in a reaction.
@@ -1108,7 +1314,7 @@ class ViewTopology {
         var matches = Extraction.filterReactionParticipants({
           criteria: {
             metabolites: [candidate.metabolite],
-            compartments: [candidate.compartment]
+            compartments: candidate.compartments
           },
           participants: participants
         });
@@ -1144,6 +1350,42 @@ class ViewTopology {
     }, initialCollection);
   }
   /**
+  * Collects records of nodes for reactions that precede and succeed a
+  * reaction in a projection of the network onto reactions.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {string} parameters.identifier Identifier of a reaction's node.
+  * @param {Array<Object>} parameters.reactionsNodes Records of nodes for
+  * reactions.
+  * @param {Object} parameters.networkNodesReactions Information about network's
+  * nodes for reactions.
+  * @param {Array<Object>} parameters.links Records of network's links.
+  * @returns {Object<Array<Object>>} Records of nodes for reactions that precede
+  * and succeed the reaction.
+  */
+  static collectReactionNodeAdjacentNodes({identifier, reactionsNodes, networkNodesReactions, links} = {}) {
+    // Define function to collect adjacent nodes in a direction.
+    function collectNodes(direction) {
+      var identifiers = Query.collectNodeNeighbors({
+        focus: identifier,
+        direction: direction,
+        omissionNodes: [],
+        omissionLinks: [],
+        links: links
+      }).filter(function (neighbor) {
+        // Nodes for genes do not participate in the reaction's sides.
+        return networkNodesReactions.hasOwnProperty(neighbor);
+      });
+      return General.filterArrayRecordsByIdentifiers(
+        identifiers, reactionsNodes
+      );
+    };
+    // Compile information.
+    return {
+      predecessors: collectNodes("predecessors"),
+      successors: collectNodes("successors")
+    };
+  }
+  /**
   * Determines the orientation of a reaction's node relative to sides for
   * reactants and products.
   * @param {Object} parameters Destructured object of parameters.
@@ -1229,7 +1471,7 @@ class ViewTopology {
     var direction = ViewTopology.determineReactionDirection({
       left: reactionNode.left,
       right: reactionNode.right,
-      reversibility: reaction.reversibility
+      flux: Extraction.accessReactionDirection(reaction)
     });
     if (direction === "both") {
       // Side of reaction's node needs directional marker.
@@ -1250,15 +1492,26 @@ class ViewTopology {
   * of reaction's node.
   * @param {string} parameters.right Role in reaction to represent on right side
   * of reaction's node.
-  * @param {boolean} parameters.reversibility Whether reaction is reversible.
+  * @param {string} parameters.flux Direction of reaction's flux, forward,
+  * backward, or reversible.
   * @returns {string} Indicator of direction of a reaction's node, left, right,
   * or both.
   */
-  static determineReactionDirection({left, right, reversibility} = {}) {
+  static determineReactionDirection({left, right, flux} = {}) {
     // Determine whether reaction is reversible.
-    if (reversibility) {
+    if (flux === "reversible") {
       // Reaction is reversible.
       return "both";
+    } else if (flux === "backward") {
+      // Reaction is irreversible and proceeds from products to reactants.
+      // Determine reaction's direction.
+      if (left === "reactant" && right === "product") {
+        // Reaction's direction is to the left.
+        return "left";
+      } else if (left === "product" && right === "reactant") {
+        // Reaction's direction is to the right.
+        return "right";
+      }
     } else {
       // Reaction is irreversible.
       // Determine reaction's direction.
@@ -1285,14 +1538,24 @@ class ViewTopology {
   static determineLinkTermini({role, source, target, width} = {}) {
     // Determine shift proportionate to width of reactions' nodes.
     var shift = width / 2;
+    // Determine roles at link's termini.
+    // Links between reactions leave their sources' sides for products and
+    // enter their targets' sides for reactants.
+    if (role === "adjacency") {
+      var sourceRole = "product";
+      var targetRole = "reactant";
+    } else {
+      var sourceRole = role;
+      var targetRole = role;
+    }
     // Determine horizontal shifts for link's termini.
     var sourceShift = ViewTopology.determineLinkTerminusHorizontalShift({
-      role: role,
+      role: sourceRole,
       terminus: source,
       shift: shift
     });
     var targetShift = ViewTopology.determineLinkTerminusHorizontalShift({
-      role: role,
+      role: targetRole,
       terminus: target,
       shift: shift
     });
@@ -1336,6 +1599,10 @@ class ViewTopology {
           // Link's role matches right side of reaction's node.
           //return terminus.x + shift;
           return shift;
+        } else {
+          // Link's role, such as catalyst, does not match either side of
+          // reaction's node.
+          return 0;
         }
       } else {
         // Reaction's node does not have an orientation.
@@ -1367,7 +1634,13 @@ class ViewTopology {
     var name = metabolite.name;
     var formula = metabolite.formula;
     var charge = metabolite.charge;
-    var compartment = state.compartments[candidate.compartment];
+    if (candidate.compartments) {
+      var compartment = candidate.compartments.map(function (identifier) {
+        return state.compartments[identifier].name;
+      }).join(", ");
+    } else {
+      var compartment = null;
+    }
     // Compile information.
     var information = [
       {title: "name:", value: name},
@@ -1432,15 +1705,20 @@ class ViewTopology {
     // Compile information.
     var information = [
       {title: "name:", value: properties.name},
+      {title: "equation:", value: properties.equation},
       {title: "reactants:", value: properties.reactants.join(", ")},
       {title: "products:", value: properties.products.join(", ")},
+      {title: "bounds:", value: properties.bounds},
       {title: "reversibility:", value: properties.reversibility},
+      {title: "direction:", value: properties.direction},
+      {title: "balance:", value: properties.balance},
       {title: "conversion:", value: properties.conversion},
       {title: "dispersal:", value: properties.dispersal},
       {title: "transport:", value: properties.transport},
       {title: "compartments:", value: properties.compartments.join(", ")},
       {title: "processes:", value: properties.processes.join(", ")},
       {title: "genes:", value: properties.genes.join(", ")},
+      {title: "rule:", value: properties.rule},
     ];
     // Create table.
     // Select parent.
@@ -0,0 +1,199 @@
+/*
+This file is part of project Profondeur
+(https://github.com/tcameronwaller/profondeur/).
+
+Profondeur supports visual exploration and analysis of metabolic networks.
+Copyright (C) 2018 Thomas Cameron Waller
+
+This program is free software: you can redistribute it and/or modify it under
+the terms of the GNU General Public License as published by the Free Software
+Foundation, either version 3 of the License, or (at your option) any later
+version.
+
+This program is distributed in the hope that it will be useful, but WITHOUT ANY
+WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A
+PARTICULAR PURPOSE.
+See the GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License along with
+this program.
+If not, see <http://www.gnu.org/licenses/>.
+
+Thomas Cameron Waller
+tcameronwaller@gmail.com
+Department of Biochemistry
+University of Utah
+Room 5520C, Emma Eccles Jones Medical Research Building
+15 North Medical Drive East
+Salt Lake City, Utah 84112
+United States of America
+*/
+
+/**
+* Interface to report issues in the metabolic model.
+*/
+class ViewValidation {
+  /**
+  * Initializes an instance of a class.
+  * @param {Object} parameters Destructured object of parameters.
+  * @param {Object} parameters.documentReference Reference to document object
+  * model.
+  * @param {Object} parameters.state Application's state.
+  */
+  constructor ({documentReference, state} = {}) {
+    // Set common references.
+    // Set reference to class' current instance to persist across scopes.
+    var self = this;
+    // Set reference to application's state.
+    self.state = state;
+    // Set reference to document object model (DOM).
+    self.document = documentReference;
+    // Set reference to other views.
+    self.interfaceView = self.state.views.interface;
+    self.tipView = self.state.views.tip;
+    self.promptView = self.state.views.prompt;
+    self.controlView = self.state.views.control;
+    // Control view's composition and behavior.
+    // Initialize view.
+    self.initializeView(self);
+    // Restore view.
+    self.restoreView(self);
+  }
+  /**
+  * Initializes, creates and activates, view's content and behavior that does
+  * not vary with changes to the application's state.
+  * @param {Object} self Instance of a class.
+  */
+  initializeView(self) {
+    // Create or set reference to container.
+    self.container = View.createReferenceContainer({
+      identifier: "validation",
+      classNames: ["container", "panel", "control", "tierTwo"],
+      type: "standard",
+      target: self.controlView.validationTab,
+      position: "afterend",
+      documentReference: self.document
+    });
+    // Determine whether to create and activate behavior of content.
+    if (self.container.children.length === 0) {
+      // Container is empty.
+      // Create and activate behavior of content.
+      // Create and activate button to export report.
+      self.createActivateExportButton(self);
+      // Create text.
+      self.countLabel = self.document.createElement("span");
+      self.container.appendChild(self.countLabel);
+      // Create break.
+      self.container.appendChild(self.document.createElement("br"));
+      // Create table.
+      self.createTable(self);
+    } else {
+      // Container is not empty.
+      // Set references to content.
+      self.countLabel = self.container.getElementsByTagName("span").item(0);
+      self.tableBody = self.container.getElementsByTagName("tbody").item(0);
+    }
+  }
+  /**
+  * Creates and activates button to export report.
+  * @param {Object} self Instance of a class.
+  */
+  createActivateExportButton(self) {
+    var save = View.createButton({
+      text: "export",
+      parent: self.container,
+      documentReference: self.document
+    });
+    save.addEventListener("click", function (event) {
+      // Element on which the event originated is event.currentTarget.
+      // Call action.
+      ActionValidation.exportReport(self.state);
+    });
+  }
+  /**
+  * Creates a table to summarize issues.
+  * @param {Object} self Instance of a class.
+  */
+  createTable(self) {
+    // Create table's head.
+    var head = View.createTableHead({
+      parent: self.container,
+      documentReference: self.document
+    });
+    var headRow = View.createTableRow({
+      parent: head,
+      documentReference: self.document
+    });
+    ["entity", "identifier", "check", "original", "correction"]
+    .forEach(function (attribute) {
+      var cell = View.createTableHeadCell({
+        parent: headRow,
+        className: attribute,
+        documentReference: self.document
+      });
+      cell.textContent = attribute;
+    });
+    // Create table's body.
+    self.tableBody = View.createScrollTableBody({
+      className: "report",
+      parent: self.container,
+      documentReference: self.document
+    });
+  }
+  /**
+  * Restores view's content and behavior that varies with changes to the
+  * application's state.
+  * @param {Object} self Instance of a class.
+  */
+  restoreView(self) {
+    // Create view's variant elements.
+    // Represent count of issues.
+    self.countLabel.textContent = (
+      " issues: " + self.state.validationReport.length
+    );
+    // Represent issues.
+    self.createTableRows(self);
+  }
+  /**
+  * Creates rows in a table to summarize issues.
+  * @param {Object} self Instance of a class.
+  */
+  createTableRows(self) {
+    // Select parent.
+    var body = d3.select(self.tableBody);
+    // Define function to access data.
+    function accessOne() {
+      return self.state.validationReport;
+    };
+    // Create children elements by association to data.
+    var rows = View.createElementsData({
+      parent: body,
+      type: "tr",
+      accessor: accessOne
+    });
+    // Define function to access data.
+    function accessTwo(element, index, nodes) {
+      // Organize data.
+      return [
+        element.entity,
+        element.identifier,
+        element.check,
+        element.original,
+        element.correction
+      ];
+    };
+    // Create children elements by association to data.
+    var cells = View.createElementsData({
+      parent: rows,
+      type: "td",
+      accessor: accessTwo
+    });
+    // Assign attributes to elements.
+    cells.text(function (element, index, nodes) {
+      return element;
+    });
+    cells.attr("title", function (element, index, nodes) {
+      return element;
+    });
+  }
+}